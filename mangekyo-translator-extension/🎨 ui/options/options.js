@@ -153,6 +153,7 @@ class OptionsController {
                 ocr: 'OCR Engine Settings',
                 appearance: 'Appearance Settings',
                 hotkeys: 'Keyboard Shortcuts',
+                adapters: 'Site Adapters',
                 advanced: 'Advanced Settings',
                 about: 'About'
             };
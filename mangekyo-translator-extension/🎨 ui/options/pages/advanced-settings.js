@@ -376,6 +376,18 @@ class AdvancedSettings {
           <span class="info-value">${info.cacheSize} entries (${info.cacheStorage})</span>
           <button class="secondary-btn" id="clear-cache-btn">Clear Cache</button>
         </div>
+        <div class="info-item wide">
+          <span class="info-label">Translation Memory (TMX 1.4)</span>
+          <button class="secondary-btn" id="export-tmx-btn">Export TMX</button>
+          <button class="secondary-btn" id="import-tmx-btn">Import TMX</button>
+          <input type="file" id="import-tmx-file" accept=".tmx,.xml" hidden>
+        </div>
+        <div class="info-item wide">
+          <span class="info-label">Replay Fixtures</span>
+          <span class="info-value" id="fixture-recording-status">${info.recording.recording ? 'Recording' : 'Idle'} (${info.recording.recorded} recorded)</span>
+          <button class="secondary-btn" id="toggle-recording-btn">${info.recording.recording ? 'Stop Recording' : 'Start Recording'}</button>
+          <button class="secondary-btn" id="export-fixtures-btn" ${info.recording.recorded ? '' : 'disabled'}>Download Fixtures</button>
+        </div>
       </div>
       <div class="diagnostics-actions">
         <button class="secondary-btn" id="export-logs-btn">Export Diagnostic Logs</button>
@@ -419,6 +431,10 @@ class AdvancedSettings {
     // Get cache stats
     const cacheStats = await this.perfMonitor.getCacheStats();
 
+    // Fixture recording state lives in the service worker
+    const recordingResponse = await chrome.runtime.sendMessage({ type: 'GET_FIXTURE_RECORDING_STATUS' });
+    const recording = recordingResponse?.data || { recording: false, recorded: 0 };
+
     return {
       version: manifest.version,
       manifestVersion: manifest.manifest_version,
@@ -428,7 +444,8 @@ class AdvancedSettings {
       cores,
       storageQuota,
       cacheSize: cacheStats.entries,
-      cacheStorage: cacheStats.size
+      cacheStorage: cacheStats.size,
+      recording
     };
   }
 
@@ -451,6 +468,14 @@ class AdvancedSettings {
       slider.addEventListener('change', (e) => this.handleSettingChange(e.target.dataset.settingId, parseInt(e.target.value)));
     });
 
+    // TMX file picker
+    this.settingsContainer.addEventListener('change', async (e) => {
+      if (e.target.id === 'import-tmx-file' && e.target.files[0]) {
+        await this.importTMX(e.target.files[0]);
+        e.target.value = '';
+      }
+    });
+
     // Selects
     this.settingsContainer.querySelectorAll('select').forEach(select => {
       select.addEventListener('change', (e) => this.handleSettingChange(e.target.dataset.settingId, e.target.value));
@@ -460,6 +485,14 @@ class AdvancedSettings {
     this.settingsContainer.addEventListener('click', async (e) => {
       if (e.target.id === 'clear-cache-btn') {
         await this.clearCache();
+      } else if (e.target.id === 'export-tmx-btn') {
+        await this.exportTMX();
+      } else if (e.target.id === 'import-tmx-btn') {
+        this.settingsContainer.querySelector('#import-tmx-file').click();
+      } else if (e.target.id === 'toggle-recording-btn') {
+        await this.toggleRecording();
+      } else if (e.target.id === 'export-fixtures-btn') {
+        await this.exportFixtures();
       } else if (e.target.id === 'export-logs-btn') {
         await this.exportLogs();
       } else if (e.target.id === 'reset-advanced-btn') {
@@ -564,6 +597,83 @@ class AdvancedSettings {
     await this.renderSystemInfo(); // Refresh stats
   }
 
+  /**
+   * Export translation memory as TMX
+   */
+  async exportTMX() {
+    const response = await chrome.runtime.sendMessage({ type: 'EXPORT_TMX', payload: {} });
+    if (!response?.success) {
+      this.showToast(`TMX export failed: ${response?.error || 'unknown error'}`);
+      return;
+    }
+
+    const blob = new Blob([response.data], { type: 'application/x-tmx+xml' });
+    const url = URL.createObjectURL(blob);
+    
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `mangekyo-memory-${new Date().toISOString().slice(0,10)}.tmx`;
+    a.click();
+    URL.revokeObjectURL(url);
+    
+    this.showToast('Translation memory exported');
+  }
+
+  /**
+   * Start or stop recording live translations as replay fixtures
+   */
+  async toggleRecording() {
+    const status = await chrome.runtime.sendMessage({ type: 'GET_FIXTURE_RECORDING_STATUS' });
+    const type = status?.data?.recording ? 'STOP_FIXTURE_RECORDING' : 'START_FIXTURE_RECORDING';
+    const response = await chrome.runtime.sendMessage({ type, payload: {} });
+
+    if (!response?.success) {
+      this.showToast(`Recording failed: ${response?.error || 'unknown error'}`);
+      return;
+    }
+
+    this.showToast(response.data.recording ? 'Recording translations' : `Recorded ${response.data.recorded} fixtures`);
+    this.settingsContainer.querySelector('.system-info-panel')?.remove();
+    await this.renderSystemInfo();
+  }
+
+  /**
+   * Download recorded fixtures for ReplayEngine / advanced.replayFixtures
+   */
+  async exportFixtures() {
+    const response = await chrome.runtime.sendMessage({ type: 'EXPORT_FIXTURES', payload: {} });
+    if (!response?.success) {
+      this.showToast(`Fixture export failed: ${response?.error || 'unknown error'}`);
+      return;
+    }
+
+    const blob = new Blob([response.data], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `mangekyo-fixtures-${new Date().toISOString().slice(0,10)}.json`;
+    a.click();
+    URL.revokeObjectURL(url);
+    
+    this.showToast('Fixtures exported');
+  }
+
+  /**
+   * Import translation memory from a TMX file
+   */
+  async importTMX(file) {
+    const xml = await file.text();
+    const response = await chrome.runtime.sendMessage({ type: 'IMPORT_TMX', payload: { xml } });
+    
+    if (response?.success) {
+      this.showToast(`Imported ${response.data} translation units`);
+      await this.renderSystemInfo();
+    } else {
+      this.showToast(`TMX import failed: ${response?.error || 'unknown error'}`);
+    }
+  }
+
   /**
    * Export diagnostic logs
    */
@@ -3,6 +3,7 @@
 import { ConfigManager } from '../../../core/shared/config-manager.js';
 import { I18n } from '../../../core/shared/i18n/i18n.js';
 import { EventEmitter } from '../../../core/shared/utils/event-emitter.js';
+import { getBackendsForLanguage, DEFAULT_OCR_BACKEND } from '../../../computer-vision/ocr/backends/ocr-backend.js';
 
 /**
  * OCR Settings Page Controller
@@ -56,6 +57,16 @@ export class OCRSettings {
         autoDetect: true // Auto-detect language
       },
 
+      // OCR backend per source language ('tesseract', 'manga-ocr', 'paddleocr')
+      backends: {
+        jpn: DEFAULT_OCR_BACKEND,
+        jpn_vert: DEFAULT_OCR_BACKEND,
+        kor: DEFAULT_OCR_BACKEND,
+        chi_sim: DEFAULT_OCR_BACKEND,
+        chi_tra: DEFAULT_OCR_BACKEND,
+        eng: DEFAULT_OCR_BACKEND
+      },
+
       // Image Preprocessing Pipeline
       preprocessing: {
         enabled: true,
@@ -140,6 +151,7 @@ export class OCRSettings {
 
         <div class="settings-content">
           ${this.renderLanguageSection()}
+          ${this.renderBackendSection()}
           ${this.renderPreprocessingSection()}
           ${this.renderMangaDetectionSection()}
           ${this.renderTesseractCoreSection()}
@@ -276,6 +288,54 @@ export class OCRSettings {
     `;
   }
 
+  /**
+   * OCR Backend Section - engine per source language
+   */
+  renderBackendSection() {
+    const languages = [
+      { code: 'jpn', name: this.i18n.get('lang_japanese') },
+      { code: 'jpn_vert', name: this.i18n.get('lang_japanese_vert') },
+      { code: 'kor', name: this.i18n.get('lang_korean') },
+      { code: 'chi_sim', name: this.i18n.get('lang_chinese_simp') },
+      { code: 'chi_tra', name: this.i18n.get('lang_chinese_trad') },
+      { code: 'eng', name: this.i18n.get('lang_english') }
+    ];
+    const backends = { ...this.settings.backends };
+
+    return `
+      <section class="setting-group" data-section="backends">
+        <h2>${this.i18n.get('ocr_backends')}</h2>
+        
+        <div class="setting-card">
+          <p class="setting-help">${this.i18n.get('ocr_backends_help')}</p>
+
+          ${languages.map(lang => `
+            <div class="setting-row">
+              <div class="setting-info">
+                <label class="setting-label">${lang.name}</label>
+              </div>
+              <div class="setting-control">
+                <select class="select-styled" data-backend-lang="${lang.code}">
+                  ${getBackendsForLanguage(lang.code).map(backend => `
+                    <option value="${backend.id}" title="${backend.description}"
+                            ${(backends[lang.code] || DEFAULT_OCR_BACKEND) === backend.id ? 'selected' : ''}>
+                      ${backend.name}
+                    </option>
+                  `).join('')}
+                </select>
+              </div>
+            </div>
+          `).join('')}
+
+          <div class="setting-warning">
+            <span class="warning-icon">ℹ️</span>
+            ${this.i18n.get('ocr_backends_region_only')}
+          </div>
+        </div>
+      </section>
+    `;
+  }
+
   /**
    * Image Preprocessing Pipeline Section
    */
@@ -887,6 +947,16 @@ export class OCRSettings {
       this.settings.languages.vertical = e.target.checked;
     });
 
+    // OCR backend per language
+    this.container.querySelectorAll('[data-backend-lang]').forEach(select => {
+      select.addEventListener('change', (e) => {
+        this.settings.backends = {
+          ...this.settings.backends,
+          [e.target.dataset.backendLang]: e.target.value
+        };
+      });
+    });
+
     // Preprocessing pipeline
     const preprocessingEnabled = this.container.querySelector('#preprocessing-enabled');
     preprocessingEnabled?.addEventListener('change', (e) => {
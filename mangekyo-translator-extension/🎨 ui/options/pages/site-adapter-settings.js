@@ -0,0 +1,297 @@
+// ui/options/pages/site-adapter-settings.js
+
+/**
+ * Site Adapter Settings Page
+ * Import, test and enable declarative site adapters (JSON definitions)
+ */
+
+import { parseDefinitions, definitionMatchesUrl } from '../../../core/content/site-adapters/adapter-definition.js';
+
+class SiteAdapterSettings {
+  constructor() {
+    this.container = null;
+    this.definitions = [];
+    this.testResults = new Map(); // definition id -> last test report
+  }
+
+  /**
+   * Initialize the site adapters page
+   */
+  async init() {
+    this.container = document.getElementById('site-adapters-container');
+    if (!this.container) return;
+
+    await this.loadDefinitions();
+    this.render();
+    this.attachEventListeners();
+  }
+
+  /**
+   * Fetch stored definitions from the background
+   */
+  async loadDefinitions() {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'GET_SITE_ADAPTERS' });
+      this.definitions = response?.success ? response.data : [];
+    } catch (error) {
+      this.definitions = [];
+    }
+  }
+
+  /**
+   * Persist the full list through the background (ConfigManager)
+   */
+  async saveDefinitions() {
+    const response = await chrome.runtime.sendMessage({
+      type: 'SAVE_SITE_ADAPTERS',
+      payload: { definitions: this.definitions }
+    });
+    if (!response?.success) {
+      throw new Error(response?.error || 'Could not save site adapters');
+    }
+  }
+
+  /**
+   * Render the page
+   */
+  render() {
+    this.container.innerHTML = `
+      <div class="settings-section" id="site-adapters-section">
+        <div class="section-header">
+          <span class="section-icon">🧩</span>
+          <h3>Site Adapters</h3>
+        </div>
+        <div class="section-content">
+          <p class="setting-description">
+            Describe a reader site in JSON (URL patterns, image selector, chapter rules, navigation)
+            to support it without waiting for an update. Enabled adapters take precedence over
+            automatic detection on matching pages.
+          </p>
+          <div class="adapter-actions">
+            <button class="btn btn-secondary" id="import-adapters-btn">Import JSON…</button>
+            <button class="btn btn-secondary" id="paste-adapter-btn">Paste JSON</button>
+            <input type="file" id="import-adapters-file" accept=".json,application/json" hidden>
+          </div>
+          <div class="adapter-paste" id="adapter-paste" hidden>
+            <textarea id="adapter-json" rows="12" spellcheck="false" placeholder='{ "id": "my-reader", "match": ["https://example.com/read/*"], "reader": { "image": "#reader img" } }'></textarea>
+            <button class="btn btn-primary" id="add-adapter-btn">Add Adapter</button>
+          </div>
+          <div class="adapter-errors" id="adapter-errors"></div>
+          <div class="adapter-list" id="adapter-list">
+            ${this.renderList()}
+          </div>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * One card per definition
+   */
+  renderList() {
+    if (this.definitions.length === 0) {
+      return '<p class="setting-description">No site adapters installed.</p>';
+    }
+
+    return this.definitions.map(def => `
+      <div class="setting-card" data-adapter-id="${this.escape(def.id)}">
+        <div class="setting-info">
+          <label class="setting-label">${this.escape(def.name || def.id)}</label>
+          <p class="setting-description">${def.match.map(pattern => `<code>${this.escape(pattern)}</code>`).join(' ')}</p>
+          <p class="setting-description">Reading direction: ${this.escape(def.readingDirection || 'rtl')}</p>
+          ${this.renderTestResult(def.id)}
+        </div>
+        <div class="setting-control">
+          <label class="toggle-switch" title="Enable on matching sites">
+            <input type="checkbox" data-action="toggle" ${def.enabled !== false ? 'checked' : ''}>
+            <span class="toggle-slider"></span>
+          </label>
+          <button class="btn btn-secondary" data-action="test">Test</button>
+          <button class="btn btn-secondary" data-action="export">Export</button>
+          <button class="btn btn-danger" data-action="remove">Remove</button>
+        </div>
+      </div>
+    `).join('');
+  }
+
+  /**
+   * Summary of the last test run against an open tab
+   */
+  renderTestResult(id) {
+    const result = this.testResults.get(id);
+    if (!result) return '';
+    if (result.error) {
+      return `<div class="setting-warning"><span class="warning-icon">⚠️</span>${this.escape(result.error)}</div>`;
+    }
+
+    const check = value => value === null ? '–' : value ? '✓' : '✗';
+    const chapter = result.chapter?.number ?? '?';
+    return `
+      <div class="adapter-test-result">
+        <p class="setting-description">Tested on <code>${this.escape(result.url)}</code></p>
+        <p class="setting-description">
+          Images: ${result.imageCount} · Reader: ${check(result.readerContainer)} ·
+          Next: ${check(result.nextButton)} · Prev: ${check(result.prevButton)}
+        </p>
+        <p class="setting-description">Series: ${this.escape(result.series || '?')} · Chapter: ${this.escape(String(chapter))}</p>
+      </div>
+    `;
+  }
+
+  /**
+   * Attach event listeners
+   */
+  attachEventListeners() {
+    this.container.addEventListener('click', async (e) => {
+      if (e.target.id === 'import-adapters-btn') {
+        this.container.querySelector('#import-adapters-file').click();
+      } else if (e.target.id === 'paste-adapter-btn') {
+        const paste = this.container.querySelector('#adapter-paste');
+        paste.hidden = !paste.hidden;
+      } else if (e.target.id === 'add-adapter-btn') {
+        await this.importJSON(this.container.querySelector('#adapter-json').value);
+      } else if (e.target.dataset.action && e.target.dataset.action !== 'toggle') {
+        await this.handleAdapterAction(e.target.dataset.action, e.target.closest('[data-adapter-id]')?.dataset.adapterId);
+      }
+    });
+
+    this.container.addEventListener('change', async (e) => {
+      if (e.target.id === 'import-adapters-file' && e.target.files[0]) {
+        await this.importJSON(await e.target.files[0].text());
+        e.target.value = '';
+      } else if (e.target.dataset.action === 'toggle') {
+        await this.handleAdapterAction('toggle', e.target.closest('[data-adapter-id]')?.dataset.adapterId, e.target.checked);
+      }
+    });
+  }
+
+  /**
+   * Validate and add definitions; an existing id is replaced
+   */
+  async importJSON(json) {
+    const { definitions, errors } = parseDefinitions(json);
+    this.showErrors(errors);
+    if (definitions.length === 0) return;
+
+    for (const def of definitions) {
+      const index = this.definitions.findIndex(existing => existing.id === def.id);
+      if (index >= 0) {
+        this.definitions[index] = def;
+      } else {
+        this.definitions.push(def);
+      }
+    }
+
+    try {
+      await this.saveDefinitions();
+      this.refreshList();
+      this.container.querySelector('#adapter-json').value = '';
+      this.showToast(`Imported ${definitions.length} site adapter${definitions.length === 1 ? '' : 's'}`);
+    } catch (error) {
+      this.showErrors([error.message]);
+    }
+  }
+
+  /**
+   * Enable/disable, test, export or remove one definition
+   */
+  async handleAdapterAction(action, id, value) {
+    const def = this.definitions.find(d => d.id === id);
+    if (!def) return;
+
+    switch (action) {
+      case 'toggle':
+        def.enabled = value;
+        await this.saveDefinitions();
+        this.showToast(`${def.name || def.id} ${value ? 'enabled' : 'disabled'}`);
+        break;
+
+      case 'test':
+        await this.testDefinition(def);
+        this.refreshList();
+        break;
+
+      case 'export': {
+        const blob = new Blob([JSON.stringify(def, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `${def.id}.json`;
+        a.click();
+        URL.revokeObjectURL(url);
+        break;
+      }
+
+      case 'remove':
+        if (!confirm(`Remove site adapter "${def.name || def.id}"?`)) return;
+        this.definitions = this.definitions.filter(d => d.id !== id);
+        this.testResults.delete(id);
+        await this.saveDefinitions();
+        this.refreshList();
+        break;
+    }
+  }
+
+  /**
+   * Run the definition in an open tab that matches it
+   */
+  async testDefinition(def) {
+    const tabs = await chrome.tabs.query({});
+    const tab = tabs.find(t => t.url && definitionMatchesUrl(def, t.url));
+    if (!tab) {
+      this.testResults.set(def.id, { error: 'Open a page this adapter matches in another tab, then test again.' });
+      return;
+    }
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'TEST_SITE_ADAPTER',
+        payload: { definition: def, tabId: tab.id }
+      });
+      this.testResults.set(def.id, response?.success ? response.data : { error: response?.error || 'Test failed' });
+    } catch (error) {
+      this.testResults.set(def.id, { error: error.message });
+    }
+  }
+
+  refreshList() {
+    this.container.querySelector('#adapter-list').innerHTML = this.renderList();
+  }
+
+  showErrors(errors) {
+    this.container.querySelector('#adapter-errors').innerHTML = errors
+      .map(error => `<div class="setting-warning"><span class="warning-icon">⚠️</span>${this.escape(error)}</div>`)
+      .join('');
+  }
+
+  escape(value) {
+    const div = document.createElement('div');
+    div.textContent = value;
+    return div.innerHTML;
+  }
+
+  /**
+   * Show toast notification
+   */
+  showToast(message) {
+    const toast = document.createElement('div');
+    toast.className = 'toast-notification';
+    toast.textContent = message;
+    document.body.appendChild(toast);
+
+    requestAnimationFrame(() => toast.classList.add('show'));
+    setTimeout(() => {
+      toast.classList.remove('show');
+      setTimeout(() => toast.remove(), 300);
+    }, 3000);
+  }
+}
+
+// Initialize when DOM is ready
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', () => new SiteAdapterSettings().init());
+} else {
+  new SiteAdapterSettings().init();
+}
+
+export default SiteAdapterSettings;
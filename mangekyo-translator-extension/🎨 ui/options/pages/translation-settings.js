@@ -1,8 +1,10 @@
 // ui/options/pages/translation-settings.js
 
-import { ConfigManager } from '../../../core/shared/config-manager.js';
+import { ConfigManager, splitEngineSecrets } from '../../../core/shared/config-manager.js';
 import { I18n } from '../../../core/shared/i18n/i18n.js';
 import { EventEmitter } from '../../../core/shared/utils/event-emitter.js';
+import { TextType } from '../../../computer-vision/ocr/postprocessors/bubble-classifier.js';
+import { GLOSSARY_CONFIG, parseGlossaryFile, serializeGlossary } from '../../../computer-vision/translation/glossary-manager.js';
 
 /**
  * Translation Settings Page Controller
@@ -17,6 +19,10 @@ export class TranslationSettings {
     this.container = null;
     this.settings = {};
     this.apiStatus = new Map(); // Cache for API connection tests
+    this.glossaries = []; // Per-series glossaries (owned by the background)
+    this.activeSeries = null;
+    this.seriesContexts = []; // Stored ContextPreserver summaries
+    this.usage = null; // Usage ledger summary (owned by the background)
     this.initialized = false;
   }
 
@@ -27,6 +33,9 @@ export class TranslationSettings {
   async init(container) {
     this.container = container;
     await this.loadSettings();
+    await this.loadGlossaries();
+    await this.loadSeriesContexts();
+    await this.loadUsage();
     await this.testApiConnections();
     this.render();
     this.attachEventListeners();
@@ -41,7 +50,7 @@ export class TranslationSettings {
   async loadSettings() {
     const defaults = {
       // Primary Engine
-      primaryEngine: 'google', // 'google', 'deepl', 'openai', 'local'
+      primaryEngine: 'google', // 'google', 'deepl', 'openai', 'openai_compatible', 'libretranslate', 'local'
       
       // Fallback Configuration
       fallbackEnabled: true,
@@ -49,6 +58,21 @@ export class TranslationSettings {
       fallbackOnError: true,
       fallbackOnQuota: true,
       
+      // Engine routing rules (first match wins)
+      routing: {
+        enabled: true,
+        maxCostPerRequest: null,
+        rules: []
+      },
+      
+      // Spending limits in USD (null = no limit)
+      budget: {
+        enabled: false,
+        daily: null,
+        monthly: null,
+        onLimit: 'switch' // 'switch' to free engines, 'stop' translating
+      },
+      
       // Google Translate Settings
       google: {
         apiKey: '',
@@ -79,6 +103,26 @@ export class TranslationSettings {
         }
       },
       
+      // OpenAI-compatible server (llama.cpp, Ollama /v1, vLLM...)
+      openaiCompatible: {
+        enabled: false,
+        baseUrl: 'http://localhost:11434/v1',
+        model: '',
+        apiKey: '',
+        headers: {},
+        contextWindow: 4096,
+        maxTokens: 512,
+        temperature: 0.3,
+        jsonMode: false
+      },
+      
+      // Self-hosted LibreTranslate server
+      libretranslate: {
+        enabled: false,
+        baseUrl: 'http://localhost:5000',
+        apiKey: ''
+      },
+      
       // Local LLM Settings (Future/Ollama)
       local: {
         enabled: false,
@@ -110,6 +154,32 @@ export class TranslationSettings {
     };
 
     this.settings = await this.config.get('translation', defaults);
+    await this.loadEngineSecrets();
+  }
+
+  /**
+   * API keys and headers of self-hosted engines live in the background's
+   * SecureStorage, not in settings; fetch them for the form
+   */
+  async loadEngineSecrets() {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'GET_ENGINE_SECRETS' });
+      if (!response?.success) return;
+
+      this.settings.openaiCompatible = {
+        ...this.settings.openaiCompatible,
+        apiKey: '',
+        headers: {},
+        ...response.data.openai_compatible
+      };
+      this.settings.libretranslate = {
+        ...this.settings.libretranslate,
+        apiKey: '',
+        ...response.data.libretranslate
+      };
+    } catch (e) {
+      console.warn('[TranslationSettings] Could not load engine credentials:', e);
+    }
   }
 
   /**
@@ -145,12 +215,17 @@ export class TranslationSettings {
 
         <div class="settings-content">
           ${this.renderEngineSelection()}
+          ${this.renderRoutingSettings()}
+          ${this.renderBudgetSettings()}
           ${this.renderGoogleSettings()}
           ${this.renderDeepLSettings()}
           ${this.renderOpenAISettings()}
+          ${this.renderOpenAICompatibleSettings()}
+          ${this.renderLibreTranslateSettings()}
           ${this.renderLocalLLMSettings()}
           ${this.renderContextSettings()}
           ${this.renderMangaSpecificSettings()}
+          ${this.renderGlossarySettings()}
           ${this.renderQualitySettings()}
         </div>
 
@@ -177,6 +252,8 @@ export class TranslationSettings {
       { id: 'google', name: 'Google Translate', icon: '🔍', status: this.apiStatus.get('google') },
       { id: 'deepl', name: 'DeepL', icon: '🧠', status: this.apiStatus.get('deepl') },
       { id: 'openai', name: 'OpenAI GPT-4', icon: '✨', status: this.apiStatus.get('openai') },
+      { id: 'openai_compatible', name: 'OpenAI-compatible', icon: '🔌', status: this.apiStatus.get('openai_compatible') },
+      { id: 'libretranslate', name: 'LibreTranslate', icon: '📚', status: this.apiStatus.get('libretranslate') },
       { id: 'local', name: 'Local LLM (Ollama)', icon: '💻', status: 'local' }
     ];
 
@@ -238,6 +315,240 @@ export class TranslationSettings {
     `;
   }
 
+  /**
+   * Engine Routing Rules Section
+   */
+  renderRoutingSettings() {
+    const routing = this.settings.routing;
+
+    return `
+      <section class="setting-group" data-section="routing">
+        <h2>${this.i18n.get('engine_routing')}</h2>
+        
+        <div class="setting-card">
+          <div class="setting-row">
+            <div class="setting-info">
+              <label class="setting-label">${this.i18n.get('enable_routing')}</label>
+              <p class="setting-help">${this.i18n.get('enable_routing_help')}</p>
+            </div>
+            <div class="setting-control">
+              <label class="toggle-switch">
+                <input type="checkbox" id="routing-enabled" 
+                       ${routing.enabled ? 'checked' : ''}>
+                <span class="toggle-slider"></span>
+              </label>
+            </div>
+          </div>
+
+          <div class="setting-row">
+            <div class="setting-info">
+              <label class="setting-label">${this.i18n.get('max_cost_per_request')}</label>
+              <p class="setting-help">${this.i18n.get('max_cost_per_request_help')}</p>
+            </div>
+            <div class="setting-control">
+              <input type="number" id="routing-max-cost" min="0" step="0.001"
+                     value="${routing.maxCostPerRequest ?? ''}" placeholder="USD">
+            </div>
+          </div>
+
+          <div class="routing-rules" id="routing-rules">
+            ${this.renderRoutingRules()}
+          </div>
+
+          <div class="setting-row">
+            <button class="btn-secondary" id="add-routing-rule">
+              ${this.i18n.get('add_routing_rule')}
+            </button>
+          </div>
+        </div>
+      </section>
+    `;
+  }
+
+  /**
+   * Spending Budget & Usage Section
+   */
+  renderBudgetSettings() {
+    const budget = this.settings.budget;
+
+    return `
+      <section class="setting-group" data-section="budget">
+        <h2>${this.i18n.get('spending_budget')}</h2>
+        
+        <div class="setting-card">
+          <div class="setting-row">
+            <div class="setting-info">
+              <label class="setting-label">${this.i18n.get('enable_budget')}</label>
+              <p class="setting-help">${this.i18n.get('enable_budget_help')}</p>
+            </div>
+            <div class="setting-control">
+              <label class="toggle-switch">
+                <input type="checkbox" id="budget-enabled" 
+                       ${budget.enabled ? 'checked' : ''}>
+                <span class="toggle-slider"></span>
+              </label>
+            </div>
+          </div>
+
+          <div class="setting-row">
+            <div class="setting-info">
+              <label class="setting-label">${this.i18n.get('daily_budget')}</label>
+            </div>
+            <div class="setting-control">
+              <input type="number" id="budget-daily" min="0" step="0.01"
+                     value="${budget.daily ?? ''}" placeholder="USD">
+            </div>
+          </div>
+
+          <div class="setting-row">
+            <div class="setting-info">
+              <label class="setting-label">${this.i18n.get('monthly_budget')}</label>
+            </div>
+            <div class="setting-control">
+              <input type="number" id="budget-monthly" min="0" step="0.01"
+                     value="${budget.monthly ?? ''}" placeholder="USD">
+            </div>
+          </div>
+
+          <div class="setting-row">
+            <div class="setting-info">
+              <label class="setting-label">${this.i18n.get('budget_on_limit')}</label>
+              <p class="setting-help">${this.i18n.get('budget_on_limit_help')}</p>
+            </div>
+            <div class="setting-control">
+              <select id="budget-on-limit" class="select-styled">
+                <option value="switch" ${budget.onLimit === 'switch' ? 'selected' : ''}>
+                  ${this.i18n.get('budget_switch_to_free')}
+                </option>
+                <option value="stop" ${budget.onLimit === 'stop' ? 'selected' : ''}>
+                  ${this.i18n.get('budget_stop_translating')}
+                </option>
+              </select>
+            </div>
+          </div>
+
+          <div class="usage-report" id="usage-report">
+            ${this.renderUsageReport()}
+          </div>
+
+          <div class="setting-row">
+            <button class="btn-secondary" id="reset-usage">
+              ${this.i18n.get('reset_usage')}
+            </button>
+          </div>
+        </div>
+      </section>
+    `;
+  }
+
+  /**
+   * This month's recorded usage by engine and by series
+   */
+  renderUsageReport() {
+    const month = this.usage?.month;
+    if (!month || month.totals.requests === 0) {
+      return `<p class="setting-help">${this.i18n.get('no_usage_recorded')}</p>`;
+    }
+
+    const money = (value) => `$${value.toFixed(value < 1 ? 4 : 2)}`;
+    const rows = (group) => Object.entries(group)
+      .sort(([, a], [, b]) => b.cost - a.cost || b.characters - a.characters)
+      .map(([name, totals]) => `
+        <tr>
+          <td>${this.escapeHtml(name)}</td>
+          <td>${totals.requests}</td>
+          <td>${totals.characters.toLocaleString()}</td>
+          <td>${(totals.inputTokens + totals.outputTokens).toLocaleString()}</td>
+          <td>${money(totals.cost)}</td>
+        </tr>
+      `).join('');
+    const head = (label) => `
+      <thead>
+        <tr>
+          <th>${label}</th>
+          <th>${this.i18n.get('requests')}</th>
+          <th>${this.i18n.get('characters')}</th>
+          <th>${this.i18n.get('tokens')}</th>
+          <th>${this.i18n.get('estimated_cost')}</th>
+        </tr>
+      </thead>
+    `;
+    const deepl = this.usage.providers?.deepl;
+
+    return `
+      <p class="setting-help">
+        ${this.i18n.get('usage_this_month')}: ${money(month.totals.cost)} · 
+        ${this.i18n.get('usage_today')}: ${money(this.usage.today.totals.cost)}
+      </p>
+      <table class="usage-table">${head(this.i18n.get('engine'))}<tbody>${rows(month.engines)}</tbody></table>
+      ${Object.keys(month.series).length > 0 ? `
+        <table class="usage-table">${head(this.i18n.get('series'))}<tbody>${rows(month.series)}</tbody></table>
+      ` : ''}
+      ${deepl?.characterLimit ? `
+        <p class="setting-help">
+          ${this.i18n.get('deepl_account_usage')}: ${deepl.characterCount.toLocaleString()} / ${deepl.characterLimit.toLocaleString()}
+        </p>
+      ` : ''}
+    `;
+  }
+
+  /**
+   * Individual routing rule editors
+   */
+  renderRoutingRules() {
+    const rules = this.settings.routing.rules;
+    if (rules.length === 0) {
+      return `<p class="setting-help">${this.i18n.get('no_routing_rules')}</p>`;
+    }
+
+    const bubbleTypes = Object.values(TextType);
+    const list = (values) => this.escapeHtml((values || []).join(', '));
+
+    return rules.map((rule, index) => `
+      <div class="routing-rule ${rule.enabled === false ? 'disabled' : ''}" data-rule-index="${index}">
+        <div class="setting-row">
+          <input type="text" data-field="name" value="${this.escapeHtml(rule.name)}" 
+                 placeholder="${this.i18n.get('rule_name')}">
+          <label class="toggle-switch">
+            <input type="checkbox" data-field="enabled" ${rule.enabled !== false ? 'checked' : ''}>
+            <span class="toggle-slider"></span>
+          </label>
+          <button class="btn-icon" data-action="move-up" title="${this.i18n.get('move_up')}">⬆️</button>
+          <button class="btn-icon" data-action="remove" title="${this.i18n.get('remove')}">🗑️</button>
+        </div>
+        <div class="setting-row">
+          <label class="setting-label">${this.i18n.get('source_languages')}</label>
+          <input type="text" data-field="sourceLangs" value="${list(rule.match?.sourceLangs)}" placeholder="ja, ko">
+        </div>
+        <div class="setting-row">
+          <label class="setting-label">${this.i18n.get('bubble_types')}</label>
+          <select multiple data-field="bubbleTypes" class="select-styled">
+            ${bubbleTypes.map(type => `
+              <option value="${type}" ${rule.match?.bubbleTypes?.includes(type) ? 'selected' : ''}>${type}</option>
+            `).join('')}
+          </select>
+        </div>
+        <div class="setting-row">
+          <label class="setting-label">${this.i18n.get('text_length')}</label>
+          <input type="number" data-field="minLength" min="0" value="${this.escapeHtml(rule.match?.minLength)}" placeholder="min">
+          <input type="number" data-field="maxLength" min="0" value="${this.escapeHtml(rule.match?.maxLength)}" placeholder="max">
+        </div>
+        <div class="setting-row">
+          <label class="setting-label">${this.i18n.get('sites')}</label>
+          <input type="text" data-field="sites" value="${list(rule.match?.sites)}" placeholder="mangadex.org, *.webtoons.com">
+        </div>
+        <div class="setting-row">
+          <label class="setting-label">${this.i18n.get('engine_chain')}</label>
+          <input type="text" data-field="engines" value="${list(rule.engines)}" placeholder="deepl, google">
+        </div>
+        <div class="setting-row">
+          <label class="setting-label">${this.i18n.get('max_cost_per_request')}</label>
+          <input type="number" data-field="maxCost" min="0" step="0.001" value="${this.escapeHtml(rule.maxCost)}" placeholder="USD">
+        </div>
+      </div>
+    `).join('');
+  }
+
   /**
    * Google Translate Configuration
    */
@@ -502,6 +813,213 @@ export class TranslationSettings {
     `;
   }
 
+  /**
+   * OpenAI-compatible Server Configuration
+   */
+  renderOpenAICompatibleSettings() {
+    const compatible = this.settings.openaiCompatible;
+    const isActive = this.settings.primaryEngine === 'openai_compatible' || this.settings.fallbackEngine === 'openai_compatible';
+    const status = this.apiStatus.get('openai_compatible');
+    const headers = Object.entries(compatible.headers || {}).map(([name, value]) => `${name}: ${value}`).join('\n');
+    const hidden = !compatible.enabled ? 'display:none' : '';
+
+    return `
+      <section class="setting-group api-config ${isActive ? 'active-api' : ''}" data-api="openai_compatible">
+        <h2>
+          <span class="api-icon">🔌</span>
+          OpenAI-compatible Server
+          <span class="api-badge ${status === 'connected' ? 'badge-success' : status === 'error' ? 'badge-error' : 'badge-neutral'}">
+            ${status === 'connected' ? this.i18n.get('connected') : status === 'error' ? this.i18n.get('error') : this.i18n.get('not_configured')}
+          </span>
+        </h2>
+        
+        <div class="setting-card">
+          <div class="setting-row">
+            <div class="setting-info">
+              <label class="setting-label">${this.i18n.get('enable_openai_compatible')}</label>
+              <p class="setting-help">${this.i18n.get('openai_compatible_help')}</p>
+            </div>
+            <div class="setting-control">
+              <label class="toggle-switch">
+                <input type="checkbox" id="compatible-enabled" 
+                       ${compatible.enabled ? 'checked' : ''}>
+                <span class="toggle-slider"></span>
+              </label>
+            </div>
+          </div>
+
+          <div class="compatible-options" id="compatible-options" style="${hidden}">
+            <div class="setting-row">
+              <div class="setting-info">
+                <label class="setting-label">${this.i18n.get('compatible_base_url')}</label>
+                <p class="setting-help">${this.i18n.get('compatible_base_url_help')}</p>
+              </div>
+              <div class="setting-control">
+                <input type="url" id="compatible-base-url" 
+                       value="${this.escapeHtml(compatible.baseUrl)}" 
+                       placeholder="http://localhost:8080/v1">
+                <button class="btn-icon" id="test-compatible" title="${this.i18n.get('test_connection')}">▶️</button>
+              </div>
+            </div>
+
+            <div class="setting-row">
+              <div class="setting-info">
+                <label class="setting-label">${this.i18n.get('compatible_model')}</label>
+                <p class="setting-help">${this.i18n.get('compatible_model_help')}</p>
+              </div>
+              <div class="setting-control">
+                <input type="text" id="compatible-model" list="compatible-models"
+                       value="${this.escapeHtml(compatible.model)}" 
+                       placeholder="qwen2.5:14b, llama3.1, etc.">
+                <datalist id="compatible-models"></datalist>
+              </div>
+            </div>
+
+            <div class="setting-row">
+              <div class="setting-info">
+                <label class="setting-label">${this.i18n.get('compatible_api_key')}</label>
+                <p class="setting-help">${this.i18n.get('compatible_api_key_help')}</p>
+              </div>
+              <div class="setting-control">
+                <div class="api-key-input">
+                  <input type="password" id="compatible-api-key" 
+                         value="${this.escapeHtml(compatible.apiKey)}" 
+                         placeholder="${this.i18n.get('optional')}">
+                  <button class="btn-icon toggle-visibility" title="${this.i18n.get('show_hide')}">👁️</button>
+                </div>
+              </div>
+            </div>
+
+            <div class="setting-row">
+              <div class="setting-info">
+                <label class="setting-label">${this.i18n.get('compatible_headers')}</label>
+                <p class="setting-help">${this.i18n.get('compatible_headers_help')}</p>
+              </div>
+              <div class="setting-control">
+                <textarea id="compatible-headers" rows="3" 
+                          placeholder="X-Api-Token: ...">${this.escapeHtml(headers)}</textarea>
+              </div>
+            </div>
+
+            <div class="setting-row">
+              <div class="setting-info">
+                <label class="setting-label">${this.i18n.get('context_window_tokens')}</label>
+                <p class="setting-help">${this.i18n.get('context_window_tokens_help')}</p>
+              </div>
+              <div class="setting-control">
+                <input type="number" id="compatible-context-window" 
+                       value="${compatible.contextWindow}" 
+                       min="512" step="512">
+              </div>
+            </div>
+
+            <div class="setting-row">
+              <div class="setting-info">
+                <label class="setting-label">${this.i18n.get('max_tokens')}</label>
+              </div>
+              <div class="setting-control">
+                <input type="number" id="compatible-max-tokens" 
+                       value="${compatible.maxTokens}" 
+                       min="16" max="4000" step="16">
+              </div>
+            </div>
+
+            <div class="setting-row">
+              <div class="setting-info">
+                <label class="setting-label">${this.i18n.get('temperature')}</label>
+              </div>
+              <div class="setting-control range-control">
+                <input type="range" id="compatible-temperature" min="0" max="1" step="0.1" 
+                       value="${compatible.temperature}">
+                <span class="range-value">${compatible.temperature}</span>
+              </div>
+            </div>
+
+            <div class="setting-row">
+              <div class="setting-info">
+                <label class="setting-label">${this.i18n.get('json_mode')}</label>
+                <p class="setting-help">${this.i18n.get('json_mode_help')}</p>
+              </div>
+              <div class="setting-control">
+                <label class="toggle-switch">
+                  <input type="checkbox" id="compatible-json-mode" 
+                         ${compatible.jsonMode ? 'checked' : ''}>
+                  <span class="toggle-slider"></span>
+                </label>
+              </div>
+            </div>
+          </div>
+        </div>
+      </section>
+    `;
+  }
+
+  /**
+   * LibreTranslate Server Configuration
+   */
+  renderLibreTranslateSettings() {
+    const libre = this.settings.libretranslate;
+    const isActive = this.settings.primaryEngine === 'libretranslate' || this.settings.fallbackEngine === 'libretranslate';
+    const status = this.apiStatus.get('libretranslate');
+    const hidden = !libre.enabled ? 'display:none' : '';
+
+    return `
+      <section class="setting-group api-config ${isActive ? 'active-api' : ''}" data-api="libretranslate">
+        <h2>
+          <span class="api-icon">📚</span>
+          LibreTranslate
+          <span class="api-badge ${status === 'connected' ? 'badge-success' : status === 'error' ? 'badge-error' : 'badge-neutral'}">
+            ${status === 'connected' ? this.i18n.get('connected') : status === 'error' ? this.i18n.get('error') : this.i18n.get('not_configured')}
+          </span>
+        </h2>
+        
+        <div class="setting-card">
+          <div class="setting-row">
+            <div class="setting-info">
+              <label class="setting-label">${this.i18n.get('enable_libretranslate')}</label>
+              <p class="setting-help">${this.i18n.get('libretranslate_help')}</p>
+            </div>
+            <div class="setting-control">
+              <label class="toggle-switch">
+                <input type="checkbox" id="libre-enabled" 
+                       ${libre.enabled ? 'checked' : ''}>
+                <span class="toggle-slider"></span>
+              </label>
+            </div>
+          </div>
+
+          <div class="setting-row conditional" id="libre-url-row" style="${hidden}">
+            <div class="setting-info">
+              <label class="setting-label">${this.i18n.get('libretranslate_url')}</label>
+              <p class="setting-help">${this.i18n.get('libretranslate_url_help')}</p>
+            </div>
+            <div class="setting-control">
+              <input type="url" id="libre-base-url" 
+                     value="${this.escapeHtml(libre.baseUrl)}" 
+                     placeholder="http://localhost:5000">
+              <button class="btn-icon" id="test-libre" title="${this.i18n.get('test_connection')}">▶️</button>
+            </div>
+          </div>
+
+          <div class="setting-row conditional" id="libre-key-row" style="${hidden}">
+            <div class="setting-info">
+              <label class="setting-label">${this.i18n.get('libretranslate_api_key')}</label>
+              <p class="setting-help">${this.i18n.get('libretranslate_api_key_help')}</p>
+            </div>
+            <div class="setting-control">
+              <div class="api-key-input">
+                <input type="password" id="libre-api-key" 
+                       value="${this.escapeHtml(libre.apiKey)}" 
+                       placeholder="${this.i18n.get('optional')}">
+                <button class="btn-icon toggle-visibility" title="${this.i18n.get('show_hide')}">👁️</button>
+              </div>
+            </div>
+          </div>
+        </div>
+      </section>
+    `;
+  }
+
   /**
    * Local LLM (Ollama) Configuration
    */
@@ -627,11 +1145,68 @@ export class TranslationSettings {
               </select>
             </div>
           </div>
+
+          <div class="setting-row">
+            <div class="setting-info">
+              <label class="setting-label">${this.i18n.get('stored_series_contexts')}</label>
+              <p class="setting-help">${this.i18n.get('stored_series_contexts_help')}</p>
+            </div>
+          </div>
+
+          <div class="series-contexts" id="series-contexts">
+            ${this.renderSeriesContexts()}
+          </div>
         </div>
       </section>
     `;
   }
 
+  /**
+   * Stored series context list with merge/delete controls
+   */
+  renderSeriesContexts() {
+    if (this.seriesContexts.length === 0) {
+      return `<p class="setting-help">${this.i18n.get('no_series_contexts')}</p>`;
+    }
+
+    return `
+      <table class="series-context-list">
+        <thead>
+          <tr>
+            <th></th>
+            <th>${this.i18n.get('series')}</th>
+            <th>${this.i18n.get('chapters')}</th>
+            <th>${this.i18n.get('characters')}</th>
+            <th>${this.i18n.get('terms')}</th>
+            <th>${this.i18n.get('last_read')}</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          ${this.seriesContexts.map(ctx => `
+            <tr data-manga-id="${this.escapeHtml(ctx.mangaId)}" class="${ctx.expired ? 'expired' : ''}">
+              <td><input type="checkbox" data-field="merge-select"></td>
+              <td title="${this.escapeHtml(ctx.mangaId)}">${this.escapeHtml(ctx.mangaTitle)}</td>
+              <td>${ctx.chaptersRead}${ctx.lastChapterNumber != null ? ` (${this.i18n.get('last')}: ${ctx.lastChapterNumber})` : ''}</td>
+              <td>${ctx.characterCount}</td>
+              <td>${ctx.terminologyCount}</td>
+              <td>${new Date(ctx.lastUpdated).toLocaleDateString()}</td>
+              <td><button class="btn-icon" data-action="delete-context" title="${this.i18n.get('remove')}">🗑️</button></td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+
+      <div class="setting-row">
+        <label class="setting-label">${this.i18n.get('merge_selected_into')}</label>
+        <select id="context-merge-target" class="select-styled">
+          ${this.seriesContexts.map(ctx => `<option value="${this.escapeHtml(ctx.mangaId)}">${this.escapeHtml(ctx.mangaTitle)}</option>`).join('')}
+        </select>
+        <button class="btn-secondary" data-action="merge-contexts">${this.i18n.get('merge')}</button>
+      </div>
+    `;
+  }
+
   /**
    * Manga-Specific Translation Settings
    */
@@ -705,6 +1280,109 @@ export class TranslationSettings {
     `;
   }
 
+  /**
+   * Per-Series Glossary Editor
+   */
+  renderGlossarySettings() {
+    return `
+      <section class="setting-group" data-section="glossary">
+        <h2>${this.i18n.get('series_glossaries')}</h2>
+        
+        <div class="setting-card">
+          <div class="setting-row">
+            <div class="setting-info">
+              <label class="setting-label">${this.i18n.get('glossary_series')}</label>
+              <p class="setting-help">${this.i18n.get('glossary_series_help')}</p>
+            </div>
+            <div class="setting-control">
+              <select id="glossary-series" class="select-styled">
+                ${this.glossaries.map(g => `
+                  <option value="${this.escapeHtml(g.series)}" ${g.series === this.activeSeries ? 'selected' : ''}>
+                    ${this.escapeHtml(g.series)} (${g.entries.length})
+                  </option>
+                `).join('')}
+              </select>
+              <input type="text" id="glossary-new-series" placeholder="${this.i18n.get('series_name')}">
+              <button class="btn-secondary" id="add-glossary-series">${this.i18n.get('add_series')}</button>
+            </div>
+          </div>
+
+          <div class="glossary-editor" id="glossary-editor">
+            ${this.renderGlossaryEditor()}
+          </div>
+        </div>
+      </section>
+    `;
+  }
+
+  /**
+   * Entry table and actions for the selected series
+   */
+  renderGlossaryEditor() {
+    const glossary = this.getActiveGlossary();
+    if (!glossary) {
+      return `<p class="setting-help">${this.i18n.get('no_glossaries')}</p>`;
+    }
+
+    const synced = glossary.deepl?.syncedAt
+      ? `${this.i18n.get('deepl_glossary_synced')} ${new Date(glossary.deepl.syncedAt).toLocaleString()}`
+      : this.i18n.get('deepl_glossary_not_synced');
+
+    return `
+      <div class="setting-row">
+        <label class="setting-label">${this.i18n.get('language_pair')}</label>
+        <input type="text" data-glossary-field="sourceLang" value="${this.escapeHtml(glossary.sourceLang)}" size="5">
+        <span>→</span>
+        <input type="text" data-glossary-field="targetLang" value="${this.escapeHtml(glossary.targetLang)}" size="5">
+      </div>
+
+      <table class="glossary-entries">
+        <thead>
+          <tr>
+            <th>${this.i18n.get('glossary_source')}</th>
+            <th>${this.i18n.get('glossary_target')}</th>
+            <th>${this.i18n.get('glossary_type')}</th>
+            <th title="${this.i18n.get('glossary_variants_help')}">${this.i18n.get('glossary_variants')}</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          ${glossary.entries.map((entry, index) => `
+            <tr data-entry-index="${index}">
+              <td><input type="text" data-field="source" value="${this.escapeHtml(entry.source)}"></td>
+              <td><input type="text" data-field="target" value="${this.escapeHtml(entry.target)}"></td>
+              <td>
+                <select data-field="type" class="select-styled">
+                  ${GLOSSARY_CONFIG.ENTRY_TYPES.map(type => `
+                    <option value="${type}" ${entry.type === type ? 'selected' : ''}>${this.i18n.get(`glossary_type_${type}`)}</option>
+                  `).join('')}
+                </select>
+              </td>
+              <td><input type="text" data-field="variants" value="${this.escapeHtml((entry.variants || []).join(', '))}"
+                         placeholder="${this.i18n.get('glossary_variants_placeholder')}"></td>
+              <td><button class="btn-icon" data-action="remove-entry" title="${this.i18n.get('remove')}">🗑️</button></td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+
+      <div class="setting-row">
+        <button class="btn-secondary" data-action="add-entry">${this.i18n.get('add_glossary_entry')}</button>
+        <button class="btn-secondary" data-action="import">${this.i18n.get('import_csv_tsv')}</button>
+        <button class="btn-secondary" data-action="export-csv">${this.i18n.get('export_csv')}</button>
+        <button class="btn-secondary" data-action="export-tsv">${this.i18n.get('export_tsv')}</button>
+        <input type="file" id="glossary-import-file" accept=".csv,.tsv,.txt" hidden>
+      </div>
+
+      <div class="setting-row">
+        <span class="setting-help">${synced}</span>
+        <button class="btn-secondary" data-action="sync-deepl">${this.i18n.get('sync_to_deepl')}</button>
+        <button class="btn-secondary" data-action="delete-series">${this.i18n.get('delete_series')}</button>
+        <button class="btn-primary" data-action="save-glossary">${this.i18n.get('save_glossary')}</button>
+      </div>
+    `;
+  }
+
   /**
    * Quality & Review Settings
    */
@@ -805,6 +1483,42 @@ export class TranslationSettings {
       this.highlightActiveApis();
     });
 
+    // Routing settings
+    const routingEnabled = this.container.querySelector('#routing-enabled');
+    routingEnabled?.addEventListener('change', (e) => {
+      this.settings.routing.enabled = e.target.checked;
+    });
+
+    const routingMaxCost = this.container.querySelector('#routing-max-cost');
+    routingMaxCost?.addEventListener('change', (e) => {
+      this.settings.routing.maxCostPerRequest = e.target.value === '' ? null : parseFloat(e.target.value);
+    });
+
+    const addRuleBtn = this.container.querySelector('#add-routing-rule');
+    addRuleBtn?.addEventListener('click', () => this.addRoutingRule());
+
+    const rulesContainer = this.container.querySelector('#routing-rules');
+    rulesContainer?.addEventListener('change', (e) => this.handleRoutingRuleChange(e));
+    rulesContainer?.addEventListener('click', (e) => this.handleRoutingRuleAction(e));
+
+    // Stored series contexts
+    const seriesContexts = this.container.querySelector('#series-contexts');
+    seriesContexts?.addEventListener('click', (e) => this.handleSeriesContextAction(e));
+
+    // Glossary editor
+    const glossarySeries = this.container.querySelector('#glossary-series');
+    glossarySeries?.addEventListener('change', (e) => {
+      this.activeSeries = e.target.value;
+      this.refreshGlossaryEditor();
+    });
+
+    const addSeriesBtn = this.container.querySelector('#add-glossary-series');
+    addSeriesBtn?.addEventListener('click', () => this.addGlossarySeries());
+
+    const glossaryEditor = this.container.querySelector('#glossary-editor');
+    glossaryEditor?.addEventListener('change', (e) => this.handleGlossaryChange(e));
+    glossaryEditor?.addEventListener('click', (e) => this.handleGlossaryAction(e));
+
     // Google settings
     const googleFreeTier = this.container.querySelector('#google-free-tier');
     googleFreeTier?.addEventListener('change', (e) => {
@@ -880,6 +1594,100 @@ export class TranslationSettings {
       this.settings.openai.customPrompts.manga = e.target.value;
     });
 
+    // Budget settings
+    const budgetEnabled = this.container.querySelector('#budget-enabled');
+    budgetEnabled?.addEventListener('change', (e) => {
+      this.settings.budget.enabled = e.target.checked;
+    });
+
+    ['daily', 'monthly'].forEach(period => {
+      const input = this.container.querySelector(`#budget-${period}`);
+      input?.addEventListener('change', (e) => {
+        this.settings.budget[period] = e.target.value === '' ? null : parseFloat(e.target.value);
+      });
+    });
+
+    const budgetOnLimit = this.container.querySelector('#budget-on-limit');
+    budgetOnLimit?.addEventListener('change', (e) => {
+      this.settings.budget.onLimit = e.target.value;
+    });
+
+    const resetUsage = this.container.querySelector('#reset-usage');
+    resetUsage?.addEventListener('click', () => this.resetUsage());
+
+    // OpenAI-compatible settings
+    const compatibleEnabled = this.container.querySelector('#compatible-enabled');
+    compatibleEnabled?.addEventListener('change', (e) => {
+      this.settings.openaiCompatible.enabled = e.target.checked;
+      // A block of rows, so not toggleConditionalRow (which lays out as one flex row)
+      this.container.querySelector('#compatible-options').style.display = e.target.checked ? '' : 'none';
+    });
+
+    const compatibleBaseUrl = this.container.querySelector('#compatible-base-url');
+    compatibleBaseUrl?.addEventListener('change', (e) => {
+      this.settings.openaiCompatible.baseUrl = e.target.value.trim();
+    });
+
+    const compatibleModel = this.container.querySelector('#compatible-model');
+    compatibleModel?.addEventListener('change', (e) => {
+      this.settings.openaiCompatible.model = e.target.value.trim();
+    });
+
+    const compatibleApiKey = this.container.querySelector('#compatible-api-key');
+    compatibleApiKey?.addEventListener('change', (e) => {
+      this.settings.openaiCompatible.apiKey = e.target.value;
+    });
+
+    const compatibleHeaders = this.container.querySelector('#compatible-headers');
+    compatibleHeaders?.addEventListener('change', (e) => {
+      this.settings.openaiCompatible.headers = this.parseHeaders(e.target.value);
+    });
+
+    const compatibleContextWindow = this.container.querySelector('#compatible-context-window');
+    compatibleContextWindow?.addEventListener('change', (e) => {
+      this.settings.openaiCompatible.contextWindow = parseInt(e.target.value);
+    });
+
+    const compatibleMaxTokens = this.container.querySelector('#compatible-max-tokens');
+    compatibleMaxTokens?.addEventListener('change', (e) => {
+      this.settings.openaiCompatible.maxTokens = parseInt(e.target.value);
+    });
+
+    const compatibleTemp = this.container.querySelector('#compatible-temperature');
+    compatibleTemp?.addEventListener('input', (e) => {
+      this.settings.openaiCompatible.temperature = parseFloat(e.target.value);
+      e.target.nextElementSibling.textContent = e.target.value;
+    });
+
+    const compatibleJsonMode = this.container.querySelector('#compatible-json-mode');
+    compatibleJsonMode?.addEventListener('change', (e) => {
+      this.settings.openaiCompatible.jsonMode = e.target.checked;
+    });
+
+    const testCompatible = this.container.querySelector('#test-compatible');
+    testCompatible?.addEventListener('click', () => this.testCompatibleConnection());
+
+    // LibreTranslate settings
+    const libreEnabled = this.container.querySelector('#libre-enabled');
+    libreEnabled?.addEventListener('change', (e) => {
+      this.settings.libretranslate.enabled = e.target.checked;
+      this.toggleConditionalRow('libre-url-row', e.target.checked);
+      this.toggleConditionalRow('libre-key-row', e.target.checked);
+    });
+
+    const libreBaseUrl = this.container.querySelector('#libre-base-url');
+    libreBaseUrl?.addEventListener('change', (e) => {
+      this.settings.libretranslate.baseUrl = e.target.value.trim();
+    });
+
+    const libreApiKey = this.container.querySelector('#libre-api-key');
+    libreApiKey?.addEventListener('change', (e) => {
+      this.settings.libretranslate.apiKey = e.target.value;
+    });
+
+    const testLibre = this.container.querySelector('#test-libre');
+    testLibre?.addEventListener('click', () => this.testLibreTranslateConnection());
+
     // Local LLM settings
     const localEnabled = this.container.querySelector('#local-enabled');
     localEnabled?.addEventListener('change', (e) => {
@@ -1006,6 +1814,396 @@ export class TranslationSettings {
     this.events.emit('engineChanged', engine);
   }
 
+  /**
+   * Append an empty routing rule
+   */
+  addRoutingRule() {
+    this.settings.routing.rules.push({
+      id: `rule_${Date.now()}`,
+      name: '',
+      enabled: true,
+      match: {},
+      engines: [this.settings.primaryEngine],
+      maxCost: null
+    });
+    this.refreshRoutingRules();
+  }
+
+  /**
+   * Update rule field from editor input
+   */
+  handleRoutingRuleChange(e) {
+    const ruleEl = e.target.closest('.routing-rule');
+    const field = e.target.dataset.field;
+    if (!ruleEl || !field) return;
+
+    const rule = this.settings.routing.rules[parseInt(ruleEl.dataset.ruleIndex)];
+    const splitList = (value) => value.split(',').map(v => v.trim()).filter(Boolean);
+    const toNumber = (value) => value === '' ? undefined : parseFloat(value);
+    rule.match = rule.match || {};
+
+    switch (field) {
+      case 'name':
+        rule.name = e.target.value;
+        break;
+      case 'enabled':
+        rule.enabled = e.target.checked;
+        ruleEl.classList.toggle('disabled', !e.target.checked);
+        break;
+      case 'sourceLangs':
+      case 'sites':
+        rule.match[field] = splitList(e.target.value);
+        break;
+      case 'bubbleTypes':
+        rule.match.bubbleTypes = Array.from(e.target.selectedOptions).map(o => o.value);
+        break;
+      case 'minLength':
+      case 'maxLength':
+        rule.match[field] = toNumber(e.target.value);
+        break;
+      case 'engines':
+        rule.engines = splitList(e.target.value);
+        break;
+      case 'maxCost':
+        rule.maxCost = toNumber(e.target.value) ?? null;
+        break;
+    }
+  }
+
+  /**
+   * Handle remove / reorder buttons on rules
+   */
+  handleRoutingRuleAction(e) {
+    const action = e.target.closest('[data-action]')?.dataset.action;
+    const ruleEl = e.target.closest('.routing-rule');
+    if (!action || !ruleEl) return;
+
+    const rules = this.settings.routing.rules;
+    const index = parseInt(ruleEl.dataset.ruleIndex);
+
+    if (action === 'remove') {
+      rules.splice(index, 1);
+    } else if (action === 'move-up' && index > 0) {
+      [rules[index - 1], rules[index]] = [rules[index], rules[index - 1]];
+    }
+
+    this.refreshRoutingRules();
+  }
+
+  /**
+   * Re-render routing rule list in place
+   */
+  refreshRoutingRules() {
+    const rulesContainer = this.container.querySelector('#routing-rules');
+    if (rulesContainer) {
+      rulesContainer.innerHTML = this.renderRoutingRules();
+    }
+  }
+
+  /**
+   * Fetch the usage ledger summary from the background
+   */
+  async loadUsage() {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'GET_USAGE_SUMMARY',
+        payload: { includeProviders: true }
+      });
+      this.usage = response?.success ? response.data : null;
+    } catch (e) {
+      this.usage = null;
+    }
+  }
+
+  /**
+   * Clear recorded usage (budgets start from zero)
+   */
+  async resetUsage() {
+    if (!confirm(this.i18n.get('reset_usage_confirm'))) return;
+
+    const response = await chrome.runtime.sendMessage({ type: 'RESET_USAGE_LEDGER' });
+    if (!response?.success) {
+      this.showToast(response?.error || this.i18n.get('save_error'), 'error');
+      return;
+    }
+
+    await this.loadUsage();
+    const report = this.container.querySelector('#usage-report');
+    if (report) {
+      report.innerHTML = this.renderUsageReport();
+    }
+    this.showToast(this.i18n.get('usage_reset'), 'success');
+  }
+
+  /**
+   * Fetch stored series context summaries from the background
+   */
+  async loadSeriesContexts() {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'GET_SERIES_CONTEXTS' });
+      this.seriesContexts = response?.success ? response.data : [];
+    } catch (e) {
+      this.seriesContexts = [];
+    }
+  }
+
+  /**
+   * Handle delete / merge on stored series contexts
+   */
+  async handleSeriesContextAction(e) {
+    const action = e.target.closest('[data-action]')?.dataset.action;
+    if (!action) return;
+
+    if (action === 'delete-context') {
+      const mangaId = e.target.closest('[data-manga-id]').dataset.mangaId;
+      if (!confirm(this.i18n.get('delete_series_context_confirm'))) return;
+
+      await chrome.runtime.sendMessage({ type: 'DELETE_SERIES_CONTEXT', payload: { mangaId } });
+    } else if (action === 'merge-contexts') {
+      const targetId = this.container.querySelector('#context-merge-target').value;
+      const sourceIds = Array.from(this.container.querySelectorAll('[data-field="merge-select"]:checked'))
+        .map(input => input.closest('[data-manga-id]').dataset.mangaId)
+        .filter(id => id !== targetId);
+
+      if (sourceIds.length === 0) {
+        this.showToast(this.i18n.get('select_contexts_to_merge'), 'info');
+        return;
+      }
+
+      const response = await chrome.runtime.sendMessage({
+        type: 'MERGE_SERIES_CONTEXTS',
+        payload: { targetId, sourceIds }
+      });
+      if (!response?.success) {
+        this.showToast(response?.error || this.i18n.get('merge_failed'), 'error');
+        return;
+      }
+      this.showToast(this.i18n.get('contexts_merged'), 'success');
+    }
+
+    await this.loadSeriesContexts();
+    this.container.querySelector('#series-contexts').innerHTML = this.renderSeriesContexts();
+  }
+
+  /**
+   * Fetch series glossaries from the background
+   */
+  async loadGlossaries() {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'GET_GLOSSARIES' });
+      this.glossaries = response?.success ? response.data : [];
+    } catch (e) {
+      this.glossaries = [];
+    }
+
+    if (!this.glossaries.some(g => g.series === this.activeSeries)) {
+      this.activeSeries = this.glossaries[0]?.series || null;
+    }
+  }
+
+  /**
+   * Glossary currently shown in the editor
+   */
+  getActiveGlossary() {
+    return this.glossaries.find(g => g.series === this.activeSeries) || null;
+  }
+
+  /**
+   * Start an empty glossary for a new series
+   */
+  addGlossarySeries() {
+    const input = this.container.querySelector('#glossary-new-series');
+    const series = input.value.trim();
+    if (!series) return;
+
+    if (!this.glossaries.some(g => g.series.toLowerCase() === series.toLowerCase())) {
+      this.glossaries.push({ series, sourceLang: 'ja', targetLang: 'en', entries: [], deepl: null });
+    }
+
+    this.activeSeries = series;
+    input.value = '';
+    this.refreshGlossarySection();
+  }
+
+  /**
+   * Update entry or language pair from editor input
+   */
+  handleGlossaryChange(e) {
+    const glossary = this.getActiveGlossary();
+    if (!glossary) return;
+
+    if (e.target.id === 'glossary-import-file') {
+      if (e.target.files[0]) this.importGlossaryFile(e.target.files[0]);
+      return;
+    }
+
+    const glossaryField = e.target.dataset.glossaryField;
+    if (glossaryField) {
+      glossary[glossaryField] = e.target.value.trim();
+      return;
+    }
+
+    const row = e.target.closest('[data-entry-index]');
+    const field = e.target.dataset.field;
+    if (row && field) {
+      const entry = glossary.entries[parseInt(row.dataset.entryIndex)];
+      entry[field] = field === 'variants'
+        ? e.target.value.split(',').map(v => v.trim()).filter(Boolean)
+        : e.target.value.trim();
+    }
+  }
+
+  /**
+   * Handle glossary editor buttons
+   */
+  async handleGlossaryAction(e) {
+    const action = e.target.closest('[data-action]')?.dataset.action;
+    const glossary = this.getActiveGlossary();
+    if (!action || !glossary) return;
+
+    switch (action) {
+      case 'add-entry':
+        glossary.entries.push({ source: '', target: '', type: GLOSSARY_CONFIG.DEFAULT_TYPE, note: '', variants: [] });
+        this.refreshGlossaryEditor();
+        break;
+      case 'remove-entry':
+        glossary.entries.splice(parseInt(e.target.closest('[data-entry-index]').dataset.entryIndex), 1);
+        this.refreshGlossaryEditor();
+        break;
+      case 'import':
+        this.container.querySelector('#glossary-import-file').click();
+        break;
+      case 'export-csv':
+      case 'export-tsv':
+        this.exportGlossary(glossary, action === 'export-tsv' ? 'tsv' : 'csv');
+        break;
+      case 'sync-deepl':
+        await this.syncGlossary(glossary);
+        break;
+      case 'delete-series':
+        await this.deleteGlossary(glossary);
+        break;
+      case 'save-glossary':
+        await this.saveGlossary(glossary);
+        break;
+    }
+  }
+
+  /**
+   * Merge entries from a CSV/TSV file into the active glossary
+   */
+  async importGlossaryFile(file) {
+    const glossary = this.getActiveGlossary();
+    const format = file.name.toLowerCase().endsWith('.tsv') ? 'tsv' : null;
+    const entries = parseGlossaryFile(await file.text(), format);
+
+    glossary.entries.push(...entries);
+    this.refreshGlossaryEditor();
+    this.showToast(this.i18n.get('glossary_imported', { count: entries.length }), 'success');
+  }
+
+  /**
+   * Download the active glossary as CSV/TSV
+   */
+  exportGlossary(glossary, format) {
+    const blob = new Blob([serializeGlossary(glossary.entries, format)], {
+      type: format === 'tsv' ? 'text/tab-separated-values' : 'text/csv'
+    });
+    const url = URL.createObjectURL(blob);
+
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${glossary.series.replace(/[^\w-]+/g, '_')}-glossary.${format}`;
+    a.click();
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Persist the active glossary in the background
+   */
+  async saveGlossary(glossary) {
+    const response = await chrome.runtime.sendMessage({
+      type: 'SAVE_GLOSSARY',
+      payload: {
+        series: glossary.series,
+        sourceLang: glossary.sourceLang,
+        targetLang: glossary.targetLang,
+        entries: glossary.entries
+      }
+    });
+
+    if (!response?.success) {
+      this.showToast(response?.error || this.i18n.get('save_error'), 'error');
+      return;
+    }
+
+    // Background normalizes entries and may have synced to DeepL
+    Object.assign(glossary, response.data);
+    this.refreshGlossarySection();
+    this.showToast(this.i18n.get('glossary_saved'), 'success');
+  }
+
+  /**
+   * Push the active glossary to DeepL
+   */
+  async syncGlossary(glossary) {
+    await this.saveGlossary(glossary);
+
+    const response = await chrome.runtime.sendMessage({
+      type: 'SYNC_GLOSSARY',
+      payload: { series: glossary.series }
+    });
+
+    if (response?.success) {
+      await this.loadGlossaries();
+      this.refreshGlossarySection();
+      this.showToast(this.i18n.get('deepl_glossary_synced'), 'success');
+    } else {
+      this.showToast(response?.error || this.i18n.get('deepl_glossary_sync_failed'), 'error');
+    }
+  }
+
+  /**
+   * Delete the active series glossary
+   */
+  async deleteGlossary(glossary) {
+    if (!confirm(this.i18n.get('delete_glossary_confirm', { series: glossary.series }))) return;
+
+    await chrome.runtime.sendMessage({
+      type: 'DELETE_GLOSSARY',
+      payload: { series: glossary.series }
+    });
+
+    this.glossaries = this.glossaries.filter(g => g !== glossary);
+    this.activeSeries = this.glossaries[0]?.series || null;
+    this.refreshGlossarySection();
+  }
+
+  /**
+   * Re-render glossary entry table in place
+   */
+  refreshGlossaryEditor() {
+    const editor = this.container.querySelector('#glossary-editor');
+    if (editor) {
+      editor.innerHTML = this.renderGlossaryEditor();
+    }
+  }
+
+  /**
+   * Re-render series selector and editor
+   */
+  refreshGlossarySection() {
+    const select = this.container.querySelector('#glossary-series');
+    if (select) {
+      select.innerHTML = this.glossaries.map(g => `
+        <option value="${this.escapeHtml(g.series)}" ${g.series === this.activeSeries ? 'selected' : ''}>
+          ${this.escapeHtml(g.series)} (${g.entries.length})
+        </option>
+      `).join('');
+    }
+    this.refreshGlossaryEditor();
+  }
+
   /**
    * Highlight APIs that are in use
    */
@@ -1058,6 +2256,107 @@ export class TranslationSettings {
     }
   }
 
+  /**
+   * "Name: value" lines to a headers object
+   */
+  parseHeaders(text) {
+    const headers = {};
+    text.split('\n').forEach(line => {
+      const separator = line.indexOf(':');
+      if (separator <= 0) return;
+      const name = line.slice(0, separator).trim();
+      if (name) headers[name] = line.slice(separator + 1).trim();
+    });
+    return headers;
+  }
+
+  /**
+   * Test the OpenAI-compatible server with the settings as currently entered
+   */
+  async testCompatibleConnection() {
+    const btn = this.container.querySelector('#test-compatible');
+    const section = this.container.querySelector('[data-api="openai_compatible"]');
+    const badge = section?.querySelector('.api-badge');
+    btn.textContent = '⏳';
+    btn.disabled = true;
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'TEST_OPENAI_COMPATIBLE',
+        payload: { settings: this.settings.openaiCompatible }
+      });
+      const result = response?.success ? response.data : { success: false, error: response?.error };
+
+      this.apiStatus.set('openai_compatible', result.success ? 'connected' : 'error');
+      if (badge) {
+        badge.className = `api-badge ${result.success ? 'badge-success' : 'badge-error'}`;
+        badge.textContent = result.success ? this.i18n.get('connected') : this.i18n.get('error');
+      }
+
+      // Offer the server's models as suggestions
+      const datalist = this.container.querySelector('#compatible-models');
+      if (datalist && result.models) {
+        datalist.replaceChildren(...result.models.map(model => {
+          const option = document.createElement('option');
+          option.value = model;
+          return option;
+        }));
+      }
+
+      if (!result.success) {
+        this.showToast(result.error || this.i18n.get('api_test_failed', { api: 'OpenAI-compatible' }), 'error');
+      } else if (result.modelListed === false) {
+        this.showToast(this.i18n.get('compatible_model_not_listed', { model: this.settings.openaiCompatible.model }), 'warning');
+      } else {
+        this.showToast(this.i18n.get('compatible_test_success', { latency: result.latency }), 'success');
+      }
+    } catch (error) {
+      this.showToast(this.i18n.get('api_test_error', { api: 'OpenAI-compatible' }), 'error');
+    } finally {
+      btn.textContent = '▶️';
+      btn.disabled = false;
+    }
+  }
+
+  /**
+   * Test the LibreTranslate server with the settings as currently entered
+   */
+  async testLibreTranslateConnection() {
+    const btn = this.container.querySelector('#test-libre');
+    const section = this.container.querySelector('[data-api="libretranslate"]');
+    const badge = section?.querySelector('.api-badge');
+    btn.textContent = '⏳';
+    btn.disabled = true;
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'TEST_LIBRETRANSLATE',
+        payload: { settings: this.settings.libretranslate }
+      });
+      const result = response?.success ? response.data : { success: false, error: response?.error };
+
+      this.apiStatus.set('libretranslate', result.success ? 'connected' : 'error');
+      if (badge) {
+        badge.className = `api-badge ${result.success ? 'badge-success' : 'badge-error'}`;
+        badge.textContent = result.success ? this.i18n.get('connected') : this.i18n.get('error');
+      }
+
+      if (result.success) {
+        this.showToast(this.i18n.get('libretranslate_test_success', {
+          latency: result.latency,
+          languages: result.languages.join(', ')
+        }), 'success');
+      } else {
+        this.showToast(result.error || this.i18n.get('api_test_failed', { api: 'LibreTranslate' }), 'error');
+      }
+    } catch (error) {
+      this.showToast(this.i18n.get('api_test_error', { api: 'LibreTranslate' }), 'error');
+    } finally {
+      btn.textContent = '▶️';
+      btn.disabled = false;
+    }
+  }
+
   /**
    * Test all API connections
    */
@@ -1066,6 +2365,12 @@ export class TranslationSettings {
     for (const api of apis) {
       await this.testApiConnection(api);
     }
+    if (this.settings.openaiCompatible.enabled) {
+      await this.testCompatibleConnection();
+    }
+    if (this.settings.libretranslate.enabled) {
+      await this.testLibreTranslateConnection();
+    }
   }
 
   /**
@@ -1097,6 +2402,19 @@ export class TranslationSettings {
     }, 100);
   }
 
+  /**
+   * Escape text for templates, attribute values included; series titles,
+   * glossary terms and model names come from pages and servers
+   */
+  escapeHtml(value) {
+    return String(value ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
   /**
    * Save settings to storage
    */
@@ -1112,15 +2430,41 @@ export class TranslationSettings {
       if (this.settings.primaryEngine === 'openai' && !this.settings.openai.apiKey) {
         throw new Error(this.i18n.get('error_openai_key_required'));
       }
+      const compatible = this.settings.openaiCompatible;
+      const usesCompatible = this.settings.primaryEngine === 'openai_compatible' ||
+        (this.settings.fallbackEnabled && this.settings.fallbackEngine === 'openai_compatible');
+      if (usesCompatible && (!compatible.enabled || !compatible.baseUrl || !compatible.model)) {
+        throw new Error(this.i18n.get('error_compatible_endpoint_required'));
+      }
+      const libre = this.settings.libretranslate;
+      const usesLibre = this.settings.primaryEngine === 'libretranslate' ||
+        (this.settings.fallbackEnabled && this.settings.fallbackEngine === 'libretranslate');
+      if (usesLibre && (!libre.enabled || !libre.baseUrl)) {
+        throw new Error(this.i18n.get('error_libretranslate_url_required'));
+      }
+      const { daily, monthly } = this.settings.budget;
+      if (this.settings.budget.enabled && daily === null && monthly === null) {
+        throw new Error(this.i18n.get('error_budget_limit_required'));
+      }
+      if (this.settings.routing.rules.some(rule => rule.engines.length === 0)) {
+        throw new Error(this.i18n.get('error_routing_rule_engines'));
+      }
+
+      // Credentials are stored encrypted by the background, not with the settings
+      const { settings, secrets } = splitEngineSecrets(this.settings);
+      const stored = await chrome.runtime.sendMessage({ type: 'SAVE_ENGINE_SECRETS', payload: secrets });
+      if (!stored?.success) {
+        throw new Error(stored?.error || this.i18n.get('save_error'));
+      }
 
-      await this.config.set('translation', this.settings);
-      this.events.emit('translationSettings:saved', this.settings);
+      await this.config.set('translation', settings);
+      this.events.emit('translationSettings:saved', settings);
       this.showToast(this.i18n.get('settings_saved'), 'success');
 
       // Notify background script
       chrome.runtime.sendMessage({
         action: 'translationSettingsUpdated',
-        settings: this.settings
+        settings
       });
     } catch (error) {
       this.showToast(error.message || this.i18n.get('save_error'), 'error');
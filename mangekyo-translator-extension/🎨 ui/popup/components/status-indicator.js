@@ -18,6 +18,7 @@ class StatusIndicator extends HTMLElement {
     this.checkInterval = null;
     this.retryCount = 0;
     this.maxRetries = 3;
+    this.currentJob = null;
     
     this.render();
     this.initializeEventListeners();
@@ -339,6 +340,74 @@ class StatusIndicator extends HTMLElement {
       .error-log.visible {
         display: block;
       }
+
+      /* Whole-chapter pre-translation */
+      .queue-panel {
+        margin-top: 8px;
+        display: none;
+      }
+
+      .queue-panel.visible {
+        display: block;
+      }
+
+      .queue-title {
+        font-size: 11px;
+        color: #bbb;
+        margin-bottom: 4px;
+      }
+
+      .page-grid {
+        display: flex;
+        flex-wrap: wrap;
+        gap: 2px;
+      }
+
+      .page-cell {
+        width: 8px;
+        height: 8px;
+        border-radius: 2px;
+        background: rgba(255, 255, 255, 0.1);
+      }
+
+      .page-cell.processing {
+        background: #FF4500;
+        animation: pulse 1s ease-in-out infinite;
+      }
+
+      .page-cell.done {
+        background: #FFD700;
+      }
+
+      .page-cell.error {
+        background: #4a0000;
+        outline: 1px solid #ff6666;
+      }
+
+      .queue-actions {
+        display: flex;
+        gap: 6px;
+        margin-top: 6px;
+      }
+
+      .queue-actions.hidden {
+        display: none;
+      }
+
+      .queue-button {
+        background: transparent;
+        border: 1px solid #555;
+        color: #bbb;
+        padding: 2px 10px;
+        border-radius: 4px;
+        font-size: 11px;
+        cursor: pointer;
+      }
+
+      .queue-button:hover {
+        border-color: #DC143C;
+        color: #DC143C;
+      }
     `;
 
     const html = `
@@ -357,6 +426,15 @@ class StatusIndicator extends HTMLElement {
             <div class="progress-fill" id="progressFill"></div>
           </div>
           
+          <div class="queue-panel" id="queuePanel">
+            <div class="queue-title" id="queueTitle"></div>
+            <div class="page-grid" id="pageGrid"></div>
+            <div class="queue-actions" id="queueActions">
+              <button class="queue-button" id="pauseBtn">Pause</button>
+              <button class="queue-button" id="cancelBtn">Cancel</button>
+            </div>
+          </div>
+          
           <button class="retry-button" id="retryBtn">Retry Connection</button>
           <div class="error-log" id="errorLog"></div>
           <div class="connection-details" id="details"></div>
@@ -377,16 +455,101 @@ class StatusIndicator extends HTMLElement {
       this.retryConnection();
     });
 
+    this.shadowRoot.getElementById('pauseBtn').addEventListener('click', (e) => {
+      e.stopPropagation();
+      if (!this.currentJob) return;
+      this.controlJob(this.currentJob.state === 'paused' ? 'RESUME_CHAPTER_JOB' : 'PAUSE_CHAPTER_JOB');
+    });
+    this.shadowRoot.getElementById('cancelBtn').addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.controlJob('CANCEL_CHAPTER_JOB');
+    });
+
     // Listen for background messages
     if (typeof chrome !== 'undefined' && chrome.runtime) {
       chrome.runtime.onMessage.addListener((message) => {
         if (message.type === 'STATUS_UPDATE') {
           this.updateStatus(message.payload);
+        } else if (message.type === 'CHAPTER_QUEUE_UPDATE') {
+          this.updateQueue(message.payload.job, message.payload.progress);
         }
       });
     }
   }
 
+  /**
+   * Show the chapter job still in progress when the popup opens
+   */
+  async loadQueue() {
+    if (typeof chrome === 'undefined' || !chrome.runtime) return;
+
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'GET_CHAPTER_JOBS' });
+      const jobs = response?.success ? response.data : [];
+      const job = jobs.find(j => ['queued', 'running', 'paused'].includes(j.state));
+      if (job) this.updateQueue(job, job.progress);
+    } catch (error) {
+      console.error('Chapter queue unavailable:', error);
+    }
+  }
+
+  async controlJob(type) {
+    if (!this.currentJob) return;
+
+    const response = await chrome.runtime.sendMessage({
+      type,
+      payload: { jobId: this.currentJob.id }
+    });
+    if (response?.success && response.data) {
+      this.updateQueue(response.data);
+    }
+  }
+
+  /**
+   * Per-page progress of a whole-chapter pre-translation job
+   */
+  updateQueue(job, progress = null) {
+    const panel = this.shadowRoot.getElementById('queuePanel');
+    if (!job) {
+      panel.classList.remove('visible');
+      this.currentJob = null;
+      return;
+    }
+
+    this.currentJob = job;
+    const total = job.pages.length;
+    const done = progress?.done ?? job.pages.filter(page => page.status === 'done').length;
+    const failed = progress?.failed ?? job.pages.filter(page => page.status === 'error').length;
+
+    panel.classList.add('visible');
+    this.shadowRoot.getElementById('queueTitle').textContent =
+      `${job.title}: ${done}/${total} pages${failed ? `, ${failed} failed` : ''}`;
+
+    const grid = this.shadowRoot.getElementById('pageGrid');
+    grid.replaceChildren(...job.pages.map(page => {
+      const cell = document.createElement('span');
+      cell.className = `page-cell ${page.status}`;
+      cell.title = `Page ${page.index + 1}: ${page.error || page.status}`;
+      return cell;
+    }));
+
+    const finished = ['done', 'cancelled'].includes(job.state);
+    this.shadowRoot.getElementById('queueActions').classList.toggle('hidden', finished);
+    this.shadowRoot.getElementById('pauseBtn').textContent = job.state === 'paused' ? 'Resume' : 'Pause';
+
+    this.updateProgress(total > 0 ? ((done + failed) / total) * 100 : 100);
+
+    if (job.state === 'done') {
+      this.setStatus('active', `${job.title} is ready`);
+    } else if (job.state === 'cancelled') {
+      this.setStatus('idle', 'Chapter job cancelled');
+    } else if (job.state === 'paused') {
+      this.setStatus('idle', 'Chapter job paused');
+    } else {
+      this.setStatus('processing', `Pre-translating ${job.title}...`);
+    }
+  }
+
   async checkServiceHealth() {
     try {
       if (typeof chrome === 'undefined' || !chrome.runtime) {
@@ -531,6 +694,7 @@ class StatusIndicator extends HTMLElement {
 
   connectedCallback() {
     this.startMonitoring();
+    this.loadQueue();
   }
 
   disconnectedCallback() {
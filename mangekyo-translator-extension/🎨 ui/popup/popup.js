@@ -8,6 +8,7 @@ const state = {
     autoDetect: true,
     liveTranslate: false,
     overlay: true,
+    cleanRender: false,
     engine: 'google',
     currentSite: null,
     stats: {
@@ -39,6 +40,7 @@ const elements = {
     // Buttons
     btnActivate: document.getElementById('btnActivate'),
     btnSettings: document.getElementById('btnSettings'),
+    btnExport: document.getElementById('btnExport'),
     
     // Stats
     translatedCount: document.getElementById('translatedCount'),
@@ -55,7 +57,13 @@ const elements = {
     irisImage: document.getElementById('irisImage'),
     
     // Lists
-    recentList: document.getElementById('recentList')
+    recentList: document.getElementById('recentList'),
+    
+    // Budget
+    budgetSection: document.getElementById('budgetSection'),
+    budgetDaily: document.getElementById('budgetDaily'),
+    budgetMonthly: document.getElementById('budgetMonthly'),
+    budgetHint: document.getElementById('budgetHint')
 };
 
 // ============================================
@@ -67,7 +75,9 @@ document.addEventListener('DOMContentLoaded', () => {
     setupFloatingIris();
     loadSavedState();
     checkCurrentSite();
+    loadSiteRenderMode();
     loadStats();
+    loadBudget();
     checkConnection();
 });
 
@@ -132,11 +142,32 @@ function setupEventListeners() {
         chrome.runtime.openOptionsPage();
     });
     
+    // Export button
+    elements.btnExport.addEventListener('click', exportChapter);
+    
+    // Queue every page of the chapter for background OCR/translation
+    document.getElementById('btnTranslateChapter').addEventListener('click', translateChapter);
+    
+    // Point-and-click adapter builder for sites detection gets wrong
+    document.getElementById('btnTeachSite').addEventListener('click', teachSite);
+    
+    // Drag-to-reorder bubbles; corrections are remembered for the series
+    document.getElementById('btnReadingOrder').addEventListener('click', editReadingOrder);
+    
+    // Panel-by-panel reading for small windows and low vision
+    document.getElementById('btnGuidedView').addEventListener('click', openGuidedView);
+    
+    // Chapter transcript; edits there update the overlays live
+    document.getElementById('btnTranscript').addEventListener('click', openTranscript);
+    
     // Toggle switches
     setupToggle('toggleAutoDetect', 'switchAutoDetect', 'autoDetect');
     setupToggle('toggleLiveTranslate', 'switchLiveTranslate', 'liveTranslate');
     setupToggle('toggleOverlay', 'switchOverlay', 'overlay');
     
+    // Clean render is stored per site, not in popup state
+    document.getElementById('toggleCleanRender').addEventListener('click', toggleCleanRender);
+    
     // Engine selection
     document.querySelectorAll('.engine-btn').forEach(btn => {
         btn.addEventListener('click', () => selectEngine(btn));
@@ -173,6 +204,41 @@ function setupToggle(itemId, switchId, stateKey) {
     });
 }
 
+function loadSiteRenderMode() {
+    chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+        if (!tabs[0]?.url?.startsWith('http')) return;
+        
+        chrome.runtime.sendMessage({
+            type: 'GET_SITE_RENDER_MODE',
+            payload: { domain: new URL(tabs[0].url).hostname }
+        }, (response) => {
+            state.cleanRender = response?.success && response.data === 'clean';
+            updateToggleUI('toggleCleanRender', 'switchCleanRender', state.cleanRender);
+        });
+    });
+}
+
+function toggleCleanRender() {
+    chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+        if (!tabs[0]?.url?.startsWith('http')) return;
+        
+        const domain = new URL(tabs[0].url).hostname;
+        state.cleanRender = !state.cleanRender;
+        updateToggleUI('toggleCleanRender', 'switchCleanRender', state.cleanRender);
+        
+        chrome.runtime.sendMessage({
+            type: 'SET_SITE_RENDER_MODE',
+            payload: {
+                domain,
+                tabId: tabs[0].id,
+                renderMode: state.cleanRender ? 'clean' : 'overlay'
+            }
+        });
+        
+        showToast(state.cleanRender ? `Clean render on for ${domain}` : `Box overlays on ${domain}`);
+    });
+}
+
 function updateToggleUI(itemId, switchId, isActive) {
     const item = document.getElementById(itemId);
     const switchEl = document.getElementById(switchId);
@@ -459,6 +525,111 @@ function notifyContentScript(action, data) {
     });
 }
 
+function exportChapter() {
+    chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+        if (!tabs[0]) return;
+        
+        elements.loadingOverlay.classList.add('active');
+        
+        chrome.tabs.sendMessage(tabs[0].id, { type: 'EXPORT_CHAPTER', payload: {} }, (response) => {
+            elements.loadingOverlay.classList.remove('active');
+            
+            if (chrome.runtime.lastError || !response) {
+                showToast('Activate the translator on this page first');
+            } else if (response.success) {
+                showToast(`Exported ${response.pageCount} pages`);
+            } else {
+                showToast(`Export failed: ${response.error}`);
+            }
+        });
+    });
+}
+
+function translateChapter() {
+    chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+        if (!tabs[0]) return;
+        
+        const includeNext = document.getElementById('includeNextChapter').checked;
+        chrome.tabs.sendMessage(tabs[0].id, {
+            type: 'START_CHAPTER_PRETRANSLATION',
+            payload: { includeNext }
+        }, (response) => {
+            if (chrome.runtime.lastError || !response) {
+                showToast('Activate the translator on this page first');
+            } else if (response.success) {
+                // Progress arrives in the status indicator
+                showToast(`Queued ${response.pageCount} pages`);
+            } else {
+                showToast(`Could not queue chapter: ${response.error}`);
+            }
+        });
+    });
+}
+
+function teachSite() {
+    chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+        if (!tabs[0]?.url?.startsWith('http')) return;
+        
+        chrome.tabs.sendMessage(tabs[0].id, { type: 'START_SITE_TEACHER', payload: {} }, (response) => {
+            if (chrome.runtime.lastError || !response?.success) {
+                showToast('Reload the page and try again');
+                return;
+            }
+            // The popup would cover the page the user needs to click on
+            window.close();
+        });
+    });
+}
+
+function editReadingOrder() {
+    chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+        if (!tabs[0]?.url?.startsWith('http')) return;
+        
+        chrome.tabs.sendMessage(tabs[0].id, { type: 'START_READING_ORDER_EDITOR', payload: {} }, (response) => {
+            if (chrome.runtime.lastError || !response) {
+                showToast('Reload the page and try again');
+                return;
+            }
+            if (!response.success) {
+                showToast(response.error);
+                return;
+            }
+            // The popup would cover the page being edited
+            window.close();
+        });
+    });
+}
+
+function openGuidedView() {
+    chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+        if (!tabs[0]?.url?.startsWith('http')) return;
+        
+        chrome.tabs.sendMessage(tabs[0].id, { type: 'TOGGLE_GUIDED_VIEW', payload: {} }, (response) => {
+            if (chrome.runtime.lastError || !response) {
+                showToast('Reload the page and try again');
+                return;
+            }
+            if (!response.success) {
+                showToast(response.error);
+                return;
+            }
+            // Guided view takes keyboard input on the page
+            window.close();
+        });
+    });
+}
+
+function openTranscript() {
+    chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+        if (!tabs[0]) return;
+        
+        // Must run inside the click for the user-gesture requirement
+        chrome.sidePanel.open({ windowId: tabs[0].windowId })
+            .then(() => window.close())
+            .catch(error => showToast(`Could not open transcript: ${error.message}`));
+    });
+}
+
 function injectContentScript(tabId) {
     chrome.scripting.executeScript({
         target: { tabId: tabId },
@@ -554,6 +725,36 @@ function updateStatsDisplay() {
         state.stats.accuracy + '%' : '--';
 }
 
+function loadBudget() {
+    chrome.runtime.sendMessage({ type: 'GET_USAGE_SUMMARY', payload: {} }, (response) => {
+        if (chrome.runtime.lastError || !response?.success) return;
+        updateBudgetDisplay(response.data.budget);
+    });
+}
+
+function updateBudgetDisplay(budget) {
+    const limited = budget.enabled && (budget.daily.limit !== null || budget.monthly.limit !== null);
+    elements.budgetSection.hidden = !limited;
+    if (!limited) return;
+    
+    [[elements.budgetDaily, budget.daily], [elements.budgetMonthly, budget.monthly]].forEach(([meter, period]) => {
+        meter.hidden = period.limit === null;
+        if (period.limit === null) return;
+        
+        const used = period.limit > 0 ? Math.min(1, period.spent / period.limit) : 1;
+        meter.querySelector('.budget-text').textContent =
+            `$${period.remaining.toFixed(2)} left of $${period.limit.toFixed(2)}`;
+        meter.querySelector('.budget-fill').style.width = `${Math.round(used * 100)}%`;
+        meter.classList.toggle('warning', used >= 0.8 && !period.exhausted);
+        meter.classList.toggle('exhausted', period.exhausted);
+    });
+    
+    elements.budgetHint.textContent = !budget.exhausted ? '' :
+        budget.onLimit === 'stop'
+            ? 'Budget reached. Translation is paused until it resets.'
+            : 'Budget reached. Using free engines only.';
+}
+
 function checkConnection() {
     const isOnline = navigator.onLine;
     if (!isOnline) {
@@ -0,0 +1,289 @@
+// ============================================
+// STATE MANAGEMENT
+// ============================================
+const state = {
+    tabId: null,
+    transcript: null,
+    filter: '',
+    focusedId: null,
+    refreshPending: false // An update arrived while a line was being edited
+};
+
+const PREVIEW_DELAY = 250; // ms of typing before the overlay is updated
+
+// BubbleClassifier TextType values (plus detector shapes); anything else is shown as is
+const BUBBLE_TYPE_LABELS = {
+    dialogue: 'Dialogue',
+    speech: 'Speech',
+    thought: 'Thought',
+    narration: 'Narration',
+    shout: 'Shout',
+    whisper: 'Whisper',
+    sfx: 'SFX',
+    sign_label: 'Sign',
+    flashback: 'Flashback',
+    handwritten: 'Handwritten',
+    meta: 'Meta'
+};
+
+// ============================================
+// DOM ELEMENTS CACHE
+// ============================================
+const elements = {
+    chapterTitle: document.getElementById('chapterTitle'),
+    chapterMeta: document.getElementById('chapterMeta'),
+    btnRefresh: document.getElementById('btnRefresh'),
+    filterInput: document.getElementById('filterInput'),
+    transcript: document.getElementById('transcript'),
+    emptyState: document.getElementById('emptyState'),
+    emptyMessage: document.getElementById('emptyMessage')
+};
+
+// ============================================
+// INITIALIZATION
+// ============================================
+document.addEventListener('DOMContentLoaded', () => {
+    elements.btnRefresh.addEventListener('click', loadTranscript);
+
+    elements.filterInput.addEventListener('input', () => {
+        state.filter = elements.filterInput.value.trim().toLowerCase();
+        render();
+    });
+
+    // Follow the reader to whichever tab is active
+    chrome.tabs.onActivated.addListener(() => loadTranscript());
+    chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+        if (tabId === state.tabId && changeInfo.status === 'complete') {
+            loadTranscript();
+        }
+    });
+
+    // The content script announces new pages, streamed lines and edits made on the page
+    chrome.runtime.onMessage.addListener((message, sender) => {
+        if (message.type !== 'TRANSCRIPT_UPDATED' || sender.tab?.id !== state.tabId) return;
+
+        if (isEditing()) {
+            state.refreshPending = true;
+        } else {
+            loadTranscript();
+        }
+    });
+
+    loadTranscript();
+});
+
+// ============================================
+// CONTENT SCRIPT COMMUNICATION
+// ============================================
+async function loadTranscript() {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    state.tabId = tab?.id ?? null;
+
+    if (!tab?.url?.startsWith('http')) {
+        showEmpty('Open a manga page to see its transcript.');
+        return;
+    }
+
+    chrome.tabs.sendMessage(tab.id, { type: 'GET_TRANSCRIPT', payload: {} }, (response) => {
+        if (chrome.runtime.lastError || !response?.success) {
+            showEmpty('Activate the translator on this page first.');
+            return;
+        }
+        state.transcript = response.data;
+        render();
+    });
+}
+
+function sendToTab(type, payload) {
+    return new Promise((resolve) => {
+        if (state.tabId === null) {
+            resolve({ success: false, error: 'No active tab' });
+            return;
+        }
+        chrome.tabs.sendMessage(state.tabId, { type, payload }, (response) => {
+            if (chrome.runtime.lastError || !response) {
+                resolve({ success: false, error: 'Reload the page and try again' });
+                return;
+            }
+            resolve(response);
+        });
+    });
+}
+
+// ============================================
+// RENDERING
+// ============================================
+function render() {
+    const transcript = state.transcript;
+    if (!transcript) return;
+
+    elements.chapterTitle.textContent = transcript.series || 'Transcript';
+    const lineCount = transcript.pages.reduce((sum, page) =>
+        sum + page.panels.reduce((n, panel) => n + panel.lines.length, 0), 0);
+    elements.chapterMeta.textContent = [
+        transcript.chapter !== null ? `Chapter ${transcript.chapter}` : null,
+        `${transcript.pages.length} pages`,
+        `${lineCount} lines`
+    ].filter(Boolean).join(' · ');
+
+    elements.transcript.replaceChildren();
+
+    transcript.pages.forEach(page => {
+        const panels = page.panels
+            .map(panel => ({ ...panel, lines: panel.lines.filter(matchesFilter) }))
+            .filter(panel => panel.lines.length > 0);
+        if (panels.length === 0) return;
+
+        const pageHeading = document.createElement('h2');
+        pageHeading.className = 'page-heading';
+        pageHeading.textContent = `Page ${page.number}`;
+        elements.transcript.appendChild(pageHeading);
+
+        panels.forEach(panel => {
+            // A page without detected panels is one group; no heading needed
+            if (page.panels.length > 1) {
+                const panelHeading = document.createElement('h3');
+                panelHeading.className = 'panel-heading';
+                panelHeading.textContent = `Panel ${panel.number}`;
+                elements.transcript.appendChild(panelHeading);
+            }
+            panel.lines.forEach(line => elements.transcript.appendChild(createLine(line)));
+        });
+    });
+
+    if (!elements.transcript.firstChild) {
+        showEmpty(state.filter ? 'No lines match the filter.' : 'No translated pages on this tab yet.');
+    } else {
+        elements.emptyState.hidden = true;
+    }
+}
+
+function createLine(line) {
+    const el = document.createElement('div');
+    el.className = 'line';
+    el.dataset.id = line.id;
+    el.classList.toggle('verified', line.userVerified);
+    el.classList.toggle('pending', line.pending);
+    el.classList.toggle('focused', line.id === state.focusedId);
+
+    const meta = document.createElement('div');
+    meta.className = 'line-meta';
+    if (line.bubbleType) {
+        const type = document.createElement('span');
+        type.className = 'bubble-type';
+        type.textContent = BUBBLE_TYPE_LABELS[line.bubbleType] || line.bubbleType;
+        meta.appendChild(type);
+    }
+    if (line.speaker) {
+        const speaker = document.createElement('span');
+        speaker.className = 'speaker';
+        speaker.textContent = line.speaker.name || line.speaker.id;
+        meta.appendChild(speaker);
+    }
+
+    const original = createField('original', line.originalText, 'Original text');
+    const translation = createField('translation', line.pending ? '' : line.text,
+        line.pending ? 'Translating…' : 'Translation');
+    translation.disabled = line.pending;
+
+    const saveState = document.createElement('div');
+    saveState.className = 'save-state';
+
+    el.append(meta, original, translation, saveState);
+
+    // Clicking anywhere on the line, editing included, shows its bubble
+    el.addEventListener('click', () => focusBubble(line.id));
+
+    // Overlay follows the typing; the correction is stored when the field is left
+    let previewTimer = null;
+    const changes = () => ({ originalText: original.value.trim(), text: translation.value.trim() });
+    const onInput = () => {
+        clearTimeout(previewTimer);
+        previewTimer = setTimeout(() => editLine(line, changes(), false, saveState), PREVIEW_DELAY);
+    };
+    const onChange = () => {
+        clearTimeout(previewTimer);
+        if (!changes().text) {
+            saveState.textContent = 'Translation cannot be empty.';
+            return;
+        }
+        editLine(line, changes(), true, saveState);
+    };
+    [original, translation].forEach(field => {
+        field.addEventListener('input', onInput);
+        field.addEventListener('change', onChange);
+        field.addEventListener('blur', () => {
+            // Apply updates that arrived while this line was being edited
+            setTimeout(() => {
+                if (state.refreshPending && !isEditing()) {
+                    state.refreshPending = false;
+                    loadTranscript();
+                }
+            }, 0);
+        });
+    });
+
+    return el;
+}
+
+function createField(className, value, placeholder) {
+    const field = document.createElement('textarea');
+    field.className = className;
+    field.rows = 1;
+    field.value = value;
+    field.placeholder = placeholder;
+    field.dir = 'auto';
+    field.spellcheck = className === 'translation';
+    return field;
+}
+
+function matchesFilter(line) {
+    if (!state.filter) return true;
+    return [line.originalText, line.text, line.speaker?.name]
+        .some(value => value?.toLowerCase().includes(state.filter));
+}
+
+function showEmpty(message) {
+    elements.transcript.replaceChildren();
+    elements.emptyMessage.textContent = message;
+    elements.emptyState.hidden = false;
+}
+
+function isEditing() {
+    return document.activeElement?.tagName === 'TEXTAREA';
+}
+
+// ============================================
+// ACTIONS
+// ============================================
+async function focusBubble(id) {
+    state.focusedId = id;
+    elements.transcript.querySelectorAll('.line').forEach(el => {
+        el.classList.toggle('focused', el.dataset.id === id);
+    });
+
+    const response = await sendToTab('FOCUS_BUBBLE', { id });
+    if (!response.success) {
+        state.focusedId = null;
+    }
+}
+
+async function editLine(line, changes, save, saveState) {
+    if (!changes.text) return;
+
+    const response = await sendToTab('EDIT_TRANSLATION', { id: line.id, ...changes, save });
+    if (!response.success) {
+        saveState.textContent = response.error;
+        return;
+    }
+
+    line.originalText = changes.originalText;
+    line.text = changes.text;
+    if (save) {
+        line.userVerified = true;
+        saveState.textContent = 'Saved as a correction';
+        saveState.closest('.line')?.classList.add('verified');
+    } else {
+        saveState.textContent = '';
+    }
+}
@@ -795,7 +795,8 @@ export class BoundingBoxUtils {
   calculateColumnOrder(boxes, options = {}) {
     const {
       tolerance = 0.3,
-      direction = 'ttb' // 'ttb' (top-to-bottom) or 'btt' (bottom-to-top)
+      direction = 'ttb', // 'ttb' (top-to-bottom) or 'btt' (bottom-to-top)
+      columnDirection = 'rtl' // Order of the columns: 'rtl' (manga) or 'ltr'
     } = options;
     
     if (boxes.length === 0) return [];
@@ -838,11 +839,13 @@ export class BoundingBoxUtils {
       columns.push(currentCol);
     }
     
-    // Assign order (columns RTL, within column TTB)
+    // Assign order (columns RTL by default, within column TTB)
+    if (columnDirection === 'rtl') columns.reverse();
+    
     let order = 1;
     const result = [];
-    for (let i = columns.length - 1; i >= 0; i--) { // RTL
-      for (const box of columns[i]) {
+    for (const column of columns) {
+      for (const box of column) {
         result.push({ ...box, readingOrder: order++ });
       }
     }
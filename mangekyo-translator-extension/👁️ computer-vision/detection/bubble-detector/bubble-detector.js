@@ -13,6 +13,8 @@
 
 import * as tf from '@tensorflow/tfjs';
 import { BoundingBoxUtils } from './bounding-box-utils.js';
+import { ReadingOrderService } from '../reading-order/reading-order-service.js';
+import { locateTail } from '../speaker/speaker-attributor.js';
 
 /**
  * Configuration constants for bubble detection
@@ -68,6 +70,7 @@ export class BubbleDetector {
     this.model = null;
     this.isModelLoaded = false;
     this.bboxUtils = new BoundingBoxUtils();
+    this.readingOrder = new ReadingOrderService();
     this.tempCanvas = null;
     this.tempCtx = null;
     
@@ -409,6 +412,7 @@ export class BubbleDetector {
           characteristics,
           confidence: det.confidence * contourInfo.qualityScore,
           textRegion: this._estimateTextRegion(contourInfo),
+          shape: this._textShape(contourInfo.contour),
           readingOrder: 0 // Will be calculated later
         });
         
@@ -674,6 +678,8 @@ export class BubbleDetector {
     const edgeData = roi.ctx.getImageData(0, 0, width, height);
     const edgeScore = this._calculateEdgeRoughness(edgeData, contourInfo.contour);
     
+    const hasTail = this._detectTail(roi, contourInfo);
+    
     // Classify based on shape characteristics
     let type = BUBBLE_TYPES.UNKNOWN;
     let confidence = 0.5;
@@ -698,7 +704,8 @@ export class BubbleDetector {
       circularity,
       solidity,
       edgeRoughness: edgeScore,
-      hasTail: this._detectTail(roi, contourInfo),
+      hasTail,
+      tail: hasTail ? locateTail(contourInfo.contour) : null, // Tip and direction, for speaker attribution
       isVertical: height > width * 1.5
     };
   }
@@ -888,30 +895,32 @@ export class BubbleDetector {
     };
   }
 
+  /**
+   * Outline text can be laid out in: convex hull of the contour without the tail
+   * Hull vertices far beyond the typical radius are the tail tip and are dropped
+   * @private
+   */
+  _textShape(contour) {
+    if (!contour || contour.length < 3) return null;
+
+    const hull = this._convexHull(contour).map(({ x, y }) => ({ x, y }));
+    if (hull.length < 3) return null;
+
+    const cx = hull.reduce((sum, p) => sum + p.x, 0) / hull.length;
+    const cy = hull.reduce((sum, p) => sum + p.y, 0) / hull.length;
+    const radii = hull.map(p => Math.hypot(p.x - cx, p.y - cy));
+    const median = [...radii].sort((a, b) => a - b)[Math.floor(radii.length / 2)];
+
+    const body = hull.filter((p, i) => radii[i] <= median * 1.4);
+    return body.length >= 3 ? body : hull;
+  }
+
   /**
    * Calculate manga reading order (right-to-left, top-to-bottom)
    * @private
    */
   _calculateReadingOrder(detections) {
-    // Sort by Y first (rows), then X (right-to-left within row)
-    const sorted = [...detections].sort((a, b) => {
-      const rowDiff = Math.abs(a.bbox.centerY - b.bbox.centerY);
-      const sameRow = rowDiff < Math.min(a.bbox.height, b.bbox.height) * 0.5;
-      
-      if (sameRow) {
-        // Same row: right-to-left (higher X first)
-        return b.bbox.centerX - a.bbox.centerX;
-      } else {
-        // Different rows: top-to-bottom
-        return a.bbox.centerY - b.bbox.centerY;
-      }
-    });
-    
-    // Assign order numbers
-    return sorted.map((det, idx) => ({
-      ...det,
-      readingOrder: idx + 1
-    }));
+    return this.readingOrder.order(detections, { getBox: det => det.bbox });
   }
 
   /**
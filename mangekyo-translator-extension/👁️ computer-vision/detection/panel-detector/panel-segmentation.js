@@ -13,6 +13,7 @@
  */
 
 import { BoundingBoxUtils } from '../bubble-detector/bounding-box-utils.js';
+import { ReadingOrderService } from '../reading-order/reading-order-service.js';
 
 /**
  * Configuration for panel segmentation
@@ -64,6 +65,7 @@ export class PanelSegmenter {
   constructor(options = {}) {
     this.config = { ...CONFIG, ...options };
     this.bboxUtils = new BoundingBoxUtils();
+    this.readingOrder = new ReadingOrderService();
     this.tempCanvas = null;
     this.tempCtx = null;
     this.worker = null;
@@ -905,27 +907,7 @@ export class PanelSegmenter {
    * @private
    */
   _calculateReadingOrder(panels) {
-    if (panels.length === 0) return [];
-    
-    // Sort by Y first (rows), then X (right-to-left)
-    const sorted = [...panels].sort((a, b) => {
-      const rowDiff = Math.abs(a.bbox.y + a.bbox.height/2 - b.bbox.y - b.bbox.height/2);
-      const sameRow = rowDiff < Math.min(a.bbox.height, b.bbox.height) * 0.4;
-      
-      if (sameRow) {
-        // Same row: right-to-left
-        return (b.bbox.x + b.bbox.width) - (a.bbox.x + a.bbox.width);
-      } else {
-        // Different rows: top-to-bottom
-        return a.bbox.y - b.bbox.y;
-      }
-    });
-    
-    // Assign order numbers
-    return sorted.map((panel, idx) => ({
-      ...panel,
-      readingOrder: idx + 1
-    }));
+    return this.readingOrder.orderPanels(panels, {}, panel => panel.bbox);
   }
 
   /**
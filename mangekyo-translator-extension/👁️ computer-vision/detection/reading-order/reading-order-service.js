@@ -0,0 +1,480 @@
+/**
+ * reading-order-service.js
+ *
+ * Shared reading order for panels and speech bubbles
+ *
+ * Features:
+ * - Panel order first, bubble order inside each panel
+ * - Row (manga/comics) or column layouts, right-to-left, left-to-right or webtoon
+ * - Exact per-page corrections made in the reading-order editor
+ * - Per-series layout preferences learned from those corrections
+ *
+ * Line order inside a single bubble stays with TextROIExtractor.
+ */
+
+import { BoundingBoxUtils } from '../bubble-detector/bounding-box-utils.js';
+import { STORAGE_KEYS } from '../../../core/shared/constants.js';
+
+/**
+ * Configuration for reading order
+ */
+const READING_ORDER_CONFIG = {
+  PANEL_ROW_TOLERANCE: 0.4,        // Panel row grouping, ratio of panel height
+  MIN_PANEL_OVERLAP: 0.5,          // Share of a bubble inside a panel to belong to it
+  PAGE_MATCH_IOU: 0.3,             // Detection vs saved box to reuse a page correction
+  MAX_PAGES_PER_SERIES: 50,        // Corrections kept for learning (oldest dropped)
+  ROW_TOLERANCES: [0.3, 0.5, 0.8]  // Candidates tried when learning
+};
+
+export const READING_DIRECTIONS = {
+  RTL: 'rtl',  // Japanese manga
+  LTR: 'ltr',  // Western comics, Chinese manhua
+  TTB: 'ttb'   // Webtoons / long strips
+};
+
+export const BUBBLE_LAYOUTS = {
+  ROWS: 'rows',       // Bubbles read row by row
+  COLUMNS: 'columns'  // Tall bubbles read column by column
+};
+
+export const DEFAULT_READING_PREFERENCES = {
+  direction: READING_DIRECTIONS.RTL,
+  bubbleLayout: BUBBLE_LAYOUTS.ROWS,
+  rowTolerance: 0.5,
+  usePanels: true
+};
+
+/**
+ * Box of an item: detections carry x/y/width/height, CV results a bbox
+ */
+const defaultGetBox = item => item.bbox || item.boundingBox || item;
+
+/**
+ * Main ReadingOrderService class
+ */
+export class ReadingOrderService {
+  constructor(options = {}) {
+    this.config = { ...READING_ORDER_CONFIG, ...options };
+    this.bboxUtils = new BoundingBoxUtils();
+  }
+
+  /**
+   * Order bubbles (or any text regions) on a page
+   * @param {Array} items - Bubbles/regions
+   * @param {Object} options
+   * @param {Array} options.panels - Panels on the page (any box format)
+   * @param {Object} options.preferences - Layout preferences (series defaults merged in)
+   * @param {Object} options.pageOrder - Saved correction for this page: { boxes: [normalized boxes] }
+   * @param {{width: number, height: number}} options.pageSize - Needed to apply pageOrder
+   * @param {Function} options.getBox - item -> {x, y, width, height}
+   * @returns {Array} Shallow copies with readingOrder (1-based) and panelOrder
+   */
+  order(items, options = {}) {
+    const {
+      panels = [],
+      preferences = {},
+      pageOrder = null,
+      pageSize = null,
+      getBox = defaultGetBox
+    } = options;
+
+    if (items.length === 0) return [];
+
+    const prefs = { ...DEFAULT_READING_PREFERENCES, ...preferences };
+    const boxes = items.map(getBox);
+
+    let sequence = prefs.usePanels && panels.length > 0
+      ? this._orderByPanels(boxes, panels.map(getBox), prefs)
+      : this._orderBoxes(boxes, prefs).map(index => ({ index, panelOrder: null }));
+
+    if (pageOrder?.boxes?.length && pageSize) {
+      sequence = this._applyPageOrder(sequence, boxes, pageOrder, pageSize);
+    }
+
+    return sequence.map(({ index, panelOrder }, position) => ({
+      ...items[index],
+      readingOrder: position + 1,
+      panelOrder
+    }));
+  }
+
+  /**
+   * Order panels on a page
+   * @param {Array} panels
+   * @param {Object} preferences
+   * @param {Function} getBox
+   * @returns {Array} Shallow copies with readingOrder (1-based)
+   */
+  orderPanels(panels, preferences = {}, getBox = defaultGetBox) {
+    const prefs = { ...DEFAULT_READING_PREFERENCES, ...preferences };
+
+    return this._orderPanelBoxes(panels.map(getBox), prefs).map((index, position) => ({
+      ...panels[index],
+      readingOrder: position + 1
+    }));
+  }
+
+  /**
+   * Find the preferences that best reproduce a set of corrected pages
+   * Every candidate layout is scored by how many bubble pairs it puts in the
+   * same relative order as the user did.
+   * @param {Array<{boxes: Array, panels: Array}>} samples - Corrected pages, boxes in the user's order
+   * @param {Object} current - Preferences to keep unless a candidate does strictly better
+   * @returns {Object} Preferences plus agreement (0-1) and samples count
+   */
+  learnPreferences(samples, current = {}) {
+    const usable = samples.filter(sample => sample.boxes?.length >= 2);
+    const base = { ...DEFAULT_READING_PREFERENCES, ...current };
+    if (usable.length === 0) {
+      return { ...base, agreement: null, samples: 0 };
+    }
+
+    let best = base;
+    let bestScore = this._scorePreferences(base, usable);
+
+    for (const candidate of this._candidatePreferences()) {
+      const score = this._scorePreferences(candidate, usable);
+      if (score > bestScore + 1e-9) {
+        best = candidate;
+        bestScore = score;
+      }
+    }
+
+    return { ...best, agreement: bestScore, samples: usable.length };
+  }
+
+  // ==================== ORDERING ====================
+
+  /**
+   * Panel order, then bubbles inside each panel. Bubbles outside every panel
+   * are ordered as if they were panels of their own.
+   * @private
+   */
+  _orderByPanels(boxes, panelBoxes, prefs) {
+    const members = panelBoxes.map(() => []);
+    const groups = [];
+
+    boxes.forEach((box, index) => {
+      const panelIndex = this._containingPanel(box, panelBoxes);
+      if (panelIndex === -1) {
+        groups.push({ box, members: [index] });
+      } else {
+        members[panelIndex].push(index);
+      }
+    });
+
+    panelBoxes.forEach((box, panelIndex) => {
+      if (members[panelIndex].length > 0) {
+        groups.push({ box, members: members[panelIndex] });
+      }
+    });
+
+    const sequence = [];
+    this._orderPanelBoxes(groups.map(g => g.box), prefs).forEach((groupIndex, panelPosition) => {
+      const group = groups[groupIndex];
+      const ordered = this._orderBoxes(group.members.map(index => boxes[index]), prefs);
+      for (const local of ordered) {
+        sequence.push({ index: group.members[local], panelOrder: panelPosition + 1 });
+      }
+    });
+
+    return sequence;
+  }
+
+  /**
+   * Panel with the largest share of the bubble; the smaller panel on ties (insets)
+   * @private
+   */
+  _containingPanel(box, panelBoxes) {
+    const area = box.width * box.height;
+    if (!(area > 0)) return -1;
+
+    let best = -1;
+    let bestOverlap = this.config.MIN_PANEL_OVERLAP;
+
+    panelBoxes.forEach((panel, index) => {
+      const overlap = this.bboxUtils.intersection(box, panel) / area;
+      const smaller = best !== -1 &&
+        panel.width * panel.height < panelBoxes[best].width * panelBoxes[best].height;
+      if (overlap > bestOverlap || (best !== -1 && overlap === bestOverlap && smaller)) {
+        best = index;
+        bestOverlap = overlap;
+      }
+    });
+
+    return best;
+  }
+
+  /**
+   * Panels are always laid out in rows; only the row direction changes
+   * @private
+   */
+  _orderPanelBoxes(boxes, prefs) {
+    return this._orderBoxes(boxes, {
+      ...prefs,
+      bubbleLayout: BUBBLE_LAYOUTS.ROWS,
+      rowTolerance: this.config.PANEL_ROW_TOLERANCE
+    });
+  }
+
+  /**
+   * Indices of boxes in reading order
+   * @private
+   */
+  _orderBoxes(boxes, prefs) {
+    const tagged = boxes.map((box, index) => ({
+      x: box.x,
+      y: box.y,
+      width: box.width,
+      height: box.height,
+      index
+    }));
+
+    // Webtoons read top to bottom; side-by-side bubbles left to right
+    const sideways = prefs.direction === READING_DIRECTIONS.RTL ? 'rtl' : 'ltr';
+
+    const ordered = prefs.bubbleLayout === BUBBLE_LAYOUTS.COLUMNS
+      ? this.bboxUtils.calculateColumnOrder(tagged, { tolerance: prefs.rowTolerance, columnDirection: sideways })
+      : this.bboxUtils.calculateReadingOrder(tagged, { tolerance: prefs.rowTolerance, direction: sideways });
+
+    return ordered.map(box => box.index);
+  }
+
+  /**
+   * Put detections matching a saved correction back in the saved order.
+   * Matched items swap among the positions they already hold, so new or
+   * unmatched bubbles keep their computed place.
+   * @private
+   */
+  _applyPageOrder(sequence, boxes, pageOrder, pageSize) {
+    const saved = pageOrder.boxes.map(box => ({
+      x: box.x * pageSize.width,
+      y: box.y * pageSize.height,
+      width: box.width * pageSize.width,
+      height: box.height * pageSize.height
+    }));
+
+    const rankOf = new Map();
+    saved.forEach((savedBox, rank) => {
+      let best = null;
+      let bestIou = this.config.PAGE_MATCH_IOU;
+      boxes.forEach((box, index) => {
+        if (rankOf.has(index)) return;
+        const iou = this.bboxUtils.iou(box, savedBox);
+        if (iou >= bestIou) {
+          best = index;
+          bestIou = iou;
+        }
+      });
+      if (best !== null) rankOf.set(best, rank);
+    });
+
+    if (rankOf.size < 2) return sequence;
+
+    const matched = sequence
+      .filter(step => rankOf.has(step.index))
+      .sort((a, b) => rankOf.get(a.index) - rankOf.get(b.index));
+
+    let next = 0;
+    return sequence.map(step => rankOf.has(step.index) ? matched[next++] : step);
+  }
+
+  // ==================== LEARNING ====================
+
+  /**
+   * @private
+   */
+  _candidatePreferences() {
+    const candidates = [];
+    for (const direction of Object.values(READING_DIRECTIONS)) {
+      for (const bubbleLayout of Object.values(BUBBLE_LAYOUTS)) {
+        for (const rowTolerance of this.config.ROW_TOLERANCES) {
+          for (const usePanels of [true, false]) {
+            candidates.push({ direction, bubbleLayout, rowTolerance, usePanels });
+          }
+        }
+      }
+    }
+    return candidates;
+  }
+
+  /**
+   * Share of bubble pairs, over all samples, ordered as the user ordered them
+   * @private
+   */
+  _scorePreferences(prefs, samples) {
+    let agreeing = 0;
+    let total = 0;
+
+    for (const { boxes, panels = [] } of samples) {
+      const items = boxes.map((box, rank) => ({ ...box, rank }));
+      const ordered = this.order(items, { panels, preferences: prefs });
+      const position = new Map(ordered.map((item, i) => [item.rank, i]));
+
+      for (let a = 0; a < boxes.length; a++) {
+        for (let b = a + 1; b < boxes.length; b++) {
+          total++;
+          if (position.get(a) < position.get(b)) agreeing++;
+        }
+      }
+    }
+
+    return total > 0 ? agreeing / total : 0;
+  }
+}
+
+// ==================== STORAGE ====================
+
+/**
+ * Normalize a series title into a storage key
+ */
+function seriesKey(series) {
+  return String(series || '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+/**
+ * Page images are matched by URL without query or hash (CDN tokens change)
+ * @param {string} url
+ * @returns {string}
+ */
+export function pageKey(url) {
+  try {
+    const parsed = new URL(url);
+    return `${parsed.origin}${parsed.pathname}`;
+  } catch {
+    return String(url || '');
+  }
+}
+
+/**
+ * Normalize a box to fractions of the page size
+ * @param {Object} box
+ * @param {{width: number, height: number}} pageSize
+ */
+export function normalizeBox(box, pageSize) {
+  return {
+    x: box.x / pageSize.width,
+    y: box.y / pageSize.height,
+    width: box.width / pageSize.width,
+    height: box.height / pageSize.height
+  };
+}
+
+/**
+ * Index of the panel containing a point, or the nearest panel when it falls
+ * in a gutter or outside every panel
+ * @param {{x: number, y: number}} point
+ * @param {Array<{x, y, width, height}>} panels - Same coordinate space as point
+ * @returns {number} -1 when there are no panels
+ */
+export function panelIndexFor(point, panels) {
+  let best = -1;
+  let bestDistance = Infinity;
+
+  panels.forEach((panel, index) => {
+    const dx = Math.max(panel.x - point.x, 0, point.x - (panel.x + panel.width));
+    const dy = Math.max(panel.y - point.y, 0, point.y - (panel.y + panel.height));
+    const distance = Math.hypot(dx, dy);
+    if (distance < bestDistance) {
+      best = index;
+      bestDistance = distance;
+    }
+  });
+
+  return best;
+}
+
+/**
+ * Reading-order corrections per series in chrome.storage.local:
+ * { [series]: { preferences, pages: { [pageKey]: { boxes, panels, updatedAt } } } }
+ */
+export class ReadingOrderStore {
+  constructor(options = {}) {
+    this.storage = options.storage || chrome.storage.local;
+    this.service = options.service || new ReadingOrderService();
+    this.maxPages = options.maxPages || READING_ORDER_CONFIG.MAX_PAGES_PER_SERIES;
+    this.series = {};
+    this.loaded = false;
+  }
+
+  /**
+   * Load all series from storage
+   */
+  async load() {
+    if (this.loaded) return;
+    const stored = await this.storage.get(STORAGE_KEYS.READING_ORDER);
+    this.series = stored[STORAGE_KEYS.READING_ORDER] || {};
+    this.loaded = true;
+  }
+
+  async persist() {
+    await this.storage.set({ [STORAGE_KEYS.READING_ORDER]: this.series });
+  }
+
+  /**
+   * Learned preferences and saved pages for a series
+   * @param {string} series
+   * @returns {Promise<{preferences: Object|null, pages: Object}>}
+   */
+  async get(series) {
+    await this.load();
+    const record = this.series[seriesKey(series)];
+    return {
+      preferences: record?.preferences || null,
+      pages: record?.pages || {}
+    };
+  }
+
+  /**
+   * Saved correction for one page, if any
+   */
+  async getPageOrder(series, url) {
+    const { pages } = await this.get(series);
+    return pages[pageKey(url)] || null;
+  }
+
+  /**
+   * Store a corrected page and re-learn the series preferences
+   * @param {string} series
+   * @param {string} url - Page image URL
+   * @param {Object} correction - { boxes, panels } normalized, boxes in reading order
+   * @param {Object} defaults - Preferences to start from (settings reading direction)
+   * @returns {Promise<Object>} Updated preferences
+   */
+  async saveCorrection(series, url, { boxes, panels = [] }, defaults = {}) {
+    await this.load();
+    const key = seriesKey(series);
+    if (!key) {
+      throw new Error('Series is required to save a reading order');
+    }
+
+    const record = this.series[key] || { preferences: null, pages: {} };
+    record.pages[pageKey(url)] = { boxes, panels, updatedAt: Date.now() };
+
+    const keys = Object.keys(record.pages)
+      .sort((a, b) => record.pages[b].updatedAt - record.pages[a].updatedAt);
+    for (const stale of keys.slice(this.maxPages)) {
+      delete record.pages[stale];
+    }
+
+    record.preferences = this.service.learnPreferences(
+      Object.values(record.pages),
+      record.preferences || defaults
+    );
+
+    this.series[key] = record;
+    await this.persist();
+    return record.preferences;
+  }
+
+  /**
+   * Forget corrections and learned preferences for a series
+   */
+  async reset(series) {
+    await this.load();
+    delete this.series[seriesKey(series)];
+    await this.persist();
+  }
+}
+
+export default ReadingOrderService;
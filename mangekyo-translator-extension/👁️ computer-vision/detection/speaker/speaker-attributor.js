@@ -0,0 +1,598 @@
+/**
+ * speaker-attributor.js
+ *
+ * Links speech bubbles to the character speaking them
+ *
+ * Features:
+ * - Tail tip and direction from the bubble outline
+ * - Figure regions from edge density outside the bubbles (or a detector hook)
+ * - The figure the tail points at wins; nearest figure in the panel without a tail
+ * - Per-series speaker registry matched on the figure's head
+ *
+ * Speaker ids stay stable across chapters of a series; names are given by
+ * the user once and kept with the registry.
+ */
+
+import { STORAGE_KEYS } from '../../../core/shared/constants.js';
+
+/**
+ * Configuration for speaker attribution
+ */
+const SPEAKER_CONFIG = {
+  TAIL_RADIUS_RATIO: 1.4,      // Outline point this far beyond the median radius is a tail tip
+  MIN_TAIL_ALIGNMENT: 0.3,     // Cosine between tail direction and figure to count as aimed at it
+  PROXIMITY_WEIGHT: 0.4,       // Share of the score from distance when there is a tail
+  NO_TAIL_PENALTY: 0.6,        // Proximity-only guesses never beat a tail match
+  OTHER_PANEL_PENALTY: 0.5,    // Figures outside the bubble's panel
+  MAX_FIGURE_DISTANCE: 0.5,    // Ratio of page diagonal
+  MIN_SCORE: 0.25,
+
+  GRID_CELLS: 32,              // Edge-density grid cells along the longer page side
+  SAMPLE_STEP: 2,              // Pixel stride when measuring edges
+  EDGE_THRESHOLD: 40,          // Luminance gradient counted as an edge
+  MIN_CELL_DENSITY: 0.12,      // Share of edge samples for a cell to be artwork
+  MIN_FIGURE_CELLS: 6,
+  MAX_FIGURES: 12,             // Per page, largest kept
+
+  DESCRIPTOR_SIZE: 8,          // Head thumbnail side
+  HISTOGRAM_BINS: 16,
+  MATCH_THRESHOLD: 0.82,       // Cosine similarity to reuse a known speaker
+  DUPLICATE_THRESHOLD: 0.97,   // Sightings this close to a stored one are not kept
+  MAX_DESCRIPTORS: 8,          // Kept per speaker (oldest dropped)
+  MAX_SPEAKERS_PER_SERIES: 200
+};
+
+/**
+ * Bubble classes nobody speaks (content detector classes and CV bubble types)
+ */
+const SILENT_TYPES = new Set(['narration_box', 'sfx_bubble', 'panel', 'narration', 'sfx']);
+
+/**
+ * Box of an item: detections carry x/y/width/height, CV results a bbox
+ */
+const defaultGetBox = item => item.bbox || item.boundingBox || item;
+
+/**
+ * Tail tip of a bubble outline
+ *
+ * Radii are measured after scaling both axes by their spread, so an
+ * elongated bubble body reads as a circle and only a spike stands out.
+ *
+ * @param {Array<{x: number, y: number}|number[]>} outline - Contour or edge pixels, tail included
+ * @returns {{tip: {x: number, y: number}, direction: {x: number, y: number}, length: number}|null}
+ */
+export function locateTail(outline) {
+  if (!outline || outline.length < 8) return null;
+
+  const points = outline.map(p => (Array.isArray(p) ? { x: p[0], y: p[1] } : p));
+  const cx = points.reduce((sum, p) => sum + p.x, 0) / points.length;
+  const cy = points.reduce((sum, p) => sum + p.y, 0) / points.length;
+  const median = values => [...values].sort((a, b) => a - b)[Math.floor(values.length / 2)];
+
+  const sx = median(points.map(p => Math.abs(p.x - cx))) || 1;
+  const sy = median(points.map(p => Math.abs(p.y - cy))) || 1;
+  const radii = points.map(p => Math.hypot((p.x - cx) / sx, (p.y - cy) / sy));
+  const typical = median(radii);
+
+  let tipIndex = 0;
+  radii.forEach((r, i) => {
+    if (r > radii[tipIndex]) tipIndex = i;
+  });
+  if (!(typical > 0) || radii[tipIndex] < typical * SPEAKER_CONFIG.TAIL_RADIUS_RATIO) return null;
+
+  const tip = points[tipIndex];
+  const distance = Math.hypot(tip.x - cx, tip.y - cy);
+  return {
+    tip: { x: tip.x, y: tip.y },
+    direction: { x: (tip.x - cx) / distance, y: (tip.y - cy) / distance },
+    length: distance * (1 - typical / radii[tipIndex])
+  };
+}
+
+/**
+ * Main SpeakerAttributor class
+ */
+export class SpeakerAttributor {
+  /**
+   * @param {Object} options - Overrides for SPEAKER_CONFIG
+   * @param {Function} options.figureDetector - Optional async (imageData) => [{ x, y, width, height, kind }]
+   *   from a face/figure model; kind 'face' boxes are used as the head directly
+   */
+  constructor(options = {}) {
+    const { figureDetector = null, ...overrides } = options;
+    this.config = { ...SPEAKER_CONFIG, ...overrides };
+    this.figureDetector = figureDetector;
+  }
+
+  /**
+   * Assign a speaker to each speech and thought bubble on one page
+   * @param {ImageData} imageData - Page the boxes refer to
+   * @param {Array} bubbles - Detections (with tail, or an outline to find one in)
+   * @param {Object} options
+   * @param {Array} options.panels - Panel boxes; speakers are looked for in the bubble's panel first
+   * @param {SpeakerRegistry} options.registry - Known speakers of the series, updated in place
+   * @param {Function} options.getBox - Box accessor for bubbles and panels
+   * @returns {Promise<Array<{bubble, figure, speakerId, confidence, method, descriptor}>>}
+   */
+  async attribute(imageData, bubbles, options = {}) {
+    const { panels = [], registry = null, getBox = defaultGetBox } = options;
+
+    const speaking = bubbles.filter(b => !SILENT_TYPES.has(b.class) && !SILENT_TYPES.has(b.characteristics?.type));
+    if (speaking.length === 0) return [];
+
+    const panelBoxes = panels.map(getBox);
+    const figures = await this.findFigures(imageData, bubbles.map(getBox), panelBoxes);
+    if (figures.length === 0) return [];
+
+    const diagonal = Math.hypot(imageData.width, imageData.height);
+    const described = new Map(); // figure -> { descriptor, speaker }
+    const results = [];
+
+    for (const bubble of speaking) {
+      const box = getBox(bubble);
+      const tail = bubble.tail || bubble.characteristics?.tail || locateTail(bubble.contour);
+      const pick = this.pickFigure(box, tail, figures, { panels: panelBoxes, diagonal });
+      if (!pick) continue;
+
+      // Figures are described and matched once, however many bubbles point at them
+      if (!described.has(pick.figure)) {
+        const descriptor = this.describe(imageData, headBox(pick.figure));
+        described.set(pick.figure, { descriptor, speaker: registry?.identify(descriptor) || null });
+      }
+      const { descriptor, speaker } = described.get(pick.figure);
+
+      results.push({
+        bubble,
+        figure: pick.figure,
+        speakerId: speaker?.id || null,
+        confidence: pick.score,
+        method: pick.method,
+        descriptor
+      });
+    }
+
+    return results;
+  }
+
+  /**
+   * Figure most likely to be speaking a bubble
+   * @param {Object} box - Bubble box
+   * @param {Object|null} tail - locateTail() result
+   * @param {Array} figures - findFigures() result
+   * @param {Object} options - { panels, diagonal }
+   * @returns {{figure: Object, score: number, method: string}|null}
+   */
+  pickFigure(box, tail, figures, { panels = [], diagonal }) {
+    const bubblePanel = containingPanel(box, panels);
+    const origin = tail?.tip || center(box);
+    const reach = diagonal * this.config.MAX_FIGURE_DISTANCE;
+    let best = null;
+
+    for (const figure of figures) {
+      const nearest = {
+        x: Math.max(figure.x, Math.min(origin.x, figure.x + figure.width)),
+        y: Math.max(figure.y, Math.min(origin.y, figure.y + figure.height))
+      };
+      const proximity = Math.max(0, 1 - Math.hypot(nearest.x - origin.x, nearest.y - origin.y) / reach);
+      if (proximity === 0) continue;
+
+      let score;
+      if (tail) {
+        const target = center(figure);
+        const length = Math.hypot(target.x - origin.x, target.y - origin.y);
+        // A tail ending on the figure points at it whatever its direction
+        const alignment = length > 0 && proximity < 1
+          ? (tail.direction.x * (target.x - origin.x) + tail.direction.y * (target.y - origin.y)) / length
+          : 1;
+        if (alignment < this.config.MIN_TAIL_ALIGNMENT) continue;
+        score = alignment * (1 - this.config.PROXIMITY_WEIGHT) + proximity * this.config.PROXIMITY_WEIGHT;
+      } else {
+        score = proximity * this.config.NO_TAIL_PENALTY;
+      }
+
+      if (bubblePanel !== -1 && figure.panel !== bubblePanel) {
+        score *= this.config.OTHER_PANEL_PENALTY;
+      }
+
+      if (score >= this.config.MIN_SCORE && score > (best?.score ?? 0)) {
+        best = { figure, score, method: tail ? 'tail' : 'proximity' };
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Face/figure regions on a page
+   *
+   * Uses the figure detector hook when one is set and finds something;
+   * otherwise cells of dense linework outside the bubbles are grouped per
+   * panel. Thin panel borders and screentone stay below the density cut.
+   *
+   * @param {ImageData} imageData
+   * @param {Array} bubbleBoxes - Masked out, lettering is dense too
+   * @param {Array} panelBoxes
+   * @returns {Promise<Array<{x, y, width, height, panel, kind}>>}
+   */
+  async findFigures(imageData, bubbleBoxes = [], panelBoxes = []) {
+    if (this.figureDetector) {
+      try {
+        const detected = await this.figureDetector(imageData);
+        if (detected?.length) {
+          return detected.map(f => ({ ...f, kind: f.kind || 'figure', panel: containingPanel(f, panelBoxes) }));
+        }
+      } catch (error) {
+        console.warn('[SpeakerAttributor] Figure detector failed, using edge density:', error);
+      }
+    }
+
+    const { width, height } = imageData;
+    const cell = Math.max(4, Math.ceil(Math.max(width, height) / this.config.GRID_CELLS));
+    const cols = Math.ceil(width / cell);
+    const rows = Math.ceil(height / cell);
+    const density = this._edgeDensity(imageData, cell, cols, rows);
+
+    // Each artwork cell is tagged with its panel so figures never span a gutter
+    const owner = new Int32Array(cols * rows).fill(-2);
+    for (let row = 0; row < rows; row++) {
+      for (let col = 0; col < cols; col++) {
+        const point = { x: (col + 0.5) * cell, y: (row + 0.5) * cell };
+        const index = row * cols + col;
+        if (density[index] < this.config.MIN_CELL_DENSITY) continue;
+        if (bubbleBoxes.some(box => containsPoint(box, point))) continue;
+        owner[index] = panelIndexAt(point, panelBoxes);
+      }
+    }
+
+    const figures = [];
+    const seen = new Uint8Array(cols * rows);
+    for (let start = 0; start < owner.length; start++) {
+      if (owner[start] === -2 || seen[start]) continue;
+
+      const stack = [start];
+      seen[start] = 1;
+      let minCol = cols, maxCol = 0, minRow = rows, maxRow = 0, count = 0;
+
+      while (stack.length) {
+        const index = stack.pop();
+        const col = index % cols;
+        const row = (index - col) / cols;
+        count++;
+        minCol = Math.min(minCol, col);
+        maxCol = Math.max(maxCol, col);
+        minRow = Math.min(minRow, row);
+        maxRow = Math.max(maxRow, row);
+
+        const neighbors = [
+          col > 0 ? index - 1 : -1,
+          col < cols - 1 ? index + 1 : -1,
+          row > 0 ? index - cols : -1,
+          row < rows - 1 ? index + cols : -1
+        ];
+        for (const next of neighbors) {
+          if (next < 0 || seen[next] || owner[next] !== owner[start]) continue;
+          seen[next] = 1;
+          stack.push(next);
+        }
+      }
+
+      if (count < this.config.MIN_FIGURE_CELLS) continue;
+      figures.push({
+        x: minCol * cell,
+        y: minRow * cell,
+        width: Math.min(width, (maxCol + 1) * cell) - minCol * cell,
+        height: Math.min(height, (maxRow + 1) * cell) - minRow * cell,
+        panel: owner[start],
+        kind: 'figure',
+        cells: count
+      });
+    }
+
+    return figures
+      .sort((a, b) => b.cells - a.cells)
+      .slice(0, this.config.MAX_FIGURES);
+  }
+
+  /**
+   * Appearance descriptor of a head region: a mean-removed luminance
+   * thumbnail plus a luminance histogram, L2-normalized for cosine matching
+   * @param {ImageData} imageData
+   * @param {Object} box
+   * @returns {number[]}
+   */
+  describe(imageData, box) {
+    const size = this.config.DESCRIPTOR_SIZE;
+    const bins = this.config.HISTOGRAM_BINS;
+    const thumbnail = new Array(size * size).fill(0);
+    const counts = new Array(size * size).fill(0);
+    const histogram = new Array(bins).fill(0);
+
+    const x0 = Math.max(0, Math.floor(box.x));
+    const y0 = Math.max(0, Math.floor(box.y));
+    const x1 = Math.min(imageData.width, Math.ceil(box.x + box.width));
+    const y1 = Math.min(imageData.height, Math.ceil(box.y + box.height));
+    const step = Math.max(1, Math.floor(Math.min(x1 - x0, y1 - y0) / (size * 4)));
+
+    for (let y = y0; y < y1; y += step) {
+      for (let x = x0; x < x1; x += step) {
+        const value = luminance(imageData, x, y);
+        const tx = Math.min(size - 1, Math.floor(((x - x0) / (x1 - x0)) * size));
+        const ty = Math.min(size - 1, Math.floor(((y - y0) / (y1 - y0)) * size));
+        thumbnail[ty * size + tx] += value;
+        counts[ty * size + tx]++;
+        histogram[Math.min(bins - 1, Math.floor((value / 256) * bins))]++;
+      }
+    }
+
+    const cells = thumbnail.map((sum, i) => (counts[i] ? sum / counts[i] : 0));
+    const mean = cells.reduce((sum, v) => sum + v, 0) / cells.length;
+    const shape = unit(cells.map(v => v - mean));
+    const tones = unit(histogram);
+
+    return unit([...shape, ...tones]).map(v => Math.round(v * 1000) / 1000);
+  }
+
+  /**
+   * Share of sampled pixels per grid cell with a strong luminance gradient
+   * @private
+   */
+  _edgeDensity(imageData, cell, cols, rows) {
+    const { width, height } = imageData;
+    const step = this.config.SAMPLE_STEP;
+    const edges = new Float32Array(cols * rows);
+    const samples = new Float32Array(cols * rows);
+
+    for (let y = 1; y < height - 1; y += step) {
+      for (let x = 1; x < width - 1; x += step) {
+        const gx = luminance(imageData, x + 1, y) - luminance(imageData, x - 1, y);
+        const gy = luminance(imageData, x, y + 1) - luminance(imageData, x, y - 1);
+        const index = Math.floor(y / cell) * cols + Math.floor(x / cell);
+        samples[index]++;
+        if (Math.abs(gx) + Math.abs(gy) > this.config.EDGE_THRESHOLD) edges[index]++;
+      }
+    }
+
+    return edges.map((count, i) => (samples[i] ? count / samples[i] : 0));
+  }
+}
+
+/**
+ * Known speakers of one series
+ *
+ * Each speaker keeps a few head descriptors from different pages; a new
+ * sighting is matched against all of them.
+ */
+export class SpeakerRegistry {
+  /**
+   * @param {Object} record - Stored { speakers, nextId }
+   * @param {Object} options - Overrides for SPEAKER_CONFIG
+   */
+  constructor(record = {}, options = {}) {
+    this.config = { ...SPEAKER_CONFIG, ...options };
+    this.speakers = (record.speakers || []).map(s => ({ ...s, descriptors: [...(s.descriptors || [])] }));
+    this.nextId = record.nextId || this.speakers.length + 1;
+  }
+
+  get(id) {
+    return this.speakers.find(s => s.id === id) || null;
+  }
+
+  /**
+   * Closest known speaker to a descriptor
+   * @returns {{speaker: Object|null, similarity: number}}
+   */
+  match(descriptor) {
+    let best = { speaker: null, similarity: -1 };
+    for (const speaker of this.speakers) {
+      for (const stored of speaker.descriptors) {
+        const similarity = cosine(descriptor, stored);
+        if (similarity > best.similarity) best = { speaker, similarity };
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Known speaker for a descriptor, or a new one when nobody is close enough
+   * @param {number[]} descriptor
+   * @returns {Object} Speaker { id, name, descriptors, sightings }
+   */
+  identify(descriptor) {
+    const { speaker, similarity } = this.match(descriptor);
+    if (speaker && similarity >= this.config.MATCH_THRESHOLD) {
+      return this.addSighting(speaker.id, descriptor);
+    }
+    return this.addSighting(`spk_${this.nextId}`, descriptor);
+  }
+
+  /**
+   * Add a descriptor to a speaker, creating it under that id if unknown
+   */
+  addSighting(id, descriptor) {
+    let speaker = this.get(id);
+    if (!speaker) {
+      speaker = { id, name: null, descriptors: [], sightings: 0 };
+      this.speakers.push(speaker);
+      this._prune();
+    }
+
+    const number = Number(String(id).replace(/^spk_/, ''));
+    if (Number.isFinite(number)) {
+      this.nextId = Math.max(this.nextId, number + 1);
+    }
+
+    speaker.sightings++;
+    speaker.updatedAt = Date.now();
+    if (descriptor?.length && !speaker.descriptors.some(d => cosine(d, descriptor) >= this.config.DUPLICATE_THRESHOLD)) {
+      speaker.descriptors.push(descriptor);
+      if (speaker.descriptors.length > this.config.MAX_DESCRIPTORS) {
+        speaker.descriptors.shift();
+      }
+    }
+
+    return speaker;
+  }
+
+  /**
+   * Name a speaker; an empty name clears it
+   */
+  rename(id, name) {
+    const speaker = this.get(id);
+    if (!speaker) {
+      throw new Error(`Unknown speaker: ${id}`);
+    }
+    speaker.name = String(name || '').trim() || null;
+    speaker.updatedAt = Date.now();
+    return speaker;
+  }
+
+  toJSON() {
+    return { speakers: this.speakers, nextId: this.nextId };
+  }
+
+  /**
+   * Over the limit, forget the least seen unnamed speaker
+   * @private
+   */
+  _prune() {
+    if (this.speakers.length <= this.config.MAX_SPEAKERS_PER_SERIES) return;
+
+    const unnamed = this.speakers
+      .filter(s => !s.name)
+      .sort((a, b) => a.sightings - b.sightings || (a.updatedAt || 0) - (b.updatedAt || 0));
+    if (unnamed.length) {
+      this.speakers.splice(this.speakers.indexOf(unnamed[0]), 1);
+    }
+  }
+}
+
+/**
+ * Series are matched case- and whitespace-insensitively
+ */
+function seriesKey(series) {
+  return String(series || '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+/**
+ * Speaker registries per series in chrome.storage.local:
+ * { [series]: { speakers: [{ id, name, descriptors, sightings, updatedAt }], nextId } }
+ */
+export class SpeakerStore {
+  constructor(options = {}) {
+    this.storage = options.storage || chrome.storage.local;
+    this.series = {};
+    this.loaded = false;
+  }
+
+  /**
+   * Load all series from storage
+   */
+  async load() {
+    if (this.loaded) return;
+    const stored = await this.storage.get(STORAGE_KEYS.SPEAKERS);
+    this.series = stored[STORAGE_KEYS.SPEAKERS] || {};
+    this.loaded = true;
+  }
+
+  async persist() {
+    await this.storage.set({ [STORAGE_KEYS.SPEAKERS]: this.series });
+  }
+
+  /**
+   * Registry of a series
+   * @param {string} series
+   * @returns {Promise<SpeakerRegistry>}
+   */
+  async get(series) {
+    await this.load();
+    return new SpeakerRegistry(this.series[seriesKey(series)]);
+  }
+
+  /**
+   * Merge speakers seen on a page into the series registry
+   * @param {string} series
+   * @param {Array<{id: string, descriptor: number[]}>} sightings
+   * @returns {Promise<SpeakerRegistry>}
+   */
+  async recordSightings(series, sightings = []) {
+    const key = seriesKey(series);
+    if (!key) {
+      throw new Error('Series is required to record speakers');
+    }
+
+    const registry = await this.get(series);
+    sightings.forEach(({ id, descriptor }) => registry.addSighting(id, descriptor));
+
+    this.series[key] = registry.toJSON();
+    await this.persist();
+    return registry;
+  }
+
+  /**
+   * Name a speaker for the whole series
+   * @returns {Promise<Object>} The renamed speaker
+   */
+  async rename(series, id, name) {
+    const key = seriesKey(series);
+    const registry = await this.get(series);
+    const speaker = registry.rename(id, name);
+
+    this.series[key] = registry.toJSON();
+    await this.persist();
+    return speaker;
+  }
+
+  /**
+   * Forget every speaker of a series
+   */
+  async reset(series) {
+    await this.load();
+    delete this.series[seriesKey(series)];
+    await this.persist();
+  }
+}
+
+/**
+ * Upper square of a figure, where the face usually is
+ */
+function headBox(figure) {
+  if (figure.kind === 'face') return figure;
+  const side = Math.min(figure.width, figure.height);
+  return { x: figure.x + (figure.width - side) / 2, y: figure.y, width: side, height: side };
+}
+
+function center(box) {
+  return { x: box.x + box.width / 2, y: box.y + box.height / 2 };
+}
+
+function containsPoint(box, point) {
+  return point.x >= box.x && point.x <= box.x + box.width &&
+         point.y >= box.y && point.y <= box.y + box.height;
+}
+
+function panelIndexAt(point, panelBoxes) {
+  return panelBoxes.findIndex(panel => containsPoint(panel, point));
+}
+
+function containingPanel(box, panelBoxes) {
+  return panelBoxes.length ? panelIndexAt(center(box), panelBoxes) : -1;
+}
+
+function luminance(imageData, x, y) {
+  const i = (y * imageData.width + x) * 4;
+  const d = imageData.data;
+  return 0.299 * d[i] + 0.587 * d[i + 1] + 0.114 * d[i + 2];
+}
+
+function unit(vector) {
+  const norm = Math.hypot(...vector);
+  return norm > 0 ? vector.map(v => v / norm) : vector;
+}
+
+function cosine(a, b) {
+  let dot = 0;
+  for (let i = 0; i < Math.min(a.length, b.length); i++) dot += a[i] * b[i];
+  return dot;
+}
+
+export default SpeakerAttributor;
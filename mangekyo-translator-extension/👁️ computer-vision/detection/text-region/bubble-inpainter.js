@@ -0,0 +1,360 @@
+/**
+ * bubble-inpainter.js
+ *
+ * Erases source lettering from speech bubbles so translations can be drawn
+ * directly on the page ("clean" render mode)
+ *
+ * Features:
+ * - Text mask from TextROIExtractor.extractWithMask, dilated to cover anti-aliasing
+ * - Background analysis around the glyphs (flat vs textured)
+ * - Flat fill with the median background color for plain bubbles
+ * - Patch-based fill (onion-peel, best-matching neighbourhood) for screentone/textured bubbles
+ * - Mask confidence score so callers can fall back to box overlays
+ */
+
+import { TextROIExtractor } from './text-roi-extractor.js';
+
+/**
+ * Configuration for inpainting
+ */
+const CONFIG = {
+  // Mask
+  MASK_DILATION: 2,           // Pixels added around every glyph pixel
+  MIN_MASK_COVERAGE: 0.02,    // Text pixels / region area
+  MAX_MASK_COVERAGE: 0.45,    // Above this the mask is probably artwork or screentone
+
+  // Background classification
+  FLAT_MAX_STDDEV: 12,        // Luminance std-dev of a plain white/flat bubble
+
+  // Patch-based fill
+  PATCH_RADIUS: 2,            // 5x5 neighbourhood
+  SEARCH_RADIUS: 16,
+  CANDIDATES_PER_PIXEL: 24,
+  MAX_PATCH_PIXELS: 40000,    // Larger masks fall back to flat fill
+
+  // Fallback
+  MIN_CONFIDENCE: 0.6
+};
+
+/**
+ * Fill methods
+ */
+const FILL_METHOD = {
+  FLAT: 'flat',
+  PATCH: 'patch'
+};
+
+/**
+ * Main BubbleInpainter class
+ */
+export class BubbleInpainter {
+  constructor(options = {}) {
+    const { roiExtractor, ...config } = options;
+    this.config = { ...CONFIG, ...config };
+    this.roiExtractor = roiExtractor || new TextROIExtractor();
+  }
+
+  /**
+   * Erase the text inside one region of a canvas, in place
+   * @param {HTMLCanvasElement} canvas - Full-resolution page canvas
+   * @param {TextROI} roi - Region with bbox in canvas pixels (confidence optional)
+   * @returns {{ cleaned: boolean, method: string|null, confidence: number, background: Array<number>|null }} background is [r, g, b]
+   */
+  inpaintRegion(canvas, roi) {
+    const bbox = this._clampBBox(roi.bbox, canvas);
+    if (bbox.width < 4 || bbox.height < 4) {
+      return { cleaned: false, method: null, confidence: 0, background: null };
+    }
+
+    const extracted = this.roiExtractor.extractWithMask({ ...roi, bbox }, canvas);
+    const { width, height } = extracted;
+    const ctx = extracted.image.getContext('2d');
+    const imageData = ctx.getImageData(0, 0, width, height);
+
+    const background = this._analyzeBackground(imageData.data, extracted.mask);
+    const confidence = this._maskConfidence(extracted.mask, width, height, background, roi);
+
+    if (confidence < this.config.MIN_CONFIDENCE) {
+      return { cleaned: false, method: null, confidence, background: null };
+    }
+
+    const mask = this._dilate(extracted.mask, width, height, this.config.MASK_DILATION);
+    const maskedCount = mask.reduce((sum, v) => sum + (v ? 1 : 0), 0);
+
+    const method = background.stdDev <= this.config.FLAT_MAX_STDDEV || maskedCount > this.config.MAX_PATCH_PIXELS
+      ? FILL_METHOD.FLAT
+      : FILL_METHOD.PATCH;
+
+    if (method === FILL_METHOD.FLAT) {
+      this._flatFill(imageData.data, mask, background.color);
+    } else {
+      this._patchFill(imageData.data, mask, width, height);
+    }
+
+    canvas.getContext('2d').putImageData(imageData, bbox.x, bbox.y);
+
+    return { cleaned: true, method, confidence, background: background.color };
+  }
+
+  /**
+   * Keep the region inside the canvas with integer coordinates
+   * @private
+   */
+  _clampBBox(bbox, canvas) {
+    const x = Math.max(0, Math.floor(bbox.x));
+    const y = Math.max(0, Math.floor(bbox.y));
+    return {
+      x,
+      y,
+      width: Math.max(0, Math.min(canvas.width, Math.ceil(bbox.x + bbox.width)) - x),
+      height: Math.max(0, Math.min(canvas.height, Math.ceil(bbox.y + bbox.height)) - y)
+    };
+  }
+
+  /**
+   * Median color and luminance spread of the non-text pixels
+   * @private
+   */
+  _analyzeBackground(data, mask) {
+    const reds = [];
+    const greens = [];
+    const blues = [];
+    let sum = 0;
+    let sumSq = 0;
+
+    for (let i = 0; i < mask.length; i++) {
+      if (mask[i]) continue;
+      const r = data[i * 4];
+      const g = data[i * 4 + 1];
+      const b = data[i * 4 + 2];
+      const lum = 0.299 * r + 0.587 * g + 0.114 * b;
+
+      reds.push(r);
+      greens.push(g);
+      blues.push(b);
+      sum += lum;
+      sumSq += lum * lum;
+    }
+
+    const count = reds.length;
+    if (count === 0) {
+      return { color: [255, 255, 255], stdDev: Infinity, count };
+    }
+
+    const median = values => values.sort((a, b) => a - b)[Math.floor(values.length / 2)];
+    const mean = sum / count;
+
+    return {
+      color: [median(reds), median(greens), median(blues)],
+      stdDev: Math.sqrt(Math.max(0, sumSq / count - mean * mean)),
+      count
+    };
+  }
+
+  /**
+   * How far the mask can be trusted to contain only lettering
+   * @private
+   */
+  _maskConfidence(mask, width, height, background, roi) {
+    let masked = 0;
+    let edgeMasked = 0;
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        if (!mask[y * width + x]) continue;
+        masked++;
+        if (x === 0 || y === 0 || x === width - 1 || y === height - 1) edgeMasked++;
+      }
+    }
+
+    const coverage = masked / (width * height);
+    if (coverage < this.config.MIN_MASK_COVERAGE || coverage > this.config.MAX_MASK_COVERAGE) {
+      return 0;
+    }
+
+    // Glyphs running into the region border usually mean the bbox cut through artwork
+    const perimeter = 2 * (width + height) - 4;
+    const edgeScore = 1 - Math.min(1, (edgeMasked / perimeter) * 4);
+
+    // Very noisy backgrounds make the gray<128 threshold pick up tone dots
+    const backgroundScore = background.stdDev > 60 ? 0.5 : 1;
+
+    const detection = typeof roi.confidence === 'number' ? roi.confidence : 1;
+
+    return detection * edgeScore * backgroundScore;
+  }
+
+  /**
+   * Grow the mask by radius pixels (square structuring element)
+   * @private
+   */
+  _dilate(mask, width, height, radius) {
+    if (radius <= 0) return mask;
+
+    // Separable: horizontal then vertical pass
+    const horizontal = new Uint8Array(mask.length);
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        for (let dx = -radius; dx <= radius; dx++) {
+          const nx = x + dx;
+          if (nx >= 0 && nx < width && mask[y * width + nx]) {
+            horizontal[y * width + x] = 255;
+            break;
+          }
+        }
+      }
+    }
+
+    const result = new Uint8Array(mask.length);
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        for (let dy = -radius; dy <= radius; dy++) {
+          const ny = y + dy;
+          if (ny >= 0 && ny < height && horizontal[ny * width + x]) {
+            result[y * width + x] = 255;
+            break;
+          }
+        }
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Paint masked pixels with a single color
+   * @private
+   */
+  _flatFill(data, mask, color) {
+    for (let i = 0; i < mask.length; i++) {
+      if (!mask[i]) continue;
+      data[i * 4] = color[0];
+      data[i * 4 + 1] = color[1];
+      data[i * 4 + 2] = color[2];
+      data[i * 4 + 3] = 255;
+    }
+  }
+
+  /**
+   * Fill masked pixels from the outside in, copying the known pixel whose
+   * neighbourhood best matches the already-known neighbourhood of the target
+   * @private
+   */
+  _patchFill(data, mask, width, height) {
+    const { PATCH_RADIUS, SEARCH_RADIUS, CANDIDATES_PER_PIXEL } = this.config;
+    const known = new Uint8Array(mask.length);
+    for (let i = 0; i < mask.length; i++) known[i] = mask[i] ? 0 : 1;
+
+    // Deterministic sampling so re-renders give the same result
+    let seed = 0x9E3779B9;
+    const random = () => {
+      seed = (seed * 1664525 + 1013904223) >>> 0;
+      return seed / 0x100000000;
+    };
+
+    const isSource = (x, y) => x >= 0 && y >= 0 && x < width && y < height && !mask[y * width + x];
+
+    let front = this._fillFront(known, width, height);
+
+    while (front.length > 0) {
+      for (const index of front) {
+        const tx = index % width;
+        const ty = (index - tx) / width;
+        let bestIndex = -1;
+        let bestScore = Infinity;
+
+        for (let c = 0; c < CANDIDATES_PER_PIXEL; c++) {
+          const sx = tx + Math.round((random() * 2 - 1) * SEARCH_RADIUS);
+          const sy = ty + Math.round((random() * 2 - 1) * SEARCH_RADIUS);
+          if (!isSource(sx, sy)) continue;
+
+          const score = this._patchDistance(data, known, width, height, tx, ty, sx, sy, PATCH_RADIUS);
+          if (score < bestScore) {
+            bestScore = score;
+            bestIndex = sy * width + sx;
+          }
+        }
+
+        if (bestIndex < 0) {
+          bestIndex = this._knownNeighbour(known, width, height, tx, ty);
+          if (bestIndex < 0) continue;
+        }
+
+        data[index * 4] = data[bestIndex * 4];
+        data[index * 4 + 1] = data[bestIndex * 4 + 1];
+        data[index * 4 + 2] = data[bestIndex * 4 + 2];
+        data[index * 4 + 3] = 255;
+      }
+
+      front.forEach(index => { known[index] = 1; });
+      front = this._fillFront(known, width, height);
+    }
+  }
+
+  /**
+   * Unknown pixels with at least one known 4-neighbour
+   * @private
+   */
+  _fillFront(known, width, height) {
+    const front = [];
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const i = y * width + x;
+        if (known[i]) continue;
+        if ((x > 0 && known[i - 1]) || (x < width - 1 && known[i + 1]) ||
+            (y > 0 && known[i - width]) || (y < height - 1 && known[i + width])) {
+          front.push(i);
+        }
+      }
+    }
+    return front;
+  }
+
+  /**
+   * Mean squared RGB difference over the target's known neighbours
+   * @private
+   */
+  _patchDistance(data, known, width, height, tx, ty, sx, sy, radius) {
+    let total = 0;
+    let count = 0;
+
+    for (let dy = -radius; dy <= radius; dy++) {
+      for (let dx = -radius; dx <= radius; dx++) {
+        const ax = tx + dx, ay = ty + dy;
+        const bx = sx + dx, by = sy + dy;
+        if (ax < 0 || ay < 0 || ax >= width || ay >= height) continue;
+        if (bx < 0 || by < 0 || bx >= width || by >= height) continue;
+
+        const a = ay * width + ax;
+        if (!known[a]) continue;
+
+        const b = (by * width + bx) * 4;
+        const dr = data[a * 4] - data[b];
+        const dg = data[a * 4 + 1] - data[b + 1];
+        const db = data[a * 4 + 2] - data[b + 2];
+        total += dr * dr + dg * dg + db * db;
+        count++;
+      }
+    }
+
+    return count > 0 ? total / count : Infinity;
+  }
+
+  /**
+   * Index of any known 8-neighbour (used when no candidate patch was valid)
+   * @private
+   */
+  _knownNeighbour(known, width, height, x, y) {
+    for (let dy = -1; dy <= 1; dy++) {
+      for (let dx = -1; dx <= 1; dx++) {
+        const nx = x + dx, ny = y + dy;
+        if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+        if (known[ny * width + nx]) return ny * width + nx;
+      }
+    }
+    return -1;
+  }
+}
+
+export { CONFIG as INPAINT_CONFIG, FILL_METHOD };
+export default BubbleInpainter;
@@ -109,14 +109,15 @@ export class TextROIExtractor {
     const startTime = performance.now();
     
     try {
-      // 1. Preprocess image
-      const { canvas, scale, originalSize } = this._preprocess(source);
+      // 1. Preprocess image (grayscale pixels for the next steps)
+      const preprocessed = this._preprocess(source);
+      const { scale, originalSize } = preprocessed;
       
       // 2. Detect text orientation
-      const orientation = await this._detectOrientation(canvas);
+      const orientation = await this._detectOrientation(preprocessed);
       
       // 3. Apply orientation-specific preprocessing
-      const processed = this._applyOrientationPreprocessing(canvas, orientation);
+      const processed = this._applyOrientationPreprocessing(preprocessed, orientation);
       
       // 4. Extract text blobs using CCA
       const blobs = this._extractTextBlobs(processed, scale);
@@ -767,13 +768,17 @@ export class TextROIExtractor {
       const scaleX = originalSize.width / this.tempCanvas.width;
       const scaleY = originalSize.height / this.tempCanvas.height;
       
+      const scaleBox = bbox => ({
+        x: Math.round(bbox.x * scaleX),
+        y: Math.round(bbox.y * scaleY),
+        width: Math.round(bbox.width * scaleX),
+        height: Math.round(bbox.height * scaleY)
+      });
+      
       for (const roi of rois) {
-        roi.bbox = {
-          x: Math.round(roi.bbox.x * scaleX),
-          y: Math.round(roi.bbox.y * scaleY),
-          width: Math.round(roi.bbox.width * scaleX),
-          height: Math.round(roi.bbox.height * scaleY)
-        };
+        roi.bbox = scaleBox(roi.bbox);
+        // Furigana boxes are cropped for OCR later, so they need source pixels too
+        roi.furigana = roi.furigana.map(f => ({ ...f, bbox: scaleBox(f.bbox) }));
       }
     }
     
@@ -835,6 +840,97 @@ export class TextROIExtractor {
     };
   }
 
+  /**
+   * Summarize the lettering layout of one bubble for typesetting
+   * @param {TextROI[]} rois - Output of extract() for a single bubble
+   * @returns {Object|null} - { orientation, lineCount, charSize, linePitch, maxCharsPerLine }
+   */
+  summarizeLayout(rois) {
+    const lines = rois.filter(roi => roi.type === LINE_TYPE.MAIN && roi.avgCharSize);
+    if (lines.length === 0) return null;
+    
+    const verticalCount = lines.filter(l => l.orientation === TEXT_ORIENTATION.VERTICAL).length;
+    const isVertical = verticalCount >= lines.length / 2;
+    const median = values => [...values].sort((a, b) => a - b)[Math.floor(values.length / 2)];
+    
+    // Glyph size across the line is the most stable measure (column width for vertical text)
+    const charSize = median(lines.map(l => isVertical ? l.avgCharSize.width : l.avgCharSize.height));
+    
+    // Distance between neighbouring line centres
+    const centres = lines
+      .map(l => isVertical ? l.bbox.x + l.bbox.width / 2 : l.bbox.y + l.bbox.height / 2)
+      .sort((a, b) => a - b);
+    const gaps = centres.slice(1).map((c, i) => c - centres[i]).filter(gap => gap > charSize * 0.5);
+    
+    return {
+      orientation: isVertical ? TEXT_ORIENTATION.VERTICAL : TEXT_ORIENTATION.HORIZONTAL,
+      lineCount: lines.length,
+      charSize,
+      linePitch: gaps.length > 0 ? median(gaps) : charSize * 1.3,
+      maxCharsPerLine: Math.max(...lines.map(l => l.charCount || 0))
+    };
+  }
+
+  /**
+   * Group each line's furigana blobs into ruby runs and locate the base
+   * characters they annotate
+   * Ruby glyphs of one word sit close together beside (vertical) or above
+   * (horizontal) the base; a run spans the same stretch of the line as its base.
+   * @param {TextROI[]} rois - Output of extract() for a single bubble
+   * @returns {Array<{bbox, lineIndex, orientation, baseRange: [number, number]}>}
+   *   baseRange: first/last character index in the line (estimated from character pitch)
+   */
+  groupRubyRuns(rois) {
+    const lines = rois
+      .filter(roi => roi.type === LINE_TYPE.MAIN)
+      .sort((a, b) => a.readingOrder - b.readingOrder);
+    const runs = [];
+    
+    lines.forEach((line, lineIndex) => {
+      if (!line.furigana?.length) return;
+      
+      const vertical = line.orientation === TEXT_ORIENTATION.VERTICAL;
+      const start = b => vertical ? b.y : b.x;
+      const length = b => vertical ? b.height : b.width;
+      const rubySize = Math.max(...line.furigana.map(f => vertical ? f.bbox.width : f.bbox.height));
+      
+      let current = null;
+      for (const f of [...line.furigana].sort((a, b) => start(a.bbox) - start(b.bbox))) {
+        if (current && start(f.bbox) - (start(current) + length(current)) < rubySize * 0.6) {
+          current = this.bboxUtils.enclosingBox(current, f.bbox);
+          continue;
+        }
+        if (current) runs.push(this._rubyRun(current, line, lineIndex, vertical));
+        current = { ...f.bbox };
+      }
+      if (current) runs.push(this._rubyRun(current, line, lineIndex, vertical));
+    });
+    
+    return runs;
+  }
+
+  /**
+   * @private
+   */
+  _rubyRun(bbox, line, lineIndex, vertical) {
+    const lineStart = vertical ? line.bbox.y : line.bbox.x;
+    const lineLength = vertical ? line.bbox.height : line.bbox.width;
+    const pitch = lineLength / Math.max(line.charCount || 1, 1);
+    const runStart = (vertical ? bbox.y : bbox.x) - lineStart;
+    const runEnd = runStart + (vertical ? bbox.height : bbox.width);
+    const lastChar = Math.max(0, (line.charCount || 1) - 1);
+    
+    return {
+      bbox,
+      lineIndex,
+      orientation: line.orientation,
+      baseRange: [
+        Math.min(lastChar, Math.max(0, Math.floor(runStart / pitch))),
+        Math.min(lastChar, Math.max(0, Math.ceil(runEnd / pitch) - 1))
+      ]
+    };
+  }
+
   /**
    * Batch extraction for multiple bubbles/panels
    * @param {Array<{image: HTMLCanvasElement, id: string}>} regions 
@@ -0,0 +1,272 @@
+// /computer-vision/ocr/backends/ocr-backend.js
+
+/**
+ * Pluggable OCR backend interface for Mangekyo Reader
+ * Every engine (Tesseract.js, ONNX Runtime Web models, ...) implements OCRBackend
+ * and is picked per source language from the OCR settings.
+ * @module OCRBackend
+ */
+
+// ============================================================================
+// BACKEND REGISTRY
+// ============================================================================
+
+export const OCR_BACKEND_IDS = {
+  TESSERACT: 'tesseract',
+  MANGA_OCR: 'manga-ocr',
+  PADDLE_OCR: 'paddleocr',
+};
+
+export const DEFAULT_OCR_BACKEND = OCR_BACKEND_IDS.TESSERACT;
+
+/**
+ * Static description of each backend. Kept free of engine imports so the
+ * options page can list backends without loading Tesseract or ONNX Runtime.
+ *  - languages: Tesseract language codes the backend can read
+ *  - fullPage:  true if it can find text on a whole page, false if it only reads
+ *               pre-cropped text regions (single bubble / single line)
+ */
+export const OCR_BACKENDS = {
+  [OCR_BACKEND_IDS.TESSERACT]: {
+    name: 'Tesseract.js',
+    description: 'Bundled LSTM engine, all languages, whole pages or regions',
+    languages: ['jpn', 'jpn_vert', 'kor', 'chi_sim', 'chi_tra', 'eng'],
+    fullPage: true,
+    load: async (options) => {
+      const { TesseractBackend } = await import('./tesseract-backend.js');
+      return new TesseractBackend(options);
+    },
+  },
+  [OCR_BACKEND_IDS.MANGA_OCR]: {
+    name: 'manga-ocr (ONNX)',
+    description: 'Transformer trained on manga bubbles, Japanese only, CPU/WASM',
+    languages: ['jpn', 'jpn_vert'],
+    fullPage: false,
+    load: async (options) => {
+      const { MangaOCRBackend } = await import('./onnx-backend.js');
+      return new MangaOCRBackend(options);
+    },
+  },
+  [OCR_BACKEND_IDS.PADDLE_OCR]: {
+    name: 'PaddleOCR (ONNX)',
+    description: 'PP-OCR recognition models with character positions, CPU/WASM',
+    languages: ['jpn', 'jpn_vert', 'kor', 'chi_sim', 'chi_tra', 'eng'],
+    fullPage: false,
+    load: async (options) => {
+      const { PaddleOCRBackend } = await import('./onnx-backend.js');
+      return new PaddleOCRBackend(options);
+    },
+  },
+};
+
+// ============================================================================
+// BACKEND INTERFACE
+// ============================================================================
+
+/**
+ * @typedef {Object} OCRCharBox
+ * @property {string} text - Single character
+ * @property {number} confidence - 0..1
+ * @property {{x0: number, y0: number, x1: number, y1: number}} bbox - Pixels in the region
+ * @property {boolean} [estimated] - Position interpolated rather than reported by the model
+ */
+
+/**
+ * @typedef {Object} OCRBackendResult
+ * @property {string} text - Recognized text
+ * @property {number} confidence - 0..1
+ * @property {OCRCharBox[]} chars - Per-character boxes
+ * @property {Array} lines - [{text, confidence, bbox, words}] (Tesseract-compatible)
+ * @property {boolean} isVertical
+ * @property {string} language - Language code actually used
+ * @property {string} backend - Backend id
+ * @property {number} processingTime - ms
+ */
+
+export class OCRBackend {
+  /**
+   * @param {string} id - One of OCR_BACKEND_IDS
+   * @param {Object} options - Backend specific options
+   */
+  constructor(id, options = {}) {
+    this.id = id;
+    this.options = options;
+    this.isInitialized = false;
+  }
+
+  get info() {
+    return OCR_BACKENDS[this.id];
+  }
+
+  /**
+   * Whether this backend can read the given language
+   * @param {string} language - Tesseract language code
+   */
+  supports(language) {
+    return this.info.languages.includes(language);
+  }
+
+  /**
+   * Load models / spin up workers. Safe to call repeatedly.
+   */
+  async initialize() {
+    this.isInitialized = true;
+  }
+
+  /**
+   * Recognize the text in one region
+   * @param {ImageData} region - Cropped text region (or a whole page for fullPage backends)
+   * @param {Object} options
+   * @param {string} options.language - Tesseract language code
+   * @param {boolean} [options.isVertical] - Force vertical reading; detected from the shape otherwise
+   * @returns {Promise<OCRBackendResult>}
+   */
+  async recognize(region, options = {}) {
+    throw new OCRBackendError(`recognize() is not implemented by backend "${this.id}"`);
+  }
+
+  /**
+   * Release models and workers
+   */
+  async terminate() {
+    this.isInitialized = false;
+  }
+
+  /**
+   * Tall narrow regions are read top to bottom (vertical Japanese/Chinese)
+   * @protected
+   */
+  _isVertical(region, options) {
+    if (typeof options.isVertical === 'boolean') return options.isVertical;
+    if (options.language === 'jpn_vert') return true;
+    return region.height > region.width * 1.5;
+  }
+
+  /**
+   * Build the Tesseract-compatible `lines` array from character boxes
+   * @protected
+   */
+  _linesFromChars(text, confidence, chars) {
+    if (chars.length === 0) return [];
+
+    const bbox = {
+      x0: Math.min(...chars.map(c => c.bbox.x0)),
+      y0: Math.min(...chars.map(c => c.bbox.y0)),
+      x1: Math.max(...chars.map(c => c.bbox.x1)),
+      y1: Math.max(...chars.map(c => c.bbox.y1)),
+    };
+
+    return [{ text, confidence, bbox, words: [{ text, confidence, bbox }] }];
+  }
+}
+
+// ============================================================================
+// SELECTION
+// ============================================================================
+
+/**
+ * Pick the backend for a language from the per-language settings
+ * Falls back to Tesseract when the configured backend cannot handle the
+ * language, or when a whole page has to be read by a region-only backend.
+ * @param {string} language - Tesseract language code
+ * @param {Object<string, string>} backends - Settings map: language -> backend id
+ * @param {Object} options
+ * @param {boolean} options.fullPage - The input is an uncropped page
+ * @returns {string} Backend id
+ */
+export function resolveOCRBackend(language, backends = {}, { fullPage = false } = {}) {
+  const id = backends?.[language];
+  const info = OCR_BACKENDS[id];
+
+  if (!info || !info.languages.includes(language) || (fullPage && !info.fullPage)) {
+    return DEFAULT_OCR_BACKEND;
+  }
+
+  return id;
+}
+
+/**
+ * Backends that can read a language, for settings dropdowns
+ * @param {string} language
+ * @returns {Array<{id, name, description, fullPage}>}
+ */
+export function getBackendsForLanguage(language) {
+  return Object.entries(OCR_BACKENDS)
+    .filter(([, info]) => info.languages.includes(language))
+    .map(([id, { name, description, fullPage }]) => ({ id, name, description, fullPage }));
+}
+
+// ============================================================================
+// INSTANCES
+// ============================================================================
+
+const instances = new Map();
+
+/**
+ * Get an initialized backend, loading its engine on first use
+ * @param {string} id - Backend id
+ * @param {Object} options - Passed to the constructor on first creation
+ * @returns {Promise<OCRBackend>}
+ */
+export async function getOCRBackend(id, options = {}) {
+  const info = OCR_BACKENDS[id];
+  if (!info) {
+    throw new OCRBackendUnavailableError(id, 'unknown backend');
+  }
+
+  if (!instances.has(id)) {
+    // Store the promise so concurrent callers share one model load
+    const pending = info.load(options).then(async (backend) => {
+      await backend.initialize();
+      return backend;
+    });
+    instances.set(id, pending);
+    pending.catch(() => instances.delete(id));
+  }
+
+  try {
+    return await instances.get(id);
+  } catch (error) {
+    throw new OCRBackendUnavailableError(id, error.message);
+  }
+}
+
+/**
+ * Terminate every loaded backend (settings change, memory pressure)
+ */
+export async function terminateOCRBackends() {
+  const pending = Array.from(instances.values());
+  instances.clear();
+
+  await Promise.allSettled(pending.map(async (p) => (await p).terminate()));
+}
+
+// ============================================================================
+// ERROR CLASSES
+// ============================================================================
+
+export class OCRBackendError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'OCRBackendError';
+  }
+}
+
+export class OCRBackendUnavailableError extends OCRBackendError {
+  constructor(backendId, reason) {
+    super(`OCR backend "${backendId}" unavailable: ${reason}`);
+    this.name = 'OCRBackendUnavailableError';
+    this.backendId = backendId;
+  }
+}
+
+export default {
+  OCR_BACKEND_IDS,
+  OCR_BACKENDS,
+  DEFAULT_OCR_BACKEND,
+  OCRBackend,
+  resolveOCRBackend,
+  getBackendsForLanguage,
+  getOCRBackend,
+  terminateOCRBackends,
+};
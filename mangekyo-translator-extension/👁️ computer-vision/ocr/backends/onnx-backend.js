@@ -0,0 +1,515 @@
+// /computer-vision/ocr/backends/onnx-backend.js
+
+/**
+ * ONNX Runtime Web OCR backends for Mangekyo Reader
+ * Runs recognition-only models on CPU (WASM) inside the offscreen document:
+ *  - manga-ocr: ViT encoder + autoregressive text decoder, Japanese manga bubbles
+ *  - PaddleOCR: PP-OCR CTC recognition models, one per language
+ * Both read pre-cropped text regions; whole pages stay with Tesseract.
+ * @module OnnxBackend
+ */
+
+import { OCRBackend, OCR_BACKEND_IDS, OCRBackendError } from './ocr-backend.js';
+
+// ============================================================================
+// CONFIGURATION CONSTANTS
+// ============================================================================
+
+export const ONNX_CONFIG = {
+  runtime: {
+    WASM_PATH: '/lib/onnxruntime/',
+    EXECUTION_PROVIDERS: ['wasm'],
+    GRAPH_OPTIMIZATION: 'all',
+  },
+
+  mangaOcr: {
+    MODEL_DIR: '/computer-vision/ocr/models/manga-ocr/',
+    ENCODER: 'encoder_model.onnx',
+    DECODER: 'decoder_model.onnx',
+    VOCAB: 'vocab.txt',
+    IMAGE_SIZE: 224,
+    MAX_TOKENS: 300,
+    TOKENS: { PAD: 0, UNK: 1, START: 2, END: 3, MASK: 4 },
+  },
+
+  paddleOcr: {
+    MODEL_DIR: '/computer-vision/ocr/models/paddleocr/',
+    INPUT_HEIGHT: 48,
+    MAX_INPUT_WIDTH: 3200,
+    // Tesseract language code -> PP-OCR model name ({name}_rec.onnx, {name}_dict.txt)
+    MODELS: {
+      jpn: 'japan',
+      jpn_vert: 'japan',
+      kor: 'korean',
+      chi_sim: 'ch',
+      chi_tra: 'chinese_cht',
+      eng: 'en',
+    },
+    // Line splitting on the ink projection profile
+    INK_THRESHOLD: 128,
+    MIN_GAP: 2,
+    MIN_LINE_THICKNESS: 3,
+  },
+};
+
+// ============================================================================
+// SHARED ONNX RUNTIME PLUMBING
+// ============================================================================
+
+let ortPromise = null;
+
+/**
+ * Load onnxruntime-web once and point it at the bundled WASM binaries
+ */
+function loadRuntime() {
+  if (!ortPromise) {
+    ortPromise = import('onnxruntime-web').then((ort) => {
+      ort.env.wasm.wasmPaths = chrome.runtime.getURL(ONNX_CONFIG.runtime.WASM_PATH);
+      // Threads need SharedArrayBuffer, which extension pages only get when cross-origin isolated
+      ort.env.wasm.numThreads = self.crossOriginIsolated
+        ? Math.min(4, navigator.hardwareConcurrency || 1)
+        : 1;
+      return ort;
+    });
+    ortPromise.catch(() => { ortPromise = null; });
+  }
+  return ortPromise;
+}
+
+class OnnxOCRBackend extends OCRBackend {
+  constructor(id, options = {}) {
+    super(id, options);
+    this.ort = null;
+    this.sessions = new Map(); // model url -> Promise<InferenceSession>
+  }
+
+  async initialize() {
+    if (this.isInitialized) return;
+    this.ort = await loadRuntime();
+    this.isInitialized = true;
+  }
+
+  async terminate() {
+    const sessions = Array.from(this.sessions.values());
+    this.sessions.clear();
+    await Promise.allSettled(sessions.map(async (s) => (await s).release()));
+    this.isInitialized = false;
+  }
+
+  /**
+   * Create (or reuse) an inference session for a bundled model
+   * @protected
+   */
+  _getSession(path) {
+    const url = chrome.runtime.getURL(path);
+
+    if (!this.sessions.has(url)) {
+      const pending = this.ort.InferenceSession.create(url, {
+        executionProviders: this.options.executionProviders || ONNX_CONFIG.runtime.EXECUTION_PROVIDERS,
+        graphOptimizationLevel: ONNX_CONFIG.runtime.GRAPH_OPTIMIZATION,
+      });
+      this.sessions.set(url, pending);
+      pending.catch(() => this.sessions.delete(url));
+    }
+
+    return this.sessions.get(url);
+  }
+
+  /**
+   * Load a newline separated vocabulary / character dictionary
+   * @protected
+   */
+  async _loadLines(path) {
+    const response = await fetch(chrome.runtime.getURL(path));
+    if (!response.ok) {
+      throw new OCRBackendError(`Failed to load ${path}: HTTP ${response.status}`);
+    }
+    return (await response.text()).split(/\r?\n/);
+  }
+
+  /**
+   * Draw part of an ImageData into a new width x height bitmap, optionally
+   * rotated 90° counter-clockwise (top of the source ends up on the left)
+   * @protected
+   */
+  _resample(imageData, rect, width, height, rotate = false) {
+    const source = new OffscreenCanvas(imageData.width, imageData.height);
+    source.getContext('2d').putImageData(imageData, 0, 0);
+
+    const target = new OffscreenCanvas(width, height);
+    const ctx = target.getContext('2d');
+    ctx.fillStyle = '#fff';
+    ctx.fillRect(0, 0, width, height);
+
+    if (rotate) {
+      ctx.translate(0, height);
+      ctx.rotate(-Math.PI / 2);
+      ctx.drawImage(source, rect.x, rect.y, rect.width, rect.height, 0, 0, height, width);
+    } else {
+      ctx.drawImage(source, rect.x, rect.y, rect.width, rect.height, 0, 0, width, height);
+    }
+
+    return ctx.getImageData(0, 0, width, height);
+  }
+
+  /**
+   * RGBA pixels -> float32 CHW tensor normalized to [-1, 1]
+   * @protected
+   */
+  _toTensor(imageData) {
+    const { width, height, data } = imageData;
+    const plane = width * height;
+    const floats = new Float32Array(3 * plane);
+
+    for (let i = 0; i < plane; i++) {
+      floats[i] = data[i * 4] / 127.5 - 1;
+      floats[plane + i] = data[i * 4 + 1] / 127.5 - 1;
+      floats[2 * plane + i] = data[i * 4 + 2] / 127.5 - 1;
+    }
+
+    return new this.ort.Tensor('float32', floats, [1, 3, height, width]);
+  }
+
+  /**
+   * Index and probability of the best class in one row of scores
+   * @protected
+   */
+  _argmax(scores, offset, size, isLogits) {
+    let best = 0;
+    let max = -Infinity;
+    for (let i = 0; i < size; i++) {
+      if (scores[offset + i] > max) {
+        max = scores[offset + i];
+        best = i;
+      }
+    }
+
+    if (!isLogits) return { index: best, probability: max };
+
+    let sum = 0;
+    for (let i = 0; i < size; i++) {
+      sum += Math.exp(scores[offset + i] - max);
+    }
+    return { index: best, probability: 1 / sum };
+  }
+
+  /**
+   * Evenly spaced character boxes along the reading axis for models that
+   * don't report positions
+   * @protected
+   */
+  _estimateChars(text, confidence, rect, isVertical) {
+    const letters = Array.from(text);
+    const length = isVertical ? rect.height : rect.width;
+    const step = length / Math.max(letters.length, 1);
+
+    return letters.map((char, i) => ({
+      text: char,
+      confidence,
+      bbox: isVertical
+        ? { x0: rect.x, x1: rect.x + rect.width, y0: rect.y + i * step, y1: rect.y + (i + 1) * step }
+        : { y0: rect.y, y1: rect.y + rect.height, x0: rect.x + i * step, x1: rect.x + (i + 1) * step },
+      estimated: true,
+    }));
+  }
+}
+
+// ============================================================================
+// MANGA-OCR
+// ============================================================================
+
+export class MangaOCRBackend extends OnnxOCRBackend {
+  constructor(options = {}) {
+    super(OCR_BACKEND_IDS.MANGA_OCR, options);
+    this.vocab = null;
+  }
+
+  async initialize() {
+    if (this.isInitialized) return;
+    await super.initialize();
+
+    const { MODEL_DIR, ENCODER, DECODER, VOCAB } = ONNX_CONFIG.mangaOcr;
+    [this.vocab] = await Promise.all([
+      this._loadLines(MODEL_DIR + VOCAB),
+      this._getSession(MODEL_DIR + ENCODER),
+      this._getSession(MODEL_DIR + DECODER),
+    ]);
+  }
+
+  /**
+   * Read a whole bubble at once; the model handles vertical and multi-line text itself
+   */
+  async recognize(region, options = {}) {
+    const startTime = performance.now();
+    const { MODEL_DIR, ENCODER, DECODER, IMAGE_SIZE, MAX_TOKENS, TOKENS } = ONNX_CONFIG.mangaOcr;
+    const encoder = await this._getSession(MODEL_DIR + ENCODER);
+    const decoder = await this._getSession(MODEL_DIR + DECODER);
+
+    // The model was trained on grayscale crops stretched to a square
+    const pixels = this._resample(
+      this._grayscale(region),
+      { x: 0, y: 0, width: region.width, height: region.height },
+      IMAGE_SIZE,
+      IMAGE_SIZE
+    );
+    const { last_hidden_state: hidden } = await encoder.run({ pixel_values: this._toTensor(pixels) });
+
+    const tokens = [TOKENS.START];
+    const probabilities = [];
+
+    while (tokens.length < MAX_TOKENS) {
+      const inputIds = new this.ort.Tensor(
+        'int64',
+        BigInt64Array.from(tokens, BigInt),
+        [1, tokens.length]
+      );
+      const { logits } = await decoder.run({ input_ids: inputIds, encoder_hidden_states: hidden });
+
+      const vocabSize = logits.dims[2];
+      const { index, probability } = this._argmax(
+        logits.data,
+        (tokens.length - 1) * vocabSize,
+        vocabSize,
+        true
+      );
+
+      if (index === TOKENS.END) break;
+      tokens.push(index);
+      probabilities.push(probability);
+    }
+
+    const text = this._decode(tokens.slice(1));
+    const confidence = probabilities.length
+      ? probabilities.reduce((sum, p) => sum + p, 0) / probabilities.length
+      : 0;
+    const isVertical = this._isVertical(region, options);
+    const chars = this._estimateChars(
+      text,
+      confidence,
+      { x: 0, y: 0, width: region.width, height: region.height },
+      isVertical
+    );
+
+    return {
+      text,
+      confidence,
+      chars,
+      lines: this._linesFromChars(text, confidence, chars),
+      isVertical,
+      language: isVertical ? 'jpn_vert' : 'jpn',
+      backend: this.id,
+      processingTime: performance.now() - startTime,
+    };
+  }
+
+  /**
+   * Token ids -> text, with manga-ocr's own post-processing
+   * @private
+   */
+  _decode(ids) {
+    const { TOKENS } = ONNX_CONFIG.mangaOcr;
+    const special = new Set(Object.values(TOKENS));
+
+    return ids
+      .filter(id => !special.has(id))
+      .map(id => (this.vocab[id] || '').replace(/^##/, ''))
+      .join('')
+      .replace(/\s+/g, '')
+      .replace(/…/g, '...')
+      .replace(/[・.]{2,}/g, dots => '.'.repeat(dots.length))
+      // Half-width ASCII to full-width, as in the training data
+      .replace(/[!-~]/g, c => String.fromCharCode(c.charCodeAt(0) + 0xFEE0));
+  }
+
+  /**
+   * @private
+   */
+  _grayscale(imageData) {
+    const data = new Uint8ClampedArray(imageData.data);
+    for (let i = 0; i < data.length; i += 4) {
+      const gray = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+      data[i] = data[i + 1] = data[i + 2] = gray;
+    }
+    return new ImageData(data, imageData.width, imageData.height);
+  }
+}
+
+// ============================================================================
+// PADDLEOCR
+// ============================================================================
+
+export class PaddleOCRBackend extends OnnxOCRBackend {
+  constructor(options = {}) {
+    super(OCR_BACKEND_IDS.PADDLE_OCR, options);
+    this.dictionaries = new Map(); // model name -> Promise<string[]>
+  }
+
+  /**
+   * PP-OCR recognition reads one line at a time: split the region into
+   * lines (columns for vertical text), recognize each, keep character positions
+   */
+  async recognize(region, options = {}) {
+    const startTime = performance.now();
+    const language = options.language || 'jpn';
+    const model = ONNX_CONFIG.paddleOcr.MODELS[language];
+    if (!model) {
+      throw new OCRBackendError(`PaddleOCR has no recognition model for "${language}"`);
+    }
+
+    const { MODEL_DIR } = ONNX_CONFIG.paddleOcr;
+    const [session, dictionary] = await Promise.all([
+      this._getSession(`${MODEL_DIR}${model}_rec.onnx`),
+      this._getDictionary(model),
+    ]);
+
+    const isVertical = this._isVertical(region, options);
+    const lines = [];
+
+    for (const rect of this._splitLines(region, isVertical)) {
+      const line = await this._recognizeLine(session, dictionary, region, rect, isVertical);
+      if (line.text) lines.push(line);
+    }
+
+    const chars = lines.flatMap(line => line.chars);
+    const confidence = chars.length
+      ? chars.reduce((sum, c) => sum + c.confidence, 0) / chars.length
+      : 0;
+
+    return {
+      text: lines.map(line => line.text).join('\n'),
+      confidence,
+      chars,
+      lines: lines.map(({ text, confidence: lineConfidence, bbox }) => ({
+        text,
+        confidence: lineConfidence * 100,
+        bbox,
+        words: [{ text, confidence: lineConfidence * 100, bbox }],
+      })),
+      isVertical,
+      language,
+      backend: this.id,
+      processingTime: performance.now() - startTime,
+    };
+  }
+
+  /**
+   * Recognize one line and map CTC time steps back to region pixels
+   * @private
+   */
+  async _recognizeLine(session, dictionary, region, rect, isVertical) {
+    const { INPUT_HEIGHT, MAX_INPUT_WIDTH } = ONNX_CONFIG.paddleOcr;
+
+    // Vertical columns are rotated so they read left to right like a horizontal line
+    const along = isVertical ? rect.height : rect.width;
+    const across = isVertical ? rect.width : rect.height;
+    const width = Math.min(MAX_INPUT_WIDTH, Math.max(INPUT_HEIGHT, Math.ceil(INPUT_HEIGHT * along / across)));
+
+    const pixels = this._resample(region, rect, width, INPUT_HEIGHT, isVertical);
+    const output = (await session.run({ [session.inputNames[0]]: this._toTensor(pixels) }))[session.outputNames[0]];
+
+    const [, steps, classes] = output.dims;
+    const scale = along / steps;
+    const chars = [];
+    let previous = 0;
+
+    // Greedy CTC: class 0 is the blank, repeated classes collapse
+    for (let t = 0; t < steps; t++) {
+      const { index, probability } = this._argmax(output.data, t * classes, classes, false);
+
+      if (index !== 0 && index !== previous) {
+        const start = t * scale;
+        const end = (t + 1) * scale;
+        chars.push({
+          text: dictionary[index - 1] ?? '',
+          confidence: probability,
+          bbox: isVertical
+            ? { x0: rect.x, x1: rect.x + rect.width, y0: rect.y + start, y1: rect.y + end }
+            : { y0: rect.y, y1: rect.y + rect.height, x0: rect.x + start, x1: rect.x + end },
+        });
+      } else if (index !== 0 && chars.length) {
+        // Same character spanning several steps: widen its box
+        const last = chars[chars.length - 1];
+        if (isVertical) last.bbox.y1 = rect.y + (t + 1) * scale;
+        else last.bbox.x1 = rect.x + (t + 1) * scale;
+      }
+      previous = index;
+    }
+
+    const visible = chars.filter(c => c.text.trim());
+    return {
+      text: chars.map(c => c.text).join('').trim(),
+      confidence: visible.length ? visible.reduce((sum, c) => sum + c.confidence, 0) / visible.length : 0,
+      bbox: { x0: rect.x, y0: rect.y, x1: rect.x + rect.width, y1: rect.y + rect.height },
+      chars: visible,
+    };
+  }
+
+  /**
+   * Split a region into text lines using gaps in the ink projection profile.
+   * Horizontal lines are returned top to bottom, vertical columns right to left.
+   * @private
+   */
+  _splitLines(region, isVertical) {
+    const { INK_THRESHOLD, MIN_GAP, MIN_LINE_THICKNESS } = ONNX_CONFIG.paddleOcr;
+    const { width, height, data } = region;
+    const size = isVertical ? width : height;
+    const profile = new Uint32Array(size);
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const i = (y * width + x) * 4;
+        if ((data[i] + data[i + 1] + data[i + 2]) / 3 < INK_THRESHOLD) {
+          profile[isVertical ? x : y]++;
+        }
+      }
+    }
+
+    const spans = [];
+    let start = -1;
+    let gap = 0;
+
+    for (let i = 0; i <= size; i++) {
+      if (i < size && profile[i] > 0) {
+        if (start < 0) start = i;
+        gap = 0;
+      } else if (start >= 0 && (++gap >= MIN_GAP || i === size)) {
+        const end = i - gap + 1;
+        if (end - start >= MIN_LINE_THICKNESS) spans.push([start, end]);
+        start = -1;
+        gap = 0;
+      }
+    }
+
+    // Nothing separable (e.g. light text on dark background): read it as one line
+    if (spans.length === 0) {
+      return [{ x: 0, y: 0, width, height }];
+    }
+
+    // Keep a little margin around each line, as the models were trained on padded crops
+    const pad = (a, b) => [Math.max(0, a - 2), Math.min(size, b + 2)];
+    const rects = spans.map(([a, b]) => {
+      const [from, to] = pad(a, b);
+      return isVertical
+        ? { x: from, y: 0, width: to - from, height }
+        : { x: 0, y: from, width, height: to - from };
+    });
+
+    return isVertical ? rects.reverse() : rects;
+  }
+
+  /**
+   * Character dictionary for a model; index 0 of the output is the CTC blank
+   * @private
+   */
+  _getDictionary(model) {
+    if (!this.dictionaries.has(model)) {
+      const pending = this._loadLines(`${ONNX_CONFIG.paddleOcr.MODEL_DIR}${model}_dict.txt`)
+        .then(lines => [...lines.filter(line => line.length > 0), ' ']);
+      this.dictionaries.set(model, pending);
+      pending.catch(() => this.dictionaries.delete(model));
+    }
+    return this.dictionaries.get(model);
+  }
+}
+
+export default { ONNX_CONFIG, MangaOCRBackend, PaddleOCRBackend };
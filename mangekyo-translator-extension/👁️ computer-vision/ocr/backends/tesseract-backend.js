@@ -0,0 +1,90 @@
+// /computer-vision/ocr/backends/tesseract-backend.js
+
+/**
+ * Tesseract.js implementation of the OCR backend interface
+ * Thin adapter over the shared TesseractWorkerManager pool.
+ * @module TesseractBackend
+ */
+
+import { OCRBackend, OCR_BACKEND_IDS } from './ocr-backend.js';
+import { getTesseractManager } from '../tesseract-config.js';
+
+export class TesseractBackend extends OCRBackend {
+  /**
+   * @param {Object} options
+   * @param {string[]} options.languages - Language packs to load up front
+   * @param {number} options.confidenceThreshold - Lines below this (0-100) are dropped
+   */
+  constructor(options = {}) {
+    super(OCR_BACKEND_IDS.TESSERACT, options);
+    this.manager = getTesseractManager();
+  }
+
+  async initialize() {
+    if (this.isInitialized) return;
+
+    if (!this.manager.isInitialized) {
+      await this.manager.initialize(this.options.languages || ['jpn', 'eng']);
+    }
+    this.isInitialized = true;
+  }
+
+  /**
+   * @param {ImageData} region
+   * @param {Object} options - { language, isVertical, preprocessing }
+   * @returns {Promise<import('./ocr-backend.js').OCRBackendResult>}
+   */
+  async recognize(region, options = {}) {
+    const startTime = performance.now();
+    const result = await this.manager.recognize(region, {
+      language: options.language || 'auto',
+      preprocessing: options.preprocessing ?? true,
+      confidenceThreshold: this.options.confidenceThreshold ?? 60,
+    });
+
+    const chars = result.lines.flatMap(line =>
+      line.words.flatMap(word => this._charsFromWord(word, result.isVertical))
+    );
+
+    return {
+      text: result.text,
+      confidence: result.confidence / 100,
+      chars,
+      lines: result.lines,
+      isVertical: result.isVertical,
+      language: result.language,
+      backend: this.id,
+      processingTime: performance.now() - startTime,
+    };
+  }
+
+  async terminate() {
+    // The manager is a shared singleton; only drop our hold on it
+    this.isInitialized = false;
+  }
+
+  /**
+   * Tesseract reports symbols per word; when it doesn't, split the word box evenly
+   * @private
+   */
+  _charsFromWord(word, isVertical) {
+    if (word.symbols?.length) {
+      return word.symbols.map(s => ({ text: s.text, confidence: s.confidence / 100, bbox: s.bbox }));
+    }
+
+    const letters = Array.from(word.text);
+    const { x0, y0, x1, y1 } = word.bbox;
+    const step = (isVertical ? y1 - y0 : x1 - x0) / Math.max(letters.length, 1);
+
+    return letters.map((text, i) => ({
+      text,
+      confidence: word.confidence / 100,
+      bbox: isVertical
+        ? { x0, x1, y0: y0 + i * step, y1: y0 + (i + 1) * step }
+        : { y0, y1, x0: x0 + i * step, x1: x0 + (i + 1) * step },
+      estimated: true,
+    }));
+  }
+}
+
+export default TesseractBackend;
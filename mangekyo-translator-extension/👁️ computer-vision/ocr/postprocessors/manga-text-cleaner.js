@@ -9,6 +9,7 @@
  */
 
 import { TextSanitizer } from '../../../core/shared/utils/text-sanitizer.js';
+import { ReadingOrderService, BUBBLE_LAYOUTS } from '../../detection/reading-order/reading-order-service.js';
 
 /**
  * Configuration for text cleaning behaviors
@@ -20,6 +21,8 @@ const CLEANER_CONFIG = {
     RUBY_ARTIFACTS: /[\u3040-\u309F\u30A0-\u30FF]{1,3}(?=[\u4E00-\u9FAF])/g,
     // Parenthesized readings that appear inline
     PAREN_READINGS: /（[\u3040-\u309F\u30A0-\u30FF]+）/g,
+    // Kanji run followed by its inline reading: 東京（とうきょう）
+    INLINE_RUBY: /([\u4E00-\u9FAF\u3400-\u4DBF々]+)[（(]([\u3040-\u309F\u30A0-\u30FF]+)[）)]/g,
     // Small text artifacts from vertical layout
     VERTICAL_NOISE: /^[\u3040-\u309F\u30A0-\u30FF]{1,2}$/,
   },
@@ -98,11 +101,14 @@ export class MangaTextCleaner {
     cleaned = this._normalizeEncoding(cleaned);
     appliedRules.push('unicode_normalize');
 
-    // Phase 2: Remove furigana/ruby text artifacts
+    // Phase 2: Remove furigana/ruby text artifacts, keeping the readings as metadata
+    // (metadata.furigana holds ruby that OCR read separately from the base text)
     if (this.config.removeFurigana) {
       const before = cleaned;
-      cleaned = this._removeFurigana(cleaned);
+      const readings = [...(metadata.furigana || [])];
+      cleaned = this._removeFurigana(cleaned, readings);
       if (before !== cleaned) appliedRules.push('furigana_removal');
+      if (readings.length > 0) metadata = { ...metadata, readings };
     }
 
     // Phase 3: Fix vertical text reading order artifacts
@@ -147,12 +153,27 @@ export class MangaTextCleaner {
 
   /**
    * Remove furigana (ruby text) artifacts from OCR output
+   * @param {string} text
+   * @param {Array<{base: string, reading: string}>} readings - Known readings; inline ones found here are appended
    * @private
    */
-  _removeFurigana(text) {
+  _removeFurigana(text, readings = []) {
     let cleaned = text;
     const patterns = CLEANER_CONFIG.FURIGANA_PATTERNS;
     
+    // Keep inline readings (東京（とうきょう）) before dropping them from the text
+    cleaned = cleaned.replace(patterns.INLINE_RUBY, (match, base, reading) => {
+      if (!readings.some(r => r.base === base && r.reading === reading)) {
+        readings.push({ base, reading });
+      }
+      return base;
+    });
+    
+    // Ruby read separately can still bleed into the main text right next to its base
+    for (const { base, reading } of readings) {
+      cleaned = cleaned.split(reading + base).join(base).split(base + reading).join(base);
+    }
+    
     // Remove parenthesized readings
     cleaned = cleaned.replace(patterns.PAREN_READINGS, '');
     
@@ -322,16 +343,17 @@ export class MangaTextCleaner {
    * @private
    */
   _sortReadingOrder(results) {
-    return results.sort((a, b) => {
-      const metaA = a.metadata || {};
-      const metaB = b.metadata || {};
-      
-      // Primary: Right-to-left (higher x first)
-      const xDiff = (metaB.x || 0) - (metaA.x || 0);
-      if (Math.abs(xDiff) > 50) return xDiff; // Significant horizontal difference
-      
-      // Secondary: Top-to-bottom (lower y first)
-      return (metaA.y || 0) - (metaB.y || 0);
+    this.readingOrder = this.readingOrder || new ReadingOrderService();
+    
+    // Primary: right-to-left columns; secondary: top-to-bottom within a column
+    return this.readingOrder.order(results, {
+      preferences: { bubbleLayout: BUBBLE_LAYOUTS.COLUMNS, rowTolerance: 1 },
+      getBox: ({ metadata = {} }) => ({
+        x: metadata.x || 0,
+        y: metadata.y || 0,
+        width: metadata.width || 50,
+        height: metadata.height || 50
+      })
     });
   }
 
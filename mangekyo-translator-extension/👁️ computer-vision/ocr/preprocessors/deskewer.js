@@ -6,7 +6,7 @@
  * Optimized for CJK text orientation and manga panel layouts.
  */
 
-import { PerformanceMonitor } from '../../shared/utils/performance-monitor.js';
+import { PerformanceMonitor } from '../../../core/shared/utils/performance-monitor.js';
 
 /**
  * Configuration constants for deskewing operations
@@ -6,7 +6,7 @@
  * Supports both traditional manga (right-to-left) and webtoon (vertical scroll) formats.
  */
 
-import { PerformanceMonitor } from '../../shared/utils/performance-monitor.js';
+import { PerformanceMonitor } from '../../../core/shared/utils/performance-monitor.js';
 
 /**
  * Configuration for panel segmentation
@@ -262,8 +262,9 @@ export class PanelSegmenter {
     const gutters = this._detectGutters(imageData);
     
     // Step 2: Find panel boundaries using gutter analysis
-    const hBoundaries = this._findBoundariesFromGutters(gutters.horizontal, width, 'horizontal');
-    const vBoundaries = this._findBoundariesFromGutters(gutters.vertical, height, 'vertical');
+    // (horizontal gutters are rows, so they run down to the page height)
+    const hBoundaries = this._findBoundariesFromGutters(gutters.horizontal, height, 'horizontal');
+    const vBoundaries = this._findBoundariesFromGutters(gutters.vertical, width, 'vertical');
     
     // Step 3: Create initial panels from boundary intersections
     let panels = this._createPanelsFromBoundaries(hBoundaries, vBoundaries);
@@ -0,0 +1,529 @@
+// /computer-vision/ocr/preprocessors/script-detector.js
+
+/**
+ * Per-region Script Detection Module
+ * Decides which writing system a cropped text region uses *before* OCR, so each
+ * bubble/sign/SFX gets the right Tesseract language pack instead of one pack per page.
+ * Works on glyph geometry only (no OCR, no models), then lets the recognized
+ * characters settle what geometry cannot (kanji-only Japanese vs Chinese,
+ * simplified vs traditional).
+ * @module ScriptDetector
+ */
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+export const SCRIPT_DETECTOR_CONFIG = {
+  maxDimension: 400,            // Regions are sampled down to this before analysis
+  minLineThickness: 4,          // Thinner projection spans are noise
+  minComponentShare: 0.03,      // Components smaller than this * T² are dots/punctuation
+  latinGlyphRatio: 0.7,         // Median letter width / line thickness below this reads as Latin
+  latinMaxStacking: 0.15,       // Latin letters rarely sit above one another
+  hangulRoundHoles: 0.25,       // Round counters (ㅇ, ㅎ) per glyph above this reads as Hangul
+  roundHoleFill: [0.6, 0.86],   // Area / bbox area of a round hole (circle ≈ 0.785, square ≈ 1)
+  roundHoleSize: [0.12, 0.5],   // Hole size relative to line thickness
+  kanaDensity: 0.22,            // Ink per glyph cell below this leans kana (Japanese)
+  hintBoost: 0.15,              // Added to the script of the page/series language
+};
+
+export const SCRIPTS = {
+  LATIN: 'Latin',
+  HANGUL: 'Hangul',
+  JAPANESE: 'Japanese',
+  HAN: 'Han',
+};
+
+/** Tesseract language pack -> translation engine language code */
+export const PACK_TO_TRANSLATION = {
+  eng: 'en',
+  jpn: 'ja',
+  jpn_vert: 'ja',
+  kor: 'ko',
+  chi_sim: 'zh',
+  chi_tra: 'zh-TW',
+};
+
+const SCRIPT_OF_PACK = {
+  eng: SCRIPTS.LATIN,
+  jpn: SCRIPTS.JAPANESE,
+  jpn_vert: SCRIPTS.JAPANESE,
+  kor: SCRIPTS.HANGUL,
+  chi_sim: SCRIPTS.HAN,
+  chi_tra: SCRIPTS.HAN,
+};
+
+const CHAR_CLASSES = {
+  kana: /[぀-ヿㇰ-ㇿ]/,
+  hangul: /[가-힯ᄀ-ᇿ㄰-㆏]/,
+  han: /[一-鿿㐀-䶿]/,
+  latin: /[A-Za-z]/,
+};
+
+// Frequent characters that exist in only one Chinese standard
+const TRADITIONAL_ONLY = '們這說時會來對為個麼後還沒點過開裡嗎讓見話學問間頭現種與從長東發變經當覺應該師機關體';
+const SIMPLIFIED_ONLY = '们这说时会来对为个么后还没点过开里吗让见话学问间头现种与从长东发变经当觉应该师机关体';
+
+// ============================================================================
+// SCRIPT DETECTOR
+// ============================================================================
+
+export class ScriptDetector {
+  constructor(options = {}) {
+    this.config = { ...SCRIPT_DETECTOR_CONFIG, ...options };
+  }
+
+  /**
+   * Detect the script of a cropped text region from its glyph shapes
+   * @param {ImageData} imageData - Region crop
+   * @param {Object} options
+   * @param {Object} [options.layout] - TextROIExtractor.summarizeLayout() result (orientation, charSize)
+   * @param {string} [options.hint] - Language pack expected on this page/series (breaks near ties)
+   * @returns {ScriptDetection}
+   */
+  detect(imageData, { layout = null, hint = null } = {}) {
+    const image = this._binarize(imageData);
+    const isVertical = layout
+      ? layout.orientation === 'vertical'
+      : image.height > image.width * 1.3;
+
+    const lines = this._lineSpans(image, isVertical);
+    if (lines.length === 0) {
+      return this._fromScores({}, isVertical, hint, null);
+    }
+
+    // Glyph size from layout analysis is steadier than projection spans, which
+    // split a line wherever every glyph happens to leave the same row empty
+    const scale = Math.max(1, Math.ceil(Math.max(imageData.width, imageData.height) / this.config.maxDimension));
+    const features = this._measure(image, lines, isVertical, layout?.charSize ? layout.charSize / scale : null);
+    const { latinGlyphRatio, latinMaxStacking, hangulRoundHoles, kanaDensity } = this.config;
+
+    const latin = isVertical
+      ? 0
+      : sigmoid((latinGlyphRatio - features.glyphRatio) * 10) * sigmoid((latinMaxStacking - features.stacking) * 20);
+    const hangul = (1 - latin) * sigmoid((features.roundHoles - hangulRoundHoles) * 12);
+    const cjk = (1 - latin) * (1 - hangul);
+    const japanese = cjk * sigmoid((kanaDensity - features.density) * 30);
+
+    return this._fromScores(
+      {
+        [SCRIPTS.LATIN]: latin,
+        [SCRIPTS.HANGUL]: hangul,
+        [SCRIPTS.JAPANESE]: japanese,
+        [SCRIPTS.HAN]: cjk - japanese,
+      },
+      isVertical,
+      hint,
+      features
+    );
+  }
+
+  /**
+   * Settle Han-family ambiguity from OCR output: kana means Japanese, and the
+   * characters tell simplified from traditional Chinese. Geometry already picked
+   * the family, so Latin/Hangul detections are left alone.
+   * @param {ScriptDetection} detection
+   * @param {string} text - Text recognized with detection.language
+   * @param {string} [hint] - Page/series language pack
+   * @returns {ScriptDetection}
+   */
+  refineWithText(detection, text, hint = null) {
+    if (!text || ![SCRIPTS.JAPANESE, SCRIPTS.HAN].includes(detection.script)) {
+      return detection;
+    }
+
+    const counts = countCharClasses(text);
+    if (counts.kana + counts.han === 0) return detection;
+
+    let language;
+    if (counts.kana >= Math.max(1, (counts.kana + counts.han) * 0.1)) {
+      language = 'jpn';
+    } else {
+      const variant = chineseVariant(text);
+      if (variant) {
+        language = variant;
+      } else if (SCRIPT_OF_PACK[hint]) {
+        // Kanji only and no telling characters: trust the page
+        language = SCRIPT_OF_PACK[hint] === SCRIPTS.HAN ? hint : 'jpn';
+      } else {
+        return detection;
+      }
+    }
+
+    return this.withLanguage(detection, language, 'text');
+  }
+
+  /**
+   * Same detection with a different pack (e.g. after a better-scoring OCR retry)
+   */
+  withLanguage(detection, language, method = detection.method) {
+    const pack = language === 'jpn' && detection.isVertical ? 'jpn_vert' : language;
+    return {
+      ...detection,
+      script: SCRIPT_OF_PACK[pack],
+      language: pack,
+      translationLanguage: PACK_TO_TRANSLATION[pack],
+      method,
+    };
+  }
+
+  // ==========================================================================
+  // CLASSIFICATION
+  // ==========================================================================
+
+  /**
+   * Scores -> ranked packs
+   * @private
+   */
+  _fromScores(scores, isVertical, hint, features) {
+    const hinted = SCRIPT_OF_PACK[hint];
+    const ranked = Object.entries(scores)
+      .map(([script, score]) => [script, score + (script === hinted ? this.config.hintBoost : 0)])
+      .sort((a, b) => b[1] - a[1]);
+
+    // Nothing measurable (blank or solid region): fall back to the page language
+    if (ranked.length === 0) {
+      ranked.push([hinted || SCRIPTS.JAPANESE, 0]);
+    }
+
+    const total = ranked.reduce((sum, [, score]) => sum + score, 0);
+    const candidates = [...new Set(ranked.map(([script]) => this._packFor(script, isVertical, hint)))];
+    const language = candidates[0];
+
+    return {
+      script: ranked[0][0],
+      language,
+      translationLanguage: PACK_TO_TRANSLATION[language],
+      isVertical,
+      confidence: total > 0 ? ranked[0][1] / total : 0,
+      candidates,
+      method: 'geometry',
+      features,
+    };
+  }
+
+  /**
+   * @private
+   */
+  _packFor(script, isVertical, hint) {
+    switch (script) {
+      case SCRIPTS.LATIN:
+        return 'eng';
+      case SCRIPTS.HANGUL:
+        return 'kor';
+      case SCRIPTS.HAN:
+        return hint === 'chi_tra' ? 'chi_tra' : 'chi_sim';
+      default:
+        return isVertical ? 'jpn_vert' : 'jpn';
+    }
+  }
+
+  // ==========================================================================
+  // MEASUREMENT
+  // ==========================================================================
+
+  /**
+   * Otsu threshold; ink is whichever side covers less of the region, so white
+   * lettering on black boxes is handled like black on white
+   * @private
+   */
+  _binarize(imageData) {
+    const step = Math.max(1, Math.ceil(Math.max(imageData.width, imageData.height) / this.config.maxDimension));
+    const width = Math.floor(imageData.width / step);
+    const height = Math.floor(imageData.height / step);
+    const gray = new Uint8Array(width * height);
+    const histogram = new Uint32Array(256);
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const i = ((y * step) * imageData.width + x * step) * 4;
+        const value = (imageData.data[i] * 299 + imageData.data[i + 1] * 587 + imageData.data[i + 2] * 114) / 1000 | 0;
+        gray[y * width + x] = value;
+        histogram[value]++;
+      }
+    }
+
+    const threshold = otsu(histogram, width * height);
+    let dark = 0;
+    for (let v = 0; v <= threshold; v++) dark += histogram[v];
+    const inkIsDark = dark <= (width * height) / 2;
+
+    const ink = new Uint8Array(width * height);
+    for (let i = 0; i < ink.length; i++) {
+      ink[i] = (gray[i] <= threshold) === inkIsDark ? 1 : 0;
+    }
+
+    return { ink, width, height };
+  }
+
+  /**
+   * Text lines (columns when vertical) from gaps in the ink projection
+   * @private
+   */
+  _lineSpans({ ink, width, height }, isVertical) {
+    const size = isVertical ? width : height;
+    const profile = new Uint32Array(size);
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        if (ink[y * width + x]) profile[isVertical ? x : y]++;
+      }
+    }
+
+    const spans = [];
+    let start = -1;
+    for (let i = 0; i <= size; i++) {
+      if (i < size && profile[i] > 0) {
+        if (start < 0) start = i;
+      } else if (start >= 0) {
+        if (i - start >= this.config.minLineThickness) spans.push([start, i]);
+        start = -1;
+      }
+    }
+
+    return spans;
+  }
+
+  /**
+   * Glyph statistics used by the classifier, all relative to line thickness T:
+   *  - glyphRatio: median along-line extent of letter-sized components
+   *  - stacking:   share of components with another one above/below them
+   *  - roundHoles: round enclosed counters per T-sized glyph cell
+   *  - density:    ink per T-sized glyph cell
+   * @private
+   */
+  _measure(image, lines, isVertical, charSize = null) {
+    const thickness = charSize || median(lines.map(([a, b]) => b - a));
+    const components = labelComponents(image.ink, image.width, image.height, 1);
+    const holes = labelComponents(image.ink, image.width, image.height, 0)
+      .filter(c => c.x0 > 0 && c.y0 > 0 && c.x1 < image.width - 1 && c.y1 < image.height - 1);
+
+    const along = c => (isVertical ? c.y1 - c.y0 : c.x1 - c.x0) + 1;
+    const across = c => (isVertical ? c.x1 - c.x0 : c.y1 - c.y0) + 1;
+    const minArea = this.config.minComponentShare * thickness * thickness;
+
+    const significant = components.filter(c => c.area >= minArea);
+    const letters = significant.filter(c => across(c) >= thickness * 0.3);
+
+    // Stacked: overlapping along the line, disjoint across it
+    const stacked = significant.filter(a => significant.some(b => {
+      if (a === b) return false;
+      const [a0, a1, b0, b1] = isVertical ? [a.y0, a.y1, b.y0, b.y1] : [a.x0, a.x1, b.x0, b.x1];
+      const [c0, c1, d0, d1] = isVertical ? [a.x0, a.x1, b.x0, b.x1] : [a.y0, a.y1, b.y0, b.y1];
+      const overlap = Math.min(a1, b1) - Math.max(a0, b0);
+      return overlap > Math.min(a1 - a0, b1 - b0) * 0.5 && (c1 < d0 || d1 < c0);
+    }));
+
+    const [fillMin, fillMax] = this.config.roundHoleFill;
+    const [sizeMin, sizeMax] = this.config.roundHoleSize;
+    const roundHoles = holes.filter(h => {
+      const w = h.x1 - h.x0 + 1;
+      const hh = h.y1 - h.y0 + 1;
+      const fill = h.area / (w * hh);
+      const size = Math.max(w, hh) / thickness;
+      return fill >= fillMin && fill <= fillMax && size >= sizeMin && size <= sizeMax &&
+        w / hh > 0.6 && w / hh < 1.7;
+    });
+
+    // CJK is set on a square grid, so line length / T approximates the glyph count
+    const inkExtent = lines.reduce((sum, [a, b]) => sum + this._alongExtent(image, a, b, isVertical), 0);
+    const glyphCells = Math.max(1, inkExtent / thickness);
+    const inkPixels = components.reduce((sum, c) => sum + c.area, 0);
+
+    return {
+      thickness,
+      lineCount: lines.length,
+      glyphRatio: letters.length ? median(letters.map(along)) / thickness : 1,
+      stacking: significant.length ? stacked.length / significant.length : 0,
+      roundHoles: roundHoles.length / glyphCells,
+      density: inkPixels / (glyphCells * thickness * thickness),
+    };
+  }
+
+  /**
+   * Length of the inked part of one line
+   * @private
+   */
+  _alongExtent({ ink, width, height }, from, to, isVertical) {
+    const size = isVertical ? height : width;
+    let first = -1;
+    let last = -1;
+
+    for (let i = 0; i < size; i++) {
+      for (let j = from; j < to; j++) {
+        const index = isVertical ? i * width + j : j * width + i;
+        if (ink[index]) {
+          if (first < 0) first = i;
+          last = i;
+          break;
+        }
+      }
+    }
+
+    return first < 0 ? 0 : last - first + 1;
+  }
+}
+
+// ============================================================================
+// TEXT HELPERS
+// ============================================================================
+
+function countCharClasses(text) {
+  const counts = { kana: 0, hangul: 0, han: 0, latin: 0 };
+  for (const char of text) {
+    for (const [name, pattern] of Object.entries(CHAR_CLASSES)) {
+      if (pattern.test(char)) counts[name]++;
+    }
+  }
+  return counts;
+}
+
+/**
+ * 'chi_tra' / 'chi_sim' when the text contains characters unique to one standard
+ */
+function chineseVariant(text) {
+  let traditional = 0;
+  let simplified = 0;
+  for (const char of text) {
+    if (TRADITIONAL_ONLY.includes(char)) traditional++;
+    if (SIMPLIFIED_ONLY.includes(char)) simplified++;
+  }
+  if (traditional === simplified) return null;
+  return traditional > simplified ? 'chi_tra' : 'chi_sim';
+}
+
+/**
+ * Language pack for already-recognized text (no image available, e.g. page-level
+ * OCR results); null when the text has no telling characters
+ * @param {string} text
+ * @param {string} [hint] - Page/series language pack
+ * @returns {string|null}
+ */
+export function detectPackFromText(text, hint = null) {
+  const counts = countCharClasses(text || '');
+  const cjk = counts.kana + counts.han;
+
+  if (counts.hangul > cjk && counts.hangul >= counts.latin) return 'kor';
+  if (cjk > 0 && cjk >= counts.latin) {
+    if (counts.kana >= Math.max(1, cjk * 0.1)) return 'jpn';
+    return chineseVariant(text) || (SCRIPT_OF_PACK[hint] === SCRIPTS.HAN ? hint : 'jpn');
+  }
+  if (counts.latin > 0) return 'eng';
+  return null;
+}
+
+// ============================================================================
+// IMAGE HELPERS
+// ============================================================================
+
+function otsu(histogram, total) {
+  let sum = 0;
+  for (let i = 0; i < 256; i++) sum += i * histogram[i];
+
+  let sumBackground = 0;
+  let weightBackground = 0;
+  let best = 0;
+  let threshold = 127;
+
+  for (let t = 0; t < 256; t++) {
+    weightBackground += histogram[t];
+    if (weightBackground === 0) continue;
+    const weightForeground = total - weightBackground;
+    if (weightForeground === 0) break;
+
+    sumBackground += t * histogram[t];
+    const meanBackground = sumBackground / weightBackground;
+    const meanForeground = (sum - sumBackground) / weightForeground;
+    const variance = weightBackground * weightForeground * (meanBackground - meanForeground) ** 2;
+
+    if (variance > best) {
+      best = variance;
+      threshold = t;
+    }
+  }
+
+  return threshold;
+}
+
+/**
+ * 4-connected components of pixels equal to `value` (union-find, two passes)
+ * @returns {Array<{x0, y0, x1, y1, area}>}
+ */
+function labelComponents(ink, width, height, value) {
+  const labels = new Int32Array(width * height).fill(-1);
+  const parent = [];
+  const find = (i) => {
+    while (parent[i] !== i) {
+      parent[i] = parent[parent[i]];
+      i = parent[i];
+    }
+    return i;
+  };
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      if (ink[i] !== value) continue;
+
+      const left = x > 0 && ink[i - 1] === value ? labels[i - 1] : -1;
+      const up = y > 0 && ink[i - width] === value ? labels[i - width] : -1;
+
+      if (left < 0 && up < 0) {
+        labels[i] = parent.length;
+        parent.push(parent.length);
+      } else if (left >= 0 && up >= 0) {
+        const a = find(left);
+        const b = find(up);
+        labels[i] = Math.min(a, b);
+        parent[Math.max(a, b)] = Math.min(a, b);
+      } else {
+        labels[i] = left >= 0 ? left : up;
+      }
+    }
+  }
+
+  const boxes = new Map();
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const label = labels[y * width + x];
+      if (label < 0) continue;
+
+      const root = find(label);
+      const box = boxes.get(root);
+      if (box) {
+        box.x0 = Math.min(box.x0, x);
+        box.x1 = Math.max(box.x1, x);
+        box.y0 = Math.min(box.y0, y);
+        box.y1 = Math.max(box.y1, y);
+        box.area++;
+      } else {
+        boxes.set(root, { x0: x, y0: y, x1: x, y1: y, area: 1 });
+      }
+    }
+  }
+
+  return Array.from(boxes.values());
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)] || 0;
+}
+
+function sigmoid(x) {
+  return 1 / (1 + Math.exp(-x));
+}
+
+/**
+ * @typedef {Object} ScriptDetection
+ * @property {string} script - One of SCRIPTS
+ * @property {string} language - Tesseract pack: eng, jpn, jpn_vert, kor, chi_sim, chi_tra
+ * @property {string} translationLanguage - Translation engine code (en, ja, ko, zh, zh-TW)
+ * @property {boolean} isVertical
+ * @property {number} confidence - 0..1
+ * @property {string[]} candidates - Packs ranked best first (retry order)
+ * @property {string} method - 'geometry' or 'text'
+ * @property {Object|null} features - Measurements behind the decision (debugging)
+ */
+
+export default ScriptDetector;
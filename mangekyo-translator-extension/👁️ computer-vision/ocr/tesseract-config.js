@@ -7,7 +7,7 @@
  */
 
 import { createWorker, createScheduler } from 'tesseract.js';
-import { PerformanceMonitor } from '../../../core/shared/utils/performance-monitor.js';
+import { PerformanceMonitor } from '../../core/shared/utils/performance-monitor.js';
 
 // ============================================================================
 // CONFIGURATION CONSTANTS
@@ -539,6 +539,11 @@ export class TesseractWorkerManager {
           text: w.text,
           confidence: w.confidence,
           bbox: w.bbox,
+          symbols: (w.symbols || []).map(s => ({
+            text: s.text,
+            confidence: s.confidence,
+            bbox: s.bbox,
+          })),
         })),
       })),
       isVertical,
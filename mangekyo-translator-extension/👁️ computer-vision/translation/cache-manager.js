@@ -7,6 +7,7 @@
 import { translationCacheDB } from '../../storage/indexeddb/translation-cache.js';
 import { secureStorage } from '../../privacy/encryption/secure-storage.js';
 import { performanceMonitor } from '../../core/shared/utils/performance-monitor.js';
+import { serializeTMX, parseTMX } from './tmx-format.js';
 
 // Cache configuration constants
 const CACHE_CONFIG = {
@@ -15,7 +16,9 @@ const CACHE_CONFIG = {
   DEFAULT_TTL_HOURS: 168,         // 7 days default expiration
   COMPRESSION_THRESHOLD: 1024,    // Compress entries > 1KB
   PRELOAD_PREDICTION_COUNT: 3,    // Number of next pages to preload
-  SIMILARITY_THRESHOLD: 0.85      // Fuzzy match threshold for similar texts
+  SIMILARITY_THRESHOLD: 0.85,     // Fuzzy match threshold for similar texts
+  MAX_SUGGESTIONS: 3,             // Fuzzy matches returned as suggestions
+  FUZZY_MODE: 'suggest'           // 'suggest' = return as suggestions, 'auto' = use best match
 };
 
 /**
@@ -92,6 +95,7 @@ class CacheManager {
       compressedSavings: 0
     };
     this.preloadQueue = new Set();
+    this.fuzzyMode = CACHE_CONFIG.FUZZY_MODE;
     this.initialized = false;
   }
 
@@ -159,20 +163,7 @@ class CacheManager {
       };
     }
 
-    // Tier 2: Try fuzzy matching for similar texts
-    const fuzzyMatch = await this._findFuzzyMatch(sourceText, sourceLang, targetLang, context);
-    if (fuzzyMatch) {
-      this.cacheStats.hits++;
-      return {
-        found: true,
-        data: fuzzyMatch.translation,
-        source: 'fuzzy',
-        confidence: fuzzyMatch.similarity,
-        originalKey: fuzzyMatch.originalText
-      };
-    }
-
-    // Tier 3: IndexedDB persistent cache
+    // Tier 2: IndexedDB persistent cache
     const dbHit = await translationCacheDB.get(key);
     if (dbHit && !this._isExpired(dbHit)) {
       this.cacheStats.hits++;
@@ -189,8 +180,32 @@ class CacheManager {
       };
     }
 
+    // Tier 3: Fuzzy matches for similar texts (translation memory)
+    const fuzzyMatches = await this._findFuzzyMatches(sourceText, sourceLang, targetLang, context);
+    if (fuzzyMatches.length > 0 && this.fuzzyMode === 'auto') {
+      this.cacheStats.hits++;
+      return {
+        found: true,
+        data: fuzzyMatches[0].translation,
+        source: 'fuzzy',
+        confidence: fuzzyMatches[0].similarity,
+        originalKey: fuzzyMatches[0].originalText
+      };
+    }
+
     this.cacheStats.misses++;
-    return { found: false, data: null };
+    return {
+      found: false,
+      data: null,
+      // Near matches are offered to the user instead of being applied silently
+      suggestions: fuzzyMatches.map(match => ({
+        sourceText: match.originalText,
+        translatedText: match.translation.translatedText,
+        similarity: match.similarity,
+        series: match.translation.metadata?.mangaTitle || null,
+        chapter: match.translation.metadata?.chapter || null
+      }))
+    };
   }
 
   /**
@@ -200,9 +215,16 @@ class CacheManager {
     const key = this.generateKey(sourceText, sourceLang, targetLang, context);
     const normalizedSource = this._normalizeText(sourceText);
     
+    // User corrections win over machine results: never overwrite them from an engine
+    if (!metadata.userVerified) {
+      const existing = this.memoryCache.get(key) || await translationCacheDB.get(key).catch(() => null);
+      if (existing?.metadata?.userVerified) return key;
+    }
+    
     const cacheEntry = {
       hash: key,
       sourceText: normalizedSource,
+      originalText: sourceText, // Un-normalized, kept for TMX export
       translatedText,
       sourceLang,
       targetLang,
@@ -215,11 +237,15 @@ class CacheManager {
       metadata: {
         engine: metadata.engine || 'unknown',
         confidence: metadata.confidence || 1.0,
-        timestamp: Date.now(),
+        timestamp: metadata.timestamp || Date.now(),
         accessCount: 1,
         lastAccessed: Date.now(),
         pageUrl: metadata.pageUrl || null,
-        mangaTitle: metadata.mangaTitle || null
+        mangaTitle: metadata.mangaTitle || null,
+        chapter: metadata.chapter || null,
+        userVerified: metadata.userVerified || false,
+        imported: metadata.imported || false, // From a TMX file; kept like user corrections
+        correctedSourceText: metadata.correctedSourceText || null // User's fix of the OCR text, if any
       },
       compression: {
         algorithm: null,
@@ -248,6 +274,41 @@ class CacheManager {
     return key;
   }
 
+  /**
+   * Store a user correction, keyed by the text OCR produced so the same bubble
+   * finds it again on the next visit. Verified entries do not expire and are
+   * not overwritten by machine results.
+   * @param {string} ocrText - Source text as recognized by OCR
+   * @param {string} translatedText - Translation the user accepted or typed
+   * @param {Object} metadata - May include correctedSourceText, pageUrl, mangaTitle, chapter
+   */
+  async setUserVerified(ocrText, translatedText, sourceLang, targetLang, context = {}, metadata = {}) {
+    return this.set(ocrText, translatedText, sourceLang, targetLang, context, {
+      ...metadata,
+      engine: 'user',
+      confidence: 1.0,
+      userVerified: true
+    });
+  }
+
+  /**
+   * User-verified translation for a source text, if one exists
+   * Entries saved without a known source language are found as well
+   * @returns {Promise<Object|null>} Cache entry
+   */
+  async getVerified(sourceText, sourceLang, targetLang, context = {}) {
+    for (const lang of new Set([sourceLang, 'auto'])) {
+      const key = this.generateKey(sourceText, lang, targetLang, context);
+      const entry = this.memoryCache.get(key) || await translationCacheDB.get(key).catch(() => null);
+      
+      if (entry?.metadata?.userVerified) {
+        this.memoryCache.set(key, entry);
+        return this._decompressIfNeeded(entry);
+      }
+    }
+    return null;
+  }
+
   /**
    * Preload translations for predicted next pages
    * Uses manga reading patterns (next page, previous context)
@@ -362,6 +423,72 @@ class CacheManager {
     return imported;
   }
 
+  /**
+   * Export translation memory as TMX 1.4
+   * @param {Object} filter - Optional { sourceLang, targetLang, series }
+   */
+  async exportTMX(filter = {}) {
+    const allEntries = await translationCacheDB.getAll();
+    
+    const units = allEntries
+      .filter(e => !this._isExpired(e))
+      .filter(e => !filter.sourceLang || e.sourceLang === filter.sourceLang)
+      .filter(e => !filter.targetLang || e.targetLang === filter.targetLang)
+      .filter(e => !filter.series || e.metadata.mangaTitle === filter.series)
+      .map(e => this._decompressIfNeeded(e))
+      .map(e => ({
+        sourceText: e.originalText || e.sourceText,
+        translatedText: e.translatedText,
+        sourceLang: e.sourceLang,
+        targetLang: e.targetLang,
+        series: e.metadata.mangaTitle,
+        chapter: e.metadata.chapter,
+        engine: e.metadata.engine,
+        confidence: e.metadata.confidence,
+        timestamp: e.metadata.timestamp,
+        usageCount: e.metadata.accessCount
+      }));
+    
+    return serializeTMX(units, { srcLang: filter.sourceLang });
+  }
+
+  /**
+   * Import translation memory from a TMX document
+   * @param {string} xml - TMX 1.4 document
+   * @param {Object} options - { sourceLang, targetLang, series, chapter } to filter or fill in missing properties
+   */
+  async importTMX(xml, options = {}) {
+    const { units } = parseTMX(xml, options);
+    
+    let imported = 0;
+    for (const unit of units) {
+      // Imported memory is curated, not machine cache: it keeps its TMX
+      // creation date and does not expire
+      await this.set(unit.sourceText, unit.translatedText, unit.sourceLang, unit.targetLang, {}, {
+        engine: unit.engine,
+        confidence: unit.confidence,
+        mangaTitle: unit.series || options.series || null,
+        chapter: unit.chapter || options.chapter || null,
+        timestamp: unit.timestamp,
+        imported: true
+      });
+      imported++;
+    }
+    
+    console.log(`[CacheManager] Imported ${imported} TMX translation units`);
+    return imported;
+  }
+
+  /**
+   * Switch between offering fuzzy matches as suggestions or applying them
+   */
+  setFuzzyMode(mode) {
+    if (!['suggest', 'auto'].includes(mode)) {
+      throw new Error(`Unknown fuzzy mode: ${mode}`);
+    }
+    this.fuzzyMode = mode;
+  }
+
   // ==================== Private Methods ====================
 
   _normalizeText(text) {
@@ -409,37 +536,34 @@ class CacheManager {
   }
 
   _isExpired(entry) {
+    if (entry.metadata?.userVerified || entry.metadata?.imported) return false;
     const age = Date.now() - entry.metadata.timestamp;
     return age > entry.ttl;
   }
 
-  async _findFuzzyMatch(sourceText, sourceLang, targetLang, context) {
-    // Simple fuzzy matching using Levenshtein distance
+  async _findFuzzyMatches(sourceText, sourceLang, targetLang, context) {
+    // Simple fuzzy matching using bigram similarity
     // In production, use proper fuzzy matching library
     const candidates = await translationCacheDB.getByLanguagePair(sourceLang, targetLang, 100);
-    
-    let bestMatch = null;
-    let bestScore = 0;
+    const normalizedSource = this._normalizeText(sourceText);
+    const matches = [];
     
     for (const candidate of candidates) {
       if (this._isExpired(candidate)) continue;
       
-      const similarity = this._calculateSimilarity(sourceText, candidate.sourceText);
-      if (similarity > CACHE_CONFIG.SIMILARITY_THRESHOLD && similarity > bestScore) {
-        bestScore = similarity;
-        bestMatch = candidate;
+      const similarity = this._calculateSimilarity(normalizedSource, candidate.sourceText);
+      if (similarity > CACHE_CONFIG.SIMILARITY_THRESHOLD) {
+        matches.push({
+          translation: this._decompressIfNeeded(candidate),
+          similarity,
+          originalText: candidate.originalText || candidate.sourceText
+        });
       }
     }
     
-    if (bestMatch) {
-      return {
-        translation: this._decompressIfNeeded(bestMatch),
-        similarity: bestScore,
-        originalText: bestMatch.sourceText
-      };
-    }
-    
-    return null;
+    return matches
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, CACHE_CONFIG.MAX_SUGGESTIONS);
   }
 
   _calculateSimilarity(str1, str2) {
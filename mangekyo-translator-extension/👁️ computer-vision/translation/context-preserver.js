@@ -75,6 +75,11 @@ class ContextPreserver {
     // Generate session ID
     const sessionId = this._generateSessionId(mangaId, chapterId);
     
+    // Keep what was learned in the chapter we are leaving
+    if (this.activeSession.mangaId) {
+      await this._saveSession();
+    }
+    
     // Check for existing context from previous chapters
     const existingContext = await this._loadPersistentContext(mangaId);
     
@@ -98,12 +103,18 @@ class ContextPreserver {
         setting: existingContext?.narrativeArc?.setting || null
       },
       translationMemory: new Map(existingContext?.translationMemory || []),
+      chaptersRead: [...new Set([...(existingContext?.chaptersRead || []), chapterNumber].filter(c => c != null))],
       recentBubbles: [],
       maxRecentBubbles: 10,
       createdAt: Date.now(),
       lastAccessed: Date.now()
     };
 
+    if (existingContext) {
+      console.log(`[ContextPreserver] Restored ${this.activeSession.characterProfiles.size} characters, ` +
+        `${this.activeSession.terminologyGlossary.size} terms from previous chapters`);
+    }
+
     // Analyze chapter context if available
     if (metadata.chapterSummary || metadata.previousChapterContext) {
       this._seedNarrativeContext(metadata);
@@ -165,6 +176,9 @@ class ContextPreserver {
       continuityMarkers: this._extractContinuityMarkers(ocrResults)
     };
 
+    // Persist at page boundaries so a browser restart loses at most one page
+    await this._saveSession();
+
     return pageContext;
   }
 
@@ -461,6 +475,7 @@ class ContextPreserver {
 
     return {
       known: true,
+      name: profile.name || null,
       speechPattern: profile.speechPattern,
       formalityLevel: profile.formalityLevel,
       commonPhrases: profile.commonPhrases.slice(-5),
@@ -472,6 +487,49 @@ class ContextPreserver {
     };
   }
 
+  /**
+   * Register a speaker found by speaker attribution, or update its name.
+   * Speaker ids are stable per series, so the profile keeps building up
+   * across chapters under the same id.
+   * @param {string} characterId - Speaker id (e.g. spk_3)
+   * @param {Object} attributes - { name }
+   * @returns {Object} Character context
+   */
+  registerCharacter(characterId, { name } = {}) {
+    const profile = this.activeSession.characterProfiles.get(characterId) ||
+                    this._createCharacterProfile(characterId);
+    if (name !== undefined) {
+      profile.name = name || null;
+    }
+
+    this.activeSession.characterProfiles.set(characterId, profile);
+    return this.getCharacterProfile(characterId);
+  }
+
+  /**
+   * Character voice as a prompt line for engines that take free-form context
+   * @param {string} characterId
+   * @returns {string} Empty when nothing is known about the speaker yet
+   */
+  describeCharacterVoice(characterId) {
+    const profile = characterId ? this.getCharacterProfile(characterId) : null;
+    if (!profile?.known) return '';
+
+    const parts = [`Speaker: ${profile.name || characterId}.`];
+    if (profile.formalityLevel && profile.formalityLevel !== 'neutral') {
+      parts.push(`Speaks in a ${profile.formalityLevel} register.`);
+    }
+    if (profile.commonPhrases.length) {
+      const earlier = profile.commonPhrases
+        .slice(-3)
+        .map(p => `"${p.original}" -> "${p.translated}"`)
+        .join('; ');
+      parts.push(`Earlier lines by this speaker: ${earlier}. Keep their voice consistent with these.`);
+    }
+
+    return parts.join(' ');
+  }
+
   /**
    * Generate context summary for external translators (API fallback)
    * @returns {string} Serialized context
@@ -586,6 +644,122 @@ class ContextPreserver {
     console.log('[ContextPreserver] Session ended');
   }
 
+  /**
+   * List stored series contexts for the options page
+   * @returns {Promise<Array<Object>>} Summaries, most recent first
+   */
+  async listStoredContexts() {
+    const records = await this.db.getAll('manga_context');
+
+    return records
+      .map(record => ({
+        mangaId: record.mangaId,
+        mangaTitle: record.mangaTitle || record.mangaId,
+        lastChapterNumber: record.lastChapterNumber ?? null,
+        chaptersRead: record.context?.chaptersRead?.length || 0,
+        characterCount: record.context?.characterProfiles?.length || 0,
+        terminologyCount: record.context?.terminologyGlossary?.length || 0,
+        memoryCount: record.context?.translationMemory?.length || 0,
+        lastUpdated: record.lastUpdated,
+        expired: this._isContextExpired(record)
+      }))
+      .sort((a, b) => b.lastUpdated - a.lastUpdated);
+  }
+
+  /**
+   * Full stored context for one series
+   * @param {string} mangaId - Series key
+   * @returns {Promise<Object|null>}
+   */
+  async getStoredContext(mangaId) {
+    return (await this.db.get('manga_context', mangaId)) || null;
+  }
+
+  /**
+   * Delete a stored series context
+   * @param {string} mangaId - Series key
+   */
+  async deleteStoredContext(mangaId) {
+    await this.db.delete('manga_context', mangaId);
+
+    // Don't write the deleted context straight back on the next page
+    if (this.activeSession.mangaId === mangaId) {
+      this.activeSession.characterProfiles.clear();
+      this.activeSession.terminologyGlossary.clear();
+      this.activeSession.translationMemory.clear();
+      this.activeSession.chaptersRead = [];
+    }
+
+    console.log(`[ContextPreserver] Deleted stored context: ${mangaId}`);
+    return true;
+  }
+
+  /**
+   * Merge stored contexts into one series (e.g. same series read on two sites)
+   * Target entries win on conflict; source contexts are deleted afterwards
+   * @param {string} targetId - Series key to keep
+   * @param {Array<string>} sourceIds - Series keys to fold in
+   * @returns {Promise<Object>} Merged record
+   */
+  async mergeStoredContexts(targetId, sourceIds) {
+    const target = await this.getStoredContext(targetId);
+    if (!target) {
+      throw new Error(`No stored context for ${targetId}`);
+    }
+
+    const merged = {
+      characterProfiles: new Map(target.context.characterProfiles || []),
+      terminologyGlossary: new Map(target.context.terminologyGlossary || []),
+      translationMemory: new Map(target.context.translationMemory || []),
+      chaptersRead: new Set(target.context.chaptersRead || [])
+    };
+
+    for (const sourceId of sourceIds.filter(id => id !== targetId)) {
+      const source = await this.getStoredContext(sourceId);
+      if (!source) continue;
+
+      source.context.characterProfiles?.forEach(([id, profile]) => {
+        if (!merged.characterProfiles.has(id)) merged.characterProfiles.set(id, profile);
+      });
+
+      source.context.terminologyGlossary?.forEach(([term, entry]) => {
+        const existing = merged.terminologyGlossary.get(term);
+        if (!existing) {
+          merged.terminologyGlossary.set(term, entry);
+        } else if (existing.frequency !== undefined) {
+          existing.frequency += entry.frequency || 0;
+        }
+      });
+
+      source.context.translationMemory?.forEach(([term, translation]) => {
+        if (!merged.translationMemory.has(term)) merged.translationMemory.set(term, translation);
+      });
+
+      source.context.chaptersRead?.forEach(chapter => merged.chaptersRead.add(chapter));
+
+      await this.db.delete('manga_context', sourceId);
+    }
+
+    target.context = {
+      ...target.context,
+      characterProfiles: Array.from(merged.characterProfiles.entries()),
+      terminologyGlossary: Array.from(merged.terminologyGlossary.entries()),
+      translationMemory: Array.from(merged.translationMemory.entries()),
+      chaptersRead: Array.from(merged.chaptersRead)
+    };
+    target.lastUpdated = Date.now();
+
+    await this.db.put('manga_context', target);
+
+    // Pick up merged data if we are reading the target series right now
+    if (this.activeSession.mangaId === targetId) {
+      await this.importContext(target.context);
+    }
+
+    console.log(`[ContextPreserver] Merged ${sourceIds.length} context(s) into ${targetId}`);
+    return target;
+  }
+
   // ==================== PRIVATE METHODS ====================
 
   _generateSessionId(mangaId, chapterId) {
@@ -593,9 +767,11 @@ class ContextPreserver {
   }
 
   async _loadPersistentContext(mangaId) {
+    if (!mangaId) return null;
+
     try {
       const stored = await this.db.get('manga_context', mangaId);
-      if (stored && (Date.now() - stored.lastUpdated) < (this.settings.contextExpiryDays * 86400000)) {
+      if (stored && !this._isContextExpired(stored)) {
         return stored.context;
       }
     } catch (e) {
@@ -604,6 +780,10 @@ class ContextPreserver {
     return null;
   }
 
+  _isContextExpired(record) {
+    return (Date.now() - record.lastUpdated) >= (this.settings.contextExpiryDays * 86400000);
+  }
+
   _seedNarrativeContext(metadata) {
     if (metadata.previousChapterContext) {
       this.activeSession.narrativeArc.previousScenes = 
@@ -782,14 +962,14 @@ class ContextPreserver {
     const terms = [];
 
     // Japanese proper noun patterns
-    const properNounPattern = /[一-龠々〆ヵヶ]+{2,}/g;
+    const properNounPattern = /[一-龠々〆ヵヶ]{2,}/g;
     let match;
     while ((match = properNounPattern.exec(text)) !== null) {
       terms.push(match[0]);
     }
 
     // Katakana terms (often special terminology)
-    const katakanaPattern = /[ァ-ヴー]+{2,}/g;
+    const katakanaPattern = /[ァ-ヴー]{2,}/g;
     while ((match = katakanaPattern.exec(text)) !== null) {
       terms.push(match[0]);
     }
@@ -882,21 +1062,8 @@ class ContextPreserver {
   }
 
   _updateCharacterProfile(character, original, translated, bubbleType) {
-    let profile = this.activeSession.characterProfiles.get(character);
-    
-    if (!profile) {
-      profile = {
-        id: character,
-        appearances: new Set(),
-        speechPattern: null,
-        formalityLevel: 'neutral',
-        commonPhrases: [],
-        expressions: [],
-        avgSentenceLength: 0,
-        translationNotes: [],
-        createdAt: Date.now()
-      };
-    }
+    const profile = this.activeSession.characterProfiles.get(character) ||
+                    this._createCharacterProfile(character);
 
     // Update stats
     profile.appearances.add(this.activeSession.currentPage);
@@ -936,6 +1103,21 @@ class ContextPreserver {
     this.activeSession.characterProfiles.set(character, profile);
   }
 
+  _createCharacterProfile(character) {
+    return {
+      id: character,
+      name: null,
+      appearances: new Set(),
+      speechPattern: null,
+      formalityLevel: 'neutral',
+      commonPhrases: [],
+      expressions: [],
+      avgSentenceLength: 0,
+      translationNotes: [],
+      createdAt: Date.now()
+    };
+  }
+
   _analyzeSpeechPattern(original, translated, bubbleType) {
     const analysis = {
       detectedFormality: null,
@@ -1253,14 +1435,21 @@ class ContextPreserver {
   }
 
   async _saveSession() {
+    // Contexts are stored per series; nothing to key on without one
+    if (!this.activeSession.mangaId) return;
+
     const data = {
-      id: this.activeSession.id,
+      id: this.activeSession.mangaId,
       mangaId: this.activeSession.mangaId,
-      chapterId: this.activeSession.chapterId,
+      mangaTitle: this.activeSession.mangaTitle,
+      sessionId: this.activeSession.id,
+      lastChapterId: this.activeSession.chapterId,
+      lastChapterNumber: this.activeSession.chapterNumber,
       context: {
         characterProfiles: Array.from(this.activeSession.characterProfiles.entries()),
         terminologyGlossary: Array.from(this.activeSession.terminologyGlossary.entries()),
         translationMemory: Array.from(this.activeSession.translationMemory.entries()),
+        chaptersRead: this.activeSession.chaptersRead || [],
         narrativeArc: {
           emotionalTone: this.activeSession.narrativeArc.emotionalTone,
           setting: this.activeSession.narrativeArc.setting,
@@ -1272,12 +1461,25 @@ class ContextPreserver {
 
     try {
       await this.db.put('manga_context', data);
+      await this._pruneStoredContexts();
       console.log('[ContextPreserver] Session saved');
     } catch (error) {
       console.error('[ContextPreserver] Save failed:', error);
     }
   }
 
+  async _pruneStoredContexts() {
+    const records = await this.db.getAll('manga_context');
+    if (records.length <= this.settings.maxStoredSessions) return;
+
+    // Drop least recently read series first; failures surface in the caller's catch
+    const stale = records
+      .sort((a, b) => a.lastUpdated - b.lastUpdated)
+      .slice(0, records.length - this.settings.maxStoredSessions);
+
+    await Promise.all(stale.map(record => this.db.delete('manga_context', record.mangaId)));
+  }
+
   async _compressContext(data) {
     // Simple compression - in production, use proper compression library
     return {
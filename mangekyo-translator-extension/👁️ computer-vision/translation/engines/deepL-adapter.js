@@ -817,6 +817,28 @@ export class DeepLEngine {
     }
   }
 
+  /**
+   * Delete a glossary
+   * @param {string} glossaryId 
+   * @returns {Promise<void>}
+   */
+  async deleteGlossary(glossaryId) {
+    const url = `${this.baseUrl}${DEEPL_CONFIG.ENDPOINTS.GLOSSARIES}/${encodeURIComponent(glossaryId)}`;
+    const response = await fetch(url, {
+      method: 'DELETE',
+      headers: { 'Authorization': `DeepL-Auth-Key ${this.authKey}` }
+    });
+
+    // 404: already gone
+    if (!response.ok && response.status !== 404) {
+      throw new Error(`${DeepLError.SERVER_ERROR}: HTTP ${response.status}`);
+    }
+
+    if (this.glossaryId === glossaryId) {
+      this.glossaryId = null;
+    }
+  }
+
   /**
    * Update configuration
    * @param {Object} config 
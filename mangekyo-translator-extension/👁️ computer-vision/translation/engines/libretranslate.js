@@ -0,0 +1,534 @@
+/**
+ * @fileoverview LibreTranslate Adapter for Mangekyo Extension
+ * @module computer-vision/translation/engines/libretranslate
+ *
+ * Translation through a self-hosted LibreTranslate (Argos Translate) server:
+ * - Works fully offline once the server has its language models
+ * - Optional API key for servers started with --api-keys
+ * - Same surface as GoogleTranslateEngine (translate, translateBatch,
+ *   detectLanguage, getSupportedLanguages, healthCheck)
+ * - Honorifics preservation for Japanese content
+ * - Retry with backoff when the server asks to slow down
+ */
+
+import { CacheManager } from '../cache-manager.js';
+import { HonorificsHandler } from '../honorifics-handler.js';
+import { PerformanceMonitor } from '../../../core/shared/utils/performance-monitor.js';
+
+/**
+ * LibreTranslate Engine Configuration
+ * @constant {Object}
+ */
+const LIBRETRANSLATE_CONFIG = {
+  DEFAULT_BASE_URL: 'http://localhost:5000',
+  ENDPOINTS: {
+    TRANSLATE: '/translate',
+    DETECT: '/detect',
+    LANGUAGES: '/languages'
+  },
+  BATCH_SIZE: 50, // Keeps requests under the default --char-limit for typical bubbles
+  MAX_TEXT_LENGTH: 5000,
+  RETRY: {
+    MAX_ATTEMPTS: 3,
+    BASE_DELAY_MS: 1000,
+    MAX_DELAY_MS: 10000
+  },
+  TIMEOUT_MS: 30000, // CPU-only servers are slow on long text
+
+  // Extension codes that Argos names differently
+  LANGUAGE_MAP: {
+    'zh-TW': 'zt',
+    'zh-CN': 'zh'
+  }
+};
+
+/**
+ * Error types for LibreTranslate operations
+ * @enum {string}
+ */
+export const LibreTranslateError = {
+  INVALID_API_KEY: 'INVALID_API_KEY',
+  UNSUPPORTED_LANGUAGE: 'UNSUPPORTED_LANGUAGE',
+  TEXT_TOO_LONG: 'TEXT_TOO_LONG',
+  NETWORK_ERROR: 'NETWORK_ERROR',
+  RATE_LIMITED: 'RATE_LIMITED',
+  INVALID_RESPONSE: 'INVALID_RESPONSE'
+};
+
+/**
+ * LibreTranslate Engine
+ * @class
+ */
+export class LibreTranslateEngine {
+  /**
+   * @param {Object} options - Configuration options
+   * @param {string} options.baseUrl - Server root, e.g. http://reader-server:5000
+   * @param {string} [options.apiKey] - Only for servers that require keys
+   * @param {CacheManager} options.cacheManager - Cache instance
+   * @param {boolean} options.preserveHonorifics - Keep Japanese honorifics
+   */
+  constructor(options = {}) {
+    this.baseUrl = this._normalizeBaseUrl(options.baseUrl);
+    this.apiKey = options.apiKey || null;
+    this.cacheManager = options.cacheManager || new CacheManager();
+    this.honorificsHandler = options.preserveHonorifics !== false ? new HonorificsHandler() : null;
+    this.performanceMonitor = new PerformanceMonitor('libretranslate');
+
+    this.languages = null; // Cached /languages response
+    this.requestCount = 0;
+  }
+
+  /**
+   * Strip trailing slashes so endpoint paths can be appended
+   * @private
+   * @param {string} url
+   * @returns {string}
+   */
+  _normalizeBaseUrl(url) {
+    return (url || LIBRETRANSLATE_CONFIG.DEFAULT_BASE_URL).trim().replace(/\/+$/, '');
+  }
+
+  /**
+   * Map an extension language code to the server's
+   * @private
+   * @param {string} lang
+   * @returns {string}
+   */
+  _toServerLang(lang) {
+    return LIBRETRANSLATE_CONFIG.LANGUAGE_MAP[lang] || lang;
+  }
+
+  /**
+   * Sleep utility
+   * @private
+   * @param {number} ms - Milliseconds to sleep
+   * @returns {Promise<void>}
+   */
+  _sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  /**
+   * Calculate retry delay with exponential backoff
+   * @private
+   * @param {number} attempt - Current attempt number
+   * @returns {number} Delay in milliseconds
+   */
+  _getRetryDelay(attempt) {
+    const delay = Math.min(
+      LIBRETRANSLATE_CONFIG.RETRY.BASE_DELAY_MS * Math.pow(2, attempt),
+      LIBRETRANSLATE_CONFIG.RETRY.MAX_DELAY_MS
+    );
+    return delay + Math.random() * 1000;
+  }
+
+  /**
+   * Preprocess text before translation
+   * @private
+   * @param {string} text - Original text
+   * @param {string} sourceLang - Source language code
+   * @returns {Object} Processed text and metadata
+   */
+  _preprocessText(text, sourceLang) {
+    if (!text || typeof text !== 'string') {
+      return { text: '', markers: [] };
+    }
+
+    let processedText = text;
+    const markers = [];
+
+    if (this.honorificsHandler && sourceLang === 'ja') {
+      const result = this.honorificsHandler.extract(processedText);
+      processedText = result.text;
+      markers.push(...result.markers);
+    }
+
+    if (processedText.length > LIBRETRANSLATE_CONFIG.MAX_TEXT_LENGTH) {
+      console.warn(`[LibreTranslate] Text truncated from ${processedText.length} chars`);
+      processedText = processedText.substring(0, LIBRETRANSLATE_CONFIG.MAX_TEXT_LENGTH);
+    }
+
+    return { text: processedText, markers };
+  }
+
+  /**
+   * Postprocess translated text
+   * @private
+   * @param {string} text - Translated text
+   * @param {Array} markers - Preservation markers
+   * @returns {string} Restored text
+   */
+  _postprocessText(text, markers) {
+    let processedText = text;
+
+    if (this.honorificsHandler && markers.some(m => m.type === 'honorific')) {
+      processedText = this.honorificsHandler.restore(processedText, markers);
+    }
+
+    return processedText
+      .replace(/\s+/g, ' ')
+      .replace(/([.!?])\s+/g, '$1 ')
+      .trim();
+  }
+
+  /**
+   * POST to a LibreTranslate endpoint
+   * @private
+   * @param {string} endpoint - Path from LIBRETRANSLATE_CONFIG.ENDPOINTS
+   * @param {Object} payload - Request body (api_key added when set)
+   * @param {number} attempt - Current retry attempt
+   * @returns {Promise<Object>} Parsed response
+   */
+  async _makeRequest(endpoint, payload, attempt = 0) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), LIBRETRANSLATE_CONFIG.TIMEOUT_MS);
+
+    try {
+      const response = await fetch(`${this.baseUrl}${endpoint}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Accept': 'application/json'
+        },
+        body: JSON.stringify(this.apiKey ? { ...payload, api_key: this.apiKey } : payload),
+        signal: controller.signal
+      });
+
+      clearTimeout(timeoutId);
+      this.requestCount++;
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        const errorMessage = errorData.error || response.statusText;
+
+        if (response.status === 403) {
+          throw new Error(LibreTranslateError.INVALID_API_KEY);
+        }
+        if (response.status === 429) {
+          throw new Error(LibreTranslateError.RATE_LIMITED);
+        }
+        if (response.status === 400 && /language/i.test(errorMessage)) {
+          throw new Error(LibreTranslateError.UNSUPPORTED_LANGUAGE);
+        }
+        if (response.status === 400 && /limit/i.test(errorMessage)) {
+          throw new Error(LibreTranslateError.TEXT_TOO_LONG);
+        }
+
+        throw new Error(`HTTP ${response.status}: ${errorMessage}`);
+      }
+
+      return await response.json();
+
+    } catch (error) {
+      clearTimeout(timeoutId);
+
+      if (attempt < LIBRETRANSLATE_CONFIG.RETRY.MAX_ATTEMPTS &&
+          (error.name === 'TypeError' || error.name === 'AbortError' ||
+           error.message === LibreTranslateError.RATE_LIMITED)) {
+
+        const delay = this._getRetryDelay(attempt);
+        console.warn(`[LibreTranslate] Retry ${attempt + 1}/${LIBRETRANSLATE_CONFIG.RETRY.MAX_ATTEMPTS} after ${delay}ms`);
+        await this._sleep(delay);
+        return this._makeRequest(endpoint, payload, attempt + 1);
+      }
+
+      if (error.name === 'TypeError') {
+        throw new Error(`${LibreTranslateError.NETWORK_ERROR}: ${this.baseUrl} unreachable`);
+      }
+
+      throw error;
+    }
+  }
+
+  /**
+   * Build a result object from one translated string
+   * @private
+   */
+  _buildResult(original, translatedText, detected, markers, sourceLang) {
+    return {
+      text: this._postprocessText(translatedText, markers),
+      originalText: original,
+      detectedLanguage: detected?.language || sourceLang,
+      // Server reports detection confidence as 0-100; translation itself has no score
+      confidence: detected ? detected.confidence / 100 : 0.85,
+      engine: 'libretranslate',
+      timestamp: Date.now()
+    };
+  }
+
+  /**
+   * Translate a single text string
+   * @param {string} text - Text to translate
+   * @param {Object} options - Translation options
+   * @param {string} options.sourceLang - Source language code (e.g., 'ja', 'ko')
+   * @param {string} options.targetLang - Target language code (e.g., 'en')
+   * @param {boolean} options.useCache - Whether to use cache
+   * @returns {Promise<Object>} Translation result
+   */
+  async translate(text, options = {}) {
+    const startTime = performance.now();
+    const { sourceLang = 'auto', targetLang = 'en', useCache = true } = options;
+
+    if (!text || !text.trim()) {
+      return { text: '', detectedLanguage: sourceLang, confidence: 0 };
+    }
+
+    const cacheKey = { text, source: sourceLang, target: targetLang, engine: 'libretranslate' };
+
+    if (useCache && this.cacheManager) {
+      const cached = await this.cacheManager.get('translation', cacheKey);
+      if (cached) {
+        this.performanceMonitor.record('cache_hit', performance.now() - startTime);
+        return { ...cached, fromCache: true };
+      }
+    }
+
+    const { text: processedText, markers } = this._preprocessText(text, sourceLang);
+
+    try {
+      const data = await this._makeRequest(LIBRETRANSLATE_CONFIG.ENDPOINTS.TRANSLATE, {
+        q: processedText,
+        source: sourceLang === 'auto' ? 'auto' : this._toServerLang(sourceLang),
+        target: this._toServerLang(targetLang),
+        format: 'text'
+      });
+
+      if (typeof data.translatedText !== 'string') {
+        throw new Error(LibreTranslateError.INVALID_RESPONSE);
+      }
+
+      const translationResult = this._buildResult(text, data.translatedText, data.detectedLanguage, markers, sourceLang);
+
+      if (useCache && this.cacheManager) {
+        await this.cacheManager.set('translation', cacheKey, translationResult);
+      }
+
+      this.performanceMonitor.record('translation_success', performance.now() - startTime);
+      return translationResult;
+
+    } catch (error) {
+      this.performanceMonitor.record('translation_error', performance.now() - startTime);
+      console.error('[LibreTranslate] Translation failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Translate multiple texts in batch (array `q`, one request per chunk)
+   * @param {Array<string>} texts - Array of texts to translate
+   * @param {Object} options - Translation options
+   * @returns {Promise<Array<Object>>} Array of translation results
+   */
+  async translateBatch(texts, options = {}) {
+    const startTime = performance.now();
+    const { sourceLang = 'auto', targetLang = 'en', useCache = true } = options;
+
+    if (!Array.isArray(texts) || texts.length === 0) {
+      return [];
+    }
+
+    const results = new Array(texts.length).fill(null);
+    const toTranslate = [];
+
+    for (let i = 0; i < texts.length; i++) {
+      const text = texts[i];
+
+      if (!text || !text.trim()) {
+        results[i] = { text: '', detectedLanguage: sourceLang, confidence: 0 };
+        continue;
+      }
+
+      if (useCache && this.cacheManager) {
+        const cached = await this.cacheManager.get('translation', {
+          text,
+          source: sourceLang,
+          target: targetLang,
+          engine: 'libretranslate'
+        });
+
+        if (cached) {
+          results[i] = { ...cached, fromCache: true };
+          continue;
+        }
+      }
+
+      const processed = this._preprocessText(text, sourceLang);
+      toTranslate.push({ index: i, text: processed.text, markers: processed.markers, original: text });
+    }
+
+    for (let i = 0; i < toTranslate.length; i += LIBRETRANSLATE_CONFIG.BATCH_SIZE) {
+      const chunk = toTranslate.slice(i, i + LIBRETRANSLATE_CONFIG.BATCH_SIZE);
+
+      try {
+        const data = await this._makeRequest(LIBRETRANSLATE_CONFIG.ENDPOINTS.TRANSLATE, {
+          q: chunk.map(item => item.text),
+          source: sourceLang === 'auto' ? 'auto' : this._toServerLang(sourceLang),
+          target: this._toServerLang(targetLang),
+          format: 'text'
+        });
+
+        if (!Array.isArray(data.translatedText) || data.translatedText.length !== chunk.length) {
+          throw new Error(LibreTranslateError.INVALID_RESPONSE);
+        }
+
+        for (let j = 0; j < chunk.length; j++) {
+          const { index, original, markers } = chunk[j];
+          const detected = Array.isArray(data.detectedLanguage) ? data.detectedLanguage[j] : data.detectedLanguage;
+          const translationResult = this._buildResult(original, data.translatedText[j], detected, markers, sourceLang);
+
+          results[index] = translationResult;
+
+          if (useCache && this.cacheManager) {
+            await this.cacheManager.set('translation', {
+              text: original,
+              source: sourceLang,
+              target: targetLang,
+              engine: 'libretranslate'
+            }, translationResult);
+          }
+        }
+
+      } catch (error) {
+        console.error('[LibreTranslate] Batch chunk failed:', error);
+
+        for (const item of chunk) {
+          if (!results[item.index]) {
+            results[item.index] = {
+              text: '[Translation Failed]',
+              originalText: item.original,
+              error: error.message,
+              engine: 'libretranslate'
+            };
+          }
+        }
+      }
+    }
+
+    this.performanceMonitor.record('batch_translation', performance.now() - startTime);
+    return results;
+  }
+
+  /**
+   * Detect language of text
+   * @param {string} text - Text to analyze
+   * @returns {Promise<Object>} Detection result with language code and confidence
+   */
+  async detectLanguage(text) {
+    if (!text || !text.trim()) {
+      return { language: 'unknown', confidence: 0 };
+    }
+
+    try {
+      const detections = await this._makeRequest(LIBRETRANSLATE_CONFIG.ENDPOINTS.DETECT, {
+        q: text.substring(0, 1000)
+      });
+
+      const best = detections?.[0];
+      if (!best) {
+        return { language: 'unknown', confidence: 0 };
+      }
+
+      return {
+        language: best.language,
+        confidence: best.confidence / 100,
+        isReliable: best.confidence >= 50
+      };
+
+    } catch (error) {
+      console.error('[LibreTranslate] Language detection failed:', error);
+      return { language: 'unknown', confidence: 0, error: error.message };
+    }
+  }
+
+  /**
+   * Get supported languages
+   * @returns {Promise<Array<Object>>} [{ language, name, targets }]
+   */
+  async getSupportedLanguages() {
+    if (this.languages) return this.languages;
+
+    try {
+      const response = await fetch(`${this.baseUrl}${LIBRETRANSLATE_CONFIG.ENDPOINTS.LANGUAGES}`);
+
+      if (!response.ok) {
+        throw new Error(`Failed to fetch languages: ${response.statusText}`);
+      }
+
+      const data = await response.json();
+      // Same shape as GoogleTranslateEngine; targets says which pairs the server has models for
+      this.languages = data.map(lang => ({ language: lang.code, name: lang.name, targets: lang.targets || [] }));
+      return this.languages;
+
+    } catch (error) {
+      console.error('[LibreTranslate] Failed to get languages:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Update server settings (for settings changes)
+   * @param {Object} config - { baseUrl, apiKey }
+   */
+  updateConfig(config) {
+    if (config.baseUrl) {
+      this.baseUrl = this._normalizeBaseUrl(config.baseUrl);
+      this.languages = null;
+    }
+    if (config.apiKey !== undefined) this.apiKey = config.apiKey || null;
+  }
+
+  /**
+   * Clear internal caches
+   */
+  async clearCache() {
+    this.languages = null;
+    if (this.cacheManager) {
+      await this.cacheManager.clear('translation');
+    }
+  }
+
+  /**
+   * Health check for the translation service
+   * @returns {Promise<Object>} Health status
+   */
+  async healthCheck() {
+    const start = Date.now();
+
+    try {
+      this.languages = null;
+      const languages = await this.getSupportedLanguages();
+      if (languages.length === 0) {
+        throw new Error(`No languages reported by ${this.baseUrl}`);
+      }
+
+      // Round-trip through any installed pair so a loaded-but-broken model shows up
+      const source = languages.find(lang => lang.targets.some(target => target !== lang.language));
+      if (source) {
+        await this.translate('hello', {
+          sourceLang: source.language,
+          targetLang: source.targets.find(target => target !== source.language),
+          useCache: false
+        });
+      }
+
+      return {
+        status: 'healthy',
+        latency: Date.now() - start,
+        baseUrl: this.baseUrl,
+        languages: languages.map(lang => lang.language)
+      };
+    } catch (error) {
+      return {
+        status: 'unhealthy',
+        error: error.message,
+        baseUrl: this.baseUrl
+      };
+    }
+  }
+}
+
+// Export singleton instance for extension use
+export const libreTranslate = new LibreTranslateEngine();
+
+// Default export for module systems
+export default LibreTranslateEngine;
@@ -0,0 +1,263 @@
+/**
+ * @fileoverview OpenAI-compatible endpoint adapter for Mangekyo Extension
+ * @module computer-vision/translation/engines/openai-compatible
+ *
+ * Points the GPT engine at any server speaking the chat completions API:
+ * - llama.cpp server, Ollama, vLLM, LM Studio, self-hosted gateways
+ * - Configurable base URL, model name and extra headers (API key optional)
+ * - Context window budget for the manga prompt, panel memory and reply
+ * - JSON mode toggle for servers that reject `response_format`
+ * - Same manga prompting, panel memory and streaming as OpenAIGPTEngine
+ */
+
+import { OpenAIGPTEngine } from './openai-gpt.js';
+
+/**
+ * Endpoint defaults
+ * @constant {Object}
+ */
+const COMPATIBLE_CONFIG = {
+  ENDPOINTS: {
+    CHAT: '/chat/completions',
+    MODELS: '/models'
+  },
+
+  DEFAULTS: {
+    BASE_URL: 'http://localhost:11434/v1', // Ollama; llama.cpp server is http://localhost:8080/v1
+    CONTEXT_WINDOW: 4096,
+    MAX_TOKENS: 512,
+    TEMPERATURE: 0.3
+  },
+
+  PROMPT_RESERVE_TOKENS: 1024, // System prompt + the bubble being translated
+  MIN_REPLY_TOKENS: 64,
+  PROBE_TIMEOUT_MS: 10000
+};
+
+/**
+ * Generic OpenAI-compatible Translation Engine
+ * @class
+ * @extends OpenAIGPTEngine
+ */
+export class OpenAICompatibleEngine extends OpenAIGPTEngine {
+  /**
+   * @param {Object} options - Configuration options
+   * @param {string} options.baseUrl - API root including version, e.g. http://localhost:8080/v1
+   * @param {string} options.model - Model name as the server knows it
+   * @param {string} [options.apiKey] - Sent as a Bearer token when set
+   * @param {Object} [options.headers] - Extra request headers
+   * @param {number} [options.contextWindow] - Model context size in tokens
+   * @param {number} [options.maxTokens] - Reply length cap in tokens
+   * @param {boolean} [options.jsonMode] - Server accepts response_format json_object
+   */
+  constructor(options = {}) {
+    super({ ...options, useVision: options.useVision === true });
+    this.engineId = 'openai_compatible';
+
+    this.model = options.model || '';
+    this.fallbackModel = this.model; // No cheaper tier to fall back to
+    this.temperature = options.temperature ?? COMPATIBLE_CONFIG.DEFAULTS.TEMPERATURE;
+
+    this.baseUrl = this._normalizeBaseUrl(options.baseUrl);
+    this.headers = { ...(options.headers || {}) };
+    this.contextWindow = options.contextWindow || COMPATIBLE_CONFIG.DEFAULTS.CONTEXT_WINDOW;
+    this.maxTokens = options.maxTokens || COMPATIBLE_CONFIG.DEFAULTS.MAX_TOKENS;
+    this.jsonMode = options.jsonMode === true;
+  }
+
+  /**
+   * Strip trailing slashes so endpoint paths can be appended
+   * @private
+   * @param {string} url
+   * @returns {string}
+   */
+  _normalizeBaseUrl(url) {
+    return (url || COMPATIBLE_CONFIG.DEFAULTS.BASE_URL).trim().replace(/\/+$/, '');
+  }
+
+  /**
+   * @private
+   * @returns {string}
+   */
+  _chatUrl() {
+    return `${this.baseUrl}${COMPATIBLE_CONFIG.ENDPOINTS.CHAT}`;
+  }
+
+  /**
+   * Custom headers last so they can replace Authorization (e.g. gateway tokens)
+   * @private
+   * @returns {Object}
+   */
+  _headers() {
+    return {
+      'Content-Type': 'application/json',
+      ...(this.apiKey ? { 'Authorization': `Bearer ${this.apiKey}` } : {}),
+      ...this.headers
+    };
+  }
+
+  /**
+   * Self-hosted servers have no vendor quotas; APIManager still applies its own limiter
+   * @private
+   */
+  async _enforceRateLimits() {
+    this.requestCount.minute++;
+    this.requestCount.hour++;
+  }
+
+  /**
+   * Track tokens only; running your own hardware has no per-token price
+   * @private
+   * @param {number} inputTokens
+   * @param {number} outputTokens
+   * @returns {number}
+   */
+  _calculateCost(inputTokens, outputTokens) {
+    this.totalTokens.input += inputTokens;
+    this.totalTokens.output += outputTokens;
+    return 0;
+  }
+
+  /**
+   * Panel memory from OpenAIGPTEngine, newest first, trimmed to what the
+   * context window leaves after the prompt and the reply
+   * @private
+   * @returns {Array<Object>}
+   */
+  _buildContextMessages() {
+    let budget = this.contextWindow - this.maxTokens - COMPATIBLE_CONFIG.PROMPT_RESERVE_TOKENS;
+    const kept = [];
+
+    for (const message of super._buildContextMessages().reverse()) {
+      budget -= this._estimateTokens(message.content);
+      if (budget < 0) break;
+      kept.unshift(message);
+    }
+
+    return kept;
+  }
+
+  /**
+   * Fit the reply into the context window and emulate JSON mode when the
+   * server does not support it
+   * @private
+   * @param {Array<Object>} messages
+   * @param {Object} options
+   * @param {number} attempt
+   * @returns {Promise<Object>}
+   */
+  async _makeRequest(messages, options = {}, attempt = 0) {
+    const promptTokens = this._estimateTokens(
+      messages.map(m => typeof m.content === 'string' ? m.content : JSON.stringify(m.content)).join('')
+    );
+    const request = {
+      ...options,
+      model: options.model || this.model,
+      maxTokens: Math.max(
+        COMPATIBLE_CONFIG.MIN_REPLY_TOKENS,
+        Math.min(options.maxTokens || this.maxTokens, this.contextWindow - promptTokens)
+      )
+    };
+    let chat = messages;
+
+    if (options.jsonMode && !this.jsonMode) {
+      request.jsonMode = false;
+      chat = [...messages, { role: 'system', content: 'Respond with a single JSON object and nothing else.' }];
+    }
+
+    const result = await super._makeRequest(chat, request, attempt);
+
+    // Local models like to wrap JSON in code fences
+    const message = result.choices?.[0]?.message;
+    if (options.jsonMode && message?.content) {
+      message.content = message.content.trim().replace(/^```(?:json)?\s*|\s*```$/g, '');
+    }
+
+    return result;
+  }
+
+  /**
+   * Models the server reports
+   * @returns {Promise<Array<string>>}
+   */
+  async listModels() {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), COMPATIBLE_CONFIG.PROBE_TIMEOUT_MS);
+
+    try {
+      const response = await fetch(`${this.baseUrl}${COMPATIBLE_CONFIG.ENDPOINTS.MODELS}`, {
+        headers: this._headers(),
+        signal: controller.signal
+      });
+
+      if (!response.ok) {
+        throw new Error(`Model list failed: ${response.status} ${response.statusText}`);
+      }
+
+      const data = await response.json();
+      return (data.data || data.models || []).map(model => model.id || model.name).filter(Boolean);
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  /**
+   * Connection test for the settings page: model list, then a short translation
+   * @returns {Promise<Object>} { success, latency, models, modelListed, sample, error }
+   */
+  async testConnection() {
+    const start = Date.now();
+
+    if (!this.model) {
+      return { success: false, error: 'No model configured' };
+    }
+
+    // Not every server implements /models; the translation below is what counts
+    let models = null;
+    try {
+      models = await this.listModels();
+    } catch (error) {
+      console.warn('[OpenAICompatible] Model list unavailable:', error.message);
+    }
+
+    const health = await this.healthCheck();
+
+    return {
+      success: health.status === 'healthy',
+      latency: Date.now() - start,
+      models,
+      // llama.cpp serves one model whatever the name, so a miss is only a hint
+      modelListed: models ? models.includes(this.model) : null,
+      error: health.error || null
+    };
+  }
+
+  /**
+   * Update configuration
+   * @param {Object} config
+   */
+  updateConfig(config) {
+    super.updateConfig(config);
+    if (config.apiKey !== undefined) this.apiKey = config.apiKey || null;
+    if (config.model) this.fallbackModel = config.model;
+    if (config.baseUrl) this.baseUrl = this._normalizeBaseUrl(config.baseUrl);
+    if (config.headers) this.headers = { ...config.headers };
+    if (config.contextWindow) this.contextWindow = config.contextWindow;
+    if (config.maxTokens) this.maxTokens = config.maxTokens;
+    if (config.jsonMode !== undefined) this.jsonMode = config.jsonMode;
+  }
+
+  /**
+   * Get usage statistics
+   * @returns {Object}
+   */
+  getUsageStats() {
+    return {
+      ...super.getUsageStats(),
+      baseUrl: this.baseUrl,
+      contextWindow: this.contextWindow
+    };
+  }
+}
+
+export default OpenAICompatibleEngine;
@@ -142,6 +142,7 @@ export class OpenAIGPTEngine {
     this.apiKey = options.apiKey || null;
     this.model = options.model || OPENAI_CONFIG.MODELS.VISION;
     this.fallbackModel = options.fallbackModel || OPENAI_CONFIG.MODELS.CHEAP;
+    this.engineId = 'openai'; // Cache key and result label; subclasses pointing elsewhere override
     
     this.cacheManager = options.cacheManager || new CacheManager();
     this.honorificsHandler = new HonorificsHandler();
@@ -152,6 +153,7 @@ export class OpenAIGPTEngine {
     this.useVision = options.useVision !== false;
     this.streaming = options.streaming || false;
     this.temperature = options.temperature ?? 0.7;
+    this.maxTokens = options.maxTokens || 1000; // Reply cap for translate()
     
     // Conversation memory for context preservation
     this.conversationMemory = [];
@@ -288,6 +290,29 @@ export class OpenAIGPTEngine {
     };
   }
 
+  /**
+   * Chat completions URL
+   * @private
+   * @returns {string}
+   */
+  _chatUrl() {
+    return `${OPENAI_CONFIG.API_URL}${OPENAI_CONFIG.ENDPOINTS.CHAT}`;
+  }
+
+  /**
+   * Request headers
+   * @private
+   * @param {Object} options
+   * @returns {Object}
+   */
+  _headers(options = {}) {
+    return {
+      'Authorization': `Bearer ${this.apiKey}`,
+      'Content-Type': 'application/json',
+      'OpenAI-Organization': options.orgId || ''
+    };
+  }
+
   /**
    * Build conversation context from memory
    * @private
@@ -340,13 +365,9 @@ export class OpenAIGPTEngine {
     const timeoutId = setTimeout(() => controller.abort(), OPENAI_CONFIG.TIMEOUT_MS);
 
     try {
-      const response = await fetch(`${OPENAI_CONFIG.API_URL}${OPENAI_CONFIG.ENDPOINTS.CHAT}`, {
+      const response = await fetch(this._chatUrl(), {
         method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${this.apiKey}`,
-          'Content-Type': 'application/json',
-          'OpenAI-Organization': options.orgId || ''
-        },
+        headers: this._headers(options),
         body: JSON.stringify(payload),
         signal: controller.signal
       });
@@ -493,7 +514,7 @@ export class OpenAIGPTEngine {
         text,
         source: sourceLang,
         target: targetLang,
-        engine: 'openai',
+        engine: this.engineId,
         model: this.model,
         context: !!imageContext
       };
@@ -558,8 +579,8 @@ export class OpenAIGPTEngine {
 
     try {
       const result = await this._makeRequest(messages, {
-        maxTokens: 1000,
-        temperature: 0.7
+        maxTokens: this.maxTokens,
+        temperature: this.temperature
       });
 
       let translatedText = result.choices[0].message.content.trim();
@@ -595,7 +616,7 @@ export class OpenAIGPTEngine {
         originalText: text,
         detectedLanguage: sourceLang,
         confidence: 0.95, // GPT-4 generally high confidence
-        engine: 'openai',
+        engine: this.engineId,
         model: result.modelUsed,
         cost: result.cost,
         tokens: {
@@ -611,7 +632,7 @@ export class OpenAIGPTEngine {
           text,
           source: sourceLang,
           target: targetLang,
-          engine: 'openai',
+          engine: this.engineId,
           model: this.model
         }, translationResult);
       }
@@ -733,7 +754,7 @@ export class OpenAIGPTEngine {
   /**
    * Stream translation (for real-time UI updates)
    * @param {string} text 
-   * @param {Object} options 
+   * @param {Object} options - { sourceLang, targetLang, sceneContext, signal }
    * @param {Function} onChunk - Callback for each text chunk
    * @returns {Promise<Object>}
    */
@@ -742,6 +763,13 @@ export class OpenAIGPTEngine {
       throw new Error('onChunk callback required for streaming');
     }
 
+    const { sourceLang = 'ja', targetLang = 'en', sceneContext = null, signal } = options;
+
+    let prompt = `Translate from ${sourceLang} to ${targetLang}:\n\n"${text}"`;
+    if (sceneContext) {
+      prompt += `\nScene context: ${sceneContext}`;
+    }
+
     const messages = [
       {
         role: 'system',
@@ -749,25 +777,23 @@ export class OpenAIGPTEngine {
       },
       {
         role: 'user',
-        content: `Translate: "${text}"`
+        content: prompt
       }
     ];
 
     await this._enforceRateLimits();
     
-    const response = await fetch(`${OPENAI_CONFIG.API_URL}${OPENAI_CONFIG.ENDPOINTS.CHAT}`, {
+    const response = await fetch(this._chatUrl(), {
       method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${this.apiKey}`,
-        'Content-Type': 'application/json'
-      },
+      headers: this._headers(),
       body: JSON.stringify({
         model: this.model,
         messages,
         stream: true,
         temperature: this.temperature,
         max_tokens: 1000
-      })
+      }),
+      signal // Aborting also ends the reader loop below
     });
 
     if (!response.ok) {
@@ -811,9 +837,9 @@ export class OpenAIGPTEngine {
     }
 
     return {
-      text: fullText,
+      text: fullText.trim().replace(/^["']|["']$/g, ''),
       originalText: text,
-      engine: 'openai',
+      engine: this.engineId,
       streaming: true,
       timestamp: Date.now()
     };
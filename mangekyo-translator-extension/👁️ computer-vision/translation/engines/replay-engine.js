@@ -0,0 +1,289 @@
+/**
+ * @fileoverview Replay Translation Engine for Mangekyo Extension
+ * @module computer-vision/translation/engines/replay-engine
+ *
+ * Offline engine that serves translations from a recorded JSON fixture:
+ * - Same translate / translateBatch / healthCheck surface as the live engines
+ * - Record mode wraps a live engine and captures its responses (and errors)
+ * - Replay mode needs no network, so the OCR → translate → overlay pipeline
+ *   can be exercised in tests and bug reports reproduced exactly
+ */
+
+/**
+ * Fixture format version
+ * @constant {number}
+ */
+const FIXTURE_VERSION = 1;
+
+/**
+ * Error types for replay operations
+ * @enum {string}
+ */
+export const ReplayError = {
+  FIXTURE_MISSING: 'FIXTURE_MISSING',
+  INVALID_FIXTURE: 'INVALID_FIXTURE',
+  NO_DELEGATE: 'NO_DELEGATE'
+};
+
+/**
+ * Engine modes
+ * @enum {string}
+ */
+export const ReplayMode = {
+  REPLAY: 'replay',
+  RECORD: 'record'
+};
+
+/**
+ * Replay Engine
+ * @class
+ */
+export class ReplayEngine {
+  /**
+   * @param {Object} options - Configuration options
+   * @param {string} options.mode - 'replay' or 'record'
+   * @param {Object} options.delegate - Live engine used in record mode
+   * @param {string} options.engine - Engine label written to exported fixtures
+   * @param {Object|string} options.fixtures - Fixture object or JSON string to preload
+   * @param {boolean} options.strict - Throw on missing fixture instead of echoing the source
+   * @param {boolean} options.simulateLatency - Wait for the recorded latency before answering
+   */
+  constructor(options = {}) {
+    this.mode = options.mode || ReplayMode.REPLAY;
+    this.delegate = options.delegate || null;
+    this.strict = options.strict !== false;
+    this.simulateLatency = options.simulateLatency || false;
+
+    this.entries = new Map();
+    this.meta = { engine: options.engine || options.delegate?.constructor?.name || null, recordedAt: null };
+    this.stats = { hits: 0, misses: 0, recorded: 0 };
+
+    if (this.mode === ReplayMode.RECORD && !this.delegate) {
+      throw new Error(ReplayError.NO_DELEGATE);
+    }
+
+    if (options.fixtures) {
+      this.loadFixtures(options.fixtures);
+    }
+  }
+
+  /**
+   * Build lookup key for a request
+   * @private
+   * @param {string} text - Source text
+   * @param {string} sourceLang - Source language
+   * @param {string} targetLang - Target language
+   * @returns {string} Fixture key
+   */
+  _key(text, sourceLang, targetLang) {
+    return `${sourceLang}|${targetLang}|${text.trim()}`;
+  }
+
+  /**
+   * Sleep utility
+   * @private
+   * @param {number} ms - Milliseconds to sleep
+   * @returns {Promise<void>}
+   */
+  _sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  /**
+   * Load fixtures from an object, JSON string or URL
+   * @param {Object|string} source - Fixture data or URL (e.g. chrome.runtime.getURL(...))
+   * @returns {Promise<number>|number} Number of loaded entries
+   */
+  loadFixtures(source) {
+    if (typeof source === 'string' && /^(https?|chrome-extension|file):/.test(source)) {
+      return fetch(source)
+        .then(response => response.json())
+        .then(data => this.loadFixtures(data));
+    }
+
+    const data = typeof source === 'string' ? JSON.parse(source) : source;
+
+    if (!data || !Array.isArray(data.entries)) {
+      throw new Error(ReplayError.INVALID_FIXTURE);
+    }
+
+    for (const entry of data.entries) {
+      this.entries.set(this._key(entry.text, entry.sourceLang, entry.targetLang), entry);
+    }
+
+    this.meta = {
+      engine: data.engine || this.meta.engine,
+      recordedAt: data.recordedAt || null
+    };
+
+    return this.entries.size;
+  }
+
+  /**
+   * Serialize recorded entries to fixture JSON
+   * @returns {string} Fixture file contents
+   */
+  exportFixtures() {
+    return JSON.stringify({
+      version: FIXTURE_VERSION,
+      engine: this.meta.engine,
+      recordedAt: new Date().toISOString(),
+      entries: Array.from(this.entries.values())
+    }, null, 2);
+  }
+
+  /**
+   * Record a delegate call
+   * @private
+   * @param {string} text - Source text
+   * @param {Object} options - Translation options
+   * @returns {Promise<Object>} Delegate result
+   */
+  async _record(text, options) {
+    const { sourceLang = 'auto', targetLang = 'en' } = options;
+    const entry = { text, sourceLang, targetLang };
+    const startTime = performance.now();
+
+    try {
+      const result = await this.delegate.translate(text, { ...options, useCache: false });
+      entry.result = { ...result, fromCache: undefined };
+      return result;
+    } catch (error) {
+      entry.error = error.message;
+      throw error;
+    } finally {
+      entry.latency = Math.round(performance.now() - startTime);
+      this.entries.set(this._key(text, sourceLang, targetLang), entry);
+      this.stats.recorded++;
+    }
+  }
+
+  /**
+   * Translate a single text string
+   * @param {string} text - Text to translate
+   * @param {Object} options - Translation options
+   * @param {string} options.sourceLang - Source language code
+   * @param {string} options.targetLang - Target language code
+   * @returns {Promise<Object>} Translation result
+   */
+  async translate(text, options = {}) {
+    const { sourceLang = 'auto', targetLang = 'en' } = options;
+
+    if (!text || !text.trim()) {
+      return { text: '', detectedLanguage: sourceLang, confidence: 0 };
+    }
+
+    if (this.mode === ReplayMode.RECORD) {
+      return this._record(text, options);
+    }
+
+    const entry = this.entries.get(this._key(text, sourceLang, targetLang));
+
+    if (!entry) {
+      this.stats.misses++;
+      if (this.strict) {
+        throw new Error(`${ReplayError.FIXTURE_MISSING}: ${sourceLang}→${targetLang} "${text.slice(0, 40)}"`);
+      }
+      return {
+        text,
+        originalText: text,
+        detectedLanguage: sourceLang,
+        confidence: 0,
+        engine: 'replay',
+        replayMiss: true,
+        timestamp: Date.now()
+      };
+    }
+
+    this.stats.hits++;
+
+    if (this.simulateLatency && entry.latency) {
+      await this._sleep(entry.latency);
+    }
+
+    // Recorded failures replay as failures
+    if (entry.error) {
+      throw new Error(entry.error);
+    }
+
+    return {
+      ...entry.result,
+      originalText: text,
+      replayed: true,
+      timestamp: Date.now()
+    };
+  }
+
+  /**
+   * Translate multiple texts
+   * @param {Array<string>} texts - Array of texts to translate
+   * @param {Object} options - Translation options
+   * @returns {Promise<Array<Object>>} Array of translation results
+   */
+  async translateBatch(texts, options = {}) {
+    if (!Array.isArray(texts) || texts.length === 0) {
+      return [];
+    }
+
+    const results = [];
+
+    for (const text of texts) {
+      try {
+        results.push(await this.translate(text, options));
+      } catch (error) {
+        // Same failed-item shape as the live engines
+        results.push({
+          text: '[Translation Failed]',
+          originalText: text,
+          error: error.message,
+          engine: 'replay'
+        });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Replay statistics
+   * @returns {Object} Hit/miss/record counts
+   */
+  getStats() {
+    return {
+      mode: this.mode,
+      fixtures: this.entries.size,
+      ...this.stats
+    };
+  }
+
+  /**
+   * Drop all loaded or recorded entries
+   */
+  clear() {
+    this.entries.clear();
+    this.stats = { hits: 0, misses: 0, recorded: 0 };
+  }
+
+  /**
+   * Health check for the replay service
+   * @returns {Promise<Object>} Health status
+   */
+  async healthCheck() {
+    if (this.mode === ReplayMode.RECORD) {
+      const delegateHealth = await this.delegate.healthCheck();
+      return { ...delegateHealth, mode: this.mode, recorded: this.stats.recorded };
+    }
+
+    return {
+      status: this.entries.size > 0 ? 'healthy' : 'unhealthy',
+      error: this.entries.size > 0 ? undefined : 'No fixtures loaded',
+      latency: 0,
+      mode: this.mode,
+      fixtures: this.entries.size,
+      recordedAt: this.meta.recordedAt
+    };
+  }
+}
+
+// Default export for module systems
+export default ReplayEngine;
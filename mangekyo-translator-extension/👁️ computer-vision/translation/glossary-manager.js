@@ -0,0 +1,376 @@
+/**
+ * glossary-manager.js
+ * Per-series glossaries for character names, attack names and places.
+ * Entries are enforced on every engine's output and mirrored to DeepL
+ * as a native glossary when DeepL handles the request.
+ */
+
+import { STORAGE_KEYS } from '../../core/shared/constants.js';
+
+const GLOSSARY_CONFIG = {
+  ENTRY_TYPES: ['character', 'attack', 'place', 'term'],
+  DEFAULT_TYPE: 'term',
+  MAX_ENTRIES_PER_SERIES: 2000,
+  CSV_HEADER: ['source', 'target', 'type', 'note', 'variants'],
+  VARIANT_SEPARATOR: '|'
+};
+
+/**
+ * Normalize a series title into a storage key
+ */
+function seriesKey(series) {
+  return String(series || '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Split CSV text into rows of fields, honouring double-quoted fields
+ * (which may hold commas, doubled quotes and line breaks); blank rows are dropped
+ */
+function splitCsvRows(text) {
+  const rows = [];
+  let fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      fields.push(field);
+      field = '';
+    } else if (ch === '\r' || ch === '\n') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      fields.push(field);
+      rows.push(fields);
+      fields = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+
+  fields.push(field);
+  rows.push(fields);
+  return rows.filter(row => row.some(cell => cell.trim()));
+}
+
+/**
+ * Split a variants cell ("Sharingon|Sharinggan") into a list
+ */
+function splitVariants(value) {
+  return String(value || '').split(GLOSSARY_CONFIG.VARIANT_SEPARATOR).map(v => v.trim()).filter(Boolean);
+}
+
+/**
+ * Parse glossary entries from CSV or TSV
+ * Columns: source, target, type, note, variants (header row optional;
+ * variants are known wrong renderings separated by |)
+ * @param {string} text - File contents
+ * @param {string} format - 'csv', 'tsv' or null to detect from content
+ * @returns {Array<Object>} Entries
+ */
+function parseGlossaryFile(text, format = null) {
+  const content = text.replace(/^\uFEFF/, '');
+  const firstLine = content.split(/\r?\n/).find(line => line.trim());
+  if (!firstLine) return [];
+
+  const delimiter = format ? format.toLowerCase() : (firstLine.includes('\t') ? 'tsv' : 'csv');
+  // CSV fields may span lines inside quotes; TSV export flattens line breaks
+  const rows = delimiter === 'tsv'
+    ? content.split(/\r?\n/).filter(line => line.trim()).map(line => line.split('\t'))
+    : splitCsvRows(content);
+
+  const first = rows[0].map(cell => cell.trim().toLowerCase());
+  if (first[0] === 'source' && first[1] === 'target') {
+    rows.shift();
+  }
+
+  return rows
+    .map(([source = '', target = '', type = '', note = '', variants = '']) => ({
+      source: source.trim(),
+      target: target.trim(),
+      type: GLOSSARY_CONFIG.ENTRY_TYPES.includes(type.trim()) ? type.trim() : GLOSSARY_CONFIG.DEFAULT_TYPE,
+      note: note.trim(),
+      variants: splitVariants(variants)
+    }))
+    .filter(entry => entry.source && entry.target);
+}
+
+/**
+ * Serialize glossary entries to CSV or TSV
+ * @param {Array<Object>} entries - Glossary entries
+ * @param {string} format - 'csv' or 'tsv'
+ * @returns {string} File contents
+ */
+function serializeGlossary(entries, format = 'csv') {
+  const isTsv = format === 'tsv';
+  const cell = (value) => {
+    const text = String(value ?? '');
+    if (isTsv) return text.replace(/[\t\r\n]+/g, ' ');
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  const rows = [
+    GLOSSARY_CONFIG.CSV_HEADER,
+    ...entries.map(e => [e.source, e.target, e.type, e.note, (e.variants || []).join(GLOSSARY_CONFIG.VARIANT_SEPARATOR)])
+  ];
+  return rows.map(row => row.map(cell).join(isTsv ? '\t' : ',')).join('\n') + '\n';
+}
+
+/**
+ * Glossary Manager - stores glossaries in chrome.storage.local keyed by series
+ */
+class GlossaryManager {
+  constructor(options = {}) {
+    this.storage = options.storage || chrome.storage.local;
+    this.glossaries = new Map();
+    this.loaded = false;
+  }
+
+  /**
+   * Load all glossaries from storage
+   */
+  async load() {
+    const result = await this.storage.get(STORAGE_KEYS.GLOSSARIES);
+    const stored = result[STORAGE_KEYS.GLOSSARIES] || {};
+
+    this.glossaries = new Map(Object.entries(stored));
+    this.loaded = true;
+
+    console.log(`[GlossaryManager] Loaded ${this.glossaries.size} series glossaries`);
+  }
+
+  async _persist() {
+    await this.storage.set({
+      [STORAGE_KEYS.GLOSSARIES]: Object.fromEntries(this.glossaries)
+    });
+  }
+
+  /**
+   * All glossaries (for the options page)
+   */
+  list() {
+    return Array.from(this.glossaries.values());
+  }
+
+  /**
+   * Glossary for a series, or null
+   */
+  get(series) {
+    return this.glossaries.get(seriesKey(series)) || null;
+  }
+
+  /**
+   * Create or replace a series glossary
+   * @param {string} series - Series title
+   * @param {Object} data - { sourceLang, targetLang, entries }
+   */
+  async save(series, data = {}) {
+    const key = seriesKey(series);
+    if (!key) {
+      throw new Error('Series name is required');
+    }
+
+    const existing = this.glossaries.get(key);
+    const entries = this._normalizeEntries(data.entries || existing?.entries || []);
+
+    const glossary = {
+      series: data.series || existing?.series || series.trim(),
+      sourceLang: data.sourceLang || existing?.sourceLang || 'ja',
+      targetLang: data.targetLang || existing?.targetLang || 'en',
+      entries,
+      deepl: existing?.deepl || null,
+      updatedAt: Date.now()
+    };
+
+    this.glossaries.set(key, glossary);
+    await this._persist();
+
+    return glossary;
+  }
+
+  /**
+   * Delete a series glossary (and its DeepL copy when a client is given)
+   */
+  async remove(series, deeplClient = null) {
+    const key = seriesKey(series);
+    const glossary = this.glossaries.get(key);
+    if (!glossary) return false;
+
+    if (glossary.deepl?.glossaryId && deeplClient) {
+      await deeplClient.deleteGlossary(glossary.deepl.glossaryId).catch(error => {
+        console.warn('[GlossaryManager] Failed to delete DeepL glossary:', error);
+      });
+    }
+
+    this.glossaries.delete(key);
+    await this._persist();
+    return true;
+  }
+
+  /**
+   * Import CSV/TSV entries into a series glossary
+   * @param {string} series - Series title
+   * @param {string} text - File contents
+   * @param {Object} options - { format, replace }
+   * @returns {Promise<number>} Number of imported entries
+   */
+  async importEntries(series, text, options = {}) {
+    const imported = parseGlossaryFile(text, options.format);
+    const current = options.replace ? [] : (this.get(series)?.entries || []);
+
+    await this.save(series, { entries: [...current, ...imported] });
+    return imported.length;
+  }
+
+  /**
+   * Export a series glossary as CSV/TSV
+   */
+  exportEntries(series, format = 'csv') {
+    const glossary = this.get(series);
+    return serializeGlossary(glossary?.entries || [], format);
+  }
+
+  /**
+   * Entries whose source term occurs in a text, longest first
+   * so "Uchiha Itachi" wins over "Itachi"
+   * @param {string} sourceText - Original text
+   * @param {Object} options - { series, targetLang }
+   * @returns {Array<Object>} Entries
+   */
+  termsFor(sourceText, options = {}) {
+    const glossary = options.series ? this.get(options.series) : null;
+
+    if (!glossary || !sourceText) return [];
+    if (options.targetLang && glossary.targetLang !== options.targetLang) return [];
+
+    return glossary.entries
+      .filter(entry => sourceText.includes(entry.source))
+      .sort((a, b) => b.source.length - a.source.length);
+  }
+
+  /**
+   * Enforce glossary terms on a finished translation
+   * Terms whose source appears in the original must appear in the output;
+   * known wrong renderings (variants, or the untranslated source) are replaced.
+   * @param {string} translatedText - Engine output
+   * @param {string} sourceText - Original text
+   * @param {Object} options - { series, targetLang }
+   * @returns {{ text: string, applied: Array<string>, missing: Array<string> }}
+   */
+  enforce(translatedText, sourceText, options = {}) {
+    const result = { text: translatedText, applied: [], missing: [] };
+    if (!translatedText) return result;
+
+    for (const entry of this.termsFor(sourceText, options)) {
+      if (this._contains(result.text, entry.target)) continue;
+
+      const candidates = [...(entry.variants || []), entry.source].filter(Boolean);
+      const hit = candidates.find(candidate => this._contains(result.text, candidate));
+
+      if (hit) {
+        // A function, so "$&" or "$1" in a target is inserted literally
+        result.text = result.text.replace(this._termPattern(hit), () => entry.target);
+        result.applied.push(entry.source);
+      } else {
+        result.missing.push(entry.source);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Push a series glossary to DeepL, recreating it only when entries changed
+   * @param {string} series - Series title
+   * @param {DeepLEngine} deeplClient - Engine exposing createGlossary / deleteGlossary
+   * @returns {Promise<string|null>} DeepL glossary id
+   */
+  async syncToDeepL(series, deeplClient) {
+    const glossary = this.get(series);
+    if (!glossary || glossary.entries.length === 0) return null;
+
+    const hash = this._hash(glossary);
+    if (glossary.deepl?.glossaryId && glossary.deepl.hash === hash) {
+      return glossary.deepl.glossaryId;
+    }
+
+    // DeepL glossaries are immutable; replace the old one
+    if (glossary.deepl?.glossaryId) {
+      await deeplClient.deleteGlossary(glossary.deepl.glossaryId).catch(() => {});
+    }
+
+    const created = await deeplClient.createGlossary(
+      `mangekyo: ${glossary.series}`,
+      glossary.entries.map(e => ({ source: e.source, target: e.target })),
+      glossary.sourceLang,
+      glossary.targetLang
+    );
+
+    glossary.deepl = { glossaryId: created.id, hash, syncedAt: Date.now() };
+    await this._persist();
+
+    console.log(`[GlossaryManager] Synced "${glossary.series}" to DeepL (${created.entryCount} entries)`);
+    return created.id;
+  }
+
+  _normalizeEntries(entries) {
+    const bySource = new Map();
+
+    for (const entry of entries) {
+      const source = String(entry.source || '').trim();
+      const target = String(entry.target || '').trim();
+      if (!source || !target) continue;
+
+      // Later entries override earlier ones (imports win over existing)
+      bySource.set(source, {
+        source,
+        target,
+        type: GLOSSARY_CONFIG.ENTRY_TYPES.includes(entry.type) ? entry.type : GLOSSARY_CONFIG.DEFAULT_TYPE,
+        variants: (Array.isArray(entry.variants) ? entry.variants : splitVariants(entry.variants))
+          .map(v => String(v).trim())
+          .filter(Boolean),
+        note: entry.note || ''
+      });
+    }
+
+    return Array.from(bySource.values()).slice(0, GLOSSARY_CONFIG.MAX_ENTRIES_PER_SERIES);
+  }
+
+  _termPattern(term) {
+    // Word boundaries only make sense for Latin-script terms
+    const bounded = /^[\w\s'-]+$/.test(term);
+    return new RegExp(bounded ? `\\b${escapeRegExp(term)}\\b` : escapeRegExp(term), 'gi');
+  }
+
+  _contains(text, term) {
+    return this._termPattern(term).test(text);
+  }
+
+  _hash(glossary) {
+    const data = `${glossary.sourceLang}|${glossary.targetLang}|` +
+      glossary.entries.map(e => `${e.source}\t${e.target}`).join('\n');
+
+    let hash = 0;
+    for (let i = 0; i < data.length; i++) {
+      hash = ((hash << 5) - hash + data.charCodeAt(i)) | 0;
+    }
+    return hash.toString(36);
+  }
+}
+
+export { GlossaryManager, GLOSSARY_CONFIG, parseGlossaryFile, serializeGlossary, seriesKey };
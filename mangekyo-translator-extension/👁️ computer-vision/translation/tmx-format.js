@@ -0,0 +1,196 @@
+/**
+ * tmx-format.js
+ * TMX 1.4 (Translation Memory eXchange) serialization for the translation cache.
+ * Lets scanlation groups move translation memories between Mangekyo and CAT tools.
+ * Uses string parsing instead of DOMParser so it also runs in the service worker.
+ */
+
+const TMX_VERSION = '1.4';
+
+// Property types carried on each <tu>
+const TMX_PROPS = {
+  SERIES: 'x-series',
+  CHAPTER: 'x-chapter',
+  ENGINE: 'x-engine',
+  CONFIDENCE: 'x-confidence'
+};
+
+const XML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&apos;'
+};
+
+function escapeXml(value) {
+  return String(value).replace(/[&<>"']/g, ch => XML_ESCAPES[ch]);
+}
+
+function unescapeXml(value) {
+  return value
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * TMX dates are basic ISO 8601 in UTC: YYYYMMDDThhmmssZ
+ */
+function toTmxDate(timestamp) {
+  return new Date(timestamp).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function fromTmxDate(value) {
+  const m = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/.exec(value || '');
+  return m ? Date.UTC(m[1], m[2] - 1, m[3], m[4], m[5], m[6]) : null;
+}
+
+/**
+ * Extension language codes → RFC 3066 codes used by TMX
+ */
+function toTmxLang(code) {
+  return code === 'zh' ? 'zh-CN' : code;
+}
+
+/**
+ * TMX language codes → extension language codes (ja-JP → ja, zh-Hant → zh-TW)
+ */
+function fromTmxLang(code) {
+  const normalized = (code || '').replace('_', '-');
+  const [primary, region] = normalized.split('-');
+  const lang = primary.toLowerCase();
+
+  if (lang === 'zh' && region && /^(tw|hk|mo|hant)$/i.test(region)) {
+    return 'zh-TW';
+  }
+  return lang;
+}
+
+function readAttributes(tag) {
+  const attrs = {};
+  const attrPattern = /([\w:-]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+  let match;
+  while ((match = attrPattern.exec(tag)) !== null) {
+    attrs[match[1]] = unescapeXml(match[3] ?? match[4]);
+  }
+  return attrs;
+}
+
+/**
+ * Serialize translation units to a TMX 1.4 document
+ * @param {Array<Object>} units - { sourceText, translatedText, sourceLang, targetLang, series, chapter, engine, confidence, timestamp, usageCount }
+ * @param {Object} header - { srcLang, toolVersion }
+ * @returns {string} TMX XML
+ */
+function serializeTMX(units, header = {}) {
+  const srcLang = header.srcLang || units[0]?.sourceLang || '*all*';
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<tmx version="${TMX_VERSION}">`,
+    `  <header creationtool="Mangekyo Translator" creationtoolversion="${escapeXml(header.toolVersion || '1.0.0')}"` +
+      ` datatype="plaintext" segtype="sentence" adminlang="en" srclang="${escapeXml(toTmxLang(srcLang))}"` +
+      ` o-tmf="mangekyo-cache" creationdate="${toTmxDate(Date.now())}"/>`,
+    '  <body>'
+  ];
+
+  for (const unit of units) {
+    const attrs = [];
+    if (unit.timestamp) attrs.push(`creationdate="${toTmxDate(unit.timestamp)}"`);
+    if (unit.usageCount) attrs.push(`usagecount="${unit.usageCount}"`);
+    if (unit.sourceLang !== srcLang) attrs.push(`srclang="${escapeXml(toTmxLang(unit.sourceLang))}"`);
+
+    lines.push(`    <tu${attrs.length ? ' ' + attrs.join(' ') : ''}>`);
+
+    const props = [
+      [TMX_PROPS.SERIES, unit.series],
+      [TMX_PROPS.CHAPTER, unit.chapter],
+      [TMX_PROPS.ENGINE, unit.engine],
+      [TMX_PROPS.CONFIDENCE, unit.confidence]
+    ];
+    for (const [type, value] of props) {
+      if (value !== null && value !== undefined && value !== '') {
+        lines.push(`      <prop type="${type}">${escapeXml(value)}</prop>`);
+      }
+    }
+
+    lines.push(`      <tuv xml:lang="${escapeXml(toTmxLang(unit.sourceLang))}"><seg>${escapeXml(unit.sourceText)}</seg></tuv>`);
+    lines.push(`      <tuv xml:lang="${escapeXml(toTmxLang(unit.targetLang))}"><seg>${escapeXml(unit.translatedText)}</seg></tuv>`);
+    lines.push('    </tu>');
+  }
+
+  lines.push('  </body>', '</tmx>', '');
+  return lines.join('\n');
+}
+
+/**
+ * Parse a TMX document into translation units (one per source/target pair)
+ * @param {string} xml - TMX document
+ * @param {Object} options - { sourceLang, targetLang } to pick language pairs
+ * @returns {{ header: Object, units: Array<Object> }}
+ */
+function parseTMX(xml, options = {}) {
+  if (typeof xml !== 'string' || !/<tmx[\s>]/.test(xml)) {
+    throw new Error('Not a TMX document');
+  }
+
+  const headerTag = /<header\b[^>]*>/.exec(xml)?.[0] || '';
+  const header = readAttributes(headerTag);
+  const defaultSrc = header.srclang && header.srclang !== '*all*' ? fromTmxLang(header.srclang) : null;
+  const units = [];
+
+  const tuPattern = /<tu\b([^>]*)>([\s\S]*?)<\/tu>/g;
+  let tu;
+  while ((tu = tuPattern.exec(xml)) !== null) {
+    const tuAttrs = readAttributes(tu[1]);
+    const body = tu[2];
+
+    const props = {};
+    const propPattern = /<prop\b([^>]*)>([\s\S]*?)<\/prop>/g;
+    let prop;
+    while ((prop = propPattern.exec(body)) !== null) {
+      props[readAttributes(prop[1]).type] = unescapeXml(prop[2].trim());
+    }
+
+    const variants = [];
+    const tuvPattern = /<tuv\b([^>]*)>[\s\S]*?<seg>([\s\S]*?)<\/seg>[\s\S]*?<\/tuv>/g;
+    let tuv;
+    while ((tuv = tuvPattern.exec(body)) !== null) {
+      const attrs = readAttributes(tuv[1]);
+      // Inline markup (<bpt>, <ph>, ...) is dropped; only plain text is kept
+      const text = unescapeXml(tuv[2].replace(/<[^>]+>/g, '')).trim();
+      variants.push({ lang: fromTmxLang(attrs['xml:lang'] || attrs.lang), text });
+    }
+
+    const srcLang = options.sourceLang || (tuAttrs.srclang ? fromTmxLang(tuAttrs.srclang) : defaultSrc);
+    const source = variants.find(v => v.lang === srcLang) || variants[0];
+    if (!source || !source.text) continue;
+
+    for (const target of variants) {
+      if (target === source || !target.text) continue;
+      if (options.targetLang && target.lang !== options.targetLang) continue;
+
+      units.push({
+        sourceText: source.text,
+        translatedText: target.text,
+        sourceLang: source.lang,
+        targetLang: target.lang,
+        series: props[TMX_PROPS.SERIES] || null,
+        chapter: props[TMX_PROPS.CHAPTER] || null,
+        engine: props[TMX_PROPS.ENGINE] || 'tmx',
+        confidence: props[TMX_PROPS.CONFIDENCE] ? parseFloat(props[TMX_PROPS.CONFIDENCE]) : 1.0,
+        timestamp: fromTmxDate(tuAttrs.creationdate),
+        usageCount: tuAttrs.usagecount ? parseInt(tuAttrs.usagecount, 10) : 0
+      });
+    }
+  }
+
+  return { header, units };
+}
+
+export { serializeTMX, parseTMX, TMX_VERSION, TMX_PROPS };
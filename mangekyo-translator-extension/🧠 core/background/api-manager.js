@@ -1,14 +1,21 @@
 /**
  * Mangekyo Extension - API Manager
  * External API orchestration with load balancing, caching, and failover
- * Supports: Google Translate, DeepL, OpenAI GPT-4 Vision, local LLM
+ * Supports: Google Translate, DeepL, OpenAI GPT-4 Vision, OpenAI-compatible servers, LibreTranslate, local LLM
  * @version 2.0.0
  */
 
-import { CONFIG } from '../shared/constants.js';
+import { CONFIG, ENV } from '../shared/constants.js';
 import { SecureStorage } from '../privacy/encryption/secure-storage.js';
 import { CacheManager } from '../computer-vision/translation/cache-manager.js';
 import { PerformanceMonitor } from '../shared/utils/performance-monitor.js';
+import { EngineRouter } from './engine-router.js';
+import { ReplayEngine, ReplayMode } from '../computer-vision/translation/engines/replay-engine.js';
+import { GlossaryManager } from '../computer-vision/translation/glossary-manager.js';
+import { DeepLEngine } from '../computer-vision/translation/engines/deepL-adapter.js';
+import { OpenAICompatibleEngine } from '../computer-vision/translation/engines/openai-compatible.js';
+import { LibreTranslateEngine } from '../computer-vision/translation/engines/libretranslate.js';
+import { UsageLedger, BudgetExceededError } from './usage-ledger.js';
 
 class APIManager {
   constructor(config) {
@@ -21,6 +28,10 @@ class APIManager {
     this.requestQueue = [];
     this.processingQueue = false;
     
+    // Fixture recording (ReplayEngine in record mode)
+    this.recorder = null;
+    this.lastRecording = null;
+    
     // API Keys storage
     this.keys = {
       deepl: null,
@@ -59,7 +70,30 @@ class APIManager {
         supportsContext: true,
         supportsVision: true,
         honorifics: true,
-        model: 'gpt-4-vision-preview'
+        supportsStreaming: true, // Offscreen OpenAIGPTEngine.translateStreaming
+        model: 'gpt-4-vision-preview',
+        pricing: { input: 0.01, output: 0.03 } // USD per 1K tokens, for the usage ledger
+      },
+      openai_compatible: {
+        name: 'OpenAI-compatible endpoint',
+        endpoint: null, // translation.openaiCompatible.baseUrl
+        maxRetries: 1,
+        timeout: 60000, // Self-hosted models can be slow on first load
+        rateLimit: { requests: 60, window: 60000 },
+        supportsContext: true,
+        supportsVision: false,
+        honorifics: true,
+        supportsStreaming: true // Offscreen OpenAICompatibleEngine.translateStreaming
+      },
+      libretranslate: {
+        name: 'LibreTranslate',
+        endpoint: null, // translation.libretranslate.baseUrl
+        maxRetries: 2,
+        timeout: 30000,
+        rateLimit: { requests: 120, window: 60000 }, // Server default --req-limit is unlimited
+        supportsContext: false,
+        supportsVision: false,
+        honorifics: true // Via HonorificsHandler, not the server
       },
       local: {
         name: 'Local LLM',
@@ -70,11 +104,31 @@ class APIManager {
         supportsContext: true,
         supportsVision: false, // Local models usually don't have vision
         honorifics: true
+      },
+      replay: {
+        name: 'Replay (recorded fixtures)',
+        endpoint: null,
+        maxRetries: 0,
+        timeout: 5000,
+        rateLimit: { requests: 100000, window: 60000 },
+        supportsContext: false,
+        supportsVision: true, // Fixtures answer vision requests too
+        honorifics: true
       }
     };
     
     this.cache = new CacheManager();
     this.perfMonitor = new PerformanceMonitor();
+    this.router = new EngineRouter({ routing: config?.translation?.routing });
+    this.glossaries = new GlossaryManager();
+    this.deeplClient = null; // Lazily created for glossary sync
+    this.compatibleSettings = config?.translation?.openaiCompatible || null;
+    this.compatibleEngine = null;
+    this.compatibleProbe = null; // Reused for settings-page connection tests
+    this.libreSettings = config?.translation?.libretranslate || null;
+    this.libreEngine = null;
+    this.libreProbe = null;
+    this.ledger = new UsageLedger({ budget: config?.translation?.budget });
     
     this.initialize();
   }
@@ -84,8 +138,15 @@ class APIManager {
    */
   async initialize() {
     await this.loadApiKeys();
+    await this.glossaries.load();
+    await this.ledger.load();
     this.setupEngines();
     this.setupFallbackChain();
+    
+    // Offline mode for tests and bug reproduction
+    if (ENV.DEBUG.MOCK_APIS && this.config?.advanced?.replayFixtures) {
+      await this.enableReplay(this.config.advanced.replayFixtures);
+    }
   }
 
   /**
@@ -98,7 +159,9 @@ class APIManager {
         this.keys = {
           deepl: encrypted.deepl || null,
           openai: encrypted.openai || null,
-          google: null // Google doesn't require key for basic usage
+          google: null, // Google doesn't require key for basic usage
+          openai_compatible: encrypted.openai_compatible || null, // { apiKey, headers }
+          libretranslate: encrypted.libretranslate || null // { apiKey }
         };
       }
     } catch (error) {
@@ -114,6 +177,34 @@ class APIManager {
     await SecureStorage.set('api_keys', this.keys);
   }
 
+  /**
+   * Store credentials split off the translation settings (see ENGINE_SECRETS)
+   * and apply them to the running engines
+   * @param {Object} secrets - By engine id, e.g. { openai_compatible: { apiKey, headers } }
+   */
+  async saveEngineSecrets(secrets) {
+    await this.saveApiKeys(secrets);
+    this.setupCompatibleEngine();
+    this.setupLibreTranslateEngine();
+  }
+
+  /**
+   * Credentials of configurable engines, for the options page
+   */
+  getEngineSecrets() {
+    return {
+      openai_compatible: this.keys.openai_compatible || {},
+      libretranslate: this.keys.libretranslate || {}
+    };
+  }
+
+  /**
+   * OpenAI-compatible settings with the stored API key and headers
+   */
+  getCompatibleConfig() {
+    return { ...this.compatibleSettings, ...this.keys.openai_compatible };
+  }
+
   /**
    * Setup translation engines
    */
@@ -140,6 +231,12 @@ class APIManager {
       });
     }
     
+    // OpenAI-compatible server (if enabled with an endpoint and model)
+    this.setupCompatibleEngine();
+    
+    // LibreTranslate server (if enabled with an endpoint)
+    this.setupLibreTranslateEngine();
+    
     // Local LLM (always available if running)
     this.engines.set('local', {
       translate: this.localLlmTranslate.bind(this),
@@ -150,11 +247,199 @@ class APIManager {
     this.currentEngine = 'google';
   }
 
+  /**
+   * Register or drop the OpenAI-compatible engine from its settings
+   */
+  setupCompatibleEngine() {
+    const settings = this.getCompatibleConfig();
+
+    if (!settings?.enabled || !settings.baseUrl || !settings.model) {
+      this.engines.delete('openai_compatible');
+      this.compatibleEngine = null;
+      return;
+    }
+
+    if (this.compatibleEngine) {
+      this.compatibleEngine.updateConfig(settings);
+    } else {
+      this.compatibleEngine = new OpenAICompatibleEngine({ ...settings, cacheManager: this.cache });
+    }
+    this.engineConfig.openai_compatible.endpoint = settings.baseUrl;
+
+    this.engines.set('openai_compatible', {
+      translate: this.openaiCompatibleTranslate.bind(this),
+      config: this.engineConfig.openai_compatible,
+      instance: this.compatibleEngine
+    });
+  }
+
+  /**
+   * Apply new OpenAI-compatible settings without restarting the worker
+   */
+  updateCompatibleEngine(settings) {
+    this.compatibleSettings = settings;
+    this.setupCompatibleEngine();
+    this.setupFallbackChain();
+  }
+
+  /**
+   * Try OpenAI-compatible settings from the options page before they are saved
+   */
+  async testCompatibleEndpoint(settings) {
+    if (!settings?.baseUrl) {
+      return { success: false, error: 'No base URL configured' };
+    }
+
+    if (this.compatibleProbe) {
+      this.compatibleProbe.updateConfig(settings);
+    } else {
+      this.compatibleProbe = new OpenAICompatibleEngine({ ...settings, preserveContext: false });
+    }
+
+    return this.compatibleProbe.testConnection();
+  }
+
+  /**
+   * Register or drop the LibreTranslate engine from its settings
+   */
+  setupLibreTranslateEngine() {
+    const settings = { ...this.libreSettings, ...this.keys.libretranslate };
+
+    if (!settings?.enabled || !settings.baseUrl) {
+      this.engines.delete('libretranslate');
+      this.libreEngine = null;
+      return;
+    }
+
+    if (this.libreEngine) {
+      this.libreEngine.updateConfig(settings);
+    } else {
+      this.libreEngine = new LibreTranslateEngine({ ...settings, cacheManager: this.cache });
+    }
+    this.engineConfig.libretranslate.endpoint = settings.baseUrl;
+
+    this.engines.set('libretranslate', {
+      translate: this.libreTranslate.bind(this),
+      config: this.engineConfig.libretranslate,
+      instance: this.libreEngine
+    });
+  }
+
+  /**
+   * Apply new LibreTranslate settings without restarting the worker
+   */
+  updateLibreTranslateEngine(settings) {
+    this.libreSettings = settings;
+    this.setupLibreTranslateEngine();
+    this.setupFallbackChain();
+  }
+
+  /**
+   * Try LibreTranslate settings from the options page before they are saved
+   */
+  async testLibreTranslateEndpoint(settings) {
+    if (!settings?.baseUrl) {
+      return { success: false, error: 'No server URL configured' };
+    }
+
+    if (this.libreProbe) {
+      this.libreProbe.updateConfig(settings);
+    } else {
+      this.libreProbe = new LibreTranslateEngine(settings);
+    }
+
+    const health = await this.libreProbe.healthCheck();
+    return {
+      success: health.status === 'healthy',
+      latency: health.latency,
+      languages: health.languages || [],
+      error: health.error || null
+    };
+  }
+
+  /**
+   * Serve all translations from recorded fixtures (no network)
+   */
+  async enableReplay(fixtures, options = {}) {
+    const replay = new ReplayEngine({ strict: options.strict });
+    await replay.loadFixtures(fixtures);
+    
+    this.engines.set('replay', {
+      translate: (params) => replay.translate(params.text, params),
+      config: this.engineConfig.replay,
+      instance: replay
+    });
+    
+    console.log(`[APIManager] Replay mode enabled with ${replay.getStats().fixtures} fixtures`);
+    return replay;
+  }
+
+  /**
+   * Return to live engines
+   */
+  disableReplay() {
+    this.engines.delete('replay');
+  }
+
+  /**
+   * Record every translate() call through the live engine chain (routing,
+   * fallback, cache bypassed) so the session can be exported as fixtures
+   */
+  startRecording() {
+    if (this.engines.has('replay')) {
+      throw new Error('Cannot record while replay mode is enabled');
+    }
+
+    this.recorder = new ReplayEngine({
+      mode: ReplayMode.RECORD,
+      engine: 'live-chain',
+      delegate: {
+        translate: (text, options) => this.translate(text, { ...options, recording: true, skipCache: true }),
+        healthCheck: async () => ({ status: this.engines.size > 0 ? 'healthy' : 'unhealthy', latency: 0 })
+      }
+    });
+
+    console.log('[APIManager] Fixture recording started');
+    return this.getRecordingStatus();
+  }
+
+  /**
+   * Stop recording; recorded entries stay available to exportFixtures()
+   */
+  stopRecording() {
+    const status = this.getRecordingStatus();
+    this.lastRecording = this.recorder;
+    this.recorder = null;
+    return status;
+  }
+
+  /**
+   * Fixture JSON for the active or most recently stopped recording
+   */
+  exportFixtures() {
+    const recorder = this.recorder || this.lastRecording;
+    if (!recorder) {
+      throw new Error('No recording to export');
+    }
+    return recorder.exportFixtures();
+  }
+
+  /**
+   * Whether recording is on, and how many fixtures it holds
+   */
+  getRecordingStatus() {
+    const recorder = this.recorder || this.lastRecording;
+    return {
+      recording: !!this.recorder,
+      recorded: recorder ? recorder.entries.size : 0
+    };
+  }
+
   /**
    * Setup fallback priority chain
    */
   setupFallbackChain() {
-    this.fallbackChain = ['openai', 'deepl', 'google', 'local'];
+    this.fallbackChain = [...this.router.defaultChain];
     // Filter to available engines
     this.fallbackChain = this.fallbackChain.filter(engine => 
       this.engines.has(engine) || engine === 'google'
@@ -173,18 +458,41 @@ class APIManager {
       honorifics = true,
       context = null,
       imageData = null, // For vision models
-      priority = 'normal'
+      priority = 'normal',
+      bubbleType = null, // From BubbleClassifier, used for routing
+      site = null, // Hostname, used for routing
+      series = null, // Series title, selects the glossary
+      readings = [] // Furigana [{ base, reading }] read off the page
     } = options;
 
-    // Check cache first
-    const cacheKey = this.generateCacheKey(text, sourceLang, targetLang, engine);
-    const cached = await this.cache.get(cacheKey);
-    if (cached && !options.skipCache) {
-      return { ...cached, cached: true };
+    // Recording wraps this same call, so the fixture captures the chain's answer
+    if (this.recorder && !options.recording) {
+      return this.recorder.translate(text, { ...options, sourceLang, targetLang });
+    }
+
+    const glossaryHints = this.formatGlossaryHints(text, series, targetLang);
+
+    // Replay mode bypasses cache and routing so fixtures are authoritative
+    const replaying = this.engines.has('replay');
+
+    // Near matches from translation memory go out with the engine result
+    let suggestions = [];
+    if (!replaying && !options.skipCache) {
+      const stored = await this.lookupCached(text, { sourceLang, targetLang, engine, series });
+      if (stored.hit) return stored.hit;
+      suggestions = stored.suggestions;
     }
 
-    // Determine which engine to use
-    let enginesToTry = engine ? [engine] : this.fallbackChain;
+    // Determine which engine to use; a forced engine is not routed
+    let enginesToTry;
+    let routingRule = null;
+    if (replaying) {
+      enginesToTry = ['replay'];
+    } else if (engine) {
+      enginesToTry = [engine];
+    } else {
+      ({ chain: enginesToTry, ruleId: routingRule } = this.resolveEngineChain(text, { sourceLang, bubbleType, site }));
+    }
     
     // If image provided, prioritize vision-capable engines
     if (imageData) {
@@ -194,10 +502,14 @@ class APIManager {
       if (enginesToTry.length === 0) {
         throw new Error('No vision-capable translation engine available');
       }
+    } else if (!replaying && this.ledger.shouldSwitch()) {
+      // Over budget: free engines from the fallback chain take over
+      enginesToTry = this.withFreeEngines(enginesToTry, text);
     }
 
     // Try engines in order
     let lastError = null;
+    let budgetBlocked = false;
     for (const engineName of enginesToTry) {
       const engineImpl = this.engines.get(engineName);
       if (!engineImpl) continue;
@@ -214,25 +526,63 @@ class APIManager {
         continue;
       }
 
+      // Check spending budget
+      const estimatedCost = replaying ? 0 : this.router.estimateCost(engineName, text);
+      const reservation = this.ledger.reserve(estimatedCost);
+      if (!reservation) {
+        console.warn(`[APIManager] Budget reached, skipping ${engineName}`);
+        budgetBlocked = true;
+        // A request that would cross the limit switches too, not only a spent budget;
+        // engines pushed here are still visited by this loop
+        if (!replaying && !imageData && this.ledger.shouldSwitch(estimatedCost)) {
+          enginesToTry.push(...this.withFreeEngines(enginesToTry, text).slice(enginesToTry.length));
+        }
+        continue;
+      }
+
       try {
         const startTime = performance.now();
+        const deeplGlossary = engineName === 'deepl' && series
+          ? await this.getDeepLGlossary(series, targetLang)
+          : null;
         
+        // Engine implementations take a single params object
         const result = await this.executeWithTimeout(
-          engineImpl.translate(text, {
+          engineImpl.translate({
+            text,
             sourceLang,
             targetLang,
             preserveContext,
             honorifics,
             context,
-            imageData
+            imageData,
+            readings,
+            glossaryHints,
+            glossaryId: deeplGlossary?.glossaryId || null,
+            glossarySourceLang: deeplGlossary?.sourceLang || null
           }),
           engineImpl.config.timeout
         );
 
+        // An empty answer (e.g. a server that never saw the text) is a failure,
+        // not a result to cache or charge to the ledger
+        if (!result?.text?.trim()) {
+          throw new Error(`${engineName} returned an empty translation`);
+        }
+
         const duration = performance.now() - startTime;
         
         // Record success
         this.recordSuccess(engineName, duration);
+        if (!replaying) {
+          await this.ledger.record({
+            engine: engineName,
+            series,
+            characters: text.length,
+            tokens: result.tokens || null,
+            cost: result.cost ?? estimatedCost
+          });
+        }
         
         // Format response
         const translation = {
@@ -244,15 +594,17 @@ class APIManager {
           detectedLang: result.detectedLang || sourceLang,
           processingTime: duration,
           timestamp: Date.now(),
-          cached: false
+          cached: false,
+          routingRule,
+          suggestions
         };
 
         // Cache result
-        await this.cache.set(cacheKey, translation, {
-          ttl: this.getCacheTTL(engineName)
-        });
+        if (!replaying) {
+          await this.storeTranslation(text, translation, { sourceLang, targetLang, series });
+        }
 
-        return translation;
+        return this.applyGlossary(translation, text, series, targetLang);
 
       } catch (error) {
         console.error(`[APIManager] ${engineName} failed:`, error);
@@ -261,13 +613,300 @@ class APIManager {
         
         // Continue to next engine
         continue;
+      } finally {
+        this.ledger.release(reservation);
       }
     }
 
+    // Nothing was tried because the budget is used up
+    if (budgetBlocked && !lastError) {
+      throw new BudgetExceededError(this.ledger.getBudgetStatus());
+    }
+
     // All engines failed
     throw new Error(`All translation engines failed. Last error: ${lastError?.message}`);
   }
 
+  /**
+   * Chain followed by the free engines of the fallback chain it does not already contain
+   */
+  withFreeEngines(chain, text) {
+    const free = this.fallbackChain.filter(name =>
+      !chain.includes(name) && this.engines.has(name) && this.router.estimateCost(name, text) === 0
+    );
+    return [...chain, ...free];
+  }
+
+  /**
+   * User-verified or cached translation for a request
+   * @returns {Promise<{hit: Object|null, suggestions: Array}>} On a miss, fuzzy
+   *   translation memory matches the user may pick from
+   */
+  async lookupCached(text, { sourceLang = 'auto', targetLang = 'en', engine = null, series = null } = {}) {
+    // User corrections take precedence over every engine and over the glossary
+    const verified = await this.cache.getVerified(text, sourceLang, targetLang);
+    if (verified) {
+      return { hit: {
+        text: verified.translatedText,
+        original: text,
+        correctedSource: verified.metadata.correctedSourceText,
+        engine: 'user',
+        confidence: 1.0,
+        alternatives: [],
+        detectedLang: sourceLang,
+        timestamp: verified.metadata.timestamp,
+        cached: true,
+        userVerified: true
+      }, suggestions: [] };
+    }
+
+    // A forced engine only accepts its own results
+    const cached = await this.cache.get(text, sourceLang, targetLang);
+    if (cached.found && (!engine || cached.data.metadata?.engine === engine)) {
+      const entry = cached.data;
+      // Glossary may have changed since the entry was cached
+      const hit = this.applyGlossary({
+        text: entry.translatedText,
+        original: text,
+        engine: entry.metadata.engine,
+        confidence: entry.metadata.confidence,
+        alternatives: [],
+        detectedLang: sourceLang,
+        timestamp: entry.metadata.timestamp,
+        cached: true
+      }, text, series, targetLang);
+      return { hit, suggestions: [] };
+    }
+
+    return { hit: null, suggestions: cached.suggestions || [] };
+  }
+
+  /**
+   * Store an engine result in the translation memory, with the engine's TTL
+   */
+  async storeTranslation(text, translation, { sourceLang, targetLang, series = null }) {
+    await this.cache.set(text, translation.text, sourceLang, targetLang, {}, {
+      engine: translation.engine,
+      confidence: translation.confidence,
+      mangaTitle: series,
+      ttlHours: this.getCacheTTL(translation.engine) / 3600000
+    });
+  }
+
+  /**
+   * Engine a request should stream from, with the settings the offscreen
+   * engine needs. Null means use translate(): replaying or recording, or the engine routing
+   * would pick first cannot stream or is unavailable right now.
+   * The returned reservation holds the estimated cost against the budget;
+   * the caller releases it once the stream settles.
+   */
+  pickStreamingEngine(text, options = {}) {
+    if (this.engines.has('replay') || this.recorder || options.imageData) return null;
+
+    const { sourceLang = 'auto', engine = null, bubbleType = null, site = null } = options;
+    const { chain, ruleId } = engine
+      ? { chain: [engine], ruleId: null }
+      : this.resolveEngineChain(text, { sourceLang, bubbleType, site });
+    const engineName = chain.find(name => this.engines.has(name) && !this.isCircuitOpen(name));
+
+    if (!engineName || !this.engineConfig[engineName].supportsStreaming) return null;
+    const reservation = this.ledger.reserve(this.router.estimateCost(engineName, text));
+    if (!reservation) return null;
+    if (!this.checkRateLimit(engineName)) {
+      this.ledger.release(reservation);
+      return null;
+    }
+
+    return {
+      engine: engineName,
+      reservation,
+      routingRule: ruleId,
+      engineConfig: engineName === 'openai_compatible'
+        ? this.getCompatibleConfig()
+        : { apiKey: this.keys[engineName] }
+    };
+  }
+
+  /**
+   * Record, cache and glossary-check a translation that was streamed from
+   * the offscreen document, so it ends up like one from translate()
+   */
+  async completeStreamed(engineName, text, result, options = {}) {
+    const {
+      sourceLang = 'auto',
+      targetLang = 'en',
+      series = null,
+      duration = 0,
+      suggestions = [],
+      routingRule = null
+    } = options;
+
+    // Same rule as translate(): an empty answer is an engine failure; throwing
+    // sends the stream relay back to the normal chain
+    if (!result?.translatedText?.trim()) {
+      const error = new Error(`${engineName} streamed an empty translation`);
+      this.recordFailure(engineName, error);
+      throw error;
+    }
+
+    this.recordSuccess(engineName, duration);
+    await this.ledger.record({
+      engine: engineName,
+      series,
+      characters: text.length,
+      cost: this.router.estimateCost(engineName, text)
+    });
+
+    const translation = {
+      text: result.translatedText,
+      original: text,
+      engine: engineName,
+      confidence: result.confidence || 0.9,
+      alternatives: result.alternatives || [],
+      detectedLang: sourceLang,
+      processingTime: duration,
+      timestamp: Date.now(),
+      cached: false,
+      streamed: true,
+      routingRule,
+      suggestions
+    };
+
+    await this.storeTranslation(text, translation, { sourceLang, targetLang, series });
+
+    return this.applyGlossary(translation, text, series, targetLang);
+  }
+
+  /**
+   * Pick engine chain from routing rules
+   * @returns {{chain: string[], ruleId: string|null}} The rule is returned rather
+   *   than read back from the router, which concurrent requests share
+   */
+  resolveEngineChain(text, request) {
+    const available = [...this.engines.keys()];
+    const { rule, chain, skipped } = this.router.resolve({ text, ...request }, available);
+
+    console.log(
+      `[APIManager] Routing rule "${rule ? rule.name : 'default'}" fired ` +
+      `(lang=${request.sourceLang}, type=${request.bubbleType || 'n/a'}, ` +
+      `site=${request.site || 'n/a'}, length=${text.length}) -> ${chain.join(', ') || 'none'}`
+    );
+
+    if (skipped.some(s => s.reason === 'cost')) {
+      console.warn('[APIManager] Engines skipped by cost ceiling:',
+        skipped.filter(s => s.reason === 'cost').map(s => s.engine));
+    }
+
+    if (chain.length === 0) {
+      throw new Error('No translation engine within routing constraints');
+    }
+
+    return { chain, ruleId: rule?.id || null };
+  }
+
+  /**
+   * Enforce the series glossary on a translation result
+   */
+  applyGlossary(translation, text, series, targetLang) {
+    if (!series) return translation;
+
+    const { text: enforced, applied, missing } = this.glossaries.enforce(translation.text, text, {
+      series,
+      targetLang
+    });
+
+    if (applied.length > 0) {
+      console.log(`[APIManager] Glossary applied ${applied.length} term(s) for "${series}"`);
+    }
+
+    return { ...translation, text: enforced, glossary: { applied, missing } };
+  }
+
+  /**
+   * DeepL native glossary for a series, synced on demand
+   */
+  async getDeepLGlossary(series, targetLang) {
+    const glossary = this.glossaries.get(series);
+    if (!glossary || glossary.entries.length === 0 || glossary.targetLang !== targetLang) {
+      return null;
+    }
+
+    try {
+      const glossaryId = await this.syncGlossaryToDeepL(series);
+      return { glossaryId, sourceLang: glossary.sourceLang };
+    } catch (error) {
+      // Post-translation enforcement still covers the series
+      console.warn('[APIManager] DeepL glossary sync failed:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Push a series glossary to DeepL
+   */
+  async syncGlossaryToDeepL(series) {
+    if (!this.keys.deepl) {
+      throw new Error('DeepL API key not configured');
+    }
+
+    return this.glossaries.syncToDeepL(series, this.getDeepLClient());
+  }
+
+  /**
+   * Delete a series glossary, including its DeepL copy
+   */
+  async deleteGlossary(series) {
+    return this.glossaries.remove(series, this.keys.deepl ? this.getDeepLClient() : null);
+  }
+
+  /**
+   * DeepL client used for glossary management
+   */
+  getDeepLClient() {
+    if (!this.deeplClient || this.deeplClient.authKey !== this.keys.deepl) {
+      this.deeplClient = new DeepLEngine({
+        authKey: this.keys.deepl,
+        isPro: !this.keys.deepl.endsWith(':fx')
+      });
+    }
+    return this.deeplClient;
+  }
+
+  /**
+   * Update spending budgets (called when translation settings change)
+   */
+  updateBudget(budget) {
+    this.ledger.setBudget(budget);
+  }
+
+  /**
+   * Budget status and recorded usage for today and this month
+   * @param {Object} options - { includeProviders: also ask paid services for their own counters }
+   */
+  async getUsageSummary({ includeProviders = false } = {}) {
+    await this.ledger.load();
+
+    const summary = {
+      budget: this.ledger.getBudgetStatus(),
+      today: this.ledger.getReport('day'),
+      month: this.ledger.getReport('month'),
+      providers: {}
+    };
+
+    if (includeProviders && this.keys.deepl) {
+      summary.providers.deepl = await this.getDeepLClient().getUsage();
+    }
+
+    return summary;
+  }
+
+  /**
+   * Update routing rules (called when translation settings change)
+   */
+  updateRouting(routing) {
+    this.router.load(routing);
+  }
+
   /**
    * Google Translate implementation (free, no key)
    */
@@ -331,10 +970,22 @@ class APIManager {
       body.source_lang = sourceLang.toUpperCase();
     }
 
+    // DeepL only applies glossaries with an explicit source language
+    if (params.glossaryId) {
+      body.source_lang = body.source_lang || params.glossarySourceLang.toUpperCase();
+      body.glossary_id = params.glossaryId;
+    }
+
     if (preserveContext) {
       body.context = params.context;
     }
 
+    // Context is not translated or billed, so readings ride along there
+    const hints = this.formatReadingHints(params.readings);
+    if (hints) {
+      body.context = [body.context, hints].filter(Boolean).join('\n');
+    }
+
     const response = await fetch(this.engineConfig.deepl.endpoint, {
       method: 'POST',
       headers: {
@@ -364,7 +1015,8 @@ class APIManager {
    * OpenAI GPT-4 Vision implementation
    */
   async openaiTranslate(params) {
-    const { text, sourceLang, targetLang, context, imageData, honorifics } = params;
+    const { text, sourceLang, targetLang, context, imageData, honorifics, readings, glossaryHints } = params;
+    const hints = [this.formatReadingHints(readings), glossaryHints].filter(Boolean).join('\n');
     
     if (!this.keys.openai) {
       throw new Error('OpenAI API key not configured');
@@ -376,7 +1028,8 @@ class APIManager {
         content: `You are a professional manga translator. Translate the following text from ${sourceLang} to ${targetLang}.
           ${honorifics ? 'Preserve Japanese honorifics (-san, -kun, -chan, etc.)' : ''}
           Maintain the tone and style appropriate for manga dialogue.
-          ${context ? `Context: ${context}` : ''}`
+          ${context ? `Context: ${context}` : ''}
+          ${hints}`
       }
     ];
 
@@ -429,12 +1082,64 @@ class APIManager {
 
     // Parse response - GPT might add explanations, try to extract just translation
     const translation = this.extractTranslationFromGPT(content);
+    const pricing = this.engineConfig.openai.pricing;
+    const tokens = {
+      input: data.usage?.prompt_tokens || 0,
+      output: data.usage?.completion_tokens || 0
+    };
 
     return {
       text: translation,
       confidence: 0.95,
       detectedLang: sourceLang === 'auto' ? 'unknown' : sourceLang,
-      alternatives: [] // Could parse multiple choices if requested
+      alternatives: [], // Could parse multiple choices if requested
+      tokens,
+      // Actual usage when reported, otherwise the ledger falls back to the router estimate
+      cost: data.usage ? (tokens.input * pricing.input + tokens.output * pricing.output) / 1000 : undefined
+    };
+  }
+
+  /**
+   * OpenAI-compatible server implementation (llama.cpp, Ollama /v1, vLLM...)
+   */
+  async openaiCompatibleTranslate(params) {
+    const { text, sourceLang, targetLang, context, honorifics, readings, glossaryHints } = params;
+
+    // Responses are cached by translate(), not by the engine
+    const result = await this.compatibleEngine.translate(text, {
+      sourceLang,
+      targetLang,
+      useCache: false,
+      preserveHonorifics: honorifics,
+      sceneContext: [context, this.formatReadingHints(readings), glossaryHints].filter(Boolean).join('\n') || null
+    });
+
+    return {
+      text: result.text,
+      confidence: 0.85, // Depends on whichever model the server runs
+      detectedLang: sourceLang,
+      tokens: result.tokens,
+      cost: 0
+    };
+  }
+
+  /**
+   * LibreTranslate implementation (self-hosted Argos models)
+   */
+  async libreTranslate(params) {
+    const { text, sourceLang, targetLang } = params;
+
+    // Responses are cached by translate(), not by the engine
+    const result = await this.libreEngine.translate(text, {
+      sourceLang,
+      targetLang,
+      useCache: false
+    });
+
+    return {
+      text: result.text,
+      confidence: result.confidence,
+      detectedLang: result.detectedLanguage
     };
   }
 
@@ -442,13 +1147,15 @@ class APIManager {
    * Local LLM implementation (Ollama/LM Studio)
    */
   async localLlmTranslate(params) {
-    const { text, sourceLang, targetLang, context } = params;
+    const { text, sourceLang, targetLang, context, readings, glossaryHints } = params;
 
     const prompt = `Translate the following ${sourceLang} text to ${targetLang}:
     
     "${text}"
     
     ${context ? `Context: ${context}` : ''}
+    ${this.formatReadingHints(readings)}
+    ${glossaryHints || ''}
     
     Provide only the translation, no explanations.`;
 
@@ -712,6 +1419,29 @@ class APIManager {
     return Math.abs(hash).toString(16);
   }
 
+  /**
+   * Furigana printed on the page, as a hint line for engines that take free-form context.
+   * Readings matter most for names and rare kanji the engine would otherwise guess.
+   */
+  formatReadingHints(readings) {
+    if (!readings?.length) return '';
+
+    const pairs = readings.map(({ base, reading }) => `${base} (${reading})`);
+    return `Furigana readings: ${[...new Set(pairs)].join(', ')}. Use them for names and unusual kanji.`;
+  }
+
+  /**
+   * Series glossary terms found in the text, as a prompt line for LLM engines.
+   * Enforcement after translation can only fix known wrong renderings;
+   * telling the model up front covers the rest.
+   */
+  formatGlossaryHints(text, series, targetLang) {
+    const terms = this.glossaries.termsFor(text, { series, targetLang });
+    if (terms.length === 0) return '';
+
+    return `Glossary (always use these renderings): ${terms.map(e => `${e.source} = ${e.target}`).join('; ')}.`;
+  }
+
   /**
    * Extract clean translation from GPT response
    */
@@ -735,6 +1465,8 @@ class APIManager {
       google: 86400000,    // 24 hours
       deepl: 604800000,    // 7 days (more stable)
       openai: 259200000,   // 3 days (expensive)
+      openai_compatible: 3600000, // 1 hour (model may be swapped)
+      libretranslate: 604800000, // 7 days (deterministic)
       local: 3600000       // 1 hour (may change)
     };
     return ttls[engine] || 86400000;
@@ -762,7 +1494,7 @@ class APIManager {
             config.rateLimit.window
         },
         circuitState: breaker?.state || 'closed',
-        hasKey: name === 'google' ? true : !!this.keys[name]
+        hasKey: ['google', 'openai_compatible', 'libretranslate'].includes(name) ? true : !!this.keys[name]
       };
     }
     
@@ -0,0 +1,331 @@
+/**
+ * Mangekyo Extension - Chapter Queue
+ * Whole-chapter pre-translation: every page of a chapter (optionally the next one)
+ * goes through offscreen OCR and translation before the reader scrolls to it.
+ * Jobs live in chrome.storage.local so a suspended service worker picks them up
+ * where it stopped; an alarm wakes the worker while jobs are pending.
+ */
+
+const STORAGE_KEY = 'chapterQueue';
+const RESULT_PREFIX = 'pretranslated:';
+const ALARM_NAME = 'chapterQueue';
+
+const JOB_STATES = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  PAUSED: 'paused',
+  CANCELLED: 'cancelled',
+  DONE: 'done'
+};
+
+const PAGE_STATES = {
+  PENDING: 'pending',
+  PROCESSING: 'processing',
+  DONE: 'done',
+  ERROR: 'error'
+};
+
+const FINISHED_JOB_TTL = 24 * 60 * 60 * 1000; // Finished jobs and their results are kept a day
+
+class ChapterQueue {
+  /**
+   * @param {Object} options
+   * @param {Function} options.processPage - async (page, job) => page result { regions, ... }
+   * @param {Function} options.onUpdate - (job) => void, called after every state change
+   */
+  constructor({ processPage, onUpdate }) {
+    this.processPage = processPage;
+    this.onUpdate = onUpdate || (() => {});
+    this.jobs = [];
+    this.running = false;
+    this.loaded = false;
+  }
+
+  // ==========================================
+  // PERSISTENCE
+  // ==========================================
+
+  /**
+   * Load jobs after a (re)start and continue unfinished ones
+   */
+  async restore() {
+    const stored = await chrome.storage.local.get(STORAGE_KEY);
+    this.jobs = stored[STORAGE_KEY] || [];
+    this.loaded = true;
+
+    // A page interrupted mid-flight by suspension is simply redone
+    for (const job of this.jobs) {
+      job.pages.forEach(page => {
+        if (page.status === PAGE_STATES.PROCESSING) page.status = PAGE_STATES.PENDING;
+      });
+      if (job.state === JOB_STATES.RUNNING) job.state = JOB_STATES.QUEUED;
+    }
+
+    await this.prune();
+    await this.persist();
+    this.pump();
+  }
+
+  async persist() {
+    await chrome.storage.local.set({ [STORAGE_KEY]: this.jobs });
+  }
+
+  /**
+   * Drop finished jobs past their TTL along with their page results
+   */
+  async prune() {
+    const now = Date.now();
+    const expired = this.jobs.filter(job =>
+      [JOB_STATES.DONE, JOB_STATES.CANCELLED].includes(job.state) &&
+      now - job.updatedAt > FINISHED_JOB_TTL
+    );
+    if (expired.length === 0) return;
+
+    await this.removeResults(expired);
+    this.jobs = this.jobs.filter(job => !expired.includes(job));
+  }
+
+  async removeResults(jobs) {
+    const stillUsed = new Set(
+      this.jobs.filter(job => !jobs.includes(job)).flatMap(job => job.pages.map(page => page.src))
+    );
+    const keys = jobs
+      .flatMap(job => job.pages.map(page => page.src))
+      .filter(src => !stillUsed.has(src))
+      .map(src => RESULT_PREFIX + src);
+
+    if (keys.length > 0) {
+      await chrome.storage.local.remove(keys);
+    }
+  }
+
+  // ==========================================
+  // JOB CONTROL
+  // ==========================================
+
+  /**
+   * Queue a chapter
+   * @param {Object} spec - { tabId, chapterKey, title, series, sourceLang, targetLang, pages: string[] }
+   * @returns {Promise<Object>} The job
+   */
+  async enqueue(spec) {
+    if (!this.loaded) await this.restore();
+
+    // Re-queuing the same chapter restarts it instead of duplicating it
+    const existing = this.jobs.find(job =>
+      job.chapterKey === spec.chapterKey &&
+      ![JOB_STATES.DONE, JOB_STATES.CANCELLED].includes(job.state)
+    );
+    if (existing) return existing;
+
+    const now = Date.now();
+    const job = {
+      id: `chapter_${now}_${Math.random().toString(36).substr(2, 9)}`,
+      tabId: spec.tabId ?? null,
+      chapterKey: spec.chapterKey,
+      title: spec.title || spec.chapterKey,
+      series: spec.series || null,
+      site: spec.site || null,
+      sourceLang: spec.sourceLang || 'auto',
+      targetLang: spec.targetLang || null,
+      state: JOB_STATES.QUEUED,
+      pages: [...new Set(spec.pages)].map((src, index) => ({
+        index,
+        src,
+        status: PAGE_STATES.PENDING,
+        regionCount: 0,
+        error: null
+      })),
+      createdAt: now,
+      updatedAt: now
+    };
+
+    this.jobs.push(job);
+    await this.save(job);
+    this.pump();
+
+    return job;
+  }
+
+  async pause(jobId) {
+    const job = this.getJob(jobId);
+    if (!job || ![JOB_STATES.QUEUED, JOB_STATES.RUNNING].includes(job.state)) return job;
+
+    // The page in flight finishes; no new page is started
+    job.state = JOB_STATES.PAUSED;
+    await this.save(job);
+    return job;
+  }
+
+  async resume(jobId) {
+    const job = this.getJob(jobId);
+    if (!job || job.state !== JOB_STATES.PAUSED) return job;
+
+    job.state = JOB_STATES.QUEUED;
+    await this.save(job);
+    this.pump();
+    return job;
+  }
+
+  async cancel(jobId) {
+    const job = this.getJob(jobId);
+    if (!job || [JOB_STATES.DONE, JOB_STATES.CANCELLED].includes(job.state)) return job;
+
+    job.state = JOB_STATES.CANCELLED;
+    await this.save(job);
+    return job;
+  }
+
+  getJob(jobId) {
+    return this.jobs.find(job => job.id === jobId) || null;
+  }
+
+  /**
+   * Jobs, newest first, optionally for one tab
+   */
+  getJobs(tabId = null) {
+    return this.jobs
+      .filter(job => tabId === null || job.tabId === tabId)
+      .sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  /**
+   * Stored OCR + translation for a page image, if it was pre-translated
+   */
+  async getPageResult(src) {
+    const key = RESULT_PREFIX + src;
+    const stored = await chrome.storage.local.get(key);
+    return stored[key] || null;
+  }
+
+  /**
+   * Summary used for progress displays
+   */
+  static progress(job) {
+    const total = job.pages.length;
+    const done = job.pages.filter(page => page.status === PAGE_STATES.DONE).length;
+    const failed = job.pages.filter(page => page.status === PAGE_STATES.ERROR).length;
+    return {
+      total,
+      done,
+      failed,
+      percent: total > 0 ? Math.round(((done + failed) / total) * 100) : 100
+    };
+  }
+
+  // ==========================================
+  // PROCESSING
+  // ==========================================
+
+  /**
+   * Work through queued jobs one page at a time (OCR is the bottleneck)
+   */
+  async pump() {
+    if (this.running) return;
+    this.running = true;
+    await chrome.alarms.create(ALARM_NAME, { periodInMinutes: 1 });
+
+    try {
+      let job;
+      while ((job = this.nextJob())) {
+        const page = job.pages.find(p => p.status === PAGE_STATES.PENDING);
+        if (!page) {
+          job.state = JOB_STATES.DONE;
+          await this.save(job);
+          continue;
+        }
+
+        job.state = JOB_STATES.RUNNING;
+        page.status = PAGE_STATES.PROCESSING;
+        await this.save(job);
+
+        try {
+          const result = await this.processPage(page, job);
+          await chrome.storage.local.set({
+            [RESULT_PREFIX + page.src]: { ...result, src: page.src, jobId: job.id, timestamp: Date.now() }
+          });
+          page.status = PAGE_STATES.DONE;
+          page.regionCount = result.regions?.length || 0;
+        } catch (error) {
+          console.warn(`[ChapterQueue] Page ${page.index + 1} of "${job.title}" failed:`, error);
+          page.status = PAGE_STATES.ERROR;
+          page.error = error.message;
+        }
+
+        // Paused or cancelled while the page was in flight
+        if (job.state === JOB_STATES.RUNNING) {
+          job.state = JOB_STATES.QUEUED;
+        }
+        await this.save(job);
+      }
+    } finally {
+      this.running = false;
+      await chrome.alarms.clear(ALARM_NAME);
+    }
+  }
+
+  /**
+   * Oldest job that still has work and is not paused or cancelled
+   */
+  nextJob() {
+    return this.jobs
+      .filter(job => [JOB_STATES.QUEUED, JOB_STATES.RUNNING].includes(job.state))
+      .sort((a, b) => a.createdAt - b.createdAt)[0] || null;
+  }
+
+  async save(job) {
+    job.updatedAt = Date.now();
+    await this.persist();
+
+    try {
+      this.onUpdate(job);
+    } catch (error) {
+      console.warn('[ChapterQueue] Update listener failed:', error);
+    }
+  }
+}
+
+/**
+ * Group OCR lines into speech-bubble sized regions
+ * Tesseract reports lines for the whole page; lines that overlap horizontally and
+ * sit within about one line height of each other belong to the same bubble.
+ * @param {Array<{text, confidence, bbox: {x0, y0, x1, y1}}>} lines
+ * @returns {Array<{text, confidence, boundingBox: {x, y, width, height}}>}
+ */
+function groupLinesIntoRegions(lines) {
+  const groups = [];
+  const sorted = [...lines]
+    .filter(line => line.text?.trim())
+    .sort((a, b) => a.bbox.y0 - b.bbox.y0);
+
+  for (const line of sorted) {
+    const lineHeight = line.bbox.y1 - line.bbox.y0;
+    const group = groups.find(g =>
+      line.bbox.y0 - g.y1 <= lineHeight * 1.2 &&
+      line.bbox.x0 < g.x1 &&
+      line.bbox.x1 > g.x0
+    );
+
+    if (group) {
+      group.lines.push(line);
+      group.x0 = Math.min(group.x0, line.bbox.x0);
+      group.x1 = Math.max(group.x1, line.bbox.x1);
+      group.y1 = Math.max(group.y1, line.bbox.y1);
+    } else {
+      groups.push({ lines: [line], ...line.bbox });
+    }
+  }
+
+  return groups.map(group => ({
+    text: group.lines.map(line => line.text.trim()).join(' '),
+    confidence: group.lines.reduce((sum, line) => sum + line.confidence, 0) / group.lines.length,
+    boundingBox: {
+      x: group.x0,
+      y: group.y0,
+      width: group.x1 - group.x0,
+      height: group.y1 - group.y0
+    }
+  }));
+}
+
+export { ChapterQueue, JOB_STATES, PAGE_STATES, groupLinesIntoRegions };
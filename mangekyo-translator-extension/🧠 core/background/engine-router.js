@@ -0,0 +1,175 @@
+/**
+ * Mangekyo Extension - Engine Router
+ * Rule-based selection of the translation engine chain for each request
+ * Matches on source language, bubble type, text length and site, with a per-request cost ceiling
+ * @version 2.0.0
+ */
+
+// Chain used when no rule matches (previous hard-coded fallback order)
+const DEFAULT_CHAIN = ['openai', 'openai_compatible', 'deepl', 'google', 'libretranslate', 'local'];
+
+// Rough per-character cost estimates in USD, used only for cost ceilings
+const DEFAULT_COSTS = {
+  google: 0,            // Free gtx endpoint
+  deepl: 0.00002,       // $20 per 1M characters
+  openai: 0.0000075,    // ~4 chars/token, input + output at GPT-4o rates
+  openai_compatible: 0, // Self-hosted
+  libretranslate: 0,    // Self-hosted
+  local: 0
+};
+
+class EngineRouter {
+  constructor(options = {}) {
+    this.defaultChain = options.defaultChain || [...DEFAULT_CHAIN];
+    this.costs = { ...DEFAULT_COSTS, ...(options.costs || {}) };
+    this.rules = [];
+    this.maxCostPerRequest = null;
+    this.enabled = true;
+    this.lastDecision = null;
+
+    if (options.routing) {
+      this.load(options.routing);
+    }
+  }
+
+  /**
+   * Load routing configuration (translation.routing from ConfigManager)
+   */
+  load(routing = {}) {
+    this.enabled = routing.enabled !== false;
+    this.maxCostPerRequest = typeof routing.maxCostPerRequest === 'number'
+      ? routing.maxCostPerRequest
+      : null;
+    this.setRules(routing.rules || []);
+  }
+
+  /**
+   * Replace rule list (keeps user-defined order, which is also priority order)
+   */
+  setRules(rules) {
+    this.rules = rules
+      .filter(rule => rule && Array.isArray(rule.engines) && rule.engines.length > 0)
+      .map((rule, index) => ({
+        id: rule.id || `rule_${index}`,
+        name: rule.name || `Rule ${index + 1}`,
+        enabled: rule.enabled !== false,
+        match: rule.match || {},
+        engines: [...rule.engines],
+        maxCost: typeof rule.maxCost === 'number' ? rule.maxCost : null
+      }));
+  }
+
+  /**
+   * Resolve the engine chain for a request
+   * @param {Object} request - { text, sourceLang, bubbleType, site }
+   * @param {Array<string>} available - Engines currently usable
+   * @returns {{ rule: Object|null, chain: Array<string>, skipped: Array<Object> }}
+   */
+  resolve(request, available = null) {
+    const rule = this.enabled ? this.findRule(request) : null;
+    const baseChain = rule ? rule.engines : this.defaultChain;
+    const ceiling = this.getCostCeiling(rule);
+
+    const chain = [];
+    const skipped = [];
+
+    for (const engine of baseChain) {
+      if (available && !available.includes(engine)) {
+        skipped.push({ engine, reason: 'unavailable' });
+        continue;
+      }
+
+      const cost = this.estimateCost(engine, request.text);
+      if (ceiling !== null && cost > ceiling) {
+        skipped.push({ engine, reason: 'cost', cost });
+        continue;
+      }
+
+      chain.push(engine);
+    }
+
+    this.lastDecision = {
+      ruleId: rule?.id || null,
+      ruleName: rule?.name || 'default',
+      chain,
+      skipped,
+      timestamp: Date.now()
+    };
+
+    return { rule, chain, skipped };
+  }
+
+  /**
+   * First enabled rule whose conditions all match
+   */
+  findRule(request) {
+    return this.rules.find(rule => rule.enabled && this.matches(rule.match, request)) || null;
+  }
+
+  /**
+   * Check rule conditions against request
+   */
+  matches(match, request) {
+    const { text = '', sourceLang = 'auto', bubbleType = null, site = null } = request;
+
+    if (match.sourceLangs?.length && !match.sourceLangs.includes(sourceLang)) {
+      return false;
+    }
+
+    if (match.bubbleTypes?.length && !match.bubbleTypes.includes(bubbleType)) {
+      return false;
+    }
+
+    if (typeof match.minLength === 'number' && text.length < match.minLength) {
+      return false;
+    }
+
+    if (typeof match.maxLength === 'number' && text.length > match.maxLength) {
+      return false;
+    }
+
+    if (match.sites?.length && !match.sites.some(pattern => this.matchesSite(pattern, site))) {
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Match a hostname against a site pattern ("mangadex.org" or "*.mangadex.org")
+   */
+  matchesSite(pattern, site) {
+    if (!site) return false;
+
+    if (pattern.startsWith('*.')) {
+      const base = pattern.slice(2);
+      return site === base || site.endsWith(`.${base}`);
+    }
+
+    return site === pattern;
+  }
+
+  /**
+   * Effective cost ceiling: the stricter of rule and global ceilings
+   */
+  getCostCeiling(rule) {
+    const limits = [rule?.maxCost, this.maxCostPerRequest].filter(v => typeof v === 'number');
+    return limits.length > 0 ? Math.min(...limits) : null;
+  }
+
+  /**
+   * Estimate request cost in USD for an engine
+   */
+  estimateCost(engine, text = '') {
+    return (this.costs[engine] || 0) * text.length;
+  }
+
+  /**
+   * Last routing decision (for status/debug views)
+   */
+  getLastDecision() {
+    return this.lastDecision;
+  }
+}
+
+export { EngineRouter, DEFAULT_CHAIN };
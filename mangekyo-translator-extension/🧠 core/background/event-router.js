@@ -573,6 +573,10 @@ class EventRouter {
         case 'overlay':
           this.handleOverlayPort(port);
           break;
+          
+        case 'translation-stream':
+          this.handleTranslationStreamPort(port);
+          break;
       }
     });
   }
@@ -650,6 +654,17 @@ class EventRouter {
     });
   }
 
+  /**
+   * Handle progressive translation port (one per content script)
+   */
+  handleTranslationStreamPort(port) {
+    if (!port.sender?.tab?.id || !this.sw.translationStreams) {
+      port.disconnect();
+      return;
+    }
+    this.sw.translationStreams.attach(port);
+  }
+
   /**
    * Event emitter pattern for internal use
    */
@@ -5,7 +5,7 @@
  */
 
 import { CONFIG } from '../shared/constants.js';
-import { ConfigManager } from '../shared/config-manager.js';
+import { ConfigManager, splitEngineSecrets } from '../shared/config-manager.js';
 import { EventRouter } from './event-router.js';
 import { APIManager } from './api-manager.js';
 import { StateManager } from './state-manager.js';
@@ -13,6 +13,13 @@ import { LicenseValidator } from '../security/license/license-validator.js';
 import { IntegrityChecker } from '../security/integrity/tamper-detection.js';
 import { SecureStorage } from '../privacy/encryption/secure-storage.js';
 import { PerformanceMonitor } from '../shared/utils/performance-monitor.js';
+import { contextPreserver } from '../computer-vision/translation/context-preserver.js';
+import { validateDefinition, normalizeDefinition } from '../content/site-adapters/adapter-definition.js';
+import { ChapterQueue, groupLinesIntoRegions } from './chapter-queue.js';
+import { detectPackFromText, PACK_TO_TRANSLATION } from '../computer-vision/ocr/preprocessors/script-detector.js';
+import { ReadingOrderStore } from '../computer-vision/detection/reading-order/reading-order-service.js';
+import { SpeakerStore } from '../computer-vision/detection/speaker/speaker-attributor.js';
+import { TranslationStreamRelay } from './translation-stream.js';
 
 class ServiceWorker {
   constructor() {
@@ -21,6 +28,8 @@ class ServiceWorker {
     this.config = null;
     this.eventRouter = null;
     this.apiManager = null;
+    this.chapterQueue = null;
+    this.translationStreams = null;
     this.integrityChecker = null;
     this.performanceMonitor = null;
     
@@ -61,6 +70,13 @@ class ServiceWorker {
       this.eventRouter = new EventRouter(this);
       this.apiManager = new APIManager(this.config);
       this.integrityChecker = new IntegrityChecker();
+      this.readingOrderStore = new ReadingOrderStore();
+      this.speakerStore = new SpeakerStore();
+      this.translationStreams = new TranslationStreamRelay(this);
+      this.chapterQueue = new ChapterQueue({
+        processPage: (page, job) => this.processChapterPage(page, job),
+        onUpdate: (job) => this.broadcastQueueUpdate(job)
+      });
       
       // Setup event listeners
       this.setupLifecycleListeners();
@@ -68,6 +84,7 @@ class ServiceWorker {
       this.setupAlarmListeners();
       this.setupTabListeners();
       this.setupContextMenu();
+      this.eventRouter.setupPortListener(); // Long-lived ports (translation streaming)
       
       // Start keep-alive for MV3
       this.startKeepAlive();
@@ -75,6 +92,9 @@ class ServiceWorker {
       // Initialize offscreen document if needed
       await this.ensureOffscreenDocument();
       
+      // Continue chapter jobs interrupted by a worker restart
+      await this.chapterQueue.restore();
+      
       this.initialized = true;
       console.log('[Mangekyo] Service Worker initialized successfully');
       
@@ -269,6 +289,10 @@ class ServiceWorker {
           result = await this.handleScreenshotRequest(sender.tab);
           break;
           
+        case 'FETCH_IMAGE_DATA':
+          result = await this.handleImageFetch(payload.url);
+          break;
+          
         // UI Messages
         case 'TOGGLE_TRANSLATION':
           result = await this.toggleTranslation(sender.tab.id, payload);
@@ -282,6 +306,200 @@ class ServiceWorker {
           result = await this.handleSettingsUpdate(payload);
           break;
           
+        // Engine credentials, only for extension pages (never content scripts)
+        case 'GET_ENGINE_SECRETS':
+          this.assertExtensionPage(sender);
+          result = this.apiManager.getEngineSecrets();
+          break;
+          
+        case 'SAVE_ENGINE_SECRETS':
+          this.assertExtensionPage(sender);
+          result = await this.apiManager.saveEngineSecrets(payload);
+          break;
+          
+        case 'TEST_OPENAI_COMPATIBLE':
+          result = await this.apiManager.testCompatibleEndpoint(payload.settings);
+          break;
+          
+        case 'TEST_LIBRETRANSLATE':
+          result = await this.apiManager.testLibreTranslateEndpoint(payload.settings);
+          break;
+          
+        // Usage ledger and budgets
+        case 'GET_USAGE_SUMMARY':
+          result = await this.apiManager.getUsageSummary(payload || {});
+          break;
+          
+        case 'RESET_USAGE_LEDGER':
+          result = await this.apiManager.ledger.reset();
+          break;
+          
+        // Fixture recording (ReplayEngine record mode)
+        case 'START_FIXTURE_RECORDING':
+          result = this.apiManager.startRecording();
+          break;
+          
+        case 'STOP_FIXTURE_RECORDING':
+          result = this.apiManager.stopRecording();
+          break;
+          
+        case 'GET_FIXTURE_RECORDING_STATUS':
+          result = this.apiManager.getRecordingStatus();
+          break;
+          
+        case 'EXPORT_FIXTURES':
+          result = this.apiManager.exportFixtures();
+          break;
+          
+        // Translation memory
+        case 'EXPORT_TMX':
+          result = await this.apiManager.cache.exportTMX(payload || {});
+          break;
+          
+        case 'IMPORT_TMX':
+          result = await this.apiManager.cache.importTMX(payload.xml, payload.options);
+          break;
+          
+        // Series context (ContextPreserver)
+        case 'START_READING_SESSION':
+          result = await contextPreserver.initializeSession(payload);
+          break;
+          
+        case 'GET_SERIES_CONTEXTS':
+          result = await contextPreserver.listStoredContexts();
+          break;
+          
+        case 'DELETE_SERIES_CONTEXT':
+          result = await contextPreserver.deleteStoredContext(payload.mangaId);
+          break;
+          
+        case 'MERGE_SERIES_CONTEXTS':
+          result = await contextPreserver.mergeStoredContexts(payload.targetId, payload.sourceIds);
+          break;
+          
+        // Series glossaries
+        case 'GET_GLOSSARIES':
+          result = this.apiManager.glossaries.list();
+          break;
+          
+        case 'SAVE_GLOSSARY':
+          result = await this.handleGlossarySave(payload);
+          break;
+          
+        case 'DELETE_GLOSSARY':
+          result = await this.apiManager.deleteGlossary(payload.series);
+          break;
+          
+        case 'SYNC_GLOSSARY':
+          result = await this.apiManager.syncGlossaryToDeepL(payload.series);
+          break;
+          
+        case 'ACCEPT_TM_SUGGESTION':
+          result = await this.apiManager.cache.set(
+            payload.originalText,
+            payload.translatedText,
+            // Same default as lookups, so the accepted entry is found again
+            payload.sourceLang || 'auto',
+            payload.targetLang || 'en',
+            {},
+            { engine: 'tm', confidence: payload.similarity }
+          );
+          break;
+          
+        // Per-bubble corrections from the overlay editor
+        case 'RETRANSLATE_REGION':
+          result = await this.handleRetranslate(payload, sender.tab?.url);
+          break;
+          
+        case 'SAVE_CORRECTION':
+          result = await this.handleCorrectionSave(payload, sender.tab?.url);
+          break;
+          
+        // Reading order: learned per series, corrected in the page editor
+        case 'GET_READING_ORDER':
+          result = await this.readingOrderStore.get(payload.series);
+          break;
+          
+        case 'SAVE_READING_ORDER':
+          result = await this.handleReadingOrderSave(payload);
+          break;
+          
+        case 'RESET_READING_ORDER':
+          await this.readingOrderStore.reset(payload.series);
+          result = { series: payload.series };
+          break;
+          
+        // Speakers: attributed in the page, named once per series
+        case 'GET_SPEAKERS':
+          result = await this.handleSpeakersLoad(payload);
+          break;
+          
+        case 'RECORD_SPEAKERS':
+          result = (await this.speakerStore.recordSightings(payload.series, payload.sightings)).toJSON();
+          break;
+          
+        case 'NAME_SPEAKER':
+          result = await this.handleSpeakerRename(payload);
+          break;
+          
+        case 'RESET_SPEAKERS':
+          await this.speakerStore.reset(payload.series);
+          result = { series: payload.series };
+          break;
+          
+        // Per-site render mode (box overlay vs clean inpainting)
+        case 'GET_SITE_RENDER_MODE':
+          result = await this.getSiteRenderMode(payload.domain);
+          break;
+          
+        case 'SET_SITE_RENDER_MODE':
+          result = await this.handleRenderModeChange(payload);
+          break;
+          
+        // Declarative site adapters (options page)
+        case 'GET_SITE_ADAPTERS':
+          result = ConfigManager.get('siteAdapters', 'definitions') || [];
+          break;
+          
+        case 'SAVE_SITE_ADAPTERS':
+          result = await this.handleSiteAdaptersSave(payload);
+          break;
+          
+        case 'TEST_SITE_ADAPTER':
+          result = await this.handleSiteAdapterTest(payload);
+          break;
+          
+        // Point-and-click adapter builder (content script)
+        case 'SAVE_TAUGHT_ADAPTER':
+          result = await this.handleTaughtAdapterSave(payload);
+          break;
+          
+        // Whole-chapter pre-translation
+        case 'START_CHAPTER_JOB':
+          result = await this.handleChapterJobStart(payload, sender.tab);
+          break;
+          
+        case 'GET_CHAPTER_JOBS':
+          result = this.chapterQueue.getJobs(payload?.tabId ?? null)
+            .map(job => ({ ...job, progress: ChapterQueue.progress(job) }));
+          break;
+          
+        case 'PAUSE_CHAPTER_JOB':
+          result = await this.chapterQueue.pause(payload.jobId);
+          break;
+          
+        case 'RESUME_CHAPTER_JOB':
+          result = await this.chapterQueue.resume(payload.jobId);
+          break;
+          
+        case 'CANCEL_CHAPTER_JOB':
+          result = await this.chapterQueue.cancel(payload.jobId);
+          break;
+          
+        case 'GET_PRETRANSLATED_PAGE':
+          result = await this.chapterQueue.getPageResult(payload.src);
+          break;
+          
         // Offscreen Document Messages
         case 'OCR_COMPLETE':
           result = await this.handleOCRResult(payload, requestId);
@@ -465,7 +683,7 @@ class ServiceWorker {
    * Translation request handler
    */
   async handleTranslationRequest(payload, tabId) {
-    const { text, context, sourceLang, targetLang } = payload;
+    const { text, context, sourceLang, targetLang, bubbleType, site, series, readings, speaker } = payload;
     
     // Check cache first
     const cached = await this.getCachedTranslation(text);
@@ -477,13 +695,320 @@ class ServiceWorker {
     const result = await this.apiManager.translate(text, {
       sourceLang: sourceLang || 'auto',
       targetLang: targetLang || await ConfigManager.get('targetLanguage'),
-      context,
+      context: this.withSpeakerVoice(context, speaker),
+      bubbleType,
+      site,
+      series,
+      readings,
       engine: await ConfigManager.get('translationEngine')
     });
     
+    await this.recordSpeakerLine(speaker, text, result, bubbleType);
+    
     return { translation: result, cached: false };
   }
 
+  /**
+   * Translate a user-corrected source text for one bubble, bypassing the cache
+   */
+  async handleRetranslate(payload, pageUrl) {
+    const { text, sourceLang, targetLang, bubbleType, series, readings, speaker } = payload;
+    
+    const translation = await this.apiManager.translate(text, {
+      sourceLang: sourceLang || 'auto',
+      targetLang: targetLang || await ConfigManager.get('targetLanguage'),
+      context: this.withSpeakerVoice(null, speaker),
+      bubbleType,
+      site: pageUrl ? new URL(pageUrl).hostname : null,
+      series,
+      readings,
+      engine: await ConfigManager.get('translationEngine'),
+      skipCache: true
+    });
+    
+    return { translation };
+  }
+
+  /**
+   * Store a user-verified correction under the text OCR produced, and under the
+   * corrected source too so correctly recognized copies of the line benefit
+   */
+  async handleCorrectionSave(payload, pageUrl) {
+    const { ocrText, correctedSource, translatedText, series, chapter } = payload;
+    const sourceLang = payload.sourceLang || 'auto';
+    const targetLang = payload.targetLang || await ConfigManager.get('targetLanguage');
+    const metadata = {
+      correctedSourceText: correctedSource && correctedSource !== ocrText ? correctedSource : null,
+      pageUrl: pageUrl || null,
+      mangaTitle: series || null,
+      chapter: chapter || null
+    };
+    
+    const cache = this.apiManager.cache;
+    await cache.setUserVerified(ocrText, translatedText, sourceLang, targetLang, {}, metadata);
+    if (metadata.correctedSourceText) {
+      await cache.setUserVerified(correctedSource, translatedText, sourceLang, targetLang, {}, metadata);
+    }
+    
+    return { saved: true };
+  }
+
+  /**
+   * Validate and store the full list of declarative site adapters
+   */
+  async handleSiteAdaptersSave({ definitions }) {
+    const ids = new Set();
+    
+    for (const definition of definitions || []) {
+      const { valid, errors } = validateDefinition(definition);
+      if (!valid) {
+        throw new Error(`${definition?.id || 'Site adapter'}: ${errors[0]}`);
+      }
+      if (ids.has(definition.id)) {
+        throw new Error(`Duplicate site adapter id: ${definition.id}`);
+      }
+      ids.add(definition.id);
+    }
+    
+    const normalized = (definitions || []).map(normalizeDefinition);
+    await ConfigManager.set('siteAdapters', 'definitions', normalized);
+    
+    return { count: normalized.length };
+  }
+
+  /**
+   * Store an adapter taught in-page as the site's override
+   */
+  async handleTaughtAdapterSave({ domain, definition }) {
+    const { valid, errors } = validateDefinition(definition);
+    if (!valid) {
+      throw new Error(errors[0]);
+    }
+    
+    await ConfigManager.setSiteOverride(domain, 'adapter', normalizeDefinition(definition));
+    
+    return { domain, id: definition.id };
+  }
+
+  /**
+   * Run a definition in an open tab and return what each rule found
+   */
+  async handleSiteAdapterTest({ definition, tabId }) {
+    const { valid, errors } = validateDefinition(definition);
+    if (!valid) {
+      throw new Error(errors[0]);
+    }
+    
+    const response = await chrome.tabs.sendMessage(tabId, {
+      type: 'TEST_SITE_ADAPTER',
+      payload: { definition }
+    }).catch(() => null);
+    
+    if (!response) {
+      throw new Error('The translator is not running in that tab; reload it and try again');
+    }
+    if (!response.success) {
+      throw new Error(response.error);
+    }
+    
+    return response.report;
+  }
+
+  /**
+   * Queue the current chapter (and the next one, if the page sent it)
+   */
+  async handleChapterJobStart(payload, tab) {
+    const { chapters, series, sourceLang } = payload;
+    const targetLang = payload.targetLang || await ConfigManager.get('targetLanguage');
+    const site = tab?.url ? new URL(tab.url).hostname : null;
+    
+    const jobs = [];
+    for (const chapter of chapters) {
+      if (!chapter.pages?.length) continue;
+      
+      jobs.push(await this.chapterQueue.enqueue({
+        tabId: tab?.id,
+        chapterKey: chapter.key,
+        title: chapter.title,
+        pages: chapter.pages,
+        series,
+        site,
+        sourceLang,
+        targetLang
+      }));
+    }
+    
+    if (jobs.length === 0) {
+      throw new Error('No page images found for this chapter');
+    }
+    
+    return { jobIds: jobs.map(job => job.id), pageCount: jobs.reduce((sum, job) => sum + job.pages.length, 0) };
+  }
+
+  /**
+   * OCR and translate one queued page through the offscreen document
+   */
+  async processChapterPage(page, job) {
+    const imageData = await this.handleImageFetch(page.src);
+    await this.ensureOffscreenDocument();
+    
+    const response = await chrome.runtime.sendMessage({
+      type: 'OCR_REQUEST',
+      target: 'offscreen',
+      taskId: `${job.id}_${page.index}`,
+      payload: {
+        imageData,
+        language: job.sourceLang === 'auto' ? null : job.sourceLang,
+        heavy: true,
+        preprocess: true
+      }
+    });
+    
+    if (!response?.success) {
+      throw new Error(response?.error || 'OCR failed');
+    }
+    
+    // Bubble order is the context every LLM engine sees; use the series' learned layout
+    const { preferences } = await this.readingOrderStore.get(job.series || job.site);
+    const ordered = this.readingOrderStore.service.order(groupLinesIntoRegions(response.result.lines || []), {
+      preferences: { ...(await this.defaultReadingPreferences()), ...preferences }
+    });
+    
+    const regions = [];
+    for (const [index, region] of ordered.entries()) {
+      // Pages mix scripts (Japanese bubbles, English signs): give each region its own source language
+      const pack = job.sourceLang === 'auto' ? detectPackFromText(region.text, response.result.language) : null;
+      const sourceLang = PACK_TO_TRANSLATION[pack] || job.sourceLang;
+      
+      const translation = await this.apiManager.translate(region.text, {
+        sourceLang,
+        targetLang: job.targetLang,
+        site: job.site,
+        series: job.series,
+        engine: await ConfigManager.get('translationEngine')
+      });
+      
+      regions.push({
+        id: `${job.id}_${page.index}_${index}`,
+        originalText: region.text,
+        text: translation.text,
+        boundingBox: region.boundingBox,
+        confidence: region.confidence / 100,
+        engine: translation.engine,
+        sourceLang: translation.detectedLang || sourceLang,
+        targetLang: job.targetLang
+      });
+    }
+    
+    return { regions };
+  }
+
+  /**
+   * Reading direction from the OCR settings, the starting point before any correction
+   */
+  async defaultReadingPreferences() {
+    const direction = (await ConfigManager.get('ocr', 'manga'))?.readingDirection;
+    return direction ? { direction } : {};
+  }
+
+  /**
+   * Store a page's corrected bubble order and re-learn the series layout
+   */
+  async handleReadingOrderSave({ series, pageUrl, boxes, panels }) {
+    if (!Array.isArray(boxes) || boxes.length < 2) {
+      throw new Error('At least two bubbles are needed to save a reading order');
+    }
+    
+    const preferences = await this.readingOrderStore.saveCorrection(
+      series,
+      pageUrl,
+      { boxes, panels },
+      await this.defaultReadingPreferences()
+    );
+    
+    return { preferences };
+  }
+
+  /**
+   * Series speaker registry; named speakers are registered with the
+   * ContextPreserver session so their profiles carry the name
+   */
+  async handleSpeakersLoad({ series }) {
+    const registry = await this.speakerStore.get(series);
+    
+    registry.speakers
+      .filter(speaker => speaker.name)
+      .forEach(speaker => contextPreserver.registerCharacter(speaker.id, { name: speaker.name }));
+    
+    return registry.toJSON();
+  }
+
+  /**
+   * Name a speaker for the whole series
+   */
+  async handleSpeakerRename({ series, speakerId, name }) {
+    const speaker = await this.speakerStore.rename(series, speakerId, name);
+    contextPreserver.registerCharacter(speaker.id, { name: speaker.name });
+    
+    return { id: speaker.id, name: speaker.name };
+  }
+
+  /**
+   * Prompt context with the speaker's voice in front, once anything is known about them
+   */
+  withSpeakerVoice(context, speaker) {
+    const voice = contextPreserver.describeCharacterVoice(speaker);
+    return [voice, context].filter(Boolean).join('\n') || null;
+  }
+
+  /**
+   * Add a translated line to the speaker's character profile
+   */
+  async recordSpeakerLine(speaker, text, translation, bubbleType) {
+    if (!speaker || !translation?.text) return;
+    
+    try {
+      await contextPreserver.storeTranslation(
+        { text, character: speaker, bubbleType },
+        translation,
+        {} // A speaker in the context would file the whole line as a character name
+      );
+    } catch (error) {
+      console.warn('[ServiceWorker] Could not update speaker profile:', error);
+    }
+  }
+
+  /**
+   * Push job progress to the popup's status indicator
+   */
+  broadcastQueueUpdate(job) {
+    chrome.runtime.sendMessage({
+      type: 'CHAPTER_QUEUE_UPDATE',
+      payload: { job, progress: ChapterQueue.progress(job) }
+    }).catch(() => {
+      // Popup closed; progress is read back from GET_CHAPTER_JOBS when it reopens
+    });
+  }
+
+  /**
+   * Save a series glossary and push it to DeepL when a DeepL key is configured
+   */
+  async handleGlossarySave(payload) {
+    const { series, sourceLang, targetLang, entries } = payload;
+    const glossary = await this.apiManager.glossaries.save(series, { sourceLang, targetLang, entries });
+    
+    // Routing can send any request to DeepL, so sync whenever the engine is available
+    if (this.apiManager.engines.has('deepl') && glossary.entries.length > 0) {
+      try {
+        await this.apiManager.syncGlossaryToDeepL(series);
+      } catch (error) {
+        console.warn('[Mangekyo] DeepL glossary sync failed:', error);
+      }
+    }
+    
+    return this.apiManager.glossaries.get(series);
+  }
+
   /**
    * Screenshot capture for canvas/WebGL content
    */
@@ -502,6 +1027,26 @@ class ServiceWorker {
     }
   }
 
+  /**
+   * Fetch a cross-origin page image as a data URL
+   * Content scripts cannot read pixels from tainted canvases (CBZ export)
+   */
+  async handleImageFetch(url) {
+    const response = await fetch(url, { credentials: 'include' });
+    if (!response.ok) {
+      throw new Error(`Image fetch failed: HTTP ${response.status}`);
+    }
+    
+    const blob = await response.blob();
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    
+    return `data:${blob.type || 'image/png'};base64,${btoa(binary)}`;
+  }
+
   /**
    * Toggle translation state
    */
@@ -539,14 +1084,62 @@ class ServiceWorker {
     return { active };
   }
 
+  /**
+   * Effective render mode for a site
+   */
+  async getSiteRenderMode(domain) {
+    const siteConfig = await ConfigManager.getForSite(domain);
+    return siteConfig.appearance?.renderMode || 'overlay';
+  }
+
+  /**
+   * Store a site's render mode and switch the open tab over
+   */
+  async handleRenderModeChange({ domain, renderMode, tabId }) {
+    await ConfigManager.setSiteOverride(domain, 'appearance', { renderMode });
+    
+    if (tabId) {
+      chrome.tabs.sendMessage(tabId, {
+        type: 'SET_RENDER_MODE',
+        payload: { renderMode }
+      }).catch(() => {
+        // Scanner not running in that tab; picked up on next activation
+      });
+    }
+    
+    return { domain, renderMode };
+  }
+
   /**
    * Settings update handler
    */
   async handleSettingsUpdate(payload) {
-    const { category, settings } = payload;
+    const { category } = payload;
+    
+    // Credentials go to SecureStorage, never into settings or the tab broadcast
+    const { settings, secrets } = category === 'translation'
+      ? splitEngineSecrets(payload.settings)
+      : { settings: payload.settings, secrets: {} };
+    if (Object.keys(secrets).length > 0) {
+      await this.apiManager.saveEngineSecrets(secrets);
+    }
     
     await ConfigManager.set(category, settings);
     
+    // Routing rules take effect without restarting the worker
+    if (category === 'translation' && settings?.routing) {
+      this.apiManager.updateRouting(settings.routing);
+    }
+    if (category === 'translation' && settings?.openaiCompatible) {
+      this.apiManager.updateCompatibleEngine(settings.openaiCompatible);
+    }
+    if (category === 'translation' && settings?.libretranslate) {
+      this.apiManager.updateLibreTranslateEngine(settings.libretranslate);
+    }
+    if (category === 'translation' && settings?.budget) {
+      this.apiManager.updateBudget(settings.budget);
+    }
+    
     // Broadcast to all manga tabs
     this.broadcastToMangaTabs({
       type: 'SETTINGS_UPDATED',
@@ -557,6 +1150,15 @@ class ServiceWorker {
     return { saved: true };
   }
 
+  /**
+   * Reject messages that do not come from one of the extension's own pages
+   */
+  assertExtensionPage(sender) {
+    if (sender?.id !== chrome.runtime.id || !sender.url?.startsWith(chrome.runtime.getURL(''))) {
+      throw new Error('Not allowed from this context');
+    }
+  }
+
   /**
    * Alarm handlers for periodic tasks
    */
@@ -575,6 +1177,11 @@ class ServiceWorker {
           await this.refreshLicense();
           break;
           
+        // Wakes a suspended worker while chapter jobs are pending
+        case 'chapterQueue':
+          this.chapterQueue.pump();
+          break;
+          
         default:
           if (alarm.name.startsWith('translate_')) {
             const tabId = parseInt(alarm.name.replace('translate_', ''));
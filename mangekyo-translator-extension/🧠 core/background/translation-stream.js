@@ -0,0 +1,249 @@
+/**
+ * Mangekyo Extension - Translation Stream Relay
+ * Progressive translation for content scripts: each region is streamed from
+ * the offscreen document (OpenAIGPTEngine.translateStreaming) and relayed chunk
+ * by chunk over the content script's 'translation-stream' port.
+ * Cached results and engines that cannot stream answer with a single DONE,
+ * so the content side handles every engine the same way.
+ */
+
+import { ConfigManager } from '../shared/config-manager.js';
+
+const CONTENT_PORT = 'translation-stream';
+const OFFSCREEN_PORT = 'offscreen-translation-stream';
+
+class TranslationStreamRelay {
+  /**
+   * @param {Object} serviceWorker - Owner of apiManager and the offscreen document
+   */
+  constructor(serviceWorker) {
+    this.sw = serviceWorker;
+    this.offscreenPort = null;
+    this.streams = new Map(); // relay streamId -> { port, id, request, engine, reservation, startTime }
+    this.nextId = 1;
+  }
+
+  // ==========================================
+  // CONTENT SIDE
+  // ==========================================
+
+  /**
+   * Serve one content script port until it disconnects
+   */
+  attach(port) {
+    const site = port.sender?.tab?.url ? new URL(port.sender.tab.url).hostname : null;
+
+    port.onMessage.addListener((message) => {
+      switch (message.type) {
+        case 'TRANSLATE':
+          this.start(port, message.id, { ...message.payload, site });
+          break;
+        case 'CANCEL':
+          this.cancel(port, message.id);
+          break;
+      }
+    });
+
+    // Tab closed or navigated: nothing is left to render the chunks
+    port.onDisconnect.addListener(() => this.cancel(port));
+  }
+
+  /**
+   * Begin one region; answers immediately when nothing needs streaming
+   */
+  async start(port, id, payload) {
+    const { text, bubbleType, site, series, readings, speaker, context } = payload;
+    const apiManager = this.sw.apiManager;
+    const streamId = `s${this.nextId++}`;
+    const request = {
+      text,
+      sourceLang: payload.sourceLang || 'auto',
+      targetLang: payload.targetLang || await ConfigManager.get('targetLanguage'),
+      engine: await ConfigManager.get('translationEngine'),
+      context: this.sw.withSpeakerVoice(context, speaker),
+      bubbleType,
+      site,
+      series,
+      readings,
+      speaker
+    };
+
+    this.streams.set(streamId, { port, id, request, engine: null, startTime: Date.now() });
+
+    try {
+      const stored = await apiManager.lookupCached(text, request);
+      if (stored.hit) {
+        this.finish(streamId, stored.hit);
+        return;
+      }
+
+      const picked = apiManager.pickStreamingEngine(text, request);
+      if (!picked) {
+        this.finish(streamId, await apiManager.translate(text, request));
+        return;
+      }
+
+      const stream = this.streams.get(streamId);
+      if (!stream) {
+        // Cancelled while checking the cache
+        apiManager.ledger.release(picked.reservation);
+        return;
+      }
+      stream.engine = picked.engine;
+      stream.reservation = picked.reservation;
+      stream.routingRule = picked.routingRule;
+      stream.suggestions = stored.suggestions;
+
+      const offscreen = await this.getOffscreenPort();
+      if (!this.streams.has(streamId)) return;
+
+      offscreen.postMessage({
+        type: 'STREAM_TRANSLATE',
+        streamId,
+        payload: {
+          text,
+          sourceLang: request.sourceLang,
+          targetLang: request.targetLang,
+          engine: picked.engine,
+          engineConfig: picked.engineConfig,
+          // Furigana readings and glossary terms travel as scene context, as they do for translate()
+          context: {
+            sceneContext: [
+              request.context,
+              apiManager.formatReadingHints(request.readings),
+              apiManager.formatGlossaryHints(text, request.series, request.targetLang)
+            ].filter(Boolean).join('\n') || null
+          }
+        }
+      });
+    } catch (error) {
+      this.fail(streamId, error);
+    }
+  }
+
+  /**
+   * Stop one stream, or every stream of a port when id is omitted
+   */
+  cancel(port, id) {
+    for (const [streamId, stream] of [...this.streams]) {
+      if (stream.port !== port || (id !== undefined && stream.id !== id)) continue;
+
+      this.streams.delete(streamId);
+      this.sw.apiManager.ledger.release(stream.reservation);
+      if (stream.engine && this.offscreenPort) {
+        this.offscreenPort.postMessage({ type: 'STREAM_CANCEL', streamId });
+      }
+    }
+  }
+
+  // ==========================================
+  // OFFSCREEN SIDE
+  // ==========================================
+
+  /**
+   * Port to the offscreen document, created with the document if needed
+   */
+  async getOffscreenPort() {
+    if (this.offscreenPort) return this.offscreenPort;
+
+    await this.sw.ensureOffscreenDocument();
+    const port = chrome.runtime.connect({ name: OFFSCREEN_PORT });
+
+    port.onMessage.addListener((message) => this.handleOffscreenMessage(message));
+    port.onDisconnect.addListener(() => {
+      this.offscreenPort = null;
+      // Document closed mid-stream: finish those regions without streaming
+      for (const [streamId, stream] of [...this.streams]) {
+        if (stream.engine) this.fail(streamId, new Error('Offscreen document closed'), { engineFault: false });
+      }
+    });
+
+    this.offscreenPort = port;
+    return port;
+  }
+
+  handleOffscreenMessage(message) {
+    const { streamId } = message;
+    const stream = this.streams.get(streamId);
+    if (!stream) return; // Cancelled; late chunks are dropped
+
+    switch (message.type) {
+      case 'STREAM_CHUNK':
+        this.post(stream, { type: 'CHUNK', text: message.text });
+        break;
+
+      case 'STREAM_DONE':
+        this.sw.apiManager.completeStreamed(stream.engine, stream.request.text, message.result, {
+          ...stream.request,
+          duration: Date.now() - stream.startTime,
+          suggestions: stream.suggestions,
+          routingRule: stream.routingRule
+        })
+          .then(translation => this.finish(streamId, translation))
+          .catch(error => this.fail(streamId, error, { engineFault: false }))
+          .finally(() => this.sw.apiManager.ledger.release(stream.reservation));
+        break;
+
+      case 'STREAM_ERROR':
+        this.fail(streamId, new Error(message.error), { engineFault: !message.setup });
+        break;
+    }
+  }
+
+  // ==========================================
+  // RESULTS
+  // ==========================================
+
+  async finish(streamId, translation) {
+    const stream = this.streams.get(streamId);
+    if (!stream) return;
+    this.streams.delete(streamId);
+
+    const { text, speaker, bubbleType } = stream.request;
+    await this.sw.recordSpeakerLine(speaker, text, translation, bubbleType);
+
+    this.post(stream, { type: 'DONE', translation, cached: !!translation.cached });
+  }
+
+  /**
+   * A failed stream falls back to the regular engine chain once;
+   * anything else is reported to the content script.
+   * Only failures of the engine itself count against its circuit breaker,
+   * not a missing offscreen document or an engine that could not be set up.
+   */
+  async fail(streamId, error, { engineFault = true } = {}) {
+    const stream = this.streams.get(streamId);
+    if (!stream) return;
+
+    if (stream.engine) {
+      console.warn(`[TranslationStream] ${stream.engine} stream failed, retrying without streaming:`, error);
+      if (engineFault) {
+        this.sw.apiManager.recordFailure(stream.engine, error);
+      }
+      stream.engine = null;
+      // translate() holds its own reservation for the retry
+      this.sw.apiManager.ledger.release(stream.reservation);
+
+      try {
+        const translation = await this.sw.apiManager.translate(stream.request.text, stream.request);
+        this.finish(streamId, translation);
+      } catch (fallbackError) {
+        this.fail(streamId, fallbackError);
+      }
+      return;
+    }
+
+    this.streams.delete(streamId);
+    this.post(stream, { type: 'ERROR', error: error.message });
+  }
+
+  post(stream, message) {
+    try {
+      stream.port.postMessage({ ...message, id: stream.id });
+    } catch (e) {
+      // Content port already closed; its onDisconnect cancels the rest
+    }
+  }
+}
+
+export { TranslationStreamRelay, CONTENT_PORT, OFFSCREEN_PORT };
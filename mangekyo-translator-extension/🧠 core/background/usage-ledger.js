@@ -0,0 +1,293 @@
+/**
+ * Mangekyo Extension - Usage Ledger
+ * Persistent record of what every translation engine was asked to do:
+ * requests, characters, tokens and estimated cost per engine, series and day.
+ * Daily and monthly budgets (USD) are checked against it before paid engines run.
+ * Days are local calendar days, so budgets reset at the reader's midnight.
+ */
+
+const STORAGE_KEY = 'usageLedger';
+const RETENTION_DAYS = 400; // A year of history for monthly reports
+const PERSIST_DELAY = 1000; // Batch writes while a page is being translated
+
+const LIMIT_ACTIONS = {
+  SWITCH: 'switch', // Skip paid engines, keep translating with free ones
+  STOP: 'stop'      // Refuse every translation until the budget resets
+};
+
+/**
+ * Thrown when a budget leaves no engine to translate with
+ */
+class BudgetExceededError extends Error {
+  constructor(status) {
+    const period = status.daily.exhausted ? 'daily' : 'monthly';
+    super(`Translation ${period} budget of $${status[period].limit.toFixed(2)} reached`);
+    this.name = 'BudgetExceededError';
+    this.status = status;
+  }
+}
+
+/**
+ * Local calendar day, e.g. 2026-10-19
+ */
+function dayKey(date = new Date()) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function emptyTotals() {
+  return { requests: 0, characters: 0, inputTokens: 0, outputTokens: 0, cost: 0 };
+}
+
+function addTotals(target, entry) {
+  target.requests += entry.requests;
+  target.characters += entry.characters;
+  target.inputTokens += entry.inputTokens;
+  target.outputTokens += entry.outputTokens;
+  target.cost += entry.cost;
+  return target;
+}
+
+class UsageLedger {
+  /**
+   * @param {Object} options
+   * @param {Object} options.budget - translation.budget { enabled, daily, monthly, onLimit }
+   */
+  constructor(options = {}) {
+    this.storage = options.storage || chrome.storage.local;
+    this.days = {}; // { [day]: { engines: { [engine]: totals }, series: { [series]: totals } } }
+    this.loaded = false;
+    this.persistTimer = null;
+    this.reserved = 0; // Estimated cost of requests still in flight
+    this.setBudget(options.budget);
+  }
+
+  // ==========================================
+  // PERSISTENCE
+  // ==========================================
+
+  async load() {
+    if (this.loaded) return;
+    const stored = await this.storage.get(STORAGE_KEY);
+    this.days = stored[STORAGE_KEY]?.days || {};
+    this.loaded = true;
+    this.prune();
+  }
+
+  async persist() {
+    clearTimeout(this.persistTimer);
+    this.persistTimer = null;
+    await this.storage.set({ [STORAGE_KEY]: { days: this.days } });
+  }
+
+  schedulePersist() {
+    if (this.persistTimer) return;
+    this.persistTimer = setTimeout(() => {
+      this.persist().catch(error => console.warn('[UsageLedger] Failed to save:', error));
+    }, PERSIST_DELAY);
+  }
+
+  /**
+   * Drop days past the retention window
+   */
+  prune() {
+    const cutoff = new Date();
+    cutoff.setDate(cutoff.getDate() - RETENTION_DAYS);
+    const oldest = dayKey(cutoff);
+
+    Object.keys(this.days)
+      .filter(day => day < oldest)
+      .forEach(day => delete this.days[day]);
+  }
+
+  // ==========================================
+  // RECORDING
+  // ==========================================
+
+  /**
+   * Add one translation to today's totals
+   * @param {Object} entry - { engine, series, characters, tokens: { input, output }, cost }
+   */
+  async record({ engine, series = null, characters = 0, tokens = null, cost = 0 }) {
+    await this.load();
+
+    const day = dayKey();
+    const bucket = this.days[day] || (this.days[day] = { engines: {}, series: {} });
+    const entry = {
+      requests: 1,
+      characters,
+      inputTokens: tokens?.input || 0,
+      outputTokens: tokens?.output || 0,
+      cost: cost || 0
+    };
+
+    addTotals(bucket.engines[engine] || (bucket.engines[engine] = emptyTotals()), entry);
+
+    const title = series?.trim();
+    if (title) {
+      addTotals(bucket.series[title] || (bucket.series[title] = emptyTotals()), entry);
+    }
+
+    this.schedulePersist();
+  }
+
+  // ==========================================
+  // BUDGETS
+  // ==========================================
+
+  /**
+   * @param {Object} budget - { enabled, daily, monthly, onLimit }; limits in USD, null = none
+   */
+  setBudget(budget = {}) {
+    const limit = (value) => typeof value === 'number' && value >= 0 ? value : null;
+    this.budget = {
+      enabled: budget?.enabled === true,
+      daily: limit(budget?.daily),
+      monthly: limit(budget?.monthly),
+      onLimit: budget?.onLimit === LIMIT_ACTIONS.STOP ? LIMIT_ACTIONS.STOP : LIMIT_ACTIONS.SWITCH
+    };
+  }
+
+  /**
+   * Spend against each budget
+   * @returns {{ enabled, onLimit, daily, monthly, exhausted }}
+   */
+  getBudgetStatus() {
+    const period = (limit, spent) => ({
+      limit,
+      spent,
+      remaining: limit === null ? null : Math.max(0, limit - spent),
+      exhausted: this.budget.enabled && limit !== null && spent >= limit
+    });
+
+    const daily = period(this.budget.daily, this.getTotals('day').cost);
+    const monthly = period(this.budget.monthly, this.getTotals('month').cost);
+
+    return {
+      enabled: this.budget.enabled,
+      onLimit: this.budget.onLimit,
+      daily,
+      monthly,
+      exhausted: daily.exhausted || monthly.exhausted
+    };
+  }
+
+  /**
+   * Whether a request of this estimated cost may run
+   * @param {number} cost - USD, 0 for free engines
+   * @returns {boolean}
+   */
+  canSpend(cost = 0) {
+    if (!this.budget.enabled) return true;
+
+    const status = this.getBudgetStatus();
+    if (status.exhausted && status.onLimit === LIMIT_ACTIONS.STOP) return false;
+    if (cost <= 0) return true;
+
+    return [status.daily, status.monthly].every(period =>
+      period.limit === null || period.spent + this.reserved + cost <= period.limit
+    );
+  }
+
+  /**
+   * Hold a request's estimated cost against the budgets until it settles,
+   * so requests running side by side cannot overshoot a limit together
+   * @param {number} cost - USD, 0 for free engines
+   * @returns {{ cost: number, released: boolean }|null} null when the budget does not allow it
+   */
+  reserve(cost = 0) {
+    if (!this.canSpend(cost)) return null;
+
+    const reservation = { cost: cost > 0 ? cost : 0, released: false };
+    this.reserved += reservation.cost;
+    return reservation;
+  }
+
+  /**
+   * Give back a reservation; safe to call more than once
+   */
+  release(reservation) {
+    if (!reservation || reservation.released) return;
+    reservation.released = true;
+    this.reserved = Math.max(0, this.reserved - reservation.cost);
+  }
+
+  /**
+   * Whether the budget calls for free engines to be added to a chain:
+   * it is used up, or a request of this estimated cost would cross a limit
+   * @param {number} cost - USD, 0 to ask about the budget alone
+   */
+  shouldSwitch(cost = 0) {
+    if (!this.budget.enabled || this.budget.onLimit !== LIMIT_ACTIONS.SWITCH) return false;
+    return this.getBudgetStatus().exhausted || !this.canSpend(cost);
+  }
+
+  // ==========================================
+  // REPORTS
+  // ==========================================
+
+  /**
+   * Days belonging to a period, today's by default
+   * @param {'day'|'month'} period
+   */
+  daysIn(period, date = new Date()) {
+    const today = dayKey(date);
+    const prefix = period === 'month' ? today.slice(0, 7) : today;
+    return Object.keys(this.days).filter(day => day.startsWith(prefix));
+  }
+
+  /**
+   * Combined totals for a period
+   */
+  getTotals(period = 'day', date = new Date()) {
+    return this.daysIn(period, date).reduce((totals, day) =>
+      Object.values(this.days[day].engines).reduce(addTotals, totals), emptyTotals());
+  }
+
+  /**
+   * Totals for a period broken down by engine and by series
+   * @returns {{ totals, engines: Object, series: Object }}
+   */
+  getReport(period = 'month', date = new Date()) {
+    const engines = {};
+    const series = {};
+
+    for (const day of this.daysIn(period, date)) {
+      const bucket = this.days[day];
+      Object.entries(bucket.engines).forEach(([name, totals]) => {
+        addTotals(engines[name] || (engines[name] = emptyTotals()), totals);
+      });
+      Object.entries(bucket.series).forEach(([title, totals]) => {
+        addTotals(series[title] || (series[title] = emptyTotals()), totals);
+      });
+    }
+
+    return { period, totals: this.getTotals(period, date), engines, series };
+  }
+
+  /**
+   * Per-day totals for the last N days, oldest first (for charts)
+   */
+  getHistory(days = 30) {
+    const history = [];
+    for (let i = days - 1; i >= 0; i--) {
+      const date = new Date();
+      date.setDate(date.getDate() - i);
+      const day = dayKey(date);
+      const engines = this.days[day]?.engines || {};
+      history.push({ day, ...Object.values(engines).reduce(addTotals, emptyTotals()) });
+    }
+    return history;
+  }
+
+  /**
+   * Forget all recorded usage
+   */
+  async reset() {
+    await this.load();
+    this.days = {};
+    await this.persist();
+  }
+}
+
+export { UsageLedger, BudgetExceededError, LIMIT_ACTIONS };
@@ -7,6 +7,8 @@
 import { CONFIG } from '../shared/constants.js';
 import { ImageUtils } from '../shared/utils/image-utils.js';
 import { PerformanceMonitor } from '../shared/utils/performance-monitor.js';
+import { ReadingOrderService } from '../computer-vision/detection/reading-order/reading-order-service.js';
+import { locateTail } from '../computer-vision/detection/speaker/speaker-attributor.js';
 
 class BubbleDetector {
   constructor(config = {}) {
@@ -314,7 +316,9 @@ class BubbleDetector {
             class: this.classifyBubbleType(features),
             classId: -1,
             source: 'heuristic',
-            features: features
+            features: features,
+            shape: this.outlineShape(comp),
+            tail: locateTail(comp.edgePixels) // Tip and direction, for speaker attribution
           });
         }
       }
@@ -444,6 +448,41 @@ class BubbleDetector {
     return component;
   }
 
+  /**
+   * Convex outline of a component (monotone chain over its edge pixels), used to
+   * lay text out inside the bubble rather than its bounding box. Vertices far
+   * beyond the typical radius belong to the tail and are dropped.
+   */
+  outlineShape(component) {
+    const points = component.edgePixels
+      .map(([x, y]) => ({ x, y }))
+      .sort((a, b) => a.x - b.x || a.y - b.y);
+    if (points.length < 3) return null;
+
+    const cross = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+    const half = list => {
+      const chain = [];
+      for (const p of list) {
+        while (chain.length >= 2 && cross(chain[chain.length - 2], chain[chain.length - 1], p) <= 0) {
+          chain.pop();
+        }
+        chain.push(p);
+      }
+      chain.pop();
+      return chain;
+    };
+    const hull = [...half(points), ...half([...points].reverse())];
+    if (hull.length < 3) return null;
+
+    const cx = hull.reduce((sum, p) => sum + p.x, 0) / hull.length;
+    const cy = hull.reduce((sum, p) => sum + p.y, 0) / hull.length;
+    const radii = hull.map(p => Math.hypot(p.x - cx, p.y - cy));
+    const median = [...radii].sort((a, b) => a - b)[Math.floor(radii.length / 2)];
+
+    const body = hull.filter((p, i) => radii[i] <= median * 1.4);
+    return body.length >= 3 ? body : hull;
+  }
+
   /**
    * Analyze component features
    */
@@ -762,7 +801,7 @@ class BubbleDetector {
       type: rows.length > 1 ? 'grid' : 'single',
       rows: rows.length,
       columns: cols.length,
-      readingOrder: this.inferReadingOrder(rows),
+      readingOrder: this.inferReadingOrder(panels),
       panels: panels.map((p, i) => ({
         ...p,
         row: rows.findIndex(r => r.includes(p)),
@@ -820,22 +859,15 @@ class BubbleDetector {
 
   /**
    * Infer reading order from panel layout
+   * @returns {string[]} Panel ids in reading order
    */
-  inferReadingOrder(rows) {
+  inferReadingOrder(panels) {
     // Japanese manga: right-to-left, top-to-bottom
     // Korean/Chinese manhwa: left-to-right, top-to-bottom
+    this.readingOrder = this.readingOrder || new ReadingOrderService();
+    const direction = this.config.readingDirection || 'rtl';
     
-    const isRTL = this.config.readingDirection === 'rtl';
-    
-    const order = [];
-    for (let r = 0; r < rows.length; r++) {
-      const row = [...rows[r]].sort((a, b) => 
-        isRTL ? b.centerX - a.centerX : a.centerX - b.centerX
-      );
-      order.push(...row.map(d => d.id));
-    }
-    
-    return order;
+    return this.readingOrder.orderPanels(panels, { direction }).map(d => d.id);
   }
 
   /**
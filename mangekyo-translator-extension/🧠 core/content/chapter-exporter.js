@@ -0,0 +1,253 @@
+/**
+ * Chapter Exporter - CBZ Export
+ * Renders every translated page with the translation typeset into its bubbles
+ * and packages the chapter as a CBZ archive with ComicInfo.xml metadata
+ */
+
+import { PerformanceMonitor } from '../shared/utils/performance-monitor.js';
+import { ZipWriter } from '../shared/utils/zip-writer.js';
+import { loadReadableImage } from '../shared/utils/image-utils.js';
+import { fitText, drawTextBlock, drawFittedText } from '../shared/utils/canvas-text.js';
+import { drawVerticalColumns } from '../shared/utils/cjk-typesetting.js';
+
+const COMICINFO_NS = 'http://www.w3.org/2001/XMLSchema-instance';
+
+class ChapterExporter {
+  constructor(overlayInjector, config = {}) {
+    this.overlayInjector = overlayInjector;
+    this.config = {
+      imageFormat: 'image/png', // 'image/png' | 'image/jpeg' | 'image/webp'
+      imageQuality: 0.92,
+      lineHeight: 1.2,
+      bubbleInset: 0.15, // Fraction of bubble kept free around the text
+      minFontSize: 8,
+      translator: 'Mangekyō Translator',
+      ...config
+    };
+
+    this.performanceMonitor = new PerformanceMonitor('chapter-exporter');
+  }
+
+  /**
+   * Export pages as CBZ
+   * @param {Array<HTMLImageElement>} images - Chapter pages in reading order
+   * @param {Object} metadata - { series, chapter, title, language, translator, engines, url }
+   * @param {Function} onProgress - Called with (done, total)
+   * @returns {Promise<{blob: Blob, filename: string, pageCount: number}>}
+   */
+  async exportChapter(images, metadata = {}, onProgress = null) {
+    const perfMark = this.performanceMonitor.start('exportChapter');
+    const zip = new ZipWriter();
+    const pages = [];
+    const extension = this.config.imageFormat.split('/')[1].replace('jpeg', 'jpg');
+    const digits = Math.max(3, String(images.length).length);
+
+    try {
+      for (let i = 0; i < images.length; i++) {
+        const canvas = await this.renderPage(images[i]);
+        const blob = await this.canvasToBlob(canvas);
+
+        await zip.addFile(`${String(i + 1).padStart(digits, '0')}.${extension}`, blob);
+        pages.push({ width: canvas.width, height: canvas.height, size: blob.size });
+
+        onProgress?.(i + 1, images.length);
+      }
+
+      await zip.addFile('ComicInfo.xml', this.buildComicInfo(metadata, pages));
+
+      return {
+        blob: zip.generate('application/vnd.comicbook+zip'),
+        filename: this.getFilename(metadata),
+        pageCount: pages.length
+      };
+    } finally {
+      this.performanceMonitor.end(perfMark);
+    }
+  }
+
+  /**
+   * Render one page at full resolution with typeset translations
+   */
+  async renderPage(imageElement) {
+    const source = await loadReadableImage(imageElement);
+    const canvas = document.createElement('canvas');
+    canvas.width = source.naturalWidth || source.width;
+    canvas.height = source.naturalHeight || source.height;
+
+    const ctx = canvas.getContext('2d');
+    const data = this.overlayInjector.activeOverlays.get(imageElement);
+
+    // Clean render mode already erased and lettered its bubbles at natural size;
+    // only the box-overlay fallbacks remain to be typeset
+    ctx.drawImage(data?.cleanLayer || source, 0, 0, canvas.width, canvas.height);
+
+    if (!data) return canvas; // Untranslated page, exported as-is
+
+    // Bubble geometry is in displayed pixels; pages are exported at natural size
+    const displayed = imageElement.getBoundingClientRect();
+    const scale = canvas.width / (displayed.width || canvas.width);
+    const injectorConfig = this.overlayInjector.config;
+    const theme = {
+      fontFamily: injectorConfig.fontFamily,
+      ...(this.overlayInjector.themes[injectorConfig.theme] || this.overlayInjector.themes.default)
+    };
+
+    for (const overlay of data.overlays) {
+      const { translation } = overlay;
+      // Text may have been edited or replaced by a TM suggestion after injection
+      const text = overlay.element?.dataset.translatedText || translation.text;
+      if (!text || !translation.boundingBox) continue;
+
+      const box = {
+        x: translation.boundingBox.x * scale,
+        y: translation.boundingBox.y * scale,
+        width: translation.boundingBox.width * scale,
+        height: translation.boundingBox.height * scale
+      };
+
+      this.typesetBubble(ctx, box, { ...translation, text }, theme, overlay.fontSize * scale, scale);
+    }
+
+    return canvas;
+  }
+
+  /**
+   * Paint over the original lettering and draw the translation centered in the bubble
+   */
+  typesetBubble(ctx, box, translation, theme, preferredFontSize, scale = 1) {
+    const { text, bubbleType } = translation;
+    const isRound = bubbleType === 'speech' || bubbleType === 'speech_bubble' || bubbleType === 'thought' || bubbleType === 'thought_bubble';
+
+    ctx.save();
+    ctx.fillStyle = theme.backgroundColor;
+    ctx.beginPath();
+    if (isRound) {
+      ctx.ellipse(box.x + box.width / 2, box.y + box.height / 2, box.width / 2, box.height / 2, 0, 0, Math.PI * 2);
+    } else {
+      ctx.roundRect(box.x, box.y, box.width, box.height, typeof theme.borderRadius === 'number' ? theme.borderRadius : 8);
+    }
+    ctx.fill();
+    ctx.restore();
+
+    // Ellipses lose their corners, so the usable text area is smaller
+    const inset = isRound ? this.config.bubbleInset + 0.08 : this.config.bubbleInset;
+    const maxWidth = box.width * (1 - inset * 2);
+    const maxHeight = box.height * (1 - inset * 2);
+
+    // Japanese/Chinese targets follow the overlay's vertical layout
+    if (this.overlayInjector.shouldTypesetVertical(translation)) {
+      const vertical = this.overlayInjector.layoutVertical(translation, { width: maxWidth, height: maxHeight }, scale);
+      drawVerticalColumns(ctx, vertical.columns, box, {
+        ...vertical,
+        fontFamily: theme.fontFamily,
+        color: theme.textColor
+      });
+      return;
+    }
+
+    // Lines follow the bubble outline, shrunk by the inset
+    if (this.overlayInjector.config.shapeAwareFitting) {
+      const inner = {
+        x: box.x + (box.width - maxWidth) / 2,
+        y: box.y + (box.height - maxHeight) / 2,
+        width: maxWidth,
+        height: maxHeight
+      };
+      const fitted = this.overlayInjector.fitToBubble(translation, inner, {
+        scale,
+        lineHeight: this.config.lineHeight,
+        fontFamily: theme.fontFamily
+      });
+      drawFittedText(ctx, fitted.lines, {
+        fontFamily: theme.fontFamily,
+        fontSize: fitted.fontSize,
+        color: theme.textColor
+      });
+      return;
+    }
+
+    const textOptions = {
+      fontFamily: theme.fontFamily,
+      fontSize: preferredFontSize,
+      minFontSize: this.config.minFontSize,
+      lineHeight: this.config.lineHeight
+    };
+    const { fontSize, lines } = fitText(ctx, text, { width: maxWidth, height: maxHeight }, textOptions);
+
+    drawTextBlock(ctx, lines, box, { ...textOptions, fontSize, color: theme.textColor });
+  }
+
+  canvasToBlob(canvas) {
+    return new Promise((resolve, reject) => {
+      canvas.toBlob(
+        blob => blob ? resolve(blob) : reject(new Error('Page encoding failed')),
+        this.config.imageFormat,
+        this.config.imageQuality
+      );
+    });
+  }
+
+  /**
+   * ComicInfo.xml (ComicRack schema v2.0)
+   */
+  buildComicInfo(metadata, pages) {
+    const escape = value => String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+    const field = (tag, value) => value !== null && value !== undefined && value !== ''
+      ? `  <${tag}>${escape(value)}</${tag}>`
+      : null;
+    const now = new Date();
+
+    const notes = [
+      'Machine translated with Mangekyō Translator',
+      metadata.engines?.length ? `engines: ${metadata.engines.join(', ')}` : null
+    ].filter(Boolean).join('; ');
+
+    return [
+      '<?xml version="1.0" encoding="utf-8"?>',
+      `<ComicInfo xmlns:xsi="${COMICINFO_NS}">`,
+      field('Title', metadata.title),
+      field('Series', metadata.series),
+      field('Number', metadata.chapter),
+      field('Volume', metadata.volume),
+      field('Year', now.getFullYear()),
+      field('Month', now.getMonth() + 1),
+      field('Day', now.getDate()),
+      field('Translator', metadata.translator || this.config.translator),
+      field('Web', metadata.url),
+      field('PageCount', pages.length),
+      field('LanguageISO', metadata.language),
+      field('Manga', metadata.readingDirection === 'rtl' ? 'YesAndRightToLeft' : 'Yes'),
+      field('Notes', notes),
+      '  <Pages>',
+      ...pages.map((page, i) =>
+        `    <Page Image="${i}"${i === 0 ? ' Type="FrontCover"' : ''} ImageSize="${page.size}" ImageWidth="${page.width}" ImageHeight="${page.height}"/>`
+      ),
+      '  </Pages>',
+      '</ComicInfo>',
+      ''
+    ].filter(line => line !== null).join('\n');
+  }
+
+  /**
+   * "Series - Ch.12 [en].cbz"
+   */
+  getFilename(metadata) {
+    const safe = value => String(value).replace(/[\\/:*?"<>|]+/g, '_').trim();
+    const parts = [safe(metadata.series || document.title || 'chapter')];
+    if (metadata.chapter != null) parts.push(`Ch.${safe(metadata.chapter)}`);
+
+    return `${parts.join(' - ')}${metadata.language ? ` [${metadata.language}]` : ''}.cbz`;
+  }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ChapterExporter;
+}
+
+export { ChapterExporter };
+export default ChapterExporter;
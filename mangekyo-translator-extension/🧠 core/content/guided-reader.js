@@ -0,0 +1,512 @@
+/**
+ * Guided Reader - Panel-by-panel reading mode
+ *
+ * Shows one panel at a time: the page is zoomed and panned so the current
+ * panel fills the window, the rest is dimmed, and that panel's translated
+ * bubbles are listed below it in large type. Stepping past the last panel
+ * moves to the next page image, then asks the site adapter for the next
+ * page or chapter. Meant for phone-sized windows and low-vision reading.
+ *
+ * @module content/guided-reader
+ */
+
+import { ReadingOrderService, panelIndexFor } from '../computer-vision/detection/reading-order/reading-order-service.js';
+import { PanelSegmenter } from '../computer-vision/detection/panel-detector/panel-segmentation.js';
+
+const UI_ATTRIBUTE = 'data-manga-guided-view';
+
+const GUIDED_CONFIG = {
+  PADDING: 16,               // Space kept around the panel, in screen pixels
+  MAX_ZOOM: 4,               // Tiny panels are not blown up beyond this
+  CAPTION_FONT_SIZE: 22,     // Enlarged bubble text
+  TRANSITION_MS: 350,
+  PAGE_WAIT_MS: 8000,        // How long the site gets to show the next page
+  PAGE_POLL_MS: 200,
+  MIN_PANEL_AREA: 0.01       // Normalized; smaller detections are noise
+};
+
+// Same defaults as the options page (hotkey-settings.js navigation group)
+const DEFAULT_HOTKEYS = {
+  nextPanel: { key: 'ArrowRight', modifiers: [] },
+  previousPanel: { key: 'ArrowLeft', modifiers: [] }
+};
+
+const WHOLE_PAGE = [{ x: 0, y: 0, width: 1, height: 1 }];
+
+/**
+ * Full-window guided view over the scanner's page images
+ */
+export class GuidedReader {
+  /**
+   * @param {Object} options
+   * @param {Function} options.getPages - () => page images in document order
+   * @param {Function} options.getLayout - (image) => { pageSize, panels } from the last scan, panels normalized
+   * @param {Function} options.getTranslations - (image) => translations with boundingBox, in reading order
+   * @param {Function} [options.translatePage] - (image) => Promise, starts translating a page not done yet
+   * @param {Object} [options.siteAdapter] - nextPage()/prevPage() for leaving the loaded pages
+   * @param {Object} [options.readingPreferences] - Series reading-order preferences
+   * @param {Object} [options.hotkeys] - Options-page hotkeys ({ navigation: { nextPanel, previousPanel } })
+   * @param {Function} [options.onExit]
+   */
+  constructor(options = {}) {
+    this.getPages = options.getPages;
+    this.getLayout = options.getLayout || (() => null);
+    this.getTranslations = options.getTranslations || (() => []);
+    this.translatePage = options.translatePage || (() => Promise.resolve());
+    this.siteAdapter = options.siteAdapter || null;
+    this.readingPreferences = options.readingPreferences || {};
+    this.hotkeys = { ...DEFAULT_HOTKEYS, ...options.hotkeys?.navigation };
+    this.onExit = options.onExit || (() => {});
+
+    this.readingOrder = new ReadingOrderService();
+    this.segmenter = null;
+    this.panelCache = new WeakMap(); // image -> ordered normalized panels
+
+    this.image = null;
+    this.panels = WHOLE_PAGE;
+    this.panelIndex = 0;
+    this.navigating = false;
+
+    this.root = null;
+    this.viewport = null;
+    this.pageImage = null;
+    this.spotlight = null;
+    this.captions = null;
+    this.status = null;
+
+    this.onKeyDown = this.onKeyDown.bind(this);
+    this.onResize = this.onResize.bind(this);
+  }
+
+  /**
+   * Open the guided view on a page
+   * @param {HTMLImageElement} image - Page to start on
+   */
+  async start(image) {
+    this.createUI();
+    document.addEventListener('keydown', this.onKeyDown, true);
+    window.addEventListener('resize', this.onResize);
+    await this.showPage(image, 'first');
+  }
+
+  /**
+   * Close the guided view and return to the normal page
+   */
+  exit() {
+    if (!this.root) return;
+
+    document.removeEventListener('keydown', this.onKeyDown, true);
+    window.removeEventListener('resize', this.onResize);
+    this.root.remove();
+    this.root = null;
+    this.segmenter?.dispose();
+    this.segmenter = null;
+
+    // Leave the reader where guided reading stopped
+    this.image?.scrollIntoView({ block: 'center' });
+    this.onExit();
+  }
+
+  get isOpen() {
+    return !!this.root;
+  }
+
+  // ==================== Navigation ====================
+
+  async nextPanel() {
+    if (this.navigating) return;
+    if (this.panelIndex < this.panels.length - 1) {
+      this.panelIndex++;
+      this.render();
+      return;
+    }
+    await this.changePage(1);
+  }
+
+  async previousPanel() {
+    if (this.navigating) return;
+    if (this.panelIndex > 0) {
+      this.panelIndex--;
+      this.render();
+      return;
+    }
+    await this.changePage(-1);
+  }
+
+  /**
+   * Step to the neighbouring page image; past the loaded ones, the site
+   * adapter turns the page (or chapter) and the new image is waited for
+   */
+  async changePage(step) {
+    this.navigating = true;
+    try {
+      const pages = this.getPages();
+      const neighbour = pages[pages.indexOf(this.image) + step];
+      if (neighbour) {
+        await this.showPage(neighbour, step > 0 ? 'first' : 'last');
+        return;
+      }
+
+      const previousSrc = this.image.currentSrc || this.image.src;
+      const known = new Set(pages);
+      const turn = step > 0 ? this.siteAdapter?.nextPage : this.siteAdapter?.prevPage;
+      const moved = turn ? await turn.call(this.siteAdapter) : false;
+      if (!moved) {
+        this.setStatus(step > 0 ? 'Last page' : 'First page');
+        return;
+      }
+
+      this.setStatus('Loading page…');
+      const image = await this.waitForPage(previousSrc, known, step);
+      if (!image) {
+        this.setStatus('The next page did not appear');
+        return;
+      }
+      await this.showPage(image, step > 0 ? 'first' : 'last');
+    } finally {
+      this.navigating = false;
+    }
+  }
+
+  /**
+   * Paged readers swap the src of one image, long-strip readers add new images
+   * @returns {Promise<HTMLImageElement|null>}
+   */
+  async waitForPage(previousSrc, known, step) {
+    const deadline = Date.now() + GUIDED_CONFIG.PAGE_WAIT_MS;
+
+    while (Date.now() < deadline && this.root) {
+      await new Promise(resolve => setTimeout(resolve, GUIDED_CONFIG.PAGE_POLL_MS));
+
+      if (this.image.isConnected && (this.image.currentSrc || this.image.src) !== previousSrc) {
+        if (await this.loaded(this.image)) return this.image;
+      }
+
+      const fresh = this.getPages().filter(image => !known.has(image));
+      const candidate = step > 0 ? fresh[0] : fresh[fresh.length - 1];
+      if (candidate && await this.loaded(candidate)) return candidate;
+    }
+    return null;
+  }
+
+  loaded(image) {
+    if (image.complete && image.naturalWidth > 0) return Promise.resolve(true);
+    return new Promise(resolve => {
+      image.addEventListener('load', () => resolve(true), { once: true });
+      image.addEventListener('error', () => resolve(false), { once: true });
+    });
+  }
+
+  /**
+   * Make a page current and land on its first or last panel
+   */
+  async showPage(image, landing) {
+    this.image = image;
+    this.pageImage.src = image.currentSrc || image.src;
+    this.panels = await this.getPanels(image);
+    this.panelIndex = landing === 'last' ? this.panels.length - 1 : 0;
+    this.render();
+
+    // Bubbles fill in once the page is translated (see pageUpdated)
+    this.translatePage(image)?.catch?.(error => {
+      console.warn('[GuidedReader] Could not translate page:', error);
+    });
+  }
+
+  /**
+   * The scanner finished (re)translating a page
+   */
+  pageUpdated(image) {
+    if (!this.root || image !== this.image) return;
+
+    // The scan may have found panels the first look did not
+    this.panelCache.delete(image);
+    this.getPanels(image).then(panels => {
+      if (image !== this.image) return;
+      const current = this.panels[this.panelIndex];
+      this.panels = panels;
+      this.panelIndex = Math.max(0, panels.findIndex(p => sameBox(p, current)));
+      this.render();
+    });
+  }
+
+  // ==================== Panels ====================
+
+  /**
+   * Panels of a page in reading order, normalized to 0-1: the scan's panel
+   * detections if it found some, otherwise the panel segmenter, otherwise
+   * the whole page
+   */
+  async getPanels(image) {
+    if (this.panelCache.has(image)) return this.panelCache.get(image);
+
+    let panels = this.getLayout(image)?.panels || [];
+    if (panels.length === 0) {
+      panels = await this.segment(image);
+    }
+    panels = panels.filter(p => p.width * p.height >= GUIDED_CONFIG.MIN_PANEL_AREA);
+
+    const ordered = panels.length > 0
+      ? this.readingOrder.orderPanels(panels, this.readingPreferences)
+          .map(({ x, y, width, height }) => ({ x, y, width, height }))
+      : WHOLE_PAGE;
+
+    this.panelCache.set(image, ordered);
+    return ordered;
+  }
+
+  async segment(image) {
+    const width = image.naturalWidth;
+    const height = image.naturalHeight;
+    if (!width || !height) return [];
+
+    try {
+      this.segmenter = this.segmenter || new PanelSegmenter({ USE_WEBWORKER: false });
+      const panels = await this.segmenter.segment(image);
+      return panels.map(({ bbox }) => ({
+        x: bbox.x / width,
+        y: bbox.y / height,
+        width: bbox.width / width,
+        height: bbox.height / height
+      }));
+    } catch (error) {
+      // Cross-origin pages cannot be read back from a canvas
+      console.warn('[GuidedReader] Panel segmentation failed, using the whole page:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Translations whose bubble centre lies in the panel; bubbles outside every
+   * panel go to the nearest one so nothing is skipped
+   */
+  bubblesForPanel(panelIndex) {
+    const pageSize = this.getLayout(this.image)?.pageSize || {
+      width: this.image.naturalWidth,
+      height: this.image.naturalHeight
+    };
+
+    return this.getTranslations(this.image).filter(translation => {
+      const box = translation.boundingBox;
+      if (!box || !translation.text) return false;
+      const center = {
+        x: (box.x + box.width / 2) / pageSize.width,
+        y: (box.y + box.height / 2) / pageSize.height
+      };
+      return panelIndexFor(center, this.panels) === panelIndex;
+    });
+  }
+
+  // ==================== UI ====================
+
+  createUI() {
+    this.root = document.createElement('div');
+    this.root.setAttribute(UI_ATTRIBUTE, '');
+    this.root.setAttribute('role', 'dialog');
+    this.root.setAttribute('aria-label', 'Guided reading');
+    this.root.style.cssText = `
+      position: fixed;
+      inset: 0;
+      z-index: 2147483646;
+      display: flex;
+      flex-direction: column;
+      background: #111;
+      color: #f5f5f5;
+      font: 14px/1.4 sans-serif;
+    `;
+
+    this.viewport = document.createElement('div');
+    this.viewport.style.cssText = 'position: relative; flex: 1; overflow: hidden; touch-action: manipulation;';
+
+    this.pageImage = document.createElement('img');
+    this.pageImage.alt = '';
+    this.pageImage.draggable = false;
+    this.pageImage.style.cssText = `
+      position: absolute;
+      left: 0;
+      top: 0;
+      max-width: none;
+      transform-origin: 0 0;
+      transition: transform ${GUIDED_CONFIG.TRANSITION_MS}ms ease;
+      user-select: none;
+    `;
+    this.pageImage.addEventListener('load', () => this.render());
+
+    // Dims everything around the current panel
+    this.spotlight = document.createElement('div');
+    this.spotlight.style.cssText = `
+      position: absolute;
+      box-shadow: 0 0 0 100vmax rgba(0, 0, 0, 0.75);
+      transition: all ${GUIDED_CONFIG.TRANSITION_MS}ms ease;
+      pointer-events: none;
+    `;
+
+    // Tap the left or right third to step (phones have no arrow keys)
+    this.viewport.addEventListener('click', e => {
+      const rect = this.viewport.getBoundingClientRect();
+      const third = (e.clientX - rect.left) / rect.width;
+      if (third > 2 / 3) this.nextPanel();
+      else if (third < 1 / 3) this.previousPanel();
+    });
+
+    this.viewport.append(this.pageImage, this.spotlight);
+
+    this.captions = document.createElement('div');
+    this.captions.setAttribute('aria-live', 'polite');
+    this.captions.style.cssText = `
+      max-height: 40%;
+      overflow-y: auto;
+      padding: 8px 16px;
+      background: #1c1c1c;
+      font-size: ${GUIDED_CONFIG.CAPTION_FONT_SIZE}px;
+      line-height: 1.45;
+    `;
+
+    const bar = document.createElement('div');
+    bar.style.cssText = 'display: flex; align-items: center; gap: 8px; padding: 6px 12px; background: #000;';
+    this.status = document.createElement('div');
+    this.status.style.cssText = 'flex: 1; color: #bbb;';
+    const addButton = (label, title, onClick) => {
+      const btn = document.createElement('button');
+      btn.textContent = label;
+      btn.title = title;
+      btn.style.cssText = 'padding: 6px 12px; font-size: 16px; cursor: pointer;';
+      btn.addEventListener('click', onClick);
+      bar.appendChild(btn);
+    };
+    bar.appendChild(this.status);
+    addButton('‹', 'Previous panel', () => this.previousPanel());
+    addButton('›', 'Next panel', () => this.nextPanel());
+    addButton('✕', 'Exit guided view (Esc)', () => this.exit());
+
+    this.root.append(this.viewport, this.captions, bar);
+    document.body.appendChild(this.root);
+  }
+
+  /**
+   * Zoom and pan to the current panel and list its bubbles
+   */
+  render() {
+    if (!this.root || !this.image) return;
+
+    const naturalWidth = this.pageImage.naturalWidth || this.image.naturalWidth;
+    const naturalHeight = this.pageImage.naturalHeight || this.image.naturalHeight;
+    const panel = this.panels[this.panelIndex];
+    const { clientWidth: viewWidth, clientHeight: viewHeight } = this.viewport;
+
+    if (naturalWidth && naturalHeight && viewWidth && viewHeight) {
+      const pad = GUIDED_CONFIG.PADDING;
+      const box = {
+        x: panel.x * naturalWidth,
+        y: panel.y * naturalHeight,
+        width: panel.width * naturalWidth,
+        height: panel.height * naturalHeight
+      };
+      const scale = Math.min(
+        (viewWidth - pad * 2) / box.width,
+        (viewHeight - pad * 2) / box.height,
+        GUIDED_CONFIG.MAX_ZOOM
+      );
+      const left = (viewWidth - box.width * scale) / 2;
+      const top = (viewHeight - box.height * scale) / 2;
+
+      this.pageImage.style.width = `${naturalWidth}px`;
+      this.pageImage.style.height = `${naturalHeight}px`;
+      this.pageImage.style.transform =
+        `translate(${left - box.x * scale}px, ${top - box.y * scale}px) scale(${scale})`;
+
+      Object.assign(this.spotlight.style, {
+        left: `${left}px`,
+        top: `${top}px`,
+        width: `${box.width * scale}px`,
+        height: `${box.height * scale}px`
+      });
+    }
+
+    this.renderCaptions();
+
+    const pages = this.getPages();
+    const pageNumber = pages.indexOf(this.image) + 1;
+    this.setStatus(
+      `${pageNumber > 0 ? `Page ${pageNumber} · ` : ''}Panel ${this.panelIndex + 1}/${this.panels.length}`
+    );
+  }
+
+  renderCaptions() {
+    const bubbles = this.bubblesForPanel(this.panelIndex);
+    this.captions.replaceChildren();
+
+    if (bubbles.length === 0) {
+      const empty = document.createElement('div');
+      empty.textContent = this.getTranslations(this.image).length === 0 ? 'Translating…' : 'No dialogue';
+      empty.style.cssText = 'color: #888; font-size: 16px;';
+      this.captions.appendChild(empty);
+      return;
+    }
+
+    bubbles.forEach(translation => {
+      const line = document.createElement('p');
+      line.dir = 'auto';
+      line.style.cssText = 'margin: 6px 0;';
+      if (translation.speaker?.name) {
+        const name = document.createElement('strong');
+        name.textContent = `${translation.speaker.name}: `;
+        name.style.color = '#ffb4a2';
+        line.appendChild(name);
+      }
+      line.appendChild(document.createTextNode(translation.text));
+      this.captions.appendChild(line);
+    });
+  }
+
+  setStatus(text) {
+    if (this.status) this.status.textContent = text;
+  }
+
+  // ==================== Input ====================
+
+  onKeyDown(e) {
+    // Adapters turn pages with synthetic arrow keys; those are for the site
+    if (!e.isTrusted) return;
+
+    let handled = true;
+    if (e.key === 'Escape') {
+      this.exit();
+    } else if (matchesHotkey(e, this.hotkeys.nextPanel)) {
+      this.nextPanel();
+    } else if (matchesHotkey(e, this.hotkeys.previousPanel)) {
+      this.previousPanel();
+    } else {
+      handled = false;
+    }
+
+    // Keep the site's own arrow-key paging from running underneath
+    if (handled) {
+      e.preventDefault();
+      e.stopPropagation();
+    }
+  }
+
+  onResize() {
+    this.render();
+  }
+}
+
+/**
+ * Options-page bindings store KeyboardEvent.code plus modifier names
+ */
+function matchesHotkey(e, binding) {
+  if (!binding?.key) return false;
+  const modifiers = binding.modifiers || [];
+  return (e.code === binding.key || e.key === binding.key) &&
+    e.altKey === modifiers.includes('Alt') &&
+    e.ctrlKey === modifiers.includes('Control') &&
+    e.shiftKey === modifiers.includes('Shift') &&
+    e.metaKey === modifiers.includes('Meta');
+}
+
+function sameBox(a, b) {
+  return !!a && !!b && Math.abs(a.x - b.x) < 0.02 && Math.abs(a.y - b.y) < 0.02;
+}
+
+export default GuidedReader;
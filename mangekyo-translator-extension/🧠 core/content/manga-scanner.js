@@ -12,10 +12,24 @@ import { PerformanceMonitor } from '../shared/utils/performance-monitor.js';
 import { TextExtractor } from './text-extractor.js';
 import { BubbleDetector } from './bubble-detector.js';
 import { OverlayInjector } from './overlay-injector.js';
+import { ChapterExporter } from './chapter-exporter.js';
 import { CanvasInterceptor } from './canvas-interceptor.js';
 import { ImageProcessor } from './image-processor.js';
 import { MutationObserverManager } from './mutation-observer.js';
 import { SiteAdapterFactory } from './site-adapters/generic-manga-adapter.js';
+import { DeclarativeAdapter } from './site-adapters/declarative-adapter.js';
+import { findDefinitionForUrl } from './site-adapters/adapter-definition.js';
+import { SiteTeacher } from './site-teacher.js';
+import { ReadingOrderEditor } from './reading-order-editor.js';
+import {
+  ReadingOrderService,
+  pageKey,
+  normalizeBox,
+  panelIndexFor
+} from '../computer-vision/detection/reading-order/reading-order-service.js';
+import { SpeakerAttributor, SpeakerRegistry } from '../computer-vision/detection/speaker/speaker-attributor.js';
+import { TranslationStreamClient, TranslationCancelledError } from './translation-stream.js';
+import { GuidedReader } from './guided-reader.js';
 
 class MangaScanner {
   constructor() {
@@ -27,6 +41,17 @@ class MangaScanner {
     this.translationCache = new Map();
     this.observerManager = null;
     this.siteAdapter = null;
+    this.siteTeacher = null;
+    this.readingOrderEditor = null;
+    this.guidedReader = null;
+    this.readingOrder = { preferences: null, pages: {} }; // Learned layout and corrected pages for this series
+    this.pageLayouts = new WeakMap(); // imageElement -> { pageSize, panels } from the last scan
+    this.speakerRegistry = new SpeakerRegistry(); // Known speakers of this series
+    this.readingOrderService = new ReadingOrderService(); // Panel order for the transcript
+    this.activeStreams = new Map(); // imageElement -> translation streams still filling its overlays
+    this.visibleImages = new WeakSet(); // Images that have been near the viewport while streaming
+    this.deferredImages = new WeakSet(); // Scrolled away mid-stream; translated again when back in view
+    this.streamObserver = null;
     this.performanceMonitor = new PerformanceMonitor('manga-scanner');
     
     // State management
@@ -36,7 +61,8 @@ class MangaScanner {
       pendingImages: new Set(),
       lastScanTime: 0,
       scanCooldown: 500, // ms between scans
-      pageMetadata: null
+      pageMetadata: null,
+      seriesMetadata: null
     };
 
     this.init();
@@ -52,13 +78,25 @@ class MangaScanner {
       // Load configuration
       this.config = await ConfigManager.load();
       
-      // Detect site adapter
-      this.siteAdapter = SiteAdapterFactory.createAdapter(window.location.hostname);
+      // Detect site adapter (a taught override, then declarative definitions, then built-ins)
+      this.siteAdapter = this.createTaughtAdapter() ||
+                         this.createDeclarativeAdapter() ||
+                         SiteAdapterFactory.createAdapter(window.location.hostname);
       
       // Initialize components
       this.textExtractor = new TextExtractor(this.config);
       this.bubbleDetector = new BubbleDetector(this.config);
-      this.overlayInjector = new OverlayInjector(this.config);
+      this.speakerAttributor = new SpeakerAttributor();
+      this.overlayInjector = new OverlayInjector({
+        ...this.config,
+        renderMode: this.getRenderMode(),
+        cleanMinConfidence: this.config.appearance?.cleanMinConfidence ?? 0.6,
+        showFurigana: this.config.appearance?.showFurigana ?? true,
+        onSpeakerNamed: (speakerId, name) => this.nameSpeaker(speakerId, name),
+        onTranslationEdited: () => this.notifyTranscript()
+      });
+      this.chapterExporter = new ChapterExporter(this.overlayInjector, this.config.export);
+      this.translationStream = new TranslationStreamClient();
       this.canvasInterceptor = new CanvasInterceptor(this.config);
       this.imageProcessor = new ImageProcessor(this.config);
       
@@ -104,6 +142,16 @@ class MangaScanner {
     const perfMark = this.performanceMonitor.start('detectMangaPage');
     
     try {
+      // A user-described reader is trusted over the heuristics below
+      if (this.siteAdapter instanceof DeclarativeAdapter && this.siteAdapter.getImageElements().length > 0) {
+        this.state.pageMetadata = {
+          confidence: 1,
+          indicators: { declarative: this.siteAdapter.definition.id }
+        };
+        this.performanceMonitor.end(perfMark);
+        return true;
+      }
+      
       // Fast checks first
       const urlPatterns = [
         /manga|manhwa|manhua|webtoon|comic/i,
@@ -323,6 +371,12 @@ class MangaScanner {
     
     // Start observing DOM changes
     this.observerManager.start();
+    this.startStreamWatch();
+    
+    // Restore series context (characters, terminology) before translating
+    await this.startReadingSession();
+    await this.loadReadingOrder();
+    await this.loadSpeakers();
     
     // Initial scan
     await this.scanPage();
@@ -336,6 +390,32 @@ class MangaScanner {
     }
   }
 
+  /**
+   * Render mode for this site; a site override wins over the global setting
+   */
+  getRenderMode() {
+    const siteAppearance = this.config.sites?.[window.location.hostname]?.appearance;
+    return siteAppearance?.renderMode || this.config.appearance?.renderMode || 'overlay';
+  }
+
+  /**
+   * Open a ContextPreserver session for the current series/chapter
+   */
+  async startReadingSession() {
+    try {
+      const metadata = await this.siteAdapter?.getSeriesMetadata?.();
+      if (!metadata?.mangaId) return;
+      
+      this.state.seriesMetadata = metadata;
+      await chrome.runtime.sendMessage({
+        type: 'START_READING_SESSION',
+        payload: metadata
+      });
+    } catch (error) {
+      console.warn('[MangaScanner] Could not start reading session:', error);
+    }
+  }
+
   /**
    * Deactivate scanner
    */
@@ -347,7 +427,10 @@ class MangaScanner {
     
     this.observerManager?.stop();
     this.canvasInterceptor?.deactivate();
+    this.guidedReader?.exit();
+    this.stopStreamWatch();
     this.overlayInjector?.clearAll();
+    this.notifyTranscript();
     
     this.hideActivationIndicator();
     
@@ -383,7 +466,9 @@ class MangaScanner {
       console.log(`[MangaScanner] Found ${images.length} potential manga images`);
 
       // Filter unprocessed images
-      const newImages = images.filter(img => !this.processedImages.has(img));
+      const newImages = images.filter(img =>
+        !this.processedImages.has(img) && !this.deferredImages.has(img)
+      );
       
       if (newImages.length === 0) {
         console.log('[MangaScanner] No new images to process');
@@ -434,6 +519,12 @@ class MangaScanner {
       // Wait for image to load
       await this.ensureImageLoaded(imageElement);
 
+      // Pages finished by a chapter job skip OCR and translation here
+      if (await this.applyPretranslatedPage(imageElement)) {
+        this.processedImages.add(imageElement);
+        return;
+      }
+
       // Extract image data
       const imageData = await this.imageProcessor.prepareForOCR(imageElement);
       
@@ -448,10 +539,26 @@ class MangaScanner {
 
       console.log(`[MangaScanner] Detected ${detections.length} text regions`);
 
+      // Panels and page size are kept for reading-order corrections of this page
+      const pageSize = { width: imageData.width, height: imageData.height };
+      this.pageLayouts.set(imageElement, {
+        pageSize,
+        panels: detections.filter(d => d.class === 'panel').map(d => normalizeBox(d, pageSize))
+      });
+
+      // Who says what: sets detection.speaker before text is extracted
+      await this.attributeSpeakers(imageData, detections);
+
       // Extract text from regions
       const textRegions = await this.textExtractor.extract(
         imageData, 
-        detections
+        detections,
+        {
+          readingOrder: {
+            preferences: this.readingOrder.preferences,
+            pageOrder: this.readingOrder.pages[pageKey(imageElement.currentSrc || imageElement.src)]
+          }
+        }
       );
 
       // Filter valid text (not SFX, not too short)
@@ -462,11 +569,33 @@ class MangaScanner {
         return;
       }
 
-      // Send to background for translation
-      const translations = await this.requestTranslations(validRegions);
+      // Send to background for translation; streamed overlays fill in as text arrives
+      const streaming = this.config.translation?.streaming !== false;
+      const translations = streaming
+        ? await this.streamTranslations(imageElement, validRegions)
+        : await this.requestTranslations(validRegions);
+      
+      // Cancelled (scrolled away, chapter changed): left unprocessed so a later scan redoes it
+      if (!translations) return;
+      
+      // Layout metadata is not sent to the background; reattach it for typesetting
+      const regionsById = new Map(validRegions.map(r => [r.id, r]));
+      translations.forEach(t => {
+        const region = regionsById.get(t.id);
+        if (!region) return;
+        t.boundingBox = t.boundingBox || region.boundingBox;
+        t.isVertical = t.isVertical ?? region.isVertical;
+        t.textLayout = t.textLayout || region.textLayout;
+        t.shape = t.shape || region.shape;
+        t.bubbleType = t.bubbleType || region.bubbleType;
+        t.furigana = t.furigana || region.furigana;
+        t.speaker = t.speaker || region.speaker;
+      });
 
-      // Inject overlays
-      await this.overlayInjector.inject(imageElement, translations);
+      // Inject overlays (streamed ones are in place already; clean mode letters the finished page)
+      if (!streaming || this.overlayInjector.config.renderMode === 'clean') {
+        await this.overlayInjector.inject(imageElement, translations);
+      }
 
       // Mark as processed
       this.processedImages.add(imageElement);
@@ -475,6 +604,8 @@ class MangaScanner {
       translations.forEach(t => {
         this.state.activeTranslations.set(t.id, t);
       });
+      this.guidedReader?.pageUpdated(imageElement);
+      this.notifyTranscript();
 
       // Notify background
       chrome.runtime.sendMessage({
@@ -566,6 +697,138 @@ class MangaScanner {
     });
   }
 
+  /**
+   * URL the background can fetch for a page image
+   */
+  getImageSource(img) {
+    return this.siteAdapter?.getImageUrl?.(img) || img.currentSrc || img.src || img.dataset.src || null;
+  }
+
+  /**
+   * Queue every page of this chapter (and optionally the next) for background
+   * OCR and translation
+   * @param {Object} options - { includeNext }
+   */
+  async startChapterPretranslation(options = {}) {
+    // Paginated readers only show one page; adapters that know the full list provide it
+    const pages = this.siteAdapter?.getChapterPages?.() ||
+      this.getMangaImages()
+        .filter(img => img.tagName === 'IMG')
+        .map(img => this.getImageSource(img))
+        .filter(Boolean);
+
+    if (pages.length === 0) {
+      throw new Error('No manga pages found on this page');
+    }
+
+    const series = this.state.seriesMetadata || {};
+    const chapters = [{
+      key: series.chapterId || window.location.href,
+      title: series.chapterNumber ? `Chapter ${series.chapterNumber}` : document.title,
+      pages
+    }];
+
+    if (options.includeNext) {
+      try {
+        const next = await this.siteAdapter?.getNextChapterPages?.();
+        if (next?.pages?.length) chapters.push(next);
+      } catch (error) {
+        console.warn('[MangaScanner] Could not load next chapter pages:', error);
+      }
+    }
+
+    const response = await chrome.runtime.sendMessage({
+      type: 'START_CHAPTER_JOB',
+      payload: {
+        chapters,
+        series: series.mangaTitle || null,
+        targetLang: this.config.targetLanguage
+      }
+    });
+    if (!response?.success) {
+      throw new Error(response?.error || 'Could not queue chapter');
+    }
+
+    return response.data;
+  }
+
+  /**
+   * Overlay a page from its chapter-job result, if there is one
+   * @returns {Promise<boolean>} Whether the page was handled
+   */
+  async applyPretranslatedPage(imageElement) {
+    const src = this.getImageSource(imageElement);
+    if (!src) return false;
+
+    let response;
+    try {
+      response = await chrome.runtime.sendMessage({ type: 'GET_PRETRANSLATED_PAGE', payload: { src } });
+    } catch (error) {
+      return false;
+    }
+    const result = response?.success ? response.data : null;
+    if (!result?.regions?.length) return false;
+
+    // Job boxes are in natural image pixels; overlays use displayed pixels
+    const scale = (imageElement.getBoundingClientRect().width || imageElement.naturalWidth) /
+                  (imageElement.naturalWidth || 1);
+    const translations = result.regions.map(region => ({
+      ...region,
+      boundingBox: {
+        x: region.boundingBox.x * scale,
+        y: region.boundingBox.y * scale,
+        width: region.boundingBox.width * scale,
+        height: region.boundingBox.height * scale
+      },
+      pretranslated: true
+    }));
+
+    await this.overlayInjector.inject(imageElement, translations);
+    translations.forEach(t => this.state.activeTranslations.set(t.id, t));
+    return true;
+  }
+
+  /**
+   * Export the current chapter as a CBZ with typeset translations
+   * @param {Object} options - Metadata overrides (series, chapter, title)
+   */
+  async exportChapter(options = {}) {
+    const images = this.getMangaImages().filter(img => img.tagName === 'IMG');
+    if (images.length === 0) {
+      throw new Error('No manga pages found on this page');
+    }
+
+    const series = this.state.seriesMetadata || {};
+    const engines = new Set();
+    images.forEach(img => {
+      this.overlayInjector.activeOverlays.get(img)?.overlays.forEach(overlay => {
+        if (overlay.translation.engine) engines.add(overlay.translation.engine);
+      });
+    });
+
+    const result = await this.chapterExporter.exportChapter(images, {
+      series: series.mangaTitle,
+      chapter: series.chapterNumber,
+      title: document.title,
+      url: series.sourceUrl || window.location.href,
+      language: this.config.targetLanguage,
+      engines: Array.from(engines),
+      ...options
+    });
+
+    const url = URL.createObjectURL(result.blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = result.filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 10000);
+
+    console.log(`[MangaScanner] Exported ${result.pageCount} pages to ${result.filename}`);
+    return result;
+  }
+
   /**
    * Request translations from background script
    */
@@ -583,9 +846,12 @@ class MangaScanner {
             text: r.text,
             language: r.detectedLanguage,
             context: r.context,
-            boundingBox: r.boundingBox
+            boundingBox: r.boundingBox,
+            readings: r.furigana?.map(({ base, reading }) => ({ base, reading })) || [],
+            speaker: r.speaker?.id || null
           })),
           targetLanguage: this.config.targetLanguage,
+          series: this.state.seriesMetadata?.mangaTitle || null,
           preserveHonorifics: this.config.preserveHonorifics,
           contextPreservation: this.config.contextPreservation
         }
@@ -606,12 +872,153 @@ class MangaScanner {
     });
   }
 
+  /**
+   * Translate regions one stream each, showing a shimmering placeholder per
+   * bubble that fills in as text arrives
+   * @returns {Promise<Array|null>} Finished translations, or null if the page was cancelled
+   */
+  async streamTranslations(imageElement, regions) {
+    const placeholders = regions.map(r => ({
+      ...r,
+      originalText: r.originalText || r.text,
+      text: '',
+      pending: true
+    }));
+    await this.overlayInjector.inject(imageElement, placeholders);
+
+    const streams = regions.map(r => this.translationStream.translate({
+      text: r.text,
+      sourceLang: r.detectedLanguage,
+      targetLang: this.config.targetLanguage,
+      context: r.context,
+      bubbleType: r.bubbleType,
+      readings: r.furigana?.map(({ base, reading }) => ({ base, reading })) || [],
+      speaker: r.speaker?.id || null,
+      series: this.state.seriesMetadata?.mangaTitle || null
+    }, {
+      onChunk: text => this.overlayInjector.updateStreamingText(imageElement, r.id, text)
+    }));
+
+    this.activeStreams.set(imageElement, streams);
+    this.streamObserver?.observe(imageElement);
+
+    let cancelled = false;
+    const finished = await Promise.all(streams.map(async (stream, i) => {
+      try {
+        const result = await stream.done;
+        const translation = {
+          ...placeholders[i],
+          text: result.text,
+          engine: result.engine,
+          confidence: result.confidence,
+          userVerified: !!result.userVerified,
+          // Translation memory near matches, and the language pair to store a pick under
+          suggestions: result.suggestions || [],
+          sourceLang: regions[i].detectedLanguage || 'auto',
+          targetLang: this.config.targetLanguage,
+          pending: false
+        };
+        await this.overlayInjector.completeStreaming(imageElement, translation);
+        this.notifyTranscript();
+        return translation;
+      } catch (error) {
+        if (error instanceof TranslationCancelledError) {
+          cancelled = true;
+        } else {
+          console.warn(`[MangaScanner] Translation failed for region ${regions[i].id}:`, error);
+          this.overlayInjector.dropStreaming(imageElement, regions[i].id);
+        }
+        return null;
+      }
+    }));
+
+    if (this.activeStreams.get(imageElement) === streams) {
+      this.activeStreams.delete(imageElement);
+    }
+    if (!this.deferredImages.has(imageElement)) {
+      this.streamObserver?.unobserve(imageElement);
+      this.visibleImages.delete(imageElement);
+    }
+
+    if (cancelled) {
+      this.cancelImageStreams(imageElement);
+      return null;
+    }
+    return finished.filter(Boolean);
+  }
+
+  /**
+   * Stop an image's streams and take its placeholders down
+   */
+  cancelImageStreams(imageElement) {
+    const streams = this.activeStreams.get(imageElement);
+    if (streams) {
+      this.activeStreams.delete(imageElement);
+      streams.forEach(stream => stream.cancel());
+    }
+    this.overlayInjector.clearImageOverlays(imageElement);
+  }
+
+  cancelAllStreams() {
+    [...this.activeStreams.keys()].forEach(image => this.cancelImageStreams(image));
+  }
+
+  /**
+   * Cancel streams for pages the reader scrolls away from and when the
+   * chapter (URL) changes; pages scrolled back to are scanned again
+   */
+  startStreamWatch() {
+    this.currentPage = window.location.href;
+
+    // One screen of margin so a quick scroll past does not throw work away
+    this.streamObserver = new IntersectionObserver(entries => {
+      entries.forEach(({ target, isIntersecting }) => {
+        if (isIntersecting) {
+          this.visibleImages.add(target);
+          if (this.deferredImages.delete(target)) this.processSingleImage(target);
+        } else if (this.visibleImages.has(target) && this.activeStreams.has(target)) {
+          console.log('[MangaScanner] Page scrolled away, cancelling its translations');
+          this.deferredImages.add(target);
+          this.cancelImageStreams(target);
+        }
+      });
+    }, { rootMargin: '100% 0px' });
+
+    this._onNavigation = () => this.checkChapterChange();
+    window.addEventListener('popstate', this._onNavigation);
+    window.addEventListener('hashchange', this._onNavigation);
+  }
+
+  stopStreamWatch() {
+    this.cancelAllStreams();
+    this.streamObserver?.disconnect();
+    this.streamObserver = null;
+    this.deferredImages = new WeakSet();
+    window.removeEventListener('popstate', this._onNavigation);
+    window.removeEventListener('hashchange', this._onNavigation);
+  }
+
+  /**
+   * Readers change chapter without reloading; nothing in flight belongs to the new one
+   */
+  checkChapterChange() {
+    if (window.location.href === this.currentPage) return;
+
+    console.log('[MangaScanner] Chapter changed, cancelling in-flight translations');
+    this.currentPage = window.location.href;
+    this.cancelAllStreams();
+    this.notifyTranscript();
+  }
+
   /**
    * Handle DOM mutations
    */
   handleDOMChanges(mutations) {
     if (!this.isActive) return;
 
+    // pushState navigation has no event of its own; the reader re-rendering gives it away
+    this.checkChapterChange();
+
     let hasNewImages = false;
     let hasSignificantChange = false;
 
@@ -637,6 +1044,10 @@ class MangaScanner {
         const attrName = mutation.attributeName;
         if (['src', 'data-src', 'srcset'].includes(attrName)) {
           hasNewImages = true;
+          // Streams for the previous picture would land on the new one
+          if (this.activeStreams.has(mutation.target)) {
+            this.cancelImageStreams(mutation.target);
+          }
         }
       }
     });
@@ -650,6 +1061,336 @@ class MangaScanner {
     }
   }
 
+  /**
+   * Adapter from an enabled declarative definition matching this page, if any
+   * @returns {DeclarativeAdapter|null}
+   */
+  createDeclarativeAdapter() {
+    const definition = findDefinitionForUrl(this.config.siteAdapters?.definitions, window.location.href);
+    if (!definition) return null;
+
+    console.log(`[MangaScanner] Using declarative adapter "${definition.id}"`);
+    return new DeclarativeAdapter(definition);
+  }
+
+  /**
+   * Adapter from the definition the user taught for this site (site override)
+   * @returns {DeclarativeAdapter|null}
+   */
+  createTaughtAdapter() {
+    const definition = this.config.sites?.[window.location.hostname]?.adapter;
+    if (!definition?.reader?.image) return null;
+
+    console.log('[MangaScanner] Using taught adapter for this site');
+    return new DeclarativeAdapter(definition);
+  }
+
+  /**
+   * Series that reading-order corrections and speakers are stored under (site when unknown)
+   */
+  seriesName() {
+    return this.state.seriesMetadata?.mangaTitle || window.location.hostname;
+  }
+
+  /**
+   * Fetch the series' learned reading-order preferences and corrected pages
+   */
+  async loadReadingOrder() {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'GET_READING_ORDER',
+        payload: { series: this.seriesName() }
+      });
+      if (response?.success) {
+        this.readingOrder = response.data;
+      }
+    } catch (error) {
+      console.warn('[MangaScanner] Could not load reading order:', error);
+    }
+  }
+
+  /**
+   * Fetch the series' known speakers so ids and names carry over between chapters
+   */
+  async loadSpeakers() {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'GET_SPEAKERS',
+        payload: { series: this.seriesName() }
+      });
+      if (response?.success) {
+        this.speakerRegistry = new SpeakerRegistry(response.data);
+      }
+    } catch (error) {
+      console.warn('[MangaScanner] Could not load speakers:', error);
+    }
+  }
+
+  /**
+   * Link each speech bubble to the character its tail points at and record
+   * the sightings for the series. Failures only cost the speaker hints.
+   */
+  async attributeSpeakers(imageData, detections) {
+    if (this.config.translation?.speakerAttribution === false) return;
+
+    try {
+      const bubbles = detections.filter(d => d.class !== 'panel');
+      const panels = detections.filter(d => d.class === 'panel');
+      const assignments = await this.speakerAttributor.attribute(imageData, bubbles, {
+        panels,
+        registry: this.speakerRegistry
+      });
+
+      const sightings = [];
+      for (const { bubble, speakerId, confidence, method, descriptor } of assignments) {
+        if (!speakerId) continue;
+        bubble.speaker = {
+          id: speakerId,
+          name: this.speakerRegistry.get(speakerId)?.name || null,
+          confidence,
+          method
+        };
+        sightings.push({ id: speakerId, descriptor });
+      }
+
+      if (sightings.length) {
+        chrome.runtime.sendMessage({
+          type: 'RECORD_SPEAKERS',
+          payload: { series: this.seriesName(), sightings }
+        }).catch(error => console.warn('[MangaScanner] Could not record speakers:', error));
+      }
+    } catch (error) {
+      console.warn('[MangaScanner] Speaker attribution failed:', error);
+    }
+  }
+
+  /**
+   * Name a speaker once for the series; every bubble of theirs picks it up
+   */
+  async nameSpeaker(speakerId, name) {
+    const response = await chrome.runtime.sendMessage({
+      type: 'NAME_SPEAKER',
+      payload: { series: this.seriesName(), speakerId, name }
+    });
+    if (!response?.success) {
+      throw new Error(response?.error || 'Could not name speaker');
+    }
+
+    const speaker = this.speakerRegistry.get(speakerId);
+    if (speaker) speaker.name = response.data.name;
+
+    for (const { translations } of this.overlayInjector.activeOverlays.values()) {
+      translations
+        .filter(t => t.speaker?.id === speakerId)
+        .forEach(t => { t.speaker.name = response.data.name; });
+    }
+    this.notifyTranscript();
+
+    return response.data;
+  }
+
+  /**
+   * Translated page image that is most visible in the viewport
+   * @returns {HTMLImageElement|null}
+   */
+  findEditablePage() {
+    const translated = [...this.overlayInjector.activeOverlays]
+      .filter(([image, data]) => image.isConnected && data.translations.length >= 2)
+      .map(([image]) => image);
+    return this.mostVisible(translated);
+  }
+
+  /**
+   * Image with the largest area inside the viewport
+   * @param {HTMLImageElement[]} images
+   * @returns {HTMLImageElement|null}
+   */
+  mostVisible(images) {
+    let best = null;
+    let bestVisible = 0;
+
+    for (const image of images) {
+      const rect = image.getBoundingClientRect();
+      const visible = Math.max(0, Math.min(rect.bottom, window.innerHeight) - Math.max(rect.top, 0)) *
+                      Math.max(0, Math.min(rect.right, window.innerWidth) - Math.max(rect.left, 0));
+      if (visible > bestVisible) {
+        best = image;
+        bestVisible = visible;
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Translated pages of this chapter grouped by page and panel, for the side panel
+   * @returns {Object} { url, series, chapter, pages: [{ number, src, panels: [{ number, lines }] }] }
+   */
+  buildTranscript() {
+    const pages = [];
+
+    this.getMangaImages().forEach((image, index) => {
+      const data = this.overlayInjector.activeOverlays.get(image);
+      if (!data || data.translations.length === 0) return;
+
+      const layout = this.pageLayouts.get(image) || {};
+      const pageSize = layout.pageSize || { width: image.naturalWidth, height: image.naturalHeight };
+      const panels = layout.panels?.length
+        ? this.readingOrderService.orderPanels(layout.panels, this.readingOrder.preferences || {})
+        : [];
+
+      // Translations are already in reading order; panels only group them
+      const groups = [];
+      data.translations.forEach(t => {
+        const box = t.boundingBox;
+        const panelIndex = box && panels.length
+          ? panelIndexFor({
+              x: (box.x + box.width / 2) / pageSize.width,
+              y: (box.y + box.height / 2) / pageSize.height
+            }, panels)
+          : 0;
+
+        let group = groups.find(g => g.index === panelIndex);
+        if (!group) {
+          group = { index: panelIndex, lines: [] };
+          groups.push(group);
+        }
+        group.lines.push({
+          id: t.id,
+          originalText: t.originalText || '',
+          text: t.text || '',
+          bubbleType: t.bubbleType || null,
+          speaker: t.speaker ? { id: t.speaker.id, name: t.speaker.name || null } : null,
+          userVerified: !!t.userVerified,
+          pending: !!t.pending
+        });
+      });
+
+      pages.push({
+        number: index + 1,
+        src: image.currentSrc || image.src,
+        panels: groups
+          .sort((a, b) => a.index - b.index)
+          .map(g => ({ number: g.index + 1, lines: g.lines }))
+      });
+    });
+
+    return {
+      url: window.location.href,
+      series: this.state.seriesMetadata?.mangaTitle || null,
+      chapter: this.state.seriesMetadata?.chapterNumber ?? null,
+      pages
+    };
+  }
+
+  /**
+   * Tell an open transcript side panel to reload (coalesced)
+   */
+  notifyTranscript() {
+    clearTimeout(this._transcriptDebounce);
+    this._transcriptDebounce = setTimeout(() => {
+      chrome.runtime.sendMessage({
+        type: 'TRANSCRIPT_UPDATED',
+        payload: { url: window.location.href }
+      }).catch(() => {
+        // No side panel open
+      });
+    }, 300);
+  }
+
+  /**
+   * Enter or leave panel-by-panel guided reading, starting at the visible page
+   * @returns {Promise<boolean>} Whether guided view is now open
+   */
+  async toggleGuidedView() {
+    if (this.guidedReader) {
+      this.guidedReader.exit();
+      return false;
+    }
+
+    const pages = this.getMangaImages();
+    const start = this.mostVisible(pages) || pages[0];
+    if (!start) {
+      throw new Error('No manga page found on this page');
+    }
+
+    this.guidedReader = new GuidedReader({
+      getPages: () => this.getMangaImages(),
+      getLayout: image => this.pageLayouts.get(image),
+      getTranslations: image => this.overlayInjector.activeOverlays.get(image)?.translations || [],
+      translatePage: image => this.isActive ? this.processSingleImage(image) : Promise.resolve(),
+      siteAdapter: this.siteAdapter,
+      readingPreferences: this.readingOrder.preferences || {},
+      hotkeys: this.config.hotkeys,
+      onExit: () => { this.guidedReader = null; }
+    });
+    await this.guidedReader.start(start);
+    return true;
+  }
+
+  /**
+   * Let the user fix the bubble order of the visible page, store it for the
+   * series and translate the page again with the corrected context
+   */
+  async editReadingOrder(image) {
+    this.readingOrderEditor?.cancel();
+
+    const layout = this.pageLayouts.get(image) || {};
+    const { translations } = this.overlayInjector.activeOverlays.get(image);
+    this.readingOrderEditor = new ReadingOrderEditor(image, translations, { pageSize: layout.pageSize });
+
+    const ordered = await this.readingOrderEditor.start();
+    this.readingOrderEditor = null;
+    if (!ordered || !layout.pageSize) return;
+
+    const url = image.currentSrc || image.src;
+    const correction = {
+      boxes: ordered.map(t => normalizeBox(t.boundingBox, layout.pageSize)),
+      panels: layout.panels || []
+    };
+
+    const response = await chrome.runtime.sendMessage({
+      type: 'SAVE_READING_ORDER',
+      payload: { series: this.seriesName(), pageUrl: url, ...correction }
+    });
+    if (!response?.success) {
+      throw new Error(response?.error || 'Could not save reading order');
+    }
+
+    this.readingOrder.preferences = response.data.preferences;
+    this.readingOrder.pages[pageKey(url)] = correction;
+
+    this.overlayInjector.clearImageOverlays(image);
+    this.processedImages.delete(image);
+    await this.processSingleImage(image);
+  }
+
+  /**
+   * Let the user point at the page image, next button and chapter title,
+   * then switch to the resulting adapter
+   */
+  async teachSite() {
+    this.siteTeacher?.cancel();
+    this.siteTeacher = new SiteTeacher();
+
+    const definition = await this.siteTeacher.start();
+    this.siteTeacher = null;
+    if (!definition) return;
+
+    const hostname = window.location.hostname;
+    this.config.sites = this.config.sites || {};
+    this.config.sites[hostname] = { ...this.config.sites[hostname], adapter: definition };
+
+    this.siteAdapter?.destroy?.();
+    this.siteAdapter = new DeclarativeAdapter(definition);
+
+    if (this.isActive) {
+      await this.scanPage(true);
+    } else if (await this.detectMangaPage()) {
+      await this.activate();
+    }
+  }
+
   /**
    * Setup message listeners for background communication
    */
@@ -700,6 +1441,77 @@ class MangaScanner {
       });
     },
 
+    // Dry-run a declarative adapter definition against this page (options page "Test")
+    TEST_SITE_ADAPTER: async (payload, sendResponse) => {
+      try {
+        const adapter = new DeclarativeAdapter(payload.definition);
+        const report = await adapter.test();
+        adapter.destroy();
+        sendResponse({ success: true, report });
+      } catch (error) {
+        sendResponse({ success: false, error: error.message });
+      }
+    },
+
+    // Point-and-click adapter builder (popup "Teach this site")
+    START_SITE_TEACHER: (payload, sendResponse) => {
+      this.teachSite().catch(error => {
+        console.error('[MangaScanner] Teaching mode failed:', error);
+      });
+      sendResponse({ success: true });
+    },
+
+    // Side panel transcript of the translated pages
+    GET_TRANSCRIPT: (payload, sendResponse) => {
+      sendResponse({ success: true, data: this.buildTranscript() });
+    },
+
+    // Transcript line clicked: bring its bubble into view
+    FOCUS_BUBBLE: (payload, sendResponse) => {
+      const found = this.overlayInjector.focusTranslation(payload.id);
+      sendResponse(found ? { success: true } : { success: false, error: 'Bubble is no longer on the page' });
+    },
+
+    // Transcript edit: previews while typing (save: false), stored when the field is left
+    EDIT_TRANSLATION: async (payload, sendResponse) => {
+      try {
+        const { id, originalText, text, save } = payload;
+        const translation = await this.overlayInjector.editTranslation(id, { originalText, text }, { save });
+        if (!translation) {
+          sendResponse({ success: false, error: 'Bubble is no longer on the page' });
+          return;
+        }
+        this.state.activeTranslations.set(id, translation);
+        sendResponse({ success: true });
+      } catch (error) {
+        sendResponse({ success: false, error: error.message });
+      }
+    },
+
+    // Panel-by-panel reading (popup "Guided view", Alt+G)
+    TOGGLE_GUIDED_VIEW: async (payload, sendResponse) => {
+      try {
+        const open = await this.toggleGuidedView();
+        sendResponse({ success: true, open });
+      } catch (error) {
+        sendResponse({ success: false, error: error.message });
+      }
+    },
+
+    // Drag-to-reorder bubbles on the visible page (popup "Fix reading order")
+    START_READING_ORDER_EDITOR: (payload, sendResponse) => {
+      const image = this.findEditablePage();
+      if (!image) {
+        sendResponse({ success: false, error: 'Translate a page with at least two bubbles first' });
+        return;
+      }
+      
+      this.editReadingOrder(image).catch(error => {
+        console.error('[MangaScanner] Reading order editor failed:', error);
+      });
+      sendResponse({ success: true });
+    },
+
     // Update configuration
     UPDATE_CONFIG: async (payload, sendResponse) => {
       this.config = { ...this.config, ...payload };
@@ -729,6 +1541,36 @@ class MangaScanner {
       } catch (error) {
         sendResponse({ success: false, error: error.message });
       }
+    },
+
+    // Switch between box overlays and clean (inpainted) rendering
+    SET_RENDER_MODE: async (payload, sendResponse) => {
+      try {
+        await this.overlayInjector.setRenderMode(payload.renderMode);
+        sendResponse({ success: true });
+      } catch (error) {
+        sendResponse({ success: false, error: error.message });
+      }
+    },
+
+    // Queue the whole chapter for background OCR/translation
+    START_CHAPTER_PRETRANSLATION: async (payload, sendResponse) => {
+      try {
+        const result = await this.startChapterPretranslation(payload);
+        sendResponse({ success: true, ...result });
+      } catch (error) {
+        sendResponse({ success: false, error: error.message });
+      }
+    },
+
+    // Download the translated chapter as CBZ
+    EXPORT_CHAPTER: async (payload, sendResponse) => {
+      try {
+        const result = await this.exportChapter(payload);
+        sendResponse({ success: true, filename: result.filename, pageCount: result.pageCount });
+      } catch (error) {
+        sendResponse({ success: false, error: error.message });
+      }
     }
   };
 
@@ -765,6 +1607,18 @@ class MangaScanner {
         e.preventDefault();
         this.overlayInjector.clearAll();
       }
+
+      // Export chapter as CBZ: Alt+E
+      if (e.altKey && e.key === 'e') {
+        e.preventDefault();
+        this.exportChapter().catch(error => this.reportError('export', error));
+      }
+
+      // Guided panel-by-panel view: Alt+G (panel hotkeys are handled by GuidedReader)
+      if (e.altKey && e.key === 'g') {
+        e.preventDefault();
+        this.toggleGuidedView().catch(error => this.reportError('guided_view', error));
+      }
     });
   }
 
@@ -903,6 +1757,8 @@ class MangaScanner {
     
     this.observerManager?.destroy();
     this.canvasInterceptor?.destroy();
+    this.siteTeacher?.cancel();
+    this.readingOrderEditor?.cancel();
     
     // Remove styles
     document.getElementById('manga-scanner-styles')?.remove();
@@ -8,6 +8,16 @@ import { CONFIG } from '../shared/constants.js';
 import { DOMHelpers } from '../shared/utils/dom-helpers.js';
 import { TextSanitizer } from '../shared/utils/text-sanitizer.js';
 import { PerformanceMonitor } from '../shared/utils/performance-monitor.js';
+import { loadReadableImage } from '../shared/utils/image-utils.js';
+import { fitText, drawTextBlock, drawFittedText } from '../shared/utils/canvas-text.js';
+import { fitTextToShape, bubbleShape, createMeasurer } from '../shared/utils/text-fitter.js';
+import {
+  isVerticalLanguage,
+  fitVertical,
+  buildVerticalFragment,
+  drawVerticalColumns
+} from '../shared/utils/cjk-typesetting.js';
+import { BubbleInpainter } from '../computer-vision/detection/text-region/bubble-inpainter.js';
 
 class OverlayInjector {
   constructor(config = {}) {
@@ -38,6 +48,9 @@ class OverlayInjector {
       // Behavior
       clickToToggle: true,
       showOriginalOnHover: true,
+      showFurigana: true, // Ruby readings above kanji in the original-text tooltip
+      onSpeakerNamed: null, // (speakerId, name) => Promise, stores a speaker name for the series
+      onTranslationEdited: null, // (translation) => void, after a correction is applied from any editor
       draggable: false,
       resizable: false,
       persistent: true,
@@ -46,11 +59,20 @@ class OverlayInjector {
       matchOriginalFont: true,
       fontFamily: "'Noto Sans JP', 'Noto Sans KR', 'Noto Sans SC', sans-serif",
       
+      // Rendering
+      verticalTypesetting: true, // Set Japanese/Chinese translations in vertical columns (tategaki)
+      shapeAwareFitting: true, // Lay lines out inside the bubble outline, hyphenating long words
+      renderMode: 'overlay', // overlay (box over bubble), clean (inpaint original text, letter on page)
+      cleanMinConfidence: 0.6, // Below this mask confidence a bubble keeps the box overlay
+      
       ...config
     };
 
     this.sanitizer = new TextSanitizer();
     this.performanceMonitor = new PerformanceMonitor('overlay-injector');
+    this.inpainter = null; // Created on first clean render
+    this.measurers = new Map(); // fontFamily -> text width measurer
+    this.overflowReports = new Map(); // translationId -> text that did not fit its bubble
     
     // State
     this.activeOverlays = new Map(); // imageElement -> overlayData[]
@@ -115,13 +137,22 @@ class OverlayInjector {
       // Clear existing overlays for this image if any
       this.clearImageOverlays(imageElement);
       
+      // Clean mode letters what it can straight onto an inpainted copy of the page;
+      // the rest keeps the box overlay. Streaming placeholders have nothing to letter yet.
+      let boxed = translations;
+      let cleanLayer = null;
+      let hitTargets = [];
+      if (this.config.renderMode === 'clean' && !translations.some(t => t.pending)) {
+        ({ layer: cleanLayer, fallback: boxed, hitTargets } = await this.renderCleanLayer(imageElement, translations, container));
+      }
+      
       // Calculate positions
-      const positions = this.calculatePositions(imageElement, translations);
+      const positions = this.calculatePositions(imageElement, boxed);
       
       // Create overlays
       const overlays = [];
-      for (let i = 0; i < translations.length; i++) {
-        const translation = translations[i];
+      for (let i = 0; i < boxed.length; i++) {
+        const translation = boxed[i];
         const position = positions[i];
         
         const overlay = await this.createOverlay(
@@ -139,6 +170,8 @@ class OverlayInjector {
         overlays,
         container,
         translations,
+        cleanLayer,
+        hitTargets,
         timestamp: Date.now()
       });
 
@@ -157,6 +190,162 @@ class OverlayInjector {
     }
   }
 
+  /**
+   * Clean render mode: erase source text and draw translations on a page-sized canvas
+   * @returns {Promise<{layer: HTMLCanvasElement|null, fallback: Array, hitTargets: Array}>}
+   *   Layer, translations left for box overlays, and invisible targets over the lettered bubbles
+   */
+  async renderCleanLayer(imageElement, translations, container) {
+    let source;
+    try {
+      source = await loadReadableImage(imageElement);
+    } catch (error) {
+      console.warn('[OverlayInjector] Clean mode unavailable for image, using overlays:', error);
+      return { layer: null, fallback: translations, hitTargets: [] };
+    }
+    
+    if (!this.inpainter) {
+      this.inpainter = new BubbleInpainter({ MIN_CONFIDENCE: this.config.cleanMinConfidence });
+    }
+    
+    const canvas = document.createElement('canvas');
+    canvas.width = source.naturalWidth || source.width;
+    canvas.height = source.naturalHeight || source.height;
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.drawImage(source, 0, 0, canvas.width, canvas.height);
+    
+    // Bounding boxes are in displayed pixels; inpainting works at natural size
+    const imgRect = imageElement.getBoundingClientRect();
+    const scale = canvas.width / (imgRect.width || canvas.width);
+    const theme = this.themes[this.config.theme] || this.themes.default;
+    const fontFamily = theme.fontFamily || this.config.fontFamily;
+    
+    const fallback = [];
+    const cleaned = [];
+    
+    for (const translation of translations) {
+      if (!translation.text || !translation.boundingBox) {
+        fallback.push(translation);
+        continue;
+      }
+      
+      const box = {
+        x: translation.boundingBox.x * scale,
+        y: translation.boundingBox.y * scale,
+        width: translation.boundingBox.width * scale,
+        height: translation.boundingBox.height * scale
+      };
+      
+      const result = this.inpainter.inpaintRegion(canvas, {
+        bbox: box,
+        orientation: translation.isVertical ? 'vertical' : 'horizontal',
+        confidence: translation.detectionConfidence
+      });
+      
+      if (!result.cleaned) {
+        fallback.push(translation);
+        continue;
+      }
+      
+      // Dark bubbles (flashbacks, narration) get light lettering
+      const [r, g, b] = result.background;
+      const isDark = 0.299 * r + 0.587 * g + 0.114 * b < 128;
+      
+      const color = isDark ? '#ffffff' : (theme.textColor || this.config.textColor);
+      // Textured fills are never perfectly uniform, a halo keeps the lettering legible
+      const outlineColor = result.method === 'patch' ? `rgb(${r}, ${g}, ${b})` : null;
+      
+      if (this.shouldTypesetVertical(translation)) {
+        const vertical = this.layoutVertical(translation, box, scale);
+        drawVerticalColumns(ctx, vertical.columns, box, {
+          ...vertical,
+          fontFamily,
+          color,
+          outlineColor,
+          outlineWidth: Math.max(2, vertical.fontSize / 6)
+        });
+      } else if (this.config.shapeAwareFitting) {
+        const fitted = this.fitToBubble(translation, box, { scale, lineHeight: 1.2, fontFamily });
+        if (!fitted.fits) this.reportOverflow(null, translation, fitted);
+        
+        drawFittedText(ctx, fitted.lines, {
+          fontFamily,
+          fontSize: fitted.fontSize,
+          color,
+          outlineColor,
+          outlineWidth: Math.max(2, fitted.fontSize / 6)
+        });
+      } else {
+        const textOptions = {
+          fontFamily,
+          fontSize: this.calculateFontSize(translation, { width: box.width / scale, height: box.height / scale }) * scale,
+          minFontSize: this.config.minFontSize * scale,
+          lineHeight: 1.2
+        };
+        const { fontSize, lines } = fitText(ctx, translation.text, box, textOptions);
+        
+        drawTextBlock(ctx, lines, box, {
+          ...textOptions,
+          fontSize,
+          color,
+          outlineColor,
+          outlineWidth: Math.max(2, fontSize / 6)
+        });
+      }
+      
+      cleaned.push(translation);
+    }
+    
+    if (cleaned.length === 0) {
+      return { layer: null, fallback, hitTargets: [] };
+    }
+    
+    canvas.className = 'manga-clean-layer';
+    canvas.style.cssText = `
+      position: absolute;
+      left: 0;
+      top: 0;
+      width: ${imgRect.width}px;
+      height: ${imgRect.height}px;
+      pointer-events: none;
+    `;
+    container.insertBefore(canvas, container.firstChild);
+    
+    const hitTargets = cleaned.map(translation => this.createHitTarget(translation, container));
+    
+    return { layer: canvas, fallback, hitTargets };
+  }
+
+  /**
+   * Invisible element over a bubble lettered onto the clean layer, so it can
+   * still be edited (context menu) and located (focus) like a box overlay
+   */
+  createHitTarget(translation, container) {
+    const box = translation.boundingBox;
+    const target = document.createElement('div');
+    target.className = 'manga-clean-hit';
+    target.dataset.translationId = translation.id;
+    target.dataset.cleaned = 'true';
+    if (translation.userVerified) target.dataset.verified = 'true';
+    target.style.cssText = `
+      position: absolute;
+      left: ${box.x}px;
+      top: ${box.y}px;
+      width: ${box.width}px;
+      height: ${box.height}px;
+      pointer-events: auto;
+      z-index: 2147483646;
+    `;
+    
+    target.addEventListener('contextmenu', (e) => {
+      e.preventDefault();
+      this.showContextMenu(e, target, translation);
+    });
+    
+    container.appendChild(target);
+    return { element: target, translation };
+  }
+
   /**
    * Get or create overlay container for an image
    */
@@ -206,16 +395,9 @@ class OverlayInjector {
     const positions = [];
     const placedBoxes = [];
     
-    // Sort by reading order (top-to-bottom, then left-to-right or RTL)
-    const sorted = [...translations].sort((a, b) => {
-      const rowDiff = a.boundingBox.y - b.boundingBox.y;
-      if (Math.abs(rowDiff) > 20) return rowDiff;
-      return this.config.readingDirection === 'rtl' 
-        ? b.boundingBox.x - a.boundingBox.x 
-        : a.boundingBox.x - b.boundingBox.x;
-    });
-
-    for (const translation of sorted) {
+    // Translations arrive in reading order (ReadingOrderService); earlier bubbles
+    // keep their spot when overlaps are resolved, and positions stay index-aligned
+    for (const translation of translations) {
       const box = translation.boundingBox;
       
       // Base position relative to image
@@ -323,14 +505,47 @@ class OverlayInjector {
     overlay.dataset.originalText = translation.originalText;
     overlay.dataset.translatedText = translation.text;
     
+    // A streaming placeholder grows as text arrives; it is laid out properly once complete
+    const pending = !!translation.pending;
+    
+    // Vertical ja/zh text is laid out once: font size and kinsoku columns go together
+    const verticalLayout = !pending && this.shouldTypesetVertical(translation)
+      ? this.layoutVertical(translation, {
+          width: position.width - this.config.padding * 2,
+          height: position.height - this.config.padding * 2
+        })
+      : null;
+    
+    // Horizontal text is broken into lines that follow the bubble outline
+    const fitted = !pending && !verticalLayout && this.config.shapeAwareFitting
+      ? this.fitToBubble(translation, this.contentBox(position), { fontFamily: theme.fontFamily })
+      : null;
+    
     // Calculate optimal font size
-    const fontSize = this.calculateFontSize(translation, position);
+    const fontSize = pending ? this.config.defaultFontSize
+      : verticalLayout ? verticalLayout.fontSize
+      : fitted ? fitted.fontSize
+      : this.calculateFontSize(translation, position);
     
     // Apply styles
-    overlay.style.cssText = this.buildOverlayStyles(position, fontSize, theme);
+    overlay.style.cssText = this.buildOverlayStyles(position, fontSize, theme, verticalLayout);
+    if (pending) {
+      // Cover the whole bubble so the shimmer shows where text is coming
+      overlay.dataset.pending = 'true';
+      overlay.style.width = `${position.width}px`;
+      overlay.style.height = `${position.height}px`;
+      overlay.style.boxSizing = 'border-box';
+    }
+    if (verticalLayout) overlay.dataset.vertical = 'true';
+    if (translation.userVerified) overlay.dataset.verified = 'true';
+    if (translation.speaker) overlay.dataset.speaker = translation.speaker.id;
+    if (fitted) {
+      overlay.dataset.fitted = 'true';
+      if (!fitted.fits) this.reportOverflow(overlay, translation, fitted);
+    }
     
     // Create content
-    const content = this.createOverlayContent(translation, fontSize);
+    const content = this.createOverlayContent(translation, fontSize, verticalLayout, fitted);
     overlay.appendChild(content);
     
     // Add tail for speech bubbles
@@ -339,14 +554,14 @@ class OverlayInjector {
       if (tail) overlay.appendChild(tail);
     }
     
-    // Add interactions
-    this.addInteractions(overlay, translation);
+    // Add interactions (placeholders get them when replaced by the final overlay)
+    if (!pending) this.addInteractions(overlay, translation);
     
     // Add to container
     container.appendChild(overlay);
     
     // Fine-tune size after render
-    await this.adjustToContent(overlay, position);
+    if (!pending) await this.adjustToContent(overlay, position);
     
     return {
       element: overlay,
@@ -360,7 +575,7 @@ class OverlayInjector {
   /**
    * Build CSS styles for overlay
    */
-  buildOverlayStyles(position, fontSize, theme) {
+  buildOverlayStyles(position, fontSize, theme, verticalLayout = null) {
     const baseStyles = `
       position: absolute;
       left: ${position.left}px;
@@ -389,11 +604,13 @@ class OverlayInjector {
       z-index: 2147483647;
     `;
     
-    // Vertical text support
-    if (translation.isVertical) {
+    // Vertical text support (columns are pre-broken with kinsoku rules)
+    if (verticalLayout) {
       return baseStyles + `
         writing-mode: vertical-rl;
-        text-orientation: mixed;
+        text-orientation: upright;
+        line-break: strict;
+        line-height: ${(verticalLayout.columnPitch / verticalLayout.fontSize).toFixed(2)};
       `;
     }
     
@@ -408,6 +625,14 @@ class OverlayInjector {
       return this.config.defaultFontSize;
     }
     
+    if (this.shouldTypesetVertical(translation)) {
+      return this.layoutVertical(translation, position).fontSize;
+    }
+    
+    if (this.config.shapeAwareFitting) {
+      return this.fitToBubble(translation, this.contentBox(position)).fontSize;
+    }
+    
     // Base calculation on bubble size and text length
     const area = position.width * position.height;
     const charCount = translation.text.length;
@@ -433,10 +658,125 @@ class OverlayInjector {
     return Math.round(fontSize);
   }
 
+  /**
+   * Whether a translation is set vertically: Japanese/Chinese target in a
+   * bubble that was lettered vertically (or is clearly taller than wide)
+   */
+  shouldTypesetVertical(translation) {
+    if (!this.config.verticalTypesetting || !isVerticalLanguage(translation.targetLang || this.config.targetLanguage)) {
+      return false;
+    }
+    
+    if (translation.textLayout) {
+      return translation.textLayout.orientation === 'vertical';
+    }
+    
+    const box = translation.boundingBox;
+    return Boolean(translation.isVertical || (box && box.height > box.width * 1.2));
+  }
+
+  /**
+   * Vertical layout (font size and kinsoku-broken columns) for a ja/zh translation
+   * Starts from the original glyph size and column pitch found by TextROIExtractor
+   * @param {Object} box - { width, height } available for text
+   * @param {number} scale - Target pixels per displayed pixel (natural-size rendering)
+   */
+  layoutVertical(translation, box, scale = 1) {
+    const layout = translation.textLayout;
+    
+    return fitVertical(translation.text, box, {
+      layout: layout && { ...layout, charSize: layout.charSize * scale, linePitch: layout.linePitch * scale },
+      minFontSize: this.config.minFontSize * scale,
+      maxFontSize: this.config.maxFontSize * scale
+    });
+  }
+
+  /**
+   * Area inside the overlay padding, in overlay-local pixels
+   */
+  contentBox(position) {
+    return {
+      x: 0,
+      y: 0,
+      width: Math.max(1, position.width - this.config.padding * 2),
+      height: Math.max(1, position.height - this.config.padding * 2)
+    };
+  }
+
+  /**
+   * Fit horizontal text inside the bubble outline (detector convex hull, or an
+   * ellipse/rectangle by bubble type), mapped from the bounding box onto box
+   * @param {Object} box - { x, y, width, height } target area
+   * @param {Object} options - { scale, lineHeight, fontFamily }
+   * @returns {Object} fitTextToShape result: { fontSize, fits, overflow, lines }
+   */
+  fitToBubble(translation, box, options = {}) {
+    const { scale = 1, lineHeight = 1.4 } = options;
+    const fontFamily = options.fontFamily || this.config.fontFamily;
+    const source = translation.boundingBox || box;
+    const sx = box.width / (source.width || box.width);
+    const sy = box.height / (source.height || box.height);
+    
+    const contour = translation.shape?.map(p => ({
+      x: box.x + (p.x - source.x) * sx,
+      y: box.y + (p.y - source.y) * sy
+    }));
+    
+    if (!this.measurers.has(fontFamily)) {
+      this.measurers.set(fontFamily, createMeasurer(fontFamily));
+    }
+    
+    return fitTextToShape(translation.text, bubbleShape(box, { contour, bubbleType: translation.bubbleType }), {
+      measure: this.measurers.get(fontFamily),
+      minFontSize: this.config.minFontSize * scale,
+      maxFontSize: this.config.maxFontSize * scale,
+      lineHeight,
+      language: translation.targetLang || this.config.targetLanguage
+    });
+  }
+
+  /**
+   * Flag text that does not fit its bubble even at the minimum font size
+   * @param {HTMLElement|null} overlay - Box overlay, or null for clean-rendered text
+   */
+  reportOverflow(overlay, translation, fitted) {
+    if (overlay) overlay.dataset.overflow = 'true';
+    
+    this.overflowReports.set(translation.id, {
+      translationId: translation.id,
+      text: translation.text,
+      fontSize: fitted.fontSize,
+      unplacedWords: fitted.overflow.tokens,
+      widthExceeded: fitted.overflow.widthExceeded,
+      boundingBox: translation.boundingBox
+    });
+    
+    console.warn('[OverlayInjector] Translation does not fit its bubble:', translation.id, fitted.overflow);
+  }
+
+  /**
+   * Translations that overflowed their bubble on the current pages
+   */
+  getOverflowReports() {
+    return Array.from(this.overflowReports.values());
+  }
+
+  /**
+   * Explicit line breaks for fitted text
+   */
+  buildLineFragment(lines) {
+    const fragment = document.createDocumentFragment();
+    lines.forEach((line, i) => {
+      if (i > 0) fragment.appendChild(document.createElement('br'));
+      fragment.appendChild(document.createTextNode(line.text));
+    });
+    return fragment;
+  }
+
   /**
    * Create overlay content structure
    */
-  createOverlayContent(translation, fontSize) {
+  createOverlayContent(translation, fontSize, verticalLayout = null, fitted = null) {
     const wrapper = document.createElement('div');
     wrapper.className = 'overlay-content';
     wrapper.style.cssText = `
@@ -451,10 +791,17 @@ class OverlayInjector {
     // Translated text
     const textEl = document.createElement('span');
     textEl.className = 'translated-text';
-    textEl.textContent = translation.text;
+    if (verticalLayout) {
+      textEl.appendChild(buildVerticalFragment(verticalLayout.columns));
+    } else if (fitted) {
+      textEl.appendChild(this.buildLineFragment(fitted.lines));
+    } else {
+      textEl.textContent = translation.text;
+    }
     textEl.style.cssText = `
       font-weight: ${translation.isBold ? 'bold' : 'normal'};
       font-style: ${translation.isItalic ? 'italic' : 'normal'};
+      ${fitted ? 'white-space: nowrap;' : ''}
     `;
     wrapper.appendChild(textEl);
     
@@ -462,7 +809,7 @@ class OverlayInjector {
     if (this.config.showOriginalOnHover) {
       const originalEl = document.createElement('span');
       originalEl.className = 'original-text';
-      originalEl.textContent = translation.originalText;
+      this.renderOriginalText(originalEl, translation);
       originalEl.style.cssText = `
         display: none;
         font-size: ${Math.max(fontSize * 0.8, 10)}px;
@@ -475,6 +822,11 @@ class OverlayInjector {
       wrapper.appendChild(originalEl);
     }
     
+    // Translation memory suggestions (fuzzy cache matches, never auto-applied)
+    if (translation.suggestions?.length) {
+      wrapper.appendChild(this.createSuggestionList(translation, fontSize));
+    }
+    
     // SFX indicator
     if (translation.isSFX) {
       const sfxBadge = document.createElement('span');
@@ -497,6 +849,200 @@ class OverlayInjector {
     return wrapper;
   }
 
+  /**
+   * Fill the original-text element, with furigana as <ruby> over its base kanji
+   */
+  renderOriginalText(el, translation) {
+    const text = translation.originalText || '';
+    const readings = this.config.showFurigana ? (translation.furigana || []) : [];
+    el.textContent = '';
+    
+    let rest = text;
+    while (rest) {
+      // Earliest base still present in the remaining text
+      let next = null;
+      for (const entry of readings) {
+        const index = entry.base ? rest.indexOf(entry.base) : -1;
+        if (index !== -1 && (!next || index < next.index)) {
+          next = { index, entry };
+        }
+      }
+      
+      if (!next) {
+        el.appendChild(document.createTextNode(rest));
+        break;
+      }
+      
+      if (next.index > 0) {
+        el.appendChild(document.createTextNode(rest.slice(0, next.index)));
+      }
+      const ruby = document.createElement('ruby');
+      ruby.appendChild(document.createTextNode(next.entry.base));
+      const rt = document.createElement('rt');
+      rt.textContent = next.entry.reading;
+      ruby.appendChild(rt);
+      el.appendChild(ruby);
+      
+      rest = rest.slice(next.index + next.entry.base.length);
+    }
+  }
+
+  /**
+   * Create list of translation memory suggestions
+   */
+  createSuggestionList(translation, fontSize) {
+    const list = document.createElement('div');
+    list.className = 'tm-suggestions';
+    list.style.cssText = `
+      display: none;
+      margin-top: 4px;
+      padding-top: 4px;
+      border-top: 1px dashed rgba(0,0,0,0.2);
+      font-size: ${Math.max(fontSize * 0.75, 10)}px;
+      text-align: left;
+    `;
+    
+    translation.suggestions.forEach(suggestion => {
+      const item = document.createElement('button');
+      item.className = 'tm-suggestion';
+      item.title = `${suggestion.sourceText} (${Math.round(suggestion.similarity * 100)}% match)`;
+      item.textContent = `${Math.round(suggestion.similarity * 100)}% · ${suggestion.translatedText}`;
+      item.style.cssText = `
+        display: block;
+        width: 100%;
+        border: none;
+        background: none;
+        color: inherit;
+        font: inherit;
+        text-align: left;
+        cursor: pointer;
+        opacity: 0.8;
+      `;
+      item.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.applySuggestion(item.closest('.manga-translation-overlay'), translation, suggestion);
+      });
+      list.appendChild(item);
+    });
+    
+    return list;
+  }
+
+  /**
+   * Replace overlay text with a chosen translation memory suggestion
+   */
+  applySuggestion(overlay, translation, suggestion) {
+    if (!overlay) return;
+    
+    translation.text = suggestion.translatedText;
+    translation.fromSuggestion = true;
+    this.renderTranslatedText(overlay, translation);
+    overlay.querySelector('.tm-suggestions')?.remove();
+    
+    chrome.runtime.sendMessage({
+      type: 'ACCEPT_TM_SUGGESTION',
+      payload: {
+        originalText: translation.originalText,
+        translatedText: suggestion.translatedText,
+        sourceLang: translation.sourceLang,
+        targetLang: translation.targetLang,
+        similarity: suggestion.similarity
+      }
+    });
+  }
+
+  /**
+   * Lay out an overlay's translated text again after translation.text changed
+   */
+  renderTranslatedText(overlay, translation) {
+    overlay.dataset.translatedText = translation.text;
+    
+    const textEl = overlay.querySelector('.translated-text');
+    if (overlay.dataset.vertical) {
+      // Re-break columns for the new text at the current overlay size
+      const { columns } = this.layoutVertical(translation, {
+        width: overlay.clientWidth - this.config.padding * 2,
+        height: overlay.clientHeight - this.config.padding * 2
+      });
+      textEl.replaceChildren(buildVerticalFragment(columns));
+    } else if (overlay.dataset.fitted) {
+      const fitted = this.fitToBubble(translation, {
+        x: 0,
+        y: 0,
+        width: overlay.clientWidth - this.config.padding * 2,
+        height: overlay.clientHeight - this.config.padding * 2
+      });
+      overlay.style.fontSize = `${fitted.fontSize}px`;
+      textEl.replaceChildren(this.buildLineFragment(fitted.lines));
+      
+      this.overflowReports.delete(translation.id);
+      delete overlay.dataset.overflow;
+      if (!fitted.fits) this.reportOverflow(overlay, translation, fitted);
+    } else {
+      textEl.textContent = translation.text;
+    }
+  }
+
+  // ==================== Streaming ====================
+
+  /**
+   * Show the text a streaming placeholder has received so far
+   * @param {HTMLElement} imageElement
+   * @param {string} translationId
+   * @param {string} text - Full partial translation
+   */
+  updateStreamingText(imageElement, translationId, text) {
+    const entry = this.findOverlay(imageElement, translationId);
+    if (!entry?.element.dataset.pending) return;
+
+    entry.translation.text = text;
+    entry.element.dataset.translatedText = text;
+    entry.element.querySelector('.translated-text').textContent = text;
+  }
+
+  /**
+   * Replace a streaming placeholder with the finished overlay
+   * (fitted, interactive) at the same position
+   * @param {HTMLElement} imageElement
+   * @param {Object} translation - Final translation; same id as the placeholder
+   * @returns {Promise<Object|null>} The new overlay data
+   */
+  async completeStreaming(imageElement, translation) {
+    const data = this.activeOverlays.get(imageElement);
+    const entry = this.findOverlay(imageElement, translation.id);
+    if (!data || !entry) return null;
+
+    const overlay = await this.createOverlay(imageElement, translation, entry.position, data.container);
+    entry.element.replaceWith(overlay.element);
+
+    data.overlays[data.overlays.indexOf(entry)] = overlay;
+    const index = data.translations.findIndex(t => t.id === translation.id);
+    if (index !== -1) data.translations[index] = translation;
+
+    if (this.config.animateIn) {
+      this.animateOverlaysIn([overlay]);
+    }
+    return overlay;
+  }
+
+  /**
+   * Remove a placeholder whose translation failed or was cancelled
+   */
+  dropStreaming(imageElement, translationId) {
+    const data = this.activeOverlays.get(imageElement);
+    const entry = this.findOverlay(imageElement, translationId);
+    if (!data || !entry) return;
+
+    entry.element.remove();
+    data.overlays.splice(data.overlays.indexOf(entry), 1);
+    data.translations = data.translations.filter(t => t.id !== translationId);
+  }
+
+  findOverlay(imageElement, translationId) {
+    const data = this.activeOverlays.get(imageElement);
+    return data?.overlays.find(o => o.translation.id === translationId) || null;
+  }
+
   /**
    * Create tail for speech bubble pointing to character
    */
@@ -590,6 +1136,9 @@ class OverlayInjector {
             translated.style.opacity = '0.7';
           }
         }
+        
+        const suggestions = overlay.querySelector('.tm-suggestions');
+        if (suggestions) suggestions.style.display = 'block';
       });
       
       overlay.addEventListener('mouseleave', () => {
@@ -604,6 +1153,9 @@ class OverlayInjector {
             translated.style.opacity = '1';
           }
         }
+        
+        const suggestions = overlay.querySelector('.tm-suggestions');
+        if (suggestions) suggestions.style.display = 'none';
       });
     }
     
@@ -671,6 +1223,7 @@ class OverlayInjector {
     const items = [
       { label: 'Copy Translation', action: () => navigator.clipboard.writeText(translation.text) },
       { label: 'Copy Original', action: () => navigator.clipboard.writeText(translation.originalText) },
+      { label: 'Edit…', action: () => this.openEditor(overlay, translation) },
       { label: 'Report Issue', action: () => this.reportIssue(translation) },
       { label: 'Hide Overlay', action: () => overlay.remove() },
       { label: 'Reset Position', action: () => this.resetPosition(overlay), disabled: !this.config.draggable }
@@ -713,6 +1266,293 @@ class OverlayInjector {
     }, 0);
   }
 
+  /**
+   * Inline correction editor: fix the OCR source and re-translate just this
+   * bubble, or edit the translation directly. Saved corrections are stored as
+   * user-verified in the translation cache and win over machine results.
+   */
+  openEditor(overlay, translation) {
+    document.querySelector('.manga-overlay-editor')?.remove();
+    
+    // The text OCR produced is the cache key for this bubble, whatever the user changes
+    translation.ocrText = translation.ocrText || translation.originalText;
+    
+    const rect = overlay.getBoundingClientRect();
+    const editor = document.createElement('div');
+    editor.className = 'manga-overlay-editor';
+    editor.style.cssText = `
+      position: fixed;
+      left: ${Math.max(8, Math.min(rect.left, window.innerWidth - 328))}px;
+      top: ${Math.max(8, Math.min(rect.bottom + 8, window.innerHeight - 300))}px;
+      width: 320px;
+      background: white;
+      color: #1a1a1a;
+      border: 1px solid #ccc;
+      border-radius: 6px;
+      box-shadow: 0 4px 16px rgba(0,0,0,0.25);
+      padding: 10px;
+      z-index: 2147483647;
+      font: 13px/1.4 sans-serif;
+    `;
+    
+    const createField = (label, value) => {
+      const labelEl = document.createElement('label');
+      labelEl.textContent = label;
+      labelEl.style.cssText = 'display: block; font-weight: bold; margin: 6px 0 2px;';
+      
+      const textarea = document.createElement('textarea');
+      textarea.value = value || '';
+      textarea.rows = 3;
+      textarea.style.cssText = 'display: block; width: 100%; box-sizing: border-box; resize: vertical; font: inherit;';
+      
+      editor.append(labelEl, textarea);
+      return textarea;
+    };
+    
+    const source = createField('Source (OCR)', translation.originalText);
+    const target = createField('Translation', translation.text);
+    
+    // Naming a speaker here names them for every bubble in the series
+    let speakerInput = null;
+    if (translation.speaker && this.config.onSpeakerNamed) {
+      const labelEl = document.createElement('label');
+      labelEl.textContent = 'Speaker (whole series)';
+      labelEl.style.cssText = 'display: block; font-weight: bold; margin: 6px 0 2px;';
+      
+      speakerInput = document.createElement('input');
+      speakerInput.type = 'text';
+      speakerInput.value = translation.speaker.name || '';
+      speakerInput.placeholder = `Unnamed (${translation.speaker.id})`;
+      speakerInput.style.cssText = 'display: block; width: 100%; box-sizing: border-box; font: inherit;';
+      
+      editor.append(labelEl, speakerInput);
+    }
+    
+    const status = document.createElement('div');
+    status.className = 'editor-status';
+    status.style.cssText = 'min-height: 1.4em; margin-top: 4px; color: #666; font-size: 12px;';
+    editor.appendChild(status);
+    
+    const actions = document.createElement('div');
+    actions.style.cssText = 'display: flex; gap: 6px; justify-content: flex-end; margin-top: 6px;';
+    editor.appendChild(actions);
+    
+    const createButton = (label, onClick) => {
+      const btn = document.createElement('button');
+      btn.textContent = label;
+      btn.style.cssText = 'padding: 4px 10px; cursor: pointer;';
+      btn.addEventListener('click', onClick);
+      actions.appendChild(btn);
+      return btn;
+    };
+    
+    const close = () => {
+      editor.remove();
+      document.removeEventListener('keydown', onKey, true);
+    };
+    
+    const retranslate = async () => {
+      const text = source.value.trim();
+      if (!text) return;
+      
+      retranslateBtn.disabled = true;
+      status.textContent = 'Translating…';
+      try {
+        const response = await chrome.runtime.sendMessage({
+          type: 'RETRANSLATE_REGION',
+          payload: {
+            text,
+            sourceLang: translation.sourceLang,
+            targetLang: translation.targetLang,
+            bubbleType: translation.bubbleType,
+            readings: translation.furigana?.map(({ base, reading }) => ({ base, reading })) || [],
+            speaker: translation.speaker?.id || null
+          }
+        });
+        if (!response?.success) {
+          throw new Error(response?.error || 'Translation failed');
+        }
+        
+        target.value = response.data.translation.text;
+        status.textContent = `Translated with ${response.data.translation.engine}. Save to keep it.`;
+      } catch (error) {
+        console.warn('[OverlayInjector] Re-translation failed:', error);
+        status.textContent = error.message;
+      } finally {
+        retranslateBtn.disabled = false;
+      }
+    };
+    
+    const save = () => {
+      const text = target.value.trim();
+      if (!text) {
+        status.textContent = 'Translation cannot be empty.';
+        return;
+      }
+      
+      this.applyCorrection(overlay, translation, {
+        originalText: source.value.trim() || translation.ocrText,
+        text
+      });
+      
+      const speakerName = speakerInput?.value.trim();
+      if (speakerInput && speakerName !== (translation.speaker.name || '')) {
+        this.config.onSpeakerNamed(translation.speaker.id, speakerName).catch(error => {
+          console.warn('[OverlayInjector] Could not name speaker:', error);
+        });
+      }
+      
+      close();
+    };
+    
+    const onKey = (e) => {
+      if (e.key === 'Escape') {
+        close();
+      } else if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+        e.preventDefault();
+        save();
+      }
+    };
+    
+    const retranslateBtn = createButton('Re-translate', retranslate);
+    createButton('Cancel', close);
+    createButton('Save', save);
+    
+    // Keep page shortcuts and overlay click-to-toggle away from the editor
+    editor.addEventListener('click', e => e.stopPropagation());
+    editor.addEventListener('keydown', e => e.stopPropagation());
+    document.addEventListener('keydown', onKey, true);
+    
+    document.body.appendChild(editor);
+    target.focus();
+  }
+
+  /**
+   * Show corrected text on an overlay and store it as a user-verified translation
+   * @param {HTMLElement} overlay
+   * @param {Object} translation
+   * @param {{originalText?: string, text?: string}} changes
+   * @param {Object} [options]
+   * @param {boolean} [options.save=true] - False while the user is still typing elsewhere
+   */
+  applyCorrection(overlay, translation, changes, { save = true } = {}) {
+    if (overlay.dataset.cleaned === 'true') {
+      this.editTranslation(translation.id, changes, { save }).catch(error => {
+        console.warn('[OverlayInjector] Could not redraw cleaned bubble:', error);
+      });
+      return;
+    }
+    
+    if (changes.originalText !== undefined) translation.originalText = changes.originalText;
+    if (changes.text !== undefined) translation.text = changes.text;
+    
+    overlay.dataset.originalText = translation.originalText;
+    const originalEl = overlay.querySelector('.original-text');
+    if (originalEl) this.renderOriginalText(originalEl, translation);
+    this.renderTranslatedText(overlay, translation);
+    
+    if (save) this.saveCorrection(translation, overlay);
+  }
+
+  /**
+   * Store a translation as user-verified so the cache serves it from now on
+   */
+  saveCorrection(translation, overlay = null) {
+    translation.userVerified = true;
+    if (overlay) overlay.dataset.verified = 'true';
+    
+    chrome.runtime.sendMessage({
+      type: 'SAVE_CORRECTION',
+      payload: {
+        ocrText: translation.ocrText,
+        correctedSource: translation.originalText,
+        translatedText: translation.text,
+        sourceLang: translation.sourceLang,
+        targetLang: translation.targetLang
+      }
+    });
+    this.config.onTranslationEdited?.(translation);
+  }
+
+  // ==================== Lookup by translation ====================
+
+  /**
+   * Page, overlay and translation for a translation id, across all pages
+   * @returns {{imageElement: HTMLElement, entry: Object|null, hitTarget: Object|null, translation: Object}|null}
+   *   entry is null for bubbles lettered onto the clean layer, which have a hitTarget instead
+   */
+  findTranslation(translationId) {
+    for (const [imageElement, data] of this.activeOverlays) {
+      const translation = data.translations.find(t => t.id === translationId);
+      if (translation) {
+        const entry = data.overlays.find(o => o.translation.id === translationId) || null;
+        const hitTarget = data.hitTargets?.find(o => o.translation.id === translationId) || null;
+        return { imageElement, entry, hitTarget, translation };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Scroll a bubble into view and pulse its overlay
+   * @returns {boolean} Whether the bubble was found
+   */
+  focusTranslation(translationId) {
+    const found = this.findTranslation(translationId);
+    if (!found) return false;
+
+    const { imageElement, entry, hitTarget } = found;
+    const el = (entry || hitTarget)?.element;
+    (el || imageElement).scrollIntoView({ behavior: 'smooth', block: 'center' });
+
+    if (el) {
+      el.style.opacity = '1';
+      el.classList.add('highlight');
+      clearTimeout(el._highlightTimer);
+      el._highlightTimer = setTimeout(() => el.classList.remove('highlight'), 2000);
+    }
+    return true;
+  }
+
+  /**
+   * Apply an edit made outside the page (side panel transcript)
+   * @param {string} translationId
+   * @param {{originalText?: string, text?: string}} changes
+   * @param {Object} [options]
+   * @param {boolean} [options.save=true] - Store as a correction; false for keystroke previews
+   * @returns {Promise<Object|null>} The updated translation
+   */
+  async editTranslation(translationId, changes, { save = true } = {}) {
+    const found = this.findTranslation(translationId);
+    if (!found) return null;
+
+    const { imageElement, entry, translation } = found;
+    if (entry) {
+      this.applyCorrection(entry.element, translation, changes, { save });
+      return translation;
+    }
+
+    // Lettered onto the clean layer: previews redraw it once typing pauses
+    if (changes.originalText !== undefined) translation.originalText = changes.originalText;
+    if (changes.text !== undefined) translation.text = changes.text;
+    clearTimeout(this.cleanRedrawTimer);
+    if (save) {
+      await this.inject(imageElement, this.activeOverlays.get(imageElement).translations);
+      const redrawn = this.findTranslation(translationId);
+      this.saveCorrection(translation, (redrawn?.entry || redrawn?.hitTarget)?.element);
+    } else {
+      this.cleanRedrawTimer = setTimeout(() => {
+        const data = this.activeOverlays.get(imageElement);
+        if (data) {
+          this.inject(imageElement, data.translations).catch(error => {
+            console.warn('[OverlayInjector] Could not redraw clean layer:', error);
+          });
+        }
+      }, 400);
+    }
+    return translation;
+  }
+
   /**
    * Make overlay draggable
    */
@@ -818,6 +1658,9 @@ class OverlayInjector {
     const existing = this.activeOverlays.get(imageElement);
     if (existing) {
       existing.overlays.forEach(o => o.element.remove());
+      existing.hitTargets?.forEach(o => o.element.remove());
+      existing.cleanLayer?.remove();
+      existing.translations.forEach(t => this.overflowReports.delete(t.id));
       this.activeOverlays.delete(imageElement);
     }
   }
@@ -828,9 +1671,12 @@ class OverlayInjector {
   clearAll() {
     this.activeOverlays.forEach((data, imageElement) => {
       data.overlays.forEach(o => o.element.remove());
+      data.hitTargets?.forEach(o => o.element.remove());
+      data.cleanLayer?.remove();
       data.container?.remove();
     });
     this.activeOverlays.clear();
+    this.overflowReports.clear();
   }
 
   /**
@@ -843,6 +1689,19 @@ class OverlayInjector {
     }
   }
 
+  /**
+   * Switch between box overlays and clean rendering, re-rendering active pages
+   * @param {string} mode - 'overlay' or 'clean'
+   */
+  async setRenderMode(mode) {
+    if (mode === this.config.renderMode) return;
+    this.config.renderMode = mode;
+    
+    for (const [imageElement, data] of Array.from(this.activeOverlays.entries())) {
+      await this.inject(imageElement, data.translations);
+    }
+  }
+
   /**
    * Refresh all existing overlays with new styles
    */
@@ -888,9 +1747,29 @@ class OverlayInjector {
         50% { box-shadow: 0 4px 20px rgba(0,0,0,0.5); }
       }
       
-      .manga-translation-overlay.highlight {
+      .manga-translation-overlay.highlight,
+      .manga-clean-hit.highlight {
         animation: overlayPulse 1s ease infinite;
       }
+      
+      /* Streaming placeholder: shimmer until the translation is complete */
+      @keyframes overlayShimmer {
+        0% { background-position: 100% 0; }
+        100% { background-position: -100% 0; }
+      }
+      
+      .manga-translation-overlay[data-pending="true"] {
+        background-image: linear-gradient(100deg,
+          transparent 30%, rgba(180, 180, 180, 0.35) 50%, transparent 70%) !important;
+        background-size: 200% 100% !important;
+        animation: overlayShimmer 1.2s linear infinite;
+        cursor: progress;
+      }
+      
+      /* Tate-chu-yoko: short numbers set across the column */
+      .manga-translation-overlay .tcy {
+        text-combine-upright: all;
+      }
     `;
     
     document.head.appendChild(style);
@@ -957,6 +1836,7 @@ class OverlayInjector {
    */
   destroy() {
     this.clearAll();
+    document.querySelector('.manga-overlay-editor')?.remove();
     document.getElementById('manga-overlay-styles')?.remove();
     this.stylesInjected = false;
   }
@@ -0,0 +1,265 @@
+/**
+ * Reading Order Editor - Fix bubble order on a translated page
+ *
+ * Numbers every bubble on one page image in its current reading order and
+ * lets the user drag a number onto another to move that bubble there.
+ * The saved order is kept per series (ReadingOrderStore) so this page keeps
+ * it and later chapters learn the same layout.
+ *
+ * @module content/reading-order-editor
+ */
+
+const UI_ATTRIBUTE = 'data-manga-reading-order';
+
+const BADGE_SIZE = 26;
+
+/**
+ * Drag-to-reorder editor for one page image
+ */
+export class ReadingOrderEditor {
+  /**
+   * @param {HTMLImageElement} imageElement - Page being edited
+   * @param {Array} translations - Regions in their current order (with boundingBox)
+   * @param {Object} options
+   * @param {{width: number, height: number}} options.pageSize - Size boundingBox coordinates refer to
+   */
+  constructor(imageElement, translations, options = {}) {
+    this.image = imageElement;
+    this.initial = [...translations];
+    this.order = [...translations];
+    this.pageSize = options.pageSize || null;
+    this.layer = null;
+    this.lines = null;
+    this.panel = null;
+    this.status = null;
+    this.badges = [];
+    this.drag = null;
+    this.resolve = null;
+
+    this.onKeyDown = this.onKeyDown.bind(this);
+    this.onResize = this.onResize.bind(this);
+    this.onPointerMove = this.onPointerMove.bind(this);
+    this.onPointerUp = this.onPointerUp.bind(this);
+  }
+
+  /**
+   * Start editing
+   * @returns {Promise<Array|null>} Translations in the new order, or null if cancelled
+   */
+  start() {
+    this.createUI();
+    this.render();
+    document.addEventListener('keydown', this.onKeyDown, true);
+    window.addEventListener('resize', this.onResize);
+    this.image.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+
+    return new Promise(resolve => {
+      this.resolve = resolve;
+    });
+  }
+
+  /**
+   * Leave without saving
+   */
+  cancel() {
+    this.finish(null);
+  }
+
+  // ==================== UI ====================
+
+  createUI() {
+    this.layer = document.createElement('div');
+    this.layer.setAttribute(UI_ATTRIBUTE, '');
+    this.layer.style.cssText = `
+      position: absolute;
+      z-index: 2147483646;
+      pointer-events: none;
+    `;
+
+    this.lines = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+    this.lines.style.cssText = 'position: absolute; inset: 0; width: 100%; height: 100%; overflow: visible;';
+    this.layer.appendChild(this.lines);
+
+    this.panel = document.createElement('div');
+    this.panel.setAttribute(UI_ATTRIBUTE, '');
+    this.panel.style.cssText = `
+      position: fixed;
+      top: 12px;
+      right: 12px;
+      width: 280px;
+      background: white;
+      color: #1a1a1a;
+      border: 1px solid #ccc;
+      border-radius: 6px;
+      box-shadow: 0 4px 16px rgba(0,0,0,0.25);
+      padding: 10px;
+      z-index: 2147483647;
+      font: 13px/1.4 sans-serif;
+    `;
+
+    const title = document.createElement('div');
+    title.textContent = 'Reading order';
+    title.style.cssText = 'font-weight: bold; margin-bottom: 4px;';
+    const help = document.createElement('div');
+    help.textContent = 'Drag a number onto another to move that bubble there. Esc to cancel.';
+    this.status = document.createElement('div');
+    this.status.style.cssText = 'min-height: 1.4em; margin-top: 4px; color: #666; font-size: 12px;';
+
+    const actions = document.createElement('div');
+    actions.style.cssText = 'display: flex; gap: 6px; justify-content: flex-end; margin-top: 8px;';
+    const addButton = (label, onClick) => {
+      const btn = document.createElement('button');
+      btn.textContent = label;
+      btn.style.cssText = 'padding: 4px 10px; cursor: pointer;';
+      btn.addEventListener('click', onClick);
+      actions.appendChild(btn);
+      return btn;
+    };
+    addButton('Reset', () => {
+      this.order = [...this.initial];
+      this.render();
+    });
+    addButton('Cancel', () => this.cancel());
+    addButton('Save', () => this.finish(this.order));
+
+    this.panel.append(title, help, this.status, actions);
+    document.body.append(this.layer, this.panel);
+  }
+
+  /**
+   * Place the layer over the image and draw numbered badges in the current order
+   */
+  render() {
+    const rect = this.image.getBoundingClientRect();
+    const scale = this.pageSize?.width ? rect.width / this.pageSize.width : 1;
+
+    Object.assign(this.layer.style, {
+      left: `${rect.left + window.scrollX}px`,
+      top: `${rect.top + window.scrollY}px`,
+      width: `${rect.width}px`,
+      height: `${rect.height}px`
+    });
+
+    this.badges.forEach(badge => badge.remove());
+    this.badges = [];
+    this.lines.replaceChildren();
+
+    const centers = this.order.map(({ boundingBox: box }) => ({
+      x: (box.x + box.width / 2) * scale,
+      y: (box.y + box.height / 2) * scale
+    }));
+
+    // Path through the bubbles so jumps in the order stand out
+    if (centers.length > 1) {
+      const path = document.createElementNS('http://www.w3.org/2000/svg', 'polyline');
+      path.setAttribute('points', centers.map(c => `${c.x},${c.y}`).join(' '));
+      path.setAttribute('fill', 'none');
+      path.setAttribute('stroke', 'rgba(230, 57, 70, 0.7)');
+      path.setAttribute('stroke-width', '2');
+      path.setAttribute('stroke-dasharray', '6 4');
+      this.lines.appendChild(path);
+    }
+
+    centers.forEach((center, index) => {
+      const badge = document.createElement('div');
+      badge.textContent = String(index + 1);
+      badge.dataset.index = String(index);
+      badge.title = this.order[index].originalText || this.order[index].text || '';
+      badge.style.cssText = `
+        position: absolute;
+        left: ${center.x - BADGE_SIZE / 2}px;
+        top: ${center.y - BADGE_SIZE / 2}px;
+        width: ${BADGE_SIZE}px;
+        height: ${BADGE_SIZE}px;
+        border-radius: 50%;
+        background: #e63946;
+        color: white;
+        font: bold 13px/${BADGE_SIZE}px sans-serif;
+        text-align: center;
+        box-shadow: 0 2px 6px rgba(0,0,0,0.35);
+        cursor: grab;
+        pointer-events: auto;
+        touch-action: none;
+        user-select: none;
+      `;
+      badge.addEventListener('pointerdown', e => this.onPointerDown(e, index));
+      this.layer.appendChild(badge);
+      this.badges.push(badge);
+    });
+
+    this.status.textContent = `${this.order.length} bubbles`;
+  }
+
+  // ==================== Dragging ====================
+
+  onPointerDown(e, index) {
+    e.preventDefault();
+    e.stopPropagation();
+
+    const badge = this.badges[index];
+    badge.setPointerCapture?.(e.pointerId);
+    badge.style.cursor = 'grabbing';
+    badge.style.zIndex = '1';
+    this.drag = { index, badge, startX: e.clientX, startY: e.clientY };
+
+    document.addEventListener('pointermove', this.onPointerMove, true);
+    document.addEventListener('pointerup', this.onPointerUp, true);
+  }
+
+  onPointerMove(e) {
+    if (!this.drag) return;
+    const { badge, startX, startY } = this.drag;
+    badge.style.transform = `translate(${e.clientX - startX}px, ${e.clientY - startY}px)`;
+  }
+
+  onPointerUp(e) {
+    document.removeEventListener('pointermove', this.onPointerMove, true);
+    document.removeEventListener('pointerup', this.onPointerUp, true);
+    if (!this.drag) return;
+
+    const { index, badge } = this.drag;
+    this.drag = null;
+
+    // The dragged badge sits under the pointer; look for the one beneath it
+    const target = document.elementsFromPoint(e.clientX, e.clientY)
+      .find(el => el !== badge && this.badges.includes(el));
+
+    if (target) {
+      const [moved] = this.order.splice(index, 1);
+      this.order.splice(Number(target.dataset.index), 0, moved);
+    }
+    this.render();
+  }
+
+  onKeyDown(e) {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      e.stopPropagation();
+      this.cancel();
+    }
+  }
+
+  onResize() {
+    this.render();
+  }
+
+  /**
+   * Tear down listeners and UI and settle start()
+   */
+  finish(result) {
+    document.removeEventListener('keydown', this.onKeyDown, true);
+    document.removeEventListener('pointermove', this.onPointerMove, true);
+    document.removeEventListener('pointerup', this.onPointerUp, true);
+    window.removeEventListener('resize', this.onResize);
+    this.layer?.remove();
+    this.panel?.remove();
+    this.layer = null;
+    this.panel = null;
+    this.badges = [];
+
+    this.resolve?.(result);
+    this.resolve = null;
+  }
+}
+
+export default ReadingOrderEditor;
@@ -0,0 +1,229 @@
+/**
+ * Adapter Definition - Declarative site adapter format
+ *
+ * Sites without a hand-written adapter can be described in JSON and run by
+ * DeclarativeAdapter. This module holds the format itself: validation, URL
+ * matching and normalization. It has no DOM dependencies so the service worker
+ * and options page can use it too.
+ *
+ * Example:
+ * {
+ *   "id": "example-reader",
+ *   "name": "Example Reader",
+ *   "version": 1,
+ *   "match": ["https://example.com/read/*", "*://*.example.org/chapter/*"],
+ *   "reader": {
+ *     "container": "#reader",
+ *     "image": "#reader img.page",
+ *     "imageAttribute": "data-src"
+ *   },
+ *   "metadata": {
+ *     "series": { "selector": "h1.series-title" },
+ *     "chapter": { "url": "/chapter-(\\d+(?:\\.\\d+)?)" },
+ *     "chapterTitle": { "selector": ".chapter-name", "pattern": ":\\s*(.+)$" }
+ *   },
+ *   "navigation": { "next": "a.next-chapter", "prev": "a.prev-chapter" },
+ *   "readingDirection": "rtl"
+ * }
+ *
+ * @module content/site-adapters/adapter-definition
+ */
+
+export const DEFINITION_VERSION = 1;
+
+export const READING_DIRECTIONS = ['rtl', 'ltr', 'ttb'];
+
+const METADATA_FIELDS = ['series', 'chapter', 'chapterTitle', 'seriesId', 'chapterId'];
+
+/**
+ * Convert a match pattern ("*://*.example.com/read/*") to a RegExp
+ * Scheme and host wildcards follow extension match pattern rules;
+ * "*" in the path matches anything
+ * @param {string} pattern
+ * @returns {RegExp}
+ */
+export function matchPatternToRegExp(pattern) {
+  const match = /^(\*|https?|file):\/\/(\*|\*\.[^/*]+|[^/*]+)?(\/.*)?$/.exec(pattern.trim());
+  if (!match) {
+    throw new Error(`Invalid match pattern: ${pattern}`);
+  }
+
+  const [, scheme, host = '*', path = '/*'] = match;
+  const escape = value => value.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+
+  const schemePart = scheme === '*' ? 'https?' : escape(scheme);
+  let hostPart;
+  if (host === '*') {
+    hostPart = '[^/]*';
+  } else if (host.startsWith('*.')) {
+    hostPart = `(?:[^/]*\\.)?${escape(host.slice(2))}`;
+  } else {
+    hostPart = escape(host);
+  }
+  const pathPart = path.split('*').map(escape).join('.*');
+
+  return new RegExp(`^${schemePart}://${hostPart}(?::\\d+)?${pathPart}$`, 'i');
+}
+
+/**
+ * Whether a definition applies to a URL
+ * @param {Object} definition
+ * @param {string} url
+ * @returns {boolean}
+ */
+export function definitionMatchesUrl(definition, url) {
+  return (definition.match || []).some(pattern => {
+    try {
+      return matchPatternToRegExp(pattern).test(url);
+    } catch (error) {
+      return false;
+    }
+  });
+}
+
+/**
+ * First enabled definition for a URL
+ * @param {Array<Object>} definitions
+ * @param {string} url
+ * @returns {Object|null}
+ */
+export function findDefinitionForUrl(definitions, url) {
+  return (definitions || []).find(def => def.enabled !== false && definitionMatchesUrl(def, url)) || null;
+}
+
+/**
+ * Check a definition before it is stored or run
+ * @param {Object} definition
+ * @returns {{ valid: boolean, errors: Array<string> }}
+ */
+export function validateDefinition(definition) {
+  const errors = [];
+
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    return { valid: false, errors: ['Definition must be a JSON object'] };
+  }
+
+  if (typeof definition.id !== 'string' || !/^[a-z0-9][a-z0-9._-]*$/i.test(definition.id)) {
+    errors.push('"id" is required (letters, digits, ".", "_" and "-")');
+  }
+
+  if (!Array.isArray(definition.match) || definition.match.length === 0) {
+    errors.push('"match" must list at least one URL pattern');
+  } else {
+    definition.match.forEach(pattern => {
+      try {
+        matchPatternToRegExp(pattern);
+      } catch (error) {
+        errors.push(error.message);
+      }
+    });
+  }
+
+  if (typeof definition.reader?.image !== 'string' || !definition.reader.image.trim()) {
+    errors.push('"reader.image" selector is required');
+  }
+
+  // Selectors are checked against a detached fragment where available
+  const selectors = [
+    ['reader.container', definition.reader?.container],
+    ['reader.image', definition.reader?.image],
+    ['navigation.next', definition.navigation?.next],
+    ['navigation.prev', definition.navigation?.prev],
+    ...METADATA_FIELDS.map(field => [`metadata.${field}.selector`, definition.metadata?.[field]?.selector])
+  ];
+  if (typeof document !== 'undefined') {
+    const fragment = document.createDocumentFragment();
+    for (const [path, selector] of selectors) {
+      if (!selector) continue;
+      try {
+        fragment.querySelector(selector);
+      } catch (error) {
+        errors.push(`"${path}" is not a valid selector: ${selector}`);
+      }
+    }
+  }
+
+  for (const field of METADATA_FIELDS) {
+    const rule = definition.metadata?.[field];
+    if (!rule) continue;
+
+    if (!rule.selector && !rule.url && !rule.meta) {
+      errors.push(`"metadata.${field}" needs a selector, url or meta rule`);
+    }
+    for (const key of ['url', 'pattern']) {
+      if (!rule[key]) continue;
+      try {
+        new RegExp(rule[key]);
+      } catch (error) {
+        errors.push(`"metadata.${field}.${key}" is not a valid regular expression`);
+      }
+    }
+  }
+
+  if (definition.readingDirection && !READING_DIRECTIONS.includes(definition.readingDirection)) {
+    errors.push(`"readingDirection" must be one of ${READING_DIRECTIONS.join(', ')}`);
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Fill in defaults for optional fields
+ * @param {Object} definition - Validated definition
+ * @returns {Object}
+ */
+export function normalizeDefinition(definition) {
+  return {
+    version: DEFINITION_VERSION,
+    name: definition.name || definition.id,
+    enabled: true,
+    readingDirection: 'rtl',
+    ...definition,
+    reader: {
+      container: null,
+      imageAttribute: null, // e.g. data-src for lazy readers
+      minWidth: 200,
+      ...definition.reader
+    },
+    metadata: { ...definition.metadata },
+    navigation: { next: null, prev: null, ...definition.navigation }
+  };
+}
+
+/**
+ * Parse an imported file: one definition or an array of them
+ * @param {string} json
+ * @returns {{ definitions: Array<Object>, errors: Array<string> }}
+ */
+export function parseDefinitions(json) {
+  let parsed;
+  try {
+    parsed = JSON.parse(json);
+  } catch (error) {
+    return { definitions: [], errors: [`Invalid JSON: ${error.message}`] };
+  }
+
+  const definitions = [];
+  const errors = [];
+
+  (Array.isArray(parsed) ? parsed : [parsed]).forEach((definition, index) => {
+    const result = validateDefinition(definition);
+    if (result.valid) {
+      definitions.push(normalizeDefinition(definition));
+    } else {
+      const label = definition?.id || `#${index + 1}`;
+      errors.push(...result.errors.map(error => `${label}: ${error}`));
+    }
+  });
+
+  return { definitions, errors };
+}
+
+export default {
+  matchPatternToRegExp,
+  definitionMatchesUrl,
+  findDefinitionForUrl,
+  validateDefinition,
+  normalizeDefinition,
+  parseDefinitions
+};
@@ -173,6 +173,24 @@ export class CubariAdapter extends MangaAdapter {
     return metadata;
   }
 
+  /**
+   * Series/chapter metadata for ContextPreserver sessions
+   * @returns {Promise<Object|null>}
+   */
+  async getSeriesMetadata() {
+    const metadata = await this.extractMetadata();
+    if (!metadata.seriesId) return null;
+    
+    return {
+      mangaId: `cubari:${metadata.seriesId}`,
+      mangaTitle: metadata.title,
+      chapterId: metadata.chapterId,
+      chapterNumber: metadata.chapter.number,
+      sourceUrl: metadata.url,
+      totalPages: metadata.totalPages
+    };
+  }
+
   /**
    * Extract title from various Cubari layouts
    */
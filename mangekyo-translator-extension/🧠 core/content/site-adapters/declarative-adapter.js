@@ -0,0 +1,368 @@
+/**
+ * Declarative Adapter - Runs a JSON site definition
+ *
+ * Generic runtime for adapters described with the format in adapter-definition.js:
+ * URL match patterns, reader/image selectors, chapter and series extraction rules,
+ * next/prev navigation and reading direction. Lets sites be supported without a
+ * hand-written MangaAdapter subclass or a code release.
+ *
+ * @module content/site-adapters/declarative-adapter
+ */
+
+import { MangaAdapter } from './base-adapter.js';
+import { PerformanceMonitor } from '../../shared/utils/performance-monitor.js';
+import { definitionMatchesUrl, normalizeDefinition } from './adapter-definition.js';
+
+/**
+ * Adapter driven by a declarative definition
+ */
+export class DeclarativeAdapter extends MangaAdapter {
+  /**
+   * @param {Object} definition - Validated definition (see adapter-definition.js)
+   */
+  constructor(definition) {
+    super();
+    this.definition = normalizeDefinition(definition);
+    this.platform = `declarative:${this.definition.id}`;
+    this.name = this.definition.name;
+    this.priority = 50; // Above the generic fallback, below hand-written adapters
+    this.readingDirection = this.definition.readingDirection;
+
+    const { reader, navigation, metadata } = this.definition;
+    this.selectors = {
+      readerContainer: reader.container,
+      image: reader.image,
+      nextButton: navigation.next,
+      prevButton: navigation.prev,
+      title: metadata.series?.selector || null,
+      chapterTitle: metadata.chapterTitle?.selector || null
+    };
+
+    this.observer = null;
+    this.processedImages = new WeakSet();
+  }
+
+  /**
+   * Check if the definition applies to the current page
+   * @returns {boolean}
+   */
+  isMatch() {
+    return definitionMatchesUrl(this.definition, window.location.href);
+  }
+
+  /**
+   * Initialize adapter for current page
+   */
+  async initialize() {
+    if (this.initialized) return;
+
+    console.log(`[DeclarativeAdapter] Initializing "${this.definition.id}"...`);
+    const perfMark = PerformanceMonitor.mark('declarative-init');
+
+    this.setupMutationObserver();
+
+    this.initialized = true;
+    PerformanceMonitor.measure(perfMark, 'declarative-init-complete');
+
+    this.emit('ready', {
+      platform: this.platform,
+      url: window.location.href,
+      metadata: await this.extractMetadata()
+    });
+  }
+
+  // ==================== Scanner interface ====================
+
+  /**
+   * Selectors whose presence confirms a reader page
+   */
+  getIndicators() {
+    return [this.selectors.readerContainer, this.selectors.image].filter(Boolean);
+  }
+
+  /**
+   * Selectors for page images
+   */
+  getImageSelectors() {
+    return [this.selectors.image];
+  }
+
+  /**
+   * Whether a newly added node belongs to the reader
+   */
+  isContentContainer(node) {
+    const { readerContainer, image } = this.selectors;
+    return Boolean(
+      (readerContainer && (node.matches?.(readerContainer) || node.closest?.(readerContainer))) ||
+      node.matches?.(image) ||
+      node.querySelector?.(image)
+    );
+  }
+
+  // ==================== Images ====================
+
+  /**
+   * Page images in document order
+   * @returns {HTMLImageElement[]}
+   */
+  getImageElements() {
+    const root = this.getReaderContainer();
+    const { minWidth } = this.definition.reader;
+
+    return Array.from(root.querySelectorAll(this.selectors.image)).filter(img => {
+      // Lazy images may not have a layout yet; keep them if they have a source
+      if (!img.complete || img.naturalWidth === 0) return Boolean(this.getImageUrl(img));
+      return img.naturalWidth >= minWidth;
+    });
+  }
+
+  /**
+   * Image URL, honoring the definition's lazy-load attribute
+   */
+  getImageUrl(img) {
+    const attribute = this.definition.reader.imageAttribute;
+    return (attribute && img.getAttribute(attribute)) || img.currentSrc || img.src || '';
+  }
+
+  /**
+   * Get reader container element
+   */
+  getReaderContainer() {
+    return (this.selectors.readerContainer && document.querySelector(this.selectors.readerContainer)) ||
+           document.body;
+  }
+
+  /**
+   * Watch the reader for lazily inserted pages
+   */
+  setupMutationObserver() {
+    const container = this.getReaderContainer();
+
+    this.observer = new MutationObserver(mutations => {
+      for (const mutation of mutations) {
+        mutation.addedNodes.forEach(node => {
+          if (node.nodeType !== Node.ELEMENT_NODE) return;
+          const images = node.matches(this.selectors.image)
+            ? [node]
+            : Array.from(node.querySelectorAll(this.selectors.image));
+          images.forEach(img => this.handleNewImage(img));
+        });
+      }
+    });
+
+    this.observer.observe(container, { childList: true, subtree: true });
+  }
+
+  /**
+   * Announce a new page image once
+   */
+  handleNewImage(img) {
+    if (this.processedImages.has(img)) return;
+    this.processedImages.add(img);
+    this.emit('imageAdded', { element: img, src: this.getImageUrl(img) });
+  }
+
+  // ==================== Metadata ====================
+
+  /**
+   * Apply an extraction rule
+   * Rules: { selector, attribute } reads an element, { url } matches location.href,
+   * { meta } reads a <meta property|name>; { pattern } then keeps the first capture group
+   * @param {Object} rule
+   * @returns {string|null}
+   */
+  extractValue(rule) {
+    if (!rule) return null;
+    let value = null;
+
+    if (rule.url) {
+      const match = window.location.href.match(new RegExp(rule.url));
+      value = match ? (match[1] ?? match[0]) : null;
+    } else if (rule.meta) {
+      const meta = document.querySelector(`meta[property="${rule.meta}"], meta[name="${rule.meta}"]`);
+      value = meta?.content || null;
+    } else if (rule.selector) {
+      const el = document.querySelector(rule.selector);
+      value = el ? (rule.attribute ? el.getAttribute(rule.attribute) : el.textContent) : null;
+    }
+
+    if (value && rule.pattern) {
+      const match = value.match(new RegExp(rule.pattern));
+      value = match ? (match[1] ?? match[0]) : null;
+    }
+
+    return value ? value.trim() : null;
+  }
+
+  /**
+   * Extract page metadata from the definition's rules
+   */
+  async extractMetadata() {
+    const { metadata } = this.definition;
+    const chapter = this.extractValue(metadata.chapter);
+
+    return {
+      platform: this.platform,
+      url: window.location.href,
+      title: this.extractValue(metadata.series) || document.title.replace(/ - .*$/, '').trim(),
+      seriesId: this.extractValue(metadata.seriesId),
+      chapterId: this.extractValue(metadata.chapterId) || chapter,
+      chapter: {
+        number: chapter ? parseFloat(chapter) : null,
+        title: this.extractValue(metadata.chapterTitle)
+      },
+      readingDirection: this.readingDirection,
+      totalPages: this.getTotalPages(),
+      detectionMethod: 'declarative'
+    };
+  }
+
+  /**
+   * Series/chapter metadata for ContextPreserver sessions
+   * @returns {Promise<Object|null>}
+   */
+  async getSeriesMetadata() {
+    const metadata = await this.extractMetadata();
+    const seriesKey = metadata.seriesId || metadata.title;
+    if (!seriesKey) return null;
+
+    return {
+      mangaId: `${this.definition.id}:${seriesKey}`,
+      mangaTitle: metadata.title,
+      chapterId: metadata.chapterId,
+      chapterNumber: metadata.chapter.number,
+      sourceUrl: metadata.url,
+      totalPages: metadata.totalPages
+    };
+  }
+
+  // ==================== Navigation ====================
+
+  /**
+   * Image closest to the viewport center
+   */
+  getCurrentViewportImage() {
+    const center = window.innerHeight / 2;
+    let closest = null;
+    let best = Infinity;
+
+    for (const img of this.getImageElements()) {
+      const rect = img.getBoundingClientRect();
+      const distance = Math.abs(rect.top + rect.height / 2 - center);
+      if (distance < best) {
+        best = distance;
+        closest = img;
+      }
+    }
+
+    return closest;
+  }
+
+  getCurrentPage() {
+    const index = this.getImageElements().indexOf(this.getCurrentViewportImage());
+    return index >= 0 ? index + 1 : 1;
+  }
+
+  getTotalPages() {
+    return this.getImageElements().length;
+  }
+
+  /**
+   * Navigate to next page
+   */
+  async nextPage() {
+    return this.navigate(this.selectors.nextButton, 1);
+  }
+
+  /**
+   * Navigate to previous page
+   */
+  async prevPage() {
+    return this.navigate(this.selectors.prevButton, -1);
+  }
+
+  /**
+   * Click the configured control, or scroll to the neighbouring image
+   * in long-strip readers without one
+   */
+  async navigate(selector, step) {
+    const control = selector && document.querySelector(selector);
+    if (control) {
+      control.click();
+      return true;
+    }
+
+    const images = this.getImageElements();
+    const target = images[images.indexOf(this.getCurrentViewportImage()) + step];
+    if (target) {
+      target.scrollIntoView({ behavior: 'smooth', block: 'start' });
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Page URLs of the chapter behind the "next" link, read from its HTML
+   * @returns {Promise<{key, title, pages}|null>}
+   */
+  async getNextChapterPages() {
+    const href = this.selectors.nextButton &&
+      document.querySelector(this.selectors.nextButton)?.closest('a[href]')?.getAttribute('href');
+    if (!href) return null;
+
+    const url = new URL(href, window.location.href).href;
+    const response = await fetch(url, { credentials: 'include' });
+    const doc = new DOMParser().parseFromString(await response.text(), 'text/html');
+    const attribute = this.definition.reader.imageAttribute;
+
+    const pages = Array.from(doc.querySelectorAll(this.selectors.image))
+      .map(img => (attribute && img.getAttribute(attribute)) || img.getAttribute('src'))
+      .filter(Boolean)
+      .map(src => new URL(src, url).href);
+
+    return {
+      key: url,
+      title: (this.selectors.chapterTitle && doc.querySelector(this.selectors.chapterTitle)?.textContent.trim()) || url,
+      pages
+    };
+  }
+
+  // ==================== Testing ====================
+
+  /**
+   * Run every rule against the current page (options page "Test" button)
+   * @returns {Promise<Object>} What each part of the definition found
+   */
+  async test() {
+    const images = this.getImageElements();
+    const metadata = await this.extractMetadata();
+    const found = selector => Boolean(selector && document.querySelector(selector));
+
+    return {
+      url: window.location.href,
+      urlMatches: this.isMatch(),
+      readerContainer: this.selectors.readerContainer ? found(this.selectors.readerContainer) : null,
+      imageCount: images.length,
+      sampleImages: images.slice(0, 3).map(img => this.getImageUrl(img)),
+      series: metadata.title,
+      chapter: metadata.chapter,
+      seriesId: metadata.seriesId,
+      chapterId: metadata.chapterId,
+      nextButton: this.selectors.nextButton ? found(this.selectors.nextButton) : null,
+      prevButton: this.selectors.prevButton ? found(this.selectors.prevButton) : null,
+      readingDirection: this.readingDirection
+    };
+  }
+
+  /**
+   * Cleanup adapter resources
+   */
+  destroy() {
+    this.observer?.disconnect();
+    this.observer = null;
+    this.initialized = false;
+  }
+}
+
+export default DeclarativeAdapter;
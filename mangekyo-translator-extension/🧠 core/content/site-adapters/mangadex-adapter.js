@@ -154,6 +154,24 @@ class MangaDexAdapter extends BaseMangaAdapter {
     }
   }
 
+  /**
+   * Series/chapter metadata for ContextPreserver sessions
+   */
+  getSeriesMetadata() {
+    if (!this.currentChapter?.mangaId) return null;
+    
+    const mangaTitle = document.querySelector(this.selectors.mangaTitle);
+    
+    return {
+      mangaId: `mangadex:${this.currentChapter.mangaId}`,
+      mangaTitle: mangaTitle?.textContent?.trim() || null,
+      chapterId: this.currentChapter.id,
+      chapterNumber: this.currentChapter.chapterNumber,
+      sourceUrl: window.location.href,
+      totalPages: this.currentChapter.pages?.length || this.mdHomeData.data.length
+    };
+  }
+
   /**
    * Setup observer for page changes (long-strip scroll or page navigation)
    */
@@ -332,6 +350,44 @@ class MangaDexAdapter extends BaseMangaAdapter {
     return `${this.mdHomeData.baseUrl}/data/${this.mdHomeData.chapterHash}/${filename}`;
   }
 
+  /**
+   * Every page URL of the current chapter (the paginated reader only has one in the DOM)
+   */
+  getChapterPages() {
+    if (!this.mdHomeData.baseUrl || this.mdHomeData.data.length === 0) return null;
+    return this.mdHomeData.data.map((_, index) => this.constructImageUrl(index + 1));
+  }
+
+  /**
+   * Page URLs of the following chapter in the same translation language
+   * @returns {Promise<{key, title, pages}|null>}
+   */
+  async getNextChapterPages() {
+    const { mangaId, chapterNumber, translatedLanguage } = this.currentChapter || {};
+    if (!mangaId || chapterNumber == null) return null;
+
+    const response = await fetch(
+      `https://api.mangadex.org/manga/${mangaId}/aggregate?translatedLanguage[]=${translatedLanguage}`
+    );
+    const { volumes } = await response.json();
+
+    const current = parseFloat(chapterNumber);
+    const next = Object.values(volumes || {})
+      .flatMap(volume => Object.values(volume.chapters))
+      .filter(chapter => parseFloat(chapter.chapter) > current)
+      .sort((a, b) => parseFloat(a.chapter) - parseFloat(b.chapter))[0];
+    if (!next) return null;
+
+    const atHomeResponse = await fetch(`https://api.mangadex.org/at-home/server/${next.id}`);
+    const atHome = await atHomeResponse.json();
+
+    return {
+      key: next.id,
+      title: `Chapter ${next.chapter}`,
+      pages: atHome.chapter.data.map(filename => `${atHome.baseUrl}/data/${atHome.chapter.hash}/${filename}`)
+    };
+  }
+
   /**
    * Detect reader mode (long-strip vs paginated)
    */
@@ -132,6 +132,21 @@ class WebtoonAdapter extends BaseMangaAdapter {
     console.debug('[WebtoonAdapter] Episode info:', this.episodeInfo);
   }
 
+  /**
+   * Series/episode metadata for ContextPreserver sessions
+   */
+  getSeriesMetadata() {
+    if (!this.episodeInfo?.seriesId) return null;
+    
+    return {
+      mangaId: `webtoon:${this.episodeInfo.seriesId}`,
+      mangaTitle: this.episodeInfo.seriesTitle || null,
+      chapterId: this.episodeInfo.episodeId,
+      chapterNumber: this.episodeInfo.episodeId ? parseInt(this.episodeInfo.episodeId) : null,
+      sourceUrl: this.episodeInfo.url
+    };
+  }
+
   /**
    * Detect if Webtoon is using Canvas or Image DOM rendering
    */
@@ -614,29 +629,41 @@ class WebtoonAdapter extends BaseMangaAdapter {
     
     // Fetch next episode metadata
     try {
-      const response = await fetch(href);
-      const text = await response.text();
-      
-      // Extract image URLs for preloading
-      const parser = new DOMParser();
-      const doc = parser.parseFromString(text, 'text/html');
-      const images = doc.querySelectorAll(this.selectors.episodeImages);
+      const episode = await this.getNextChapterPages();
       
       // Preload first few images
-      images.forEach((img, index) => {
-        if (index < 3) {
-          const src = img.dataset.url || img.src;
-          if (src) {
-            const preloadImg = new Image();
-            preloadImg.src = src;
-          }
-        }
+      episode?.pages.slice(0, 3).forEach(src => {
+        const preloadImg = new Image();
+        preloadImg.src = src;
       });
     } catch (error) {
       console.debug('[WebtoonAdapter] Failed to preload next episode:', error);
     }
   }
 
+  /**
+   * Image URLs of the next episode, read from its viewer page
+   * @returns {Promise<{key, title, pages}|null>}
+   */
+  async getNextChapterPages() {
+    const href = document.querySelector(this.selectors.nextEpisodeBtn)?.getAttribute('href');
+    if (!href) return null;
+
+    const url = new URL(href, window.location.href).href;
+    const response = await fetch(url);
+    const doc = new DOMParser().parseFromString(await response.text(), 'text/html');
+    
+    const pages = Array.from(doc.querySelectorAll(this.selectors.episodeImages))
+      .map(img => img.dataset.url || img.getAttribute('src'))
+      .filter(Boolean);
+    
+    return {
+      key: url,
+      title: doc.querySelector(this.selectors.episodeTitle)?.textContent.trim() || 'Next episode',
+      pages
+    };
+  }
+
   /**
    * Update loading progress UI
    */
@@ -0,0 +1,438 @@
+/**
+ * Site Teacher - Point-and-click adapter builder
+ *
+ * For readers the generic heuristics get wrong: the user clicks a page image,
+ * the next-page control and the chapter title, and selectors are derived from
+ * those elements. The result is a declarative definition (adapter-definition.js)
+ * saved as a per-site override and run by DeclarativeAdapter.
+ *
+ * @module content/site-teacher
+ */
+
+import { normalizeDefinition, validateDefinition } from './site-adapters/adapter-definition.js';
+
+/**
+ * Steps in the order the user is asked for them
+ */
+const STEPS = [
+  { key: 'image', prompt: 'Click a manga page image', optional: false },
+  { key: 'next', prompt: 'Click the next page / next chapter button', optional: true },
+  { key: 'chapterTitle', prompt: 'Click the chapter title', optional: true }
+];
+
+const LAZY_ATTRIBUTES = ['data-src', 'data-lazy-src', 'data-original', 'data-url'];
+
+const CHAPTER_URL_PATTERN = '(?:chapter|chap|ch|episode|ep)[-_/.]?(\\d+(?:\\.\\d+)?)';
+
+const UI_ATTRIBUTE = 'data-manga-teacher';
+
+/**
+ * Interactive selector picker
+ */
+export class SiteTeacher {
+  constructor() {
+    this.stepIndex = 0;
+    this.picked = {};
+    this.panel = null;
+    this.highlight = null;
+    this.hovered = null;
+    this.resolve = null;
+
+    this.onMouseOver = this.onMouseOver.bind(this);
+    this.onClick = this.onClick.bind(this);
+    this.onKeyDown = this.onKeyDown.bind(this);
+  }
+
+  /**
+   * Start teaching mode
+   * @returns {Promise<Object|null>} Saved definition, or null if cancelled
+   */
+  start() {
+    this.createUI();
+    document.addEventListener('mouseover', this.onMouseOver, true);
+    document.addEventListener('click', this.onClick, true);
+    document.addEventListener('keydown', this.onKeyDown, true);
+    this.renderStep();
+
+    return new Promise(resolve => {
+      this.resolve = resolve;
+    });
+  }
+
+  /**
+   * Leave teaching mode without saving
+   */
+  cancel() {
+    this.finish(null);
+  }
+
+  // ==================== UI ====================
+
+  createUI() {
+    this.highlight = document.createElement('div');
+    this.highlight.setAttribute(UI_ATTRIBUTE, '');
+    this.highlight.style.cssText = `
+      position: fixed;
+      pointer-events: none;
+      border: 2px solid #e63946;
+      background: rgba(230, 57, 70, 0.12);
+      z-index: 2147483646;
+      display: none;
+    `;
+
+    this.panel = document.createElement('div');
+    this.panel.setAttribute(UI_ATTRIBUTE, '');
+    this.panel.style.cssText = `
+      position: fixed;
+      top: 12px;
+      right: 12px;
+      width: 300px;
+      background: white;
+      color: #1a1a1a;
+      border: 1px solid #ccc;
+      border-radius: 6px;
+      box-shadow: 0 4px 16px rgba(0,0,0,0.25);
+      padding: 10px;
+      z-index: 2147483647;
+      font: 13px/1.4 sans-serif;
+    `;
+
+    document.body.append(this.highlight, this.panel);
+  }
+
+  /**
+   * Instructions for the current step
+   */
+  renderStep() {
+    const step = STEPS[this.stepIndex];
+    this.panel.replaceChildren();
+
+    this.addText(`Teach this site (${this.stepIndex + 1}/${STEPS.length})`, 'font-weight: bold; margin-bottom: 4px;');
+    this.addText(step.prompt);
+    this.addText('Esc to cancel', 'color: #666; font-size: 12px; margin-top: 4px;');
+
+    const actions = this.addActions();
+    if (step.optional) {
+      this.addButton(actions, 'Skip', () => this.advance());
+    }
+    this.addButton(actions, 'Cancel', () => this.cancel());
+  }
+
+  /**
+   * Derived selectors and what they match, before saving
+   */
+  renderReview() {
+    this.hideHighlight();
+    this.panel.replaceChildren();
+
+    const definition = this.buildDefinition();
+    const imageCount = document.querySelectorAll(definition.reader.image).length;
+
+    this.addText('Teach this site: review', 'font-weight: bold; margin-bottom: 4px;');
+    this.addText(`Page images: ${definition.reader.image} (${imageCount} found)`);
+    this.addText(`Next: ${definition.navigation.next || '—'}`);
+    this.addText(`Chapter title: ${definition.metadata.chapterTitle?.selector || '—'}`);
+    this.addText(`Chapter number: ${definition.metadata.chapter ? 'detected' : '—'}`);
+
+    const status = this.addText('', 'min-height: 1.4em; margin-top: 4px; color: #666; font-size: 12px;');
+
+    const actions = this.addActions();
+    this.addButton(actions, 'Start over', () => {
+      this.stepIndex = 0;
+      this.picked = {};
+      this.renderStep();
+    });
+    this.addButton(actions, 'Cancel', () => this.cancel());
+    const saveBtn = this.addButton(actions, 'Save', async () => {
+      saveBtn.disabled = true;
+      status.textContent = 'Saving…';
+      try {
+        await this.save(definition);
+        this.finish(definition);
+      } catch (error) {
+        console.warn('[SiteTeacher] Save failed:', error);
+        status.textContent = error.message;
+        saveBtn.disabled = false;
+      }
+    });
+  }
+
+  addText(text, style = '') {
+    const el = document.createElement('div');
+    el.textContent = text;
+    el.style.cssText = `word-break: break-all; ${style}`;
+    this.panel.appendChild(el);
+    return el;
+  }
+
+  addActions() {
+    const actions = document.createElement('div');
+    actions.style.cssText = 'display: flex; gap: 6px; justify-content: flex-end; margin-top: 8px;';
+    this.panel.appendChild(actions);
+    return actions;
+  }
+
+  addButton(actions, label, onClick) {
+    const btn = document.createElement('button');
+    btn.textContent = label;
+    btn.style.cssText = 'padding: 4px 10px; cursor: pointer;';
+    btn.addEventListener('click', onClick);
+    actions.appendChild(btn);
+    return btn;
+  }
+
+  hideHighlight() {
+    this.highlight.style.display = 'none';
+    this.hovered = null;
+  }
+
+  // ==================== Picking ====================
+
+  isTeacherUI(el) {
+    return Boolean(el.closest?.(`[${UI_ATTRIBUTE}]`));
+  }
+
+  /**
+   * Element the current step would pick for a hover/click target
+   */
+  resolveTarget(el) {
+    const key = STEPS[this.stepIndex]?.key;
+    if (key === 'image') {
+      return el.closest('img') || el.querySelector?.('img') || null;
+    }
+    if (key === 'next') {
+      return el.closest('a, button, [role="button"]') || el;
+    }
+    return el;
+  }
+
+  onMouseOver(e) {
+    if (this.stepIndex >= STEPS.length || this.isTeacherUI(e.target)) return;
+
+    const target = this.resolveTarget(e.target);
+    if (!target) {
+      this.hideHighlight();
+      return;
+    }
+
+    const rect = target.getBoundingClientRect();
+    Object.assign(this.highlight.style, {
+      display: 'block',
+      left: `${rect.left}px`,
+      top: `${rect.top}px`,
+      width: `${rect.width}px`,
+      height: `${rect.height}px`
+    });
+    this.hovered = target;
+  }
+
+  onClick(e) {
+    if (this.stepIndex >= STEPS.length || this.isTeacherUI(e.target)) return;
+
+    // Keep the page's own handlers (navigation, lightboxes) from firing
+    e.preventDefault();
+    e.stopPropagation();
+
+    const target = this.resolveTarget(e.target);
+    if (!target) return;
+
+    this.picked[STEPS[this.stepIndex].key] = target;
+    this.advance();
+  }
+
+  onKeyDown(e) {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      e.stopPropagation();
+      this.cancel();
+    }
+  }
+
+  advance() {
+    this.stepIndex++;
+    if (this.stepIndex < STEPS.length) {
+      this.renderStep();
+    } else {
+      this.renderReview();
+    }
+  }
+
+  // ==================== Selector derivation ====================
+
+  /**
+   * Classes that look hand-written rather than generated by CSS-in-JS tooling
+   */
+  stableClasses(el) {
+    return Array.from(el.classList).filter(name =>
+      name.length <= 30 &&
+      !/\d{3,}|^(?:css|sc|jsx|emotion)-|^_|[A-Z0-9]{5,}/.test(name)
+    );
+  }
+
+  /**
+   * tag(#id | .classes) for one element
+   */
+  selectorPart(el) {
+    const tag = el.tagName.toLowerCase();
+    if (el.id && !/\d{3,}/.test(el.id)) {
+      return `${tag}#${CSS.escape(el.id)}`;
+    }
+    return tag + this.stableClasses(el).map(name => `.${CSS.escape(name)}`).join('');
+  }
+
+  /**
+   * Shortest ancestor path that selects only this element
+   */
+  uniqueSelector(el) {
+    const parts = [];
+    let node = el;
+
+    while (node && node !== document.body && parts.length < 6) {
+      let part = this.selectorPart(node);
+      const siblings = node.parentElement
+        ? Array.from(node.parentElement.children).filter(sibling => sibling.tagName === node.tagName)
+        : [];
+      if (siblings.length > 1 && !part.includes('#') && !part.includes('.')) {
+        part += `:nth-of-type(${siblings.indexOf(node) + 1})`;
+      }
+      parts.unshift(part);
+
+      const selector = parts.join(' > ');
+      if (document.querySelectorAll(selector).length === 1) {
+        return selector;
+      }
+      if (part.includes('#')) break;
+      node = node.parentElement;
+    }
+
+    return parts.join(' > ');
+  }
+
+  /**
+   * Reader container: closest ancestor holding several images of about
+   * the clicked one's width, or the image's parent for one-page-at-a-time readers
+   */
+  findReaderContainer(img) {
+    const width = img.getBoundingClientRect().width;
+    const similar = candidate => Math.abs(candidate.getBoundingClientRect().width - width) <= width * 0.2;
+
+    let node = img.parentElement;
+    while (node && node !== document.body) {
+      const pages = Array.from(node.querySelectorAll('img')).filter(similar);
+      if (pages.length >= 2) return node;
+      node = node.parentElement;
+    }
+    return img.parentElement;
+  }
+
+  /**
+   * Selector for all page images, anchored at the reader container
+   */
+  imageSelectors(img) {
+    const container = this.findReaderContainer(img);
+    const containerSelector = container && container !== document.body ? this.uniqueSelector(container) : null;
+    const classes = this.stableClasses(img).map(name => `.${CSS.escape(name)}`).join('');
+    const scope = containerSelector ? `${containerSelector} ` : '';
+
+    // Use the image classes only if they do not drop the clicked image or its siblings
+    let image = `${scope}img${classes}`;
+    if (classes) {
+      const withClasses = document.querySelectorAll(image).length;
+      const withoutClasses = document.querySelectorAll(`${scope}img`).length;
+      if (withClasses < withoutClasses / 2) image = `${scope}img`;
+    }
+
+    return { container: containerSelector, image };
+  }
+
+  /**
+   * Chapter number rule: from the picked title if it holds a number, else from the URL
+   */
+  chapterRule(titleSelector, titleEl) {
+    if (titleEl && /\d/.test(titleEl.textContent)) {
+      return { selector: titleSelector, pattern: '(\\d+(?:\\.\\d+)?)' };
+    }
+    if (new RegExp(CHAPTER_URL_PATTERN, 'i').test(window.location.href)) {
+      return { url: CHAPTER_URL_PATTERN };
+    }
+    return null;
+  }
+
+  /**
+   * Turn the picked elements into a declarative definition
+   */
+  buildDefinition() {
+    const hostname = window.location.hostname;
+    const { image: img, next, chapterTitle } = this.picked;
+    const { container, image } = this.imageSelectors(img);
+
+    // Long-strip readers stack pages vertically in one container
+    const pages = document.querySelectorAll(image).length;
+
+    const metadata = {};
+    let nextSelector = null;
+    if (next) {
+      nextSelector = next.matches('a[rel="next"]') ? 'a[rel="next"]' : this.uniqueSelector(next);
+    }
+    if (chapterTitle) {
+      const titleSelector = this.uniqueSelector(chapterTitle);
+      metadata.chapterTitle = { selector: titleSelector };
+      const chapter = this.chapterRule(titleSelector, chapterTitle);
+      if (chapter) metadata.chapter = chapter;
+    } else {
+      const chapter = this.chapterRule(null, null);
+      if (chapter) metadata.chapter = chapter;
+    }
+
+    return normalizeDefinition({
+      id: `taught-${hostname}`,
+      name: `${hostname} (taught)`,
+      source: 'taught',
+      match: [`*://${hostname}/*`],
+      reader: {
+        container,
+        image,
+        imageAttribute: LAZY_ATTRIBUTES.find(attribute => img.hasAttribute(attribute)) || null
+      },
+      metadata,
+      navigation: { next: nextSelector, prev: null },
+      readingDirection: pages >= 3 ? 'ttb' : 'rtl'
+    });
+  }
+
+  /**
+   * Store the definition as this site's adapter override
+   */
+  async save(definition) {
+    const { valid, errors } = validateDefinition(definition);
+    if (!valid) {
+      throw new Error(errors[0]);
+    }
+
+    const response = await chrome.runtime.sendMessage({
+      type: 'SAVE_TAUGHT_ADAPTER',
+      payload: { domain: window.location.hostname, definition }
+    });
+    if (!response?.success) {
+      throw new Error(response?.error || 'Could not save adapter');
+    }
+  }
+
+  /**
+   * Tear down listeners and UI and settle start()
+   */
+  finish(result) {
+    document.removeEventListener('mouseover', this.onMouseOver, true);
+    document.removeEventListener('click', this.onClick, true);
+    document.removeEventListener('keydown', this.onKeyDown, true);
+    this.panel?.remove();
+    this.highlight?.remove();
+    this.panel = null;
+    this.highlight = null;
+
+    this.resolve?.(result);
+    this.resolve = null;
+  }
+}
+
+export default SiteTeacher;
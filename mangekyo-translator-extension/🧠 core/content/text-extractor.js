@@ -8,6 +8,9 @@ import { CONFIG } from '../shared/constants.js';
 import { DOMHelpers } from '../shared/utils/dom-helpers.js';
 import { ImageUtils } from '../shared/utils/image-utils.js';
 import { TextSanitizer } from '../shared/utils/text-sanitizer.js';
+import { TextROIExtractor } from '../computer-vision/detection/text-region/text-roi-extractor.js';
+import { ScriptDetector } from '../computer-vision/ocr/preprocessors/script-detector.js';
+import { ReadingOrderService } from '../computer-vision/detection/reading-order/reading-order-service.js';
 
 class TextExtractor {
   constructor(config = {}) {
@@ -17,10 +20,17 @@ class TextExtractor {
       ocrConfidenceThreshold: 0.65,
       verticalTextThreshold: 0.7, // Ratio height/width to consider vertical
       mergeOverlapThreshold: 0.3, // IoU threshold for merging boxes
+      analyzeTextLayout: true, // Column/line layout of the original lettering, used for typesetting
+      detectScriptPerRegion: true, // Pick the OCR language pack per bubble instead of per page
+      readFurigana: true, // OCR ruby text separately and keep it as reading metadata (needs layout analysis)
       ...config
     };
 
     this.sanitizer = new TextSanitizer();
+    this.roiExtractor = null; // Created on first layout analysis
+    this.scriptDetector = new ScriptDetector();
+    this.readingOrder = new ReadingOrderService();
+    this.patternKeys = { eng: 'en', jpn: 'ja', jpn_vert: 'ja', kor: 'ko', chi_sim: 'zh', chi_tra: 'zh' };
     this.languagePatterns = this.initLanguagePatterns();
     
     // Caches
@@ -75,7 +85,11 @@ class TextExtractor {
    * @param {Array} detections - Pre-detected text regions from bubble detector
    * @returns {Promise<Array>} Extracted text regions with metadata
    */
-  async extract(source, detections = []) {
+  /**
+   * @param {Object} options
+   * @param {Object} options.readingOrder - { preferences, pageOrder } learned/saved for this series and page
+   */
+  async extract(source, detections = [], options = {}) {
     console.log(`[TextExtractor] Starting extraction with ${detections.length} detected regions`);
 
     try {
@@ -89,7 +103,10 @@ class TextExtractor {
 
       // Filter and sort detections by reading order
       const validDetections = this.filterDetections(detections);
-      const orderedDetections = this.sortReadingOrder(validDetections);
+      const orderedDetections = this.sortReadingOrder(validDetections, {
+        ...options.readingOrder,
+        pageSize: { width: imageData.width, height: imageData.height }
+      });
 
       // Extract text from each region
       const regions = await this.extractRegions(imageData, orderedDetections);
@@ -163,7 +180,7 @@ class TextExtractor {
   /**
    * Perform OCR in offscreen document
    */
-  offscreenOCR(imageData, mode = 'full') {
+  offscreenOCR(imageData, mode = 'full', language = null) {
     return new Promise((resolve, reject) => {
       const timeout = setTimeout(() => {
         reject(new Error('OCR timeout'));
@@ -180,6 +197,8 @@ class TextExtractor {
             data: Array.from(imageData.data) // Convert to array for cloning
           },
           languages: this.config.ocrLanguages || ['eng', 'jpn', 'kor', 'chi_sim'],
+          language: language || this.config.ocr?.language,
+          backends: this.config.ocr?.backends, // Per-language OCR backend choice
           preprocessing: {
             deskew: true,
             denoise: true,
@@ -320,51 +339,21 @@ class TextExtractor {
   }
 
   /**
-   * Sort detections by manga reading order (top-to-bottom, right-to-left for Japanese)
+   * Sort detections by manga reading order: panels first, then bubbles inside each panel.
+   * Panels only group bubbles; they are read as text themselves when no bubble was found.
+   * @param {Object} readingOrder - { preferences, pageOrder, pageSize }
    */
-  sortReadingOrder(detections) {
-    // Group by rows using vertical overlap
-    const rows = this.groupIntoRows(detections);
+  sortReadingOrder(detections, readingOrder = {}) {
+    const panels = detections.filter(det => det.class === 'panel');
+    const bubbles = detections.filter(det => det.class !== 'panel');
+    const direction = this.config.readingDirection || this.config.ocr?.manga?.readingDirection;
     
-    // Sort rows top to bottom
-    rows.sort((a, b) => a[0].y - b[0].y);
-    
-    // Sort each row based on language direction
-    const isRTL = this.config.readingDirection === 'rtl';
-    
-    rows.forEach(row => {
-      row.sort((a, b) => isRTL ? b.x - a.x : a.x - b.x);
+    return this.readingOrder.order(bubbles.length > 0 ? bubbles : panels, {
+      panels: bubbles.length > 0 ? panels : [],
+      preferences: { ...(direction && { direction }), ...readingOrder.preferences },
+      pageOrder: readingOrder.pageOrder,
+      pageSize: readingOrder.pageSize
     });
-    
-    // Flatten
-    return rows.flat();
-  }
-
-  /**
-   * Group detections into rows based on vertical overlap
-   */
-  groupIntoRows(detections) {
-    const rows = [];
-    const sorted = [...detections].sort((a, b) => a.y - b.y);
-    
-    sorted.forEach(det => {
-      let added = false;
-      for (const row of rows) {
-        // Check vertical overlap with row
-        const rowY = row[0].y;
-        const rowHeight = Math.max(...row.map(d => d.height));
-        if (Math.abs(det.y - rowY) < rowHeight * 0.5) {
-          row.push(det);
-          added = true;
-          break;
-        }
-      }
-      if (!added) {
-        rows.push([det]);
-      }
-    });
-    
-    return rows;
   }
 
   /**
@@ -372,6 +361,8 @@ class TextExtractor {
    */
   async extractRegions(imageData, detections) {
     const regions = [];
+    // Language of the page so far; breaks ties between scripts that look alike
+    let pageLanguage = this.config.ocr?.language || null;
     
     for (let i = 0; i < detections.length; i++) {
       const det = detections[i];
@@ -379,9 +370,16 @@ class TextExtractor {
       try {
         // Crop region from full image
         const regionData = this.cropRegion(imageData, det);
+        const textLayout = await this.analyzeLayout(regionData);
+        
+        // Ruby text is read on its own; hide it from the main OCR pass
+        const mainData = this.maskRubyRuns(regionData, textLayout?.rubyRuns);
         
-        // Perform OCR on region
-        const ocrResult = await this.recognizeText(regionData, det);
+        // Pick the language pack for this region, then OCR with it
+        const { ocrResult, script } = await this.recognizeRegion(mainData, det, textLayout, pageLanguage);
+        if (script && script.script !== 'Latin') {
+          pageLanguage = script.language;
+        }
         
         if (ocrResult.text && ocrResult.text.length >= this.config.minTextLength) {
           regions.push({
@@ -395,9 +393,18 @@ class TextExtractor {
               width: det.width,
               height: det.height
             },
+            bubbleType: det.class || null,
+            readingOrder: det.readingOrder,
+            speaker: det.speaker || null, // { id, name, confidence } from speaker attribution
+            shape: det.shape || null, // Bubble outline (convex hull) for shape-aware fitting
             isVertical: this.detectVerticalText(det, ocrResult.text),
             fontSize: this.estimateFontSize(det, ocrResult.text),
-            language: null, // Will be detected later
+            textLayout,
+            language: script ? this.patternKeys[script.language] : null, // Detected later if unknown
+            ocrLanguage: script?.language || null,          // Tesseract pack the text was read with
+            detectedLanguage: script?.translationLanguage || null, // Source language for translation
+            scriptConfidence: script?.confidence ?? null,
+            furigana: await this.readFurigana(regionData, textLayout, ocrResult), // [{ base, reading }]
             isSFX: false,   // Will be classified later
             context: {
               prevText: i > 0 ? regions[i-1]?.text : null,
@@ -421,6 +428,174 @@ class TextExtractor {
     return regions;
   }
 
+  /**
+   * Original lettering layout (orientation, glyph size, line pitch) of a region
+   */
+  async analyzeLayout(regionData) {
+    if (!this.config.analyzeTextLayout) return null;
+    
+    try {
+      this.roiExtractor = this.roiExtractor || new TextROIExtractor();
+      
+      const canvas = document.createElement('canvas');
+      canvas.width = regionData.width;
+      canvas.height = regionData.height;
+      canvas.getContext('2d').putImageData(regionData, 0, 0);
+      
+      const rois = await this.roiExtractor.extract(canvas);
+      const layout = this.roiExtractor.summarizeLayout(rois);
+      if (layout) {
+        layout.rubyRuns = this.config.readFurigana ? this.roiExtractor.groupRubyRuns(rois) : [];
+      }
+      return layout;
+    } catch (error) {
+      console.warn('[TextExtractor] Layout analysis failed:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Copy of the region with ruby runs painted over in the surrounding
+   * background colour, so furigana doesn't leak into the main text
+   */
+  maskRubyRuns(regionData, runs) {
+    if (!runs?.length) return regionData;
+    
+    const { width, height } = regionData;
+    const masked = new ImageData(new Uint8ClampedArray(regionData.data), width, height);
+    const data = masked.data;
+    
+    for (const { bbox } of runs) {
+      const x0 = Math.max(0, Math.floor(bbox.x) - 1);
+      const y0 = Math.max(0, Math.floor(bbox.y) - 1);
+      const x1 = Math.min(width - 1, Math.ceil(bbox.x + bbox.width) + 1);
+      const y1 = Math.min(height - 1, Math.ceil(bbox.y + bbox.height) + 1);
+      
+      // Background: brightest pixel on the box outline (ruby sits in the line gap)
+      let fill = [255, 255, 255];
+      let brightest = -1;
+      for (let x = x0; x <= x1; x++) {
+        for (const y of [y0, y1]) {
+          const i = (y * width + x) * 4;
+          const value = data[i] + data[i + 1] + data[i + 2];
+          if (value > brightest) {
+            brightest = value;
+            fill = [data[i], data[i + 1], data[i + 2]];
+          }
+        }
+      }
+      
+      for (let y = y0; y <= y1; y++) {
+        for (let x = x0; x <= x1; x++) {
+          const i = (y * width + x) * 4;
+          data[i] = fill[0];
+          data[i + 1] = fill[1];
+          data[i + 2] = fill[2];
+        }
+      }
+    }
+    
+    return masked;
+  }
+
+  /**
+   * OCR each ruby run and pair its reading with the base characters
+   * @returns {Promise<Array<{base: string, reading: string, confidence: number, bbox: Object}>>}
+   */
+  async readFurigana(regionData, layout, ocrResult) {
+    const runs = layout?.rubyRuns;
+    if (!this.config.readFurigana || !runs?.length || !ocrResult.text) return [];
+    
+    const lineTexts = ocrResult.text.split('\n').map(line => line.trim()).filter(Boolean);
+    const furigana = [];
+    
+    for (const run of runs) {
+      try {
+        const pad = 2;
+        const crop = this.cropRegion(regionData, {
+          x: run.bbox.x - pad,
+          y: run.bbox.y - pad,
+          width: run.bbox.width + pad * 2,
+          height: run.bbox.height + pad * 2
+        });
+        const language = run.orientation === 'vertical' ? 'jpn_vert' : 'jpn';
+        const result = await this.recognizeText(crop, null, language);
+        
+        // Readings are kana; anything else is noise from the crop edge
+        const reading = (result.text || '').replace(/[^\u3040-\u30FF]/g, '');
+        if (!reading || result.isFallback) continue;
+        
+        const base = this.alignRubyBase(run, ocrResult, lineTexts);
+        if (base) {
+          furigana.push({ base, reading, confidence: result.confidence, bbox: run.bbox });
+        }
+      } catch (error) {
+        console.warn('[TextExtractor] Furigana recognition failed:', error);
+      }
+    }
+    
+    return furigana;
+  }
+
+  /**
+   * Base text a ruby run annotates: character boxes when the OCR backend reports
+   * them, otherwise the run's character span within its line
+   */
+  alignRubyBase(run, ocrResult, lineTexts) {
+    const vertical = run.orientation === 'vertical';
+    const along = box => vertical
+      ? [box.y0 ?? box.y, box.y1 ?? box.y + box.height]
+      : [box.x0 ?? box.x, box.x1 ?? box.x + box.width];
+    const across = box => vertical
+      ? [box.x0 ?? box.x, box.x1 ?? box.x + box.width]
+      : [box.y0 ?? box.y, box.y1 ?? box.y + box.height];
+    
+    const chars = (ocrResult.chars || []).filter(c => !c.estimated);
+    if (chars.length > 0) {
+      const [runStart, runEnd] = along(run.bbox);
+      const [rubyFrom, rubyTo] = across(run.bbox);
+      const under = chars.filter(c => {
+        const [start, end] = along(c.bbox);
+        const [from, to] = across(c.bbox);
+        const size = to - from;
+        const centre = (start + end) / 2;
+        // Same stretch of the line, and adjacent to the ruby across it
+        return centre >= runStart - size * 0.25 && centre <= runEnd + size * 0.25 &&
+               Math.min(Math.abs(from - rubyTo), Math.abs(rubyFrom - to)) < size;
+      });
+      return this.kanjiRun(under.map(c => c.text).join(''), 0, under.length - 1);
+    }
+    
+    const line = lineTexts[run.lineIndex];
+    return line ? this.kanjiRun(line, ...run.baseRange) : null;
+  }
+
+  /**
+   * The kanji run in text that best overlaps characters [from, to]
+   */
+  kanjiRun(text, from, to) {
+    const chars = Array.from(text);
+    const isKanji = char => /[\u4E00-\u9FFF\u3400-\u4DBF々〆ヶ]/.test(char);
+    let best = null;
+    let bestOverlap = 0;
+    
+    for (let i = 0; i < chars.length; i++) {
+      if (!isKanji(chars[i]) || (i > 0 && isKanji(chars[i - 1]))) continue;
+      let end = i;
+      while (end + 1 < chars.length && isKanji(chars[end + 1])) end++;
+      
+      const overlap = Math.min(end, to) - Math.max(i, from) + 1;
+      // Character spans are estimates; a run just beside the span still counts
+      const score = overlap > 0 ? overlap : 1 / (2 + Math.max(i - to, from - end));
+      if (score > bestOverlap) {
+        bestOverlap = score;
+        best = chars.slice(i, end + 1).join('');
+      }
+    }
+    
+    return best;
+  }
+
   /**
    * Crop specific region from ImageData
    */
@@ -454,19 +629,55 @@ class TextExtractor {
     return cropped;
   }
 
+  /**
+   * Detect the region's script, OCR it with the matching language pack and
+   * correct the choice when the result says otherwise
+   * @returns {Promise<{ocrResult: Object, script: Object|null}>}
+   */
+  async recognizeRegion(regionData, det, layout, pageLanguage) {
+    if (!this.config.detectScriptPerRegion) {
+      return { ocrResult: await this.recognizeText(regionData, det), script: null };
+    }
+
+    let script = this.scriptDetector.detect(regionData, { layout, hint: pageLanguage });
+    let ocrResult = await this.recognizeText(regionData, det, script.language);
+
+    // Poor read: the geometric guess may be wrong, try the runner-up pack once
+    const runnerUp = script.candidates[1];
+    if (!ocrResult.isFallback && runnerUp && ocrResult.confidence < this.config.ocrConfidenceThreshold) {
+      const retry = await this.recognizeText(regionData, det, runnerUp);
+      if (retry.confidence > ocrResult.confidence) {
+        ocrResult = retry;
+        script = this.scriptDetector.withLanguage(script, runnerUp);
+      }
+    }
+
+    // Kanji-only Japanese vs Chinese and simplified vs traditional show in the characters
+    const refined = this.scriptDetector.refineWithText(script, ocrResult.text, pageLanguage);
+    if (refined.language !== script.language) {
+      const reread = await this.recognizeText(regionData, det, refined.language);
+      if (!reread.isFallback && reread.confidence >= ocrResult.confidence) {
+        ocrResult = reread;
+      }
+    }
+
+    return { ocrResult, script: refined };
+  }
+
   /**
    * Recognize text in cropped region
+   * @param {string} [language] - Tesseract language pack; configured language if omitted
    */
-  async recognizeText(regionData, originalDet) {
+  async recognizeText(regionData, originalDet, language = null) {
     // Check if we have cached result
-    const cacheKey = await ImageUtils.hashImageData(regionData);
+    const cacheKey = `${await ImageUtils.hashImageData(regionData)}:${language || 'default'}`;
     if (this.ocrCache.has(cacheKey)) {
       return this.ocrCache.get(cacheKey);
     }
 
     try {
       // Try offscreen OCR first
-      const result = await this.offscreenOCR(regionData, 'recognize');
+      const result = await this.offscreenOCR(regionData, 'recognize', language);
       this.ocrCache.set(cacheKey, result);
       return result;
     } catch (error) {
@@ -675,8 +886,8 @@ class TextExtractor {
    */
   enrichRegionMetadata(regions) {
     regions.forEach(region => {
-      // Detect language
-      region.language = this.detectLanguage(region.text);
+      // Regions read with a detected language pack already know their language
+      region.language = region.language || this.detectLanguage(region.text);
       
       // Classify as SFX
       region.isSFX = this.classifySFX(region);
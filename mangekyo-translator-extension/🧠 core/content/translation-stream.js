@@ -0,0 +1,126 @@
+/**
+ * Translation Stream Client - Progressive translations from the service worker
+ *
+ * Opens the 'translation-stream' port (routed by EventRouter to the
+ * TranslationStreamRelay) and runs one stream per region: partial text
+ * arrives through onChunk while the engine is still writing, the final
+ * translation resolves `done`. Streams are cancelled explicitly (scrolled
+ * away, chapter changed) or all at once when the port drops.
+ *
+ * @module content/translation-stream
+ */
+
+const PORT_NAME = 'translation-stream';
+
+/**
+ * Rejection reason for streams stopped before they finished
+ */
+export class TranslationCancelledError extends Error {
+  constructor(message = 'Translation cancelled') {
+    super(message);
+    this.name = 'TranslationCancelledError';
+  }
+}
+
+/**
+ * One port, many concurrent region streams
+ */
+export class TranslationStreamClient {
+  constructor() {
+    this.port = null;
+    this.pending = new Map(); // id -> { resolve, reject, onChunk }
+    this.nextId = 1;
+  }
+
+  /**
+   * Start translating one region
+   * @param {Object} request - { text, sourceLang, targetLang, bubbleType, series, readings, speaker, context }
+   * @param {Object} [options]
+   * @param {Function} [options.onChunk] - (textSoFar) => void
+   * @returns {{id: number, done: Promise<Object>, cancel: Function}}
+   */
+  translate(request, { onChunk } = {}) {
+    const id = this.nextId++;
+
+    const done = new Promise((resolve, reject) => {
+      this.pending.set(id, { resolve, reject, onChunk });
+    });
+
+    try {
+      this.getPort().postMessage({ type: 'TRANSLATE', id, payload: request });
+    } catch (error) {
+      this.settle(id, 'reject', error);
+    }
+
+    return { id, done, cancel: () => this.cancel(id) };
+  }
+
+  /**
+   * Stop one stream; its `done` rejects with TranslationCancelledError
+   */
+  cancel(id) {
+    if (!this.pending.has(id)) return;
+
+    try {
+      this.port?.postMessage({ type: 'CANCEL', id });
+    } catch (e) {
+      // Port already gone, nothing to stop on the other side
+    }
+    this.settle(id, 'reject', new TranslationCancelledError());
+  }
+
+  cancelAll() {
+    [...this.pending.keys()].forEach(id => this.cancel(id));
+  }
+
+  /**
+   * Number of streams still running
+   */
+  get size() {
+    return this.pending.size;
+  }
+
+  // ==================== Port ====================
+
+  getPort() {
+    if (this.port) return this.port;
+
+    this.port = chrome.runtime.connect({ name: PORT_NAME });
+    this.port.onMessage.addListener(message => this.handleMessage(message));
+    this.port.onDisconnect.addListener(() => {
+      // Worker restarted or extension reloaded; callers may retry with a new port
+      this.port = null;
+      for (const id of [...this.pending.keys()]) {
+        this.settle(id, 'reject', new TranslationCancelledError('Translation stream disconnected'));
+      }
+    });
+
+    return this.port;
+  }
+
+  handleMessage(message) {
+    const entry = this.pending.get(message.id);
+    if (!entry) return; // Cancelled here before the relay heard about it
+
+    switch (message.type) {
+      case 'CHUNK':
+        entry.onChunk?.(message.text);
+        break;
+      case 'DONE':
+        this.settle(message.id, 'resolve', message.translation);
+        break;
+      case 'ERROR':
+        this.settle(message.id, 'reject', new Error(message.error));
+        break;
+    }
+  }
+
+  settle(id, outcome, value) {
+    const entry = this.pending.get(id);
+    if (!entry) return;
+    this.pending.delete(id);
+    entry[outcome](value);
+  }
+}
+
+export default TranslationStreamClient;
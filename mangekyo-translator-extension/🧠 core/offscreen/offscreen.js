@@ -14,6 +14,12 @@
 
 import { MessageRouter } from '../core/background/event-router.js';
 import { PerformanceMonitor } from '../shared/utils/performance-monitor.js';
+import {
+  resolveOCRBackend,
+  getOCRBackend,
+  DEFAULT_OCR_BACKEND,
+  OCRBackendUnavailableError
+} from '../computer-vision/ocr/backends/ocr-backend.js';
 
 class OffscreenCoordinator {
   constructor() {
@@ -26,6 +32,8 @@ class OffscreenCoordinator {
     this.activeDocuments = new Map();
     this.workerPools = new Map();
     this.messagePorts = new Map();
+    this.streams = new Map(); // streamId -> AbortController
+    this.streamEngines = new Map();
     
     this.config = {
       maxConcurrentOCR: 2,
@@ -143,6 +151,23 @@ class OffscreenCoordinator {
     }
 
     try {
+      // Cropped regions go to the backend picked for their language (manga-ocr, PaddleOCR);
+      // whole pages need a backend that can find text itself
+      const language = payload.language || payload.languages?.[0];
+      const backendId = resolveOCRBackend(language, payload.backends, {
+        fullPage: payload.mode !== 'recognize'
+      });
+
+      if (backendId !== DEFAULT_OCR_BACKEND) {
+        try {
+          return await this.processWithBackend(backendId, language, payload);
+        } catch (error) {
+          if (!(error instanceof OCRBackendUnavailableError)) throw error;
+          // Model files missing or runtime failed to load: Tesseract still works
+          console.warn(`[Offscreen] ${error.message}, falling back to Tesseract`);
+        }
+      }
+
       // Option 1: Use dedicated offscreen document for heavy OCR
       if (payload.heavy || payload.language === 'jpn_vert') {
         return await this.processInDedicatedDocument('heavy-ocr', payload, taskId);
@@ -169,7 +194,7 @@ class OffscreenCoordinator {
     const { text, sourceLang, targetLang, engine } = payload;
     
     const translator = await this.getTranslationEngine(engine);
-    const result = await translator.translate(text, sourceLang, targetLang);
+    const result = await translator.translate(text, { sourceLang, targetLang });
     
     return {
       originalText: text,
@@ -272,6 +297,17 @@ class OffscreenCoordinator {
     });
   }
 
+  /**
+   * Run OCR through a pluggable backend in this document
+   */
+  async processWithBackend(backendId, language, payload) {
+    const backend = await getOCRBackend(backendId);
+    const { width, height, data } = payload.imageData;
+    const region = new ImageData(Uint8ClampedArray.from(data), width, height);
+
+    return backend.recognize(region, { language });
+  }
+
   /**
    * Process task in Web Worker
    */
@@ -516,14 +552,20 @@ class OffscreenCoordinator {
     
     switch (engineName) {
       case 'google':
-        const { GoogleTranslate } = await import('../computer-vision/translation/engines/google-translate.js');
-        return new GoogleTranslate();
+        const { GoogleTranslateEngine } = await import('../computer-vision/translation/engines/google-translate.js');
+        return new GoogleTranslateEngine();
       case 'deepl':
-        const { DeepLAdapter } = await import('../computer-vision/translation/engines/deepL-adapter.js');
-        return new DeepLAdapter();
+        const { DeepLEngine } = await import('../computer-vision/translation/engines/deepL-adapter.js');
+        return new DeepLEngine();
       case 'openai':
-        const { OpenAIGPT } = await import('../computer-vision/translation/engines/openai-gpt.js');
-        return new OpenAIGPT();
+        const { OpenAIGPTEngine } = await import('../computer-vision/translation/engines/openai-gpt.js');
+        return new OpenAIGPTEngine();
+      case 'openai_compatible':
+        const { OpenAICompatibleEngine } = await import('../computer-vision/translation/engines/openai-compatible.js');
+        return new OpenAICompatibleEngine();
+      case 'libretranslate':
+        const { LibreTranslateEngine } = await import('../computer-vision/translation/engines/libretranslate.js');
+        return new LibreTranslateEngine();
       default:
         return new TranslationEngine();
     }
@@ -591,17 +633,122 @@ class OffscreenCoordinator {
     this.messagePorts.set(port.name, port);
     
     port.onMessage.addListener((msg) => {
-      // Handle streaming data
-      if (msg.type === 'STREAM_DATA') {
-        this.handleStreamData(msg);
+      switch (msg.type) {
+        case 'STREAM_DATA':
+          this.handleStreamData(msg);
+          break;
+        case 'STREAM_TRANSLATE':
+          this.handleStreamTranslation(port, msg.streamId, msg.payload);
+          break;
+        case 'STREAM_CANCEL':
+          this.cancelStream(`${port.name}:${msg.streamId}`);
+          break;
       }
     });
     
     port.onDisconnect.addListener(() => {
       this.messagePorts.delete(port.name);
+      // Nobody is left to receive chunks for streams started on this port
+      for (const streamId of [...this.streams.keys()]) {
+        if (streamId.startsWith(`${port.name}:`)) this.cancelStream(streamId);
+      }
     });
   }
 
+  /**
+   * Translate one region and post partial text back over the port as it arrives.
+   * Engines without translateStreaming answer with a single chunk.
+   */
+  async handleStreamTranslation(port, streamId, payload) {
+    const { text, sourceLang, targetLang, engine, engineConfig, context } = payload;
+    const key = `${port.name}:${streamId}`;
+    const controller = new AbortController();
+    this.streams.set(key, controller);
+
+    const post = (message) => {
+      if (controller.signal.aborted) return;
+      try {
+        port.postMessage({ ...message, streamId });
+      } catch (e) {
+        // Port closed between chunks; onDisconnect cancels the stream
+      }
+    };
+
+    // Failing to build the engine says nothing about the service; flagged so
+    // the background does not count it against the engine's circuit breaker
+    let translator;
+    try {
+      translator = await this.getStreamingEngine(engine, engineConfig);
+    } catch (error) {
+      post({ type: 'STREAM_ERROR', error: error.message, setup: true });
+      this.stats.failed++;
+      this.streams.delete(key);
+      return;
+    }
+
+    try {
+      let result;
+
+      if (typeof translator.translateStreaming === 'function') {
+        result = await translator.translateStreaming(text, {
+          sourceLang,
+          targetLang,
+          sceneContext: context?.sceneContext || null,
+          signal: controller.signal
+        }, (chunk, fullText) => post({ type: 'STREAM_CHUNK', chunk, text: fullText }));
+      } else {
+        result = await translator.translate(text, { sourceLang, targetLang });
+        post({ type: 'STREAM_CHUNK', chunk: result.text, text: result.text });
+      }
+
+      post({
+        type: 'STREAM_DONE',
+        result: {
+          originalText: text,
+          translatedText: result.text,
+          engine,
+          confidence: result.confidence,
+          alternatives: result.alternatives || []
+        }
+      });
+      this.stats.processed++;
+    } catch (error) {
+      if (!controller.signal.aborted) {
+        post({ type: 'STREAM_ERROR', error: error.message });
+        this.stats.failed++;
+      }
+    } finally {
+      this.streams.delete(key);
+    }
+  }
+
+  /**
+   * Abort an in-flight stream (scrolled away, chapter changed, port closed)
+   */
+  cancelStream(key) {
+    const controller = this.streams.get(key);
+    if (!controller) return;
+
+    controller.abort();
+    this.streams.delete(key);
+  }
+
+  /**
+   * Engines used for streaming are kept between requests so rate limiting
+   * and conversation memory carry over; config (API key, model) is refreshed each time
+   */
+  async getStreamingEngine(engineName, engineConfig) {
+    let translator = this.streamEngines.get(engineName);
+    if (!translator) {
+      translator = await this.getTranslationEngine(engineName);
+      this.streamEngines.set(engineName, translator);
+    }
+    if (engineConfig && typeof translator.updateConfig === 'function') {
+      translator.updateConfig(engineConfig);
+    }
+    return translator;
+  }
+
   /**
    * Handle streaming data (for large images/progressive results)
    */
@@ -45,7 +45,39 @@ const DEFAULTS = {
         sfxTranslation: TRANSLATION_CONFIG.DEFAULTS.SFX_TRANSLATION,
         cacheEnabled: TRANSLATION_CONFIG.DEFAULTS.CACHE_ENABLED,
         formality: 'default', // 'default', 'formal', 'informal'
-        fallbackEngine: 'google'
+        fallbackEngine: 'google',
+        speakerAttribution: true, // Link bubbles to the character speaking for consistent voices
+        streaming: true, // Fill overlays progressively instead of after the whole page
+        // Self-hosted server speaking the OpenAI chat completions API
+        openaiCompatible: {
+            enabled: false,
+            baseUrl: TRANSLATION_CONFIG.ENGINES.OPENAI_COMPATIBLE.url,
+            model: '',
+            // apiKey and headers (e.g. for an auth proxy) are secrets, see ENGINE_SECRETS
+            contextWindow: 4096, // Tokens; panel memory is trimmed to fit
+            maxTokens: 512,
+            temperature: 0.3,
+            jsonMode: false // Server accepts response_format: json_object
+        },
+        // Self-hosted LibreTranslate server
+        libretranslate: {
+            enabled: false,
+            baseUrl: TRANSLATION_CONFIG.ENGINES.LIBRETRANSLATE.url
+            // apiKey is a secret, see ENGINE_SECRETS
+        },
+        // Spending limits checked against the usage ledger (USD, null = no limit)
+        budget: {
+            enabled: false,
+            daily: null,
+            monthly: null,
+            onLimit: 'switch' // 'switch' to free engines or 'stop' translating
+        },
+        // Engine routing rules, evaluated top to bottom by EngineRouter
+        routing: {
+            enabled: true,
+            maxCostPerRequest: null, // USD, null = no ceiling
+            rules: []
+        }
     },
     
     // OCR settings
@@ -61,7 +93,16 @@ const DEFAULTS = {
             sharpen: OCR_CONFIG.TESSERACT.PREPROCESS.SHARPEN
         },
         autoRotate: true,
-        psm: 6
+        psm: 6,
+        // OCR backend per source language: 'tesseract', 'manga-ocr', 'paddleocr'
+        backends: {
+            jpn: 'tesseract',
+            jpn_vert: 'tesseract',
+            kor: 'tesseract',
+            chi_sim: 'tesseract',
+            chi_tra: 'tesseract',
+            eng: 'tesseract'
+        }
     },
     
     // Appearance settings
@@ -78,7 +119,10 @@ const DEFAULTS = {
         shadow: UI_CONFIG.OVERLAY.SHADOW,
         showConfidence: true,
         showOriginal: false,
-        animationSpeed: 'normal' // 'slow', 'normal', 'fast', 'none'
+        showFurigana: true, // Ruby readings over kanji in the original-text tooltip
+        animationSpeed: 'normal', // 'slow', 'normal', 'fast', 'none'
+        renderMode: 'overlay', // 'overlay' (box over bubble) or 'clean' (inpaint, then letter); usually set per site
+        cleanMinConfidence: 0.6 // Text-mask confidence below which clean mode falls back to the box overlay
     },
     
     // Hotkey settings
@@ -102,7 +146,8 @@ const DEFAULTS = {
         concurrentTranslation: PERFORMANCE.BATCH.MAX_CONCURRENT_TRANSLATE,
         enableHardwareAcceleration: true,
         disableAnalytics: false,
-        experimentalFeatures: false
+        experimentalFeatures: false,
+        replayFixtures: null // Fixture URL used when ENV.DEBUG.MOCK_APIS is on
     },
     
     // API keys (encrypted at rest)
@@ -112,6 +157,11 @@ const DEFAULTS = {
         customEndpoint: null
     },
     
+    // Declarative site adapters (JSON definitions imported from the options page)
+    siteAdapters: {
+        definitions: []
+    },
+    
     // Site-specific overrides
     sites: {}
 };
@@ -155,6 +205,41 @@ const SCHEMA = {
             type: 'string', 
             enum: Object.keys(TRANSLATION_CONFIG.ENGINES), 
             default: 'google' 
+        },
+        speakerAttribution: { type: 'boolean', default: true },
+        streaming: { type: 'boolean', default: true },
+        openaiCompatible: {
+            type: 'object',
+            properties: {
+                enabled: { type: 'boolean', default: false },
+                baseUrl: { type: 'string', pattern: /^https?:\/\//, default: TRANSLATION_CONFIG.ENGINES.OPENAI_COMPATIBLE.url },
+                model: { type: 'string', default: '' },
+                contextWindow: { type: 'number', min: 512, max: 1048576, default: 4096 },
+                maxTokens: { type: 'number', min: 16, max: 32768, default: 512 },
+                temperature: { type: 'number', min: 0, max: 2, default: 0.3 },
+                jsonMode: { type: 'boolean', default: false }
+            }
+        },
+        libretranslate: {
+            type: 'object',
+            properties: {
+                enabled: { type: 'boolean', default: false },
+                baseUrl: { type: 'string', pattern: /^https?:\/\//, default: TRANSLATION_CONFIG.ENGINES.LIBRETRANSLATE.url }
+            }
+        },
+        budget: {
+            type: 'object',
+            properties: {
+                enabled: { type: 'boolean', default: false },
+                onLimit: { type: 'string', enum: ['switch', 'stop'], default: 'switch' }
+            }
+        },
+        routing: {
+            type: 'object',
+            properties: {
+                enabled: { type: 'boolean', default: true },
+                rules: { type: 'array', default: [] }
+            }
         }
     },
     
@@ -182,7 +267,8 @@ const SCHEMA = {
             }
         },
         autoRotate: { type: 'boolean', default: true },
-        psm: { type: 'number', enum: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13], default: 6 }
+        psm: { type: 'number', enum: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13], default: 6 },
+        backends: { type: 'object', default: {} }
     },
     
     appearance: {
@@ -198,7 +284,10 @@ const SCHEMA = {
         shadow: { type: 'string', default: UI_CONFIG.OVERLAY.SHADOW },
         showConfidence: { type: 'boolean', default: true },
         showOriginal: { type: 'boolean', default: false },
-        animationSpeed: { type: 'string', enum: ['slow', 'normal', 'fast', 'none'], default: 'normal' }
+        showFurigana: { type: 'boolean', default: true },
+        animationSpeed: { type: 'string', enum: ['slow', 'normal', 'fast', 'none'], default: 'normal' },
+        renderMode: { type: 'string', enum: ['overlay', 'clean'], default: 'overlay' },
+        cleanMinConfidence: { type: 'number', min: 0, max: 1, default: 0.6 }
     },
     
     hotkeys: {
@@ -227,9 +316,50 @@ const SCHEMA = {
         enableHardwareAcceleration: { type: 'boolean', default: true },
         disableAnalytics: { type: 'boolean', default: false },
         experimentalFeatures: { type: 'boolean', default: false }
+    },
+    
+    siteAdapters: {
+        definitions: { type: 'array', default: [] }
     }
 };
 
+// ==========================================
+// ENGINE SECRETS
+// ==========================================
+
+// Credentials of configurable engines, by engine id. They are never stored in
+// settings or broadcast to tabs; APIManager keeps them in SecureStorage.
+const ENGINE_SECRETS = {
+    openai_compatible: { section: 'openaiCompatible', fields: ['apiKey', 'headers'] },
+    libretranslate: { section: 'libretranslate', fields: ['apiKey'] }
+};
+
+/**
+ * Separate engine credentials from translation settings
+ * @param {Object} translation - translation settings, possibly holding secrets
+ * @returns {{ settings: Object, secrets: Object }} settings without secrets; secrets by engine id
+ */
+function splitEngineSecrets(translation = {}) {
+    const settings = { ...translation };
+    const secrets = {};
+    
+    for (const [engine, { section, fields }] of Object.entries(ENGINE_SECRETS)) {
+        if (!settings[section]) continue;
+        
+        const rest = { ...settings[section] };
+        const values = {};
+        fields.forEach(field => {
+            if (rest[field] !== undefined) values[field] = rest[field];
+            delete rest[field];
+        });
+        
+        settings[section] = rest;
+        if (Object.keys(values).length > 0) secrets[engine] = values;
+    }
+    
+    return { settings, secrets };
+}
+
 // ==========================================
 // CONFIGURATION MANAGER CLASS
 // ==========================================
@@ -880,7 +1010,7 @@ if (typeof window !== 'undefined') {
 // ==========================================
 
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { ConfigManager, configManager, DEFAULTS, SCHEMA };
+    module.exports = { ConfigManager, configManager, DEFAULTS, SCHEMA, ENGINE_SECRETS, splitEngineSecrets };
 }
 
 if (typeof window !== 'undefined') {
@@ -888,5 +1018,5 @@ if (typeof window !== 'undefined') {
     window.configManager = configManager;
 }
 
-export { ConfigManager, configManager, DEFAULTS, SCHEMA };
+export { ConfigManager, configManager, DEFAULTS, SCHEMA, ENGINE_SECRETS, splitEngineSecrets };
 export default configManager;
\ No newline at end of file
@@ -54,6 +54,15 @@ const STORAGE_KEYS = {
     IMAGE_CACHE: 'mt_image_cache',
     OCR_CACHE: 'mt_ocr_cache',
     
+    // Glossaries
+    GLOSSARIES: 'mt_glossaries',
+    
+    // Reading order corrections and learned layout, per series
+    READING_ORDER: 'mt_reading_order',
+    
+    // Speakers seen and named by the user, per series
+    SPEAKERS: 'mt_speakers',
+    
     // State
     SESSION_STATE: 'mt_session',
     LAST_TRANSLATION: 'mt_last_translation',
@@ -217,6 +226,25 @@ const TRANSLATION_CONFIG = {
                 GPT35: 'gpt-3.5-turbo'
             }
         },
+        OPENAI_COMPATIBLE: {
+            id: 'openai_compatible',
+            name: 'OpenAI-compatible (llama.cpp, Ollama, vLLM)',
+            requiresKey: false,
+            maxTextLength: 4000,
+            rateLimit: 60,
+            supportsContext: true,
+            supportsVision: false,
+            url: 'http://localhost:11434/v1' // Base URL; /chat/completions is appended
+        },
+        LIBRETRANSLATE: {
+            id: 'libretranslate',
+            name: 'LibreTranslate',
+            requiresKey: false, // Only servers started with --api-keys
+            maxTextLength: 5000,
+            rateLimit: 120,
+            supportsContext: false,
+            url: 'http://localhost:5000' // Server root; /translate is appended
+        },
         LOCAL: {
             id: 'local',
             name: 'Local LLM',
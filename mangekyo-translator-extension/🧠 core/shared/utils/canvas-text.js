@@ -0,0 +1,128 @@
+/**
+ * Canvas Text Module
+ * Wrapping, fitting and drawing of translated text on a 2D canvas
+ * Shared by the clean render mode and CBZ export
+ * @module shared/utils/canvas-text
+ */
+
+const CJK_PATTERN = /[぀-ヿ一-龯가-힯]/;
+
+/**
+ * Greedy word wrap; CJK text breaks between characters
+ * @param {CanvasRenderingContext2D} ctx - Context with the font already set
+ * @param {string} text - Text to wrap
+ * @param {number} maxWidth - Line width in pixels
+ * @returns {Array<string>} Lines
+ */
+export function wrapText(ctx, text, maxWidth) {
+  const isCJK = CJK_PATTERN.test(text);
+  const tokens = isCJK ? Array.from(text) : text.split(/\s+/);
+  const joiner = isCJK ? '' : ' ';
+  const lines = [];
+  let current = '';
+
+  for (const token of tokens) {
+    const candidate = current ? current + joiner + token : token;
+    if (current && ctx.measureText(candidate).width > maxWidth) {
+      lines.push(current);
+      current = token;
+    } else {
+      current = candidate;
+    }
+  }
+  if (current) lines.push(current);
+
+  return lines;
+}
+
+/**
+ * Largest font size (down to minFontSize) at which the text fits the box
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {string} text
+ * @param {Object} box - { width, height } available for text
+ * @param {Object} options - { fontFamily, fontSize, minFontSize, lineHeight }
+ * @returns {{ fontSize: number, lines: Array<string> }}
+ */
+export function fitText(ctx, text, box, options = {}) {
+  const { fontFamily = 'sans-serif', minFontSize = 8, lineHeight = 1.2 } = options;
+  let fontSize = Math.max(options.fontSize || 14, minFontSize);
+  let lines;
+
+  do {
+    ctx.font = `${fontSize}px ${fontFamily}`;
+    lines = wrapText(ctx, text, box.width);
+    if (lines.length * fontSize * lineHeight <= box.height) break;
+    fontSize -= 1;
+  } while (fontSize > minFontSize);
+
+  return { fontSize, lines };
+}
+
+/**
+ * Draw lines centered on a box
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Array<string>} lines
+ * @param {Object} box - { x, y, width, height }
+ * @param {Object} options - { fontFamily, fontSize, lineHeight, color, outlineColor, outlineWidth }
+ */
+export function drawTextBlock(ctx, lines, box, options = {}) {
+  const { fontFamily = 'sans-serif', fontSize = 14, lineHeight = 1.2, color = '#000' } = options;
+  const step = fontSize * lineHeight;
+  const centerX = box.x + box.width / 2;
+  const startY = box.y + box.height / 2 - (lines.length * step) / 2 + step / 2;
+
+  ctx.save();
+  ctx.font = `${fontSize}px ${fontFamily}`;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.lineJoin = 'round';
+
+  lines.forEach((line, i) => {
+    const y = startY + i * step;
+    // Halo keeps text readable where the cleaned background is textured
+    if (options.outlineColor && options.outlineWidth) {
+      ctx.strokeStyle = options.outlineColor;
+      ctx.lineWidth = options.outlineWidth;
+      ctx.strokeText(line, centerX, y);
+    }
+    ctx.fillStyle = color;
+    ctx.fillText(line, centerX, y);
+  });
+
+  ctx.restore();
+}
+
+/**
+ * Draw lines already positioned by the text fitter (centers in canvas pixels)
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Array<{text: string, x: number, y: number}>} lines - From fitTextToShape
+ * @param {Object} options - { fontFamily, fontSize, color, outlineColor, outlineWidth }
+ */
+export function drawFittedText(ctx, lines, options = {}) {
+  const { fontFamily = 'sans-serif', fontSize = 14, color = '#000' } = options;
+
+  ctx.save();
+  ctx.font = `${fontSize}px ${fontFamily}`;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.lineJoin = 'round';
+
+  for (const line of lines) {
+    if (options.outlineColor && options.outlineWidth) {
+      ctx.strokeStyle = options.outlineColor;
+      ctx.lineWidth = options.outlineWidth;
+      ctx.strokeText(line.text, line.x, line.y);
+    }
+    ctx.fillStyle = color;
+    ctx.fillText(line.text, line.x, line.y);
+  }
+
+  ctx.restore();
+}
+
+export default {
+  wrapText,
+  fitText,
+  drawTextBlock,
+  drawFittedText
+};
@@ -0,0 +1,276 @@
+/**
+ * CJK Typesetting Module
+ * Vertical (tategaki) layout for Japanese and Chinese translations:
+ * kinsoku line breaking, tate-chu-yoko for short numbers and font fitting
+ * against the bubble's original column layout
+ * @module shared/utils/cjk-typesetting
+ */
+
+/**
+ * Typesetting configuration
+ */
+const CONFIG = {
+  // Target languages set vertically
+  VERTICAL_LANGUAGES: ['ja', 'zh', 'zh-CN', 'zh-TW'],
+
+  // Longest half-width run set horizontally inside a column (tate-chu-yoko)
+  TCY_MAX_LENGTH: 2,
+
+  // Column pitch as a multiple of the font size when the original layout is unknown
+  COLUMN_SPACING: 1.3,
+
+  MIN_FONT_SIZE: 8,
+  MAX_FONT_SIZE: 40
+};
+
+/**
+ * Kinsoku shori (禁則処理) character classes
+ */
+const KINSOKU = {
+  // Must not start a column
+  NOT_AT_START: new Set(Array.from(
+    '、。，．・：；？！‼⁇⁈⁉ー…‥）」』】〕〉》〗〙〟’”ゝゞヽヾ々〻ぁぃぅぇぉっゃゅょゎゕゖァィゥェォッャュョヮヵヶㇰㇱㇲㇳㇴㇵㇶㇷㇸㇹㇺㇻㇼㇽㇾㇿ〜～゠–'
+  )),
+  // Must not end a column
+  NOT_AT_END: new Set(Array.from('（「『【〔〈《〖〘〝‘“')),
+  // May hang below the column end instead of moving down (burasagari)
+  HANGING: new Set(Array.from('、。，．'))
+};
+
+/**
+ * Glyphs drawn rotated 90° in vertical text (canvas only; CSS handles these itself)
+ */
+const ROTATED = new Set(Array.from('ー〜～…‥（）「」『』【】〔〕〈〉《》—–-_()[]{}<>=~'));
+
+/**
+ * Small punctuation shifted to the top-right of its cell in vertical text
+ */
+const CORNER_PUNCTUATION = new Set(Array.from('、。，．'));
+
+/**
+ * Whether a target language is typeset vertically
+ * @param {string} language - Target language code
+ * @returns {boolean}
+ */
+export function isVerticalLanguage(language) {
+  return CONFIG.VERTICAL_LANGUAGES.includes(language);
+}
+
+/**
+ * Split text into column cells: one per full-width character,
+ * short half-width digit/punctuation runs kept together for tate-chu-yoko
+ * @param {string} text
+ * @returns {Array<{ text: string, tcy: boolean }>}
+ */
+export function tokenizeVertical(text) {
+  const cells = [];
+  const pattern = /[0-9]+|[!?！？]{2}|[\s\S]/gu;
+  let match;
+
+  // Half-width text reads better as full-width in a column
+  const normalized = text.replace(/\s+/g, '').replace(/[A-Za-z]/g,
+    ch => String.fromCharCode(ch.charCodeAt(0) + 0xFEE0));
+
+  while ((match = pattern.exec(normalized)) !== null) {
+    const token = match[0];
+
+    if (/^[0-9]+$/.test(token) && token.length > CONFIG.TCY_MAX_LENGTH) {
+      // Long numbers are set one full-width digit per cell
+      for (const digit of token) {
+        cells.push({ text: String.fromCharCode(digit.charCodeAt(0) + 0xFEE0), tcy: false });
+      }
+    } else {
+      cells.push({ text: token, tcy: token.length > 1 || /^[0-9]$/.test(token) });
+    }
+  }
+
+  return cells;
+}
+
+/**
+ * Break cells into columns of at most perColumn cells, applying kinsoku rules
+ * @param {Array<Object>} cells - From tokenizeVertical
+ * @param {number} perColumn - Cells that fit in one column
+ * @returns {Array<Array<Object>>} Columns, right to left
+ */
+export function breakColumns(cells, perColumn) {
+  const columns = [];
+  let current = [];
+  const limit = Math.max(1, perColumn);
+
+  for (let i = 0; i < cells.length; i++) {
+    const cell = cells[i];
+
+    if (current.length >= limit) {
+      if (KINSOKU.NOT_AT_START.has(cell.text)) {
+        if (KINSOKU.HANGING.has(cell.text) && current.length === limit) {
+          // Burasagari: comma/period hangs one cell past the column end
+          current.push(cell);
+          continue;
+        }
+        // Oidashi: carry the previous cell down so the new column does not open with this one
+        const carried = current.length > 1 ? current.pop() : null;
+        columns.push(current);
+        current = carried ? [carried, cell] : [cell];
+        continue;
+      }
+
+      columns.push(current);
+      current = [];
+    }
+
+    current.push(cell);
+
+    // Opening brackets must not end a column: move them to the next one
+    if (current.length === limit && KINSOKU.NOT_AT_END.has(cell.text) && i < cells.length - 1 && limit > 1) {
+      current.pop();
+      columns.push(current);
+      current = [cell];
+    }
+  }
+
+  if (current.length) columns.push(current);
+  return columns;
+}
+
+/**
+ * Pick the largest font size at which the text fits the box as vertical columns
+ * @param {string} text - Translation
+ * @param {Object} box - { width, height } in pixels
+ * @param {Object} options - { layout (TextROIExtractor.summarizeLayout), minFontSize, maxFontSize }
+ * @returns {{ fontSize: number, columnPitch: number, columns: Array<Array<Object>> }}
+ */
+export function fitVertical(text, box, options = {}) {
+  const layout = options.layout || null;
+  const minFontSize = options.minFontSize || CONFIG.MIN_FONT_SIZE;
+  const cells = tokenizeVertical(text);
+
+  // Start from the original lettering size when known, so the page keeps its look
+  let fontSize = Math.min(
+    options.maxFontSize || CONFIG.MAX_FONT_SIZE,
+    layout?.charSize || Math.min(box.width, box.height) / 2
+  );
+  const pitchRatio = layout?.charSize && layout.linePitch
+    ? Math.max(1, layout.linePitch / layout.charSize)
+    : CONFIG.COLUMN_SPACING;
+
+  let columns;
+  fontSize = Math.max(minFontSize, Math.floor(fontSize));
+
+  while (true) {
+    const perColumn = Math.max(1, Math.floor(box.height / fontSize) - 1); // Room for a hanging cell
+    columns = breakColumns(cells, perColumn);
+    const width = fontSize + (columns.length - 1) * fontSize * pitchRatio;
+
+    if (width <= box.width || fontSize <= minFontSize) break;
+    fontSize -= 1;
+  }
+
+  return { fontSize, columnPitch: fontSize * pitchRatio, columns };
+}
+
+/**
+ * DOM content for vertical overlays: one line per column, tate-chu-yoko spans
+ * Used with writing-mode: vertical-rl on the parent
+ * @param {Array<Array<Object>>} columns
+ * @returns {DocumentFragment}
+ */
+export function buildVerticalFragment(columns) {
+  const fragment = document.createDocumentFragment();
+
+  columns.forEach((column, i) => {
+    if (i > 0) fragment.appendChild(document.createElement('br'));
+
+    let run = '';
+    for (const cell of column) {
+      if (!cell.tcy) {
+        run += cell.text;
+        continue;
+      }
+      if (run) fragment.appendChild(document.createTextNode(run));
+      run = '';
+
+      const tcy = document.createElement('span');
+      tcy.className = 'tcy';
+      tcy.textContent = cell.text;
+      fragment.appendChild(tcy);
+    }
+    if (run) fragment.appendChild(document.createTextNode(run));
+  });
+
+  return fragment;
+}
+
+/**
+ * Draw vertical columns centered in a box, right to left
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Array<Array<Object>>} columns
+ * @param {Object} box - { x, y, width, height }
+ * @param {Object} options - { fontSize, columnPitch, fontFamily, color, outlineColor, outlineWidth }
+ */
+export function drawVerticalColumns(ctx, columns, box, options = {}) {
+  const { fontSize, fontFamily = 'sans-serif', color = '#000' } = options;
+  const pitch = options.columnPitch || fontSize * CONFIG.COLUMN_SPACING;
+  const blockWidth = fontSize + (columns.length - 1) * pitch;
+  const longest = Math.max(...columns.map(column => column.length));
+
+  // Columns share a top edge, like hand lettering
+  const firstX = box.x + box.width / 2 + blockWidth / 2 - fontSize / 2;
+  const top = box.y + box.height / 2 - (longest * fontSize) / 2;
+
+  ctx.save();
+  ctx.font = `${fontSize}px ${fontFamily}`;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.lineJoin = 'round';
+
+  const paint = (text, x, y) => {
+    if (options.outlineColor && options.outlineWidth) {
+      ctx.strokeStyle = options.outlineColor;
+      ctx.lineWidth = options.outlineWidth;
+      ctx.strokeText(text, x, y);
+    }
+    ctx.fillStyle = color;
+    ctx.fillText(text, x, y);
+  };
+
+  columns.forEach((column, c) => {
+    const x = firstX - c * pitch;
+
+    column.forEach((cell, r) => {
+      const y = top + r * fontSize + fontSize / 2;
+
+      ctx.save();
+      ctx.translate(x, y);
+
+      if (cell.tcy) {
+        // Squeeze the run into one em
+        const width = ctx.measureText(cell.text).width;
+        if (width > fontSize) ctx.scale(fontSize / width, 1);
+        paint(cell.text, 0, 0);
+      } else if (ROTATED.has(cell.text)) {
+        ctx.rotate(Math.PI / 2);
+        paint(cell.text, 0, 0);
+      } else if (CORNER_PUNCTUATION.has(cell.text)) {
+        paint(cell.text, fontSize * 0.6, -fontSize * 0.6);
+      } else {
+        paint(cell.text, 0, 0);
+      }
+
+      ctx.restore();
+    });
+  });
+
+  ctx.restore();
+}
+
+export { CONFIG as TYPESETTING_CONFIG, KINSOKU };
+
+export default {
+  isVerticalLanguage,
+  tokenizeVertical,
+  breakColumns,
+  fitVertical,
+  buildVerticalFragment,
+  drawVerticalColumns
+};
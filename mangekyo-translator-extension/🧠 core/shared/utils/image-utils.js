@@ -100,6 +100,38 @@ export async function loadImage(source) {
   });
 }
 
+/**
+ * Image source whose pixels can be read back from a canvas
+ * Cross-origin pages taint the canvas, so those are refetched through the background
+ * @param {HTMLImageElement} imageElement - Page image
+ * @returns {Promise<HTMLImageElement>} The element itself or a same-origin copy
+ */
+export async function loadReadableImage(imageElement) {
+  const probe = document.createElement('canvas');
+  probe.width = probe.height = 1;
+  const probeCtx = probe.getContext('2d');
+  
+  try {
+    probeCtx.drawImage(imageElement, 0, 0, 1, 1);
+    probeCtx.getImageData(0, 0, 1, 1);
+    return imageElement;
+  } catch (error) {
+    const response = await chrome.runtime.sendMessage({
+      type: 'FETCH_IMAGE_DATA',
+      payload: { url: imageElement.currentSrc || imageElement.src }
+    });
+    
+    if (!response?.success) {
+      throw new Error(`Cannot read page image: ${response?.error || error.message}`);
+    }
+    
+    const img = new Image();
+    img.src = response.data;
+    await img.decode();
+    return img;
+  }
+}
+
 /**
  * Create canvas from image with automatic sizing
  * @param {HTMLImageElement} img - Source image
@@ -1005,6 +1037,7 @@ export async function preprocessForOCR(img, options = {}) {
 // Export default object
 export default {
   loadImage,
+  loadReadableImage,
   createCanvasFromImage,
   extractRegion,
   rescaleImageData,
@@ -5,7 +5,9 @@
  * Tracks OCR latency, translation throughput, memory usage, and frame rates.
  */
 
-import { DEBUG_MODE, PERFORMANCE_THRESHOLDS } from '../constants.js';
+import { ENV } from '../constants.js';
+
+const DEBUG_MODE = ENV.DEBUG.LOG_LEVEL === 'verbose';
 
 /**
  * PerformanceMonitor - Centralized performance tracking and alerting
@@ -20,8 +22,7 @@ export class PerformanceMonitor {
         ocrLatency: 2000,      // 2 seconds
         translationLatency: 3000, // 3 seconds
         frameDropThreshold: 5,  // Drops per second
-        memoryLimitMB: 512,     // Extension memory limit
-        ...PERFORMANCE_THRESHOLDS
+        memoryLimitMB: 512      // Extension memory limit
       },
       ...options
     };
@@ -73,7 +74,7 @@ export class PerformanceMonitor {
       type,
       startTime,
       metadata: {
-        url: location.href,
+        url: globalThis.location?.href || null,
         timestamp: Date.now(),
         ...metadata
       }
@@ -117,6 +118,36 @@ export class PerformanceMonitor {
     return metric;
   }
 
+  /**
+   * Named timing used by the content and CV modules: start() returns a mark,
+   * end() takes that mark or the operation name
+   */
+  start(type, metadata = {}) {
+    return this.startOperation(type, metadata);
+  }
+
+  end(mark, additionalData = {}) {
+    let id = mark;
+    if (typeof mark === 'string') {
+      id = [...this.activeOperations.entries()].reverse().find(([, op]) => op.type === mark)?.[0];
+    }
+    return this.endOperation(id, !additionalData.error, additionalData);
+  }
+
+  /**
+   * Record a duration measured by the caller
+   */
+  record(type, duration, additionalData = {}) {
+    const metric = { duration, success: true, timestamp: Date.now(), ...additionalData };
+
+    if (this.metrics[type]) {
+      this.metrics[type].add(metric);
+    }
+    this.checkThresholds(type, duration, metric);
+
+    return metric;
+  }
+
   /**
    * Quick measure wrapper for async functions
    */
@@ -0,0 +1,306 @@
+/**
+ * Text Fitter Module
+ * Lays translated text out inside the actual bubble shape instead of its bounding box:
+ * per-line widths follow the bubble contour (convex hull from the detector, or an
+ * ellipse for round bubbles), font size is found by binary search, long words are
+ * hyphenated for the target language, and leftover text is reported as overflow
+ * @module shared/utils/text-fitter
+ */
+
+/**
+ * Fitting configuration
+ */
+const CONFIG = {
+  MIN_FONT_SIZE: 8,
+  MAX_FONT_SIZE: 32,
+  LINE_HEIGHT: 1.2,
+  PADDING: 0.08,            // Fraction of the chord kept free at each end of a line
+
+  // Hyphenation
+  MIN_WORD_TO_HYPHENATE: 7,
+  MIN_PREFIX: 2,
+  MIN_SUFFIX: 3
+};
+
+/**
+ * Languages written with spaces that use hyphens for word breaks
+ */
+const HYPHENATED_LANGUAGES = new Set(['en', 'de', 'fr', 'es', 'it', 'pt', 'nl', 'sv', 'da', 'no', 'fi', 'pl', 'cs', 'ru', 'uk', 'id', 'vi', 'tr']);
+
+const VOWELS = /[aeiouyàáâãäåæèéêëìíîïòóôõöøùúûüýÿаеёиоуыэюяіїє]/i;
+
+const CJK_PATTERN = /[぀-ヿ一-龯가-힯]/;
+
+/**
+ * Width measurer backed by an offscreen 2D context
+ * @param {string} fontFamily
+ * @param {CanvasRenderingContext2D} ctx - Optional context to reuse
+ * @returns {Function} (text, fontSize) => width in pixels
+ */
+export function createMeasurer(fontFamily, ctx = null) {
+  const context = ctx || document.createElement('canvas').getContext('2d');
+  const cache = new Map();
+
+  return (text, fontSize) => {
+    const key = `${fontSize}|${text}`;
+    if (!cache.has(key)) {
+      context.font = `${fontSize}px ${fontFamily}`;
+      cache.set(key, context.measureText(text).width);
+    }
+    return cache.get(key);
+  };
+}
+
+/**
+ * Possible hyphenation points (indices) in a word, best first
+ * Vowel–consonant heuristics: V-CV and VC-CV, never inside the first/last letters
+ * @param {string} word
+ * @param {string} language - Target language code
+ * @returns {Array<number>}
+ */
+export function hyphenationPoints(word, language = 'en') {
+  if (!HYPHENATED_LANGUAGES.has((language || 'en').split('-')[0])) return [];
+  if (word.length < CONFIG.MIN_WORD_TO_HYPHENATE || !/^[\p{L}']+$/u.test(word)) return [];
+
+  const points = [];
+  const chars = Array.from(word);
+
+  for (let i = CONFIG.MIN_PREFIX; i <= chars.length - CONFIG.MIN_SUFFIX; i++) {
+    const before = VOWELS.test(chars[i - 1]);
+    const current = VOWELS.test(chars[i]);
+    const next = VOWELS.test(chars[i + 1] || '');
+
+    // vo-wel (V-CV) or con-so-nant (VC-CV)
+    if ((before && !current && next) || (!before && !current && VOWELS.test(chars[i - 2] || '') && next)) {
+      points.push(i);
+    }
+  }
+
+  return points;
+}
+
+/**
+ * Horizontal extent of the bubble at height y
+ * @param {Object} shape - { type: 'polygon', points } or { type: 'ellipse' | 'rect', bbox }
+ * @param {number} y
+ * @returns {{ left: number, right: number }|null}
+ */
+export function chordAt(shape, y) {
+  const { bbox } = shape;
+
+  if (shape.type === 'polygon') {
+    const xs = [];
+    const points = shape.points;
+    for (let i = 0; i < points.length; i++) {
+      const a = points[i];
+      const b = points[(i + 1) % points.length];
+      if ((a.y <= y && b.y > y) || (b.y <= y && a.y > y)) {
+        xs.push(a.x + ((y - a.y) / (b.y - a.y)) * (b.x - a.x));
+      }
+    }
+    if (xs.length < 2) return null;
+    return { left: Math.min(...xs), right: Math.max(...xs) };
+  }
+
+  if (y < bbox.y || y > bbox.y + bbox.height) return null;
+
+  if (shape.type === 'ellipse') {
+    const rx = bbox.width / 2;
+    const ry = bbox.height / 2;
+    const dy = (y - (bbox.y + ry)) / ry;
+    const half = rx * Math.sqrt(Math.max(0, 1 - dy * dy));
+    const cx = bbox.x + rx;
+    return { left: cx - half, right: cx + half };
+  }
+
+  return { left: bbox.x, right: bbox.x + bbox.width };
+}
+
+/**
+ * Usable segment for a line band: the narrowest chord across the band
+ * @private
+ */
+function bandSegment(shape, top, bottom) {
+  const samples = [top, (top + bottom) / 2, bottom];
+  let left = -Infinity;
+  let right = Infinity;
+
+  for (const y of samples) {
+    const chord = chordAt(shape, y);
+    if (!chord) return null;
+    left = Math.max(left, chord.left);
+    right = Math.min(right, chord.right);
+  }
+
+  const inset = (right - left) * CONFIG.PADDING;
+  return right - left > 0 ? { left: left + inset, right: right - inset } : null;
+}
+
+/**
+ * Split text into breakable tokens; CJK breaks anywhere, others at spaces
+ * @private
+ */
+function tokenize(text) {
+  const tokens = [];
+  for (const word of text.trim().split(/\s+/)) {
+    if (CJK_PATTERN.test(word)) {
+      tokens.push(...Array.from(word).map(ch => ({ text: ch, space: false })));
+    } else if (word) {
+      tokens.push({ text: word, space: true });
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Greedily fill lines with tokens, hyphenating words that do not fit
+ * @private
+ * @returns {{ lines: Array<string>, rest: number }} Lines and number of unplaced tokens
+ */
+function fillLines(tokens, widths, fontSize, measure, language) {
+  const lines = [];
+  const queue = tokens.map(t => ({ ...t }));
+
+  for (const maxWidth of widths) {
+    let line = '';
+
+    while (queue.length > 0) {
+      const token = queue[0];
+      const joiner = line && token.space ? ' ' : '';
+      const candidate = line + joiner + token.text;
+
+      if (measure(candidate, fontSize) <= maxWidth) {
+        line = candidate;
+        queue.shift();
+        continue;
+      }
+
+      // Try to hyphenate into the remaining space (prefer the longest prefix that fits)
+      const points = hyphenationPoints(token.text, language).reverse();
+      const chars = Array.from(token.text);
+      const split = points.find(i => measure(line + joiner + chars.slice(0, i).join('') + '-', fontSize) <= maxWidth);
+
+      if (split) {
+        line = line + joiner + chars.slice(0, split).join('') + '-';
+        queue[0] = { text: chars.slice(split).join(''), space: token.space };
+      } else if (!line) {
+        // A single unbreakable token wider than the line: place it and let it overflow
+        line = token.text;
+        queue.shift();
+      }
+      break;
+    }
+
+    lines.push(line);
+    if (queue.length === 0) break;
+  }
+
+  return { lines: lines.filter(Boolean), rest: queue.length };
+}
+
+/**
+ * Try to lay text out at one font size
+ * @private
+ */
+function layoutAt(tokens, shape, fontSize, options) {
+  const { measure, lineHeight, language } = options;
+  const { bbox } = shape;
+  const step = fontSize * lineHeight;
+  const maxLines = Math.max(1, Math.floor(bbox.height / step));
+  let best = null;
+
+  // Fewer lines sit in the widest middle part of the bubble; add lines until everything fits
+  for (let count = 1; count <= maxLines; count++) {
+    const top = bbox.y + bbox.height / 2 - (count * step) / 2;
+    const segments = [];
+
+    for (let i = 0; i < count; i++) {
+      const segment = bandSegment(shape, top + i * step, top + (i + 1) * step);
+      segments.push(segment || { left: bbox.x + bbox.width / 2, right: bbox.x + bbox.width / 2 });
+    }
+
+    const { lines, rest } = fillLines(tokens, segments.map(s => s.right - s.left), fontSize, measure, language);
+    const overflowing = lines.some((line, i) => measure(line, fontSize) > segments[i].right - segments[i].left + 0.5);
+
+    const attempt = {
+      fontSize,
+      fits: rest === 0 && !overflowing,
+      overflow: { tokens: rest, widthExceeded: overflowing },
+      lines: lines.map((text, i) => ({
+        text,
+        x: (segments[i].left + segments[i].right) / 2,
+        y: top + i * step + step / 2,
+        maxWidth: segments[i].right - segments[i].left
+      }))
+    };
+
+    if (attempt.fits) return attempt;
+    if (!best || rest < best.overflow.tokens) best = attempt;
+  }
+
+  return best;
+}
+
+/**
+ * Fit text inside a bubble shape
+ * @param {string} text - Translation
+ * @param {Object} shape - { type: 'polygon', points, bbox } | { type: 'ellipse' | 'rect', bbox }
+ * @param {Object} options - { measure, minFontSize, maxFontSize, lineHeight, language }
+ * @returns {{ fontSize: number, fits: boolean, overflow: Object, lines: Array<{text, x, y, maxWidth}> }}
+ */
+export function fitTextToShape(text, shape, options = {}) {
+  const settings = {
+    measure: options.measure || createMeasurer('sans-serif'),
+    lineHeight: options.lineHeight || CONFIG.LINE_HEIGHT,
+    language: options.language || 'en'
+  };
+  const tokens = tokenize(text || '');
+  let low = Math.floor(options.minFontSize || CONFIG.MIN_FONT_SIZE);
+  let high = Math.ceil(options.maxFontSize || CONFIG.MAX_FONT_SIZE);
+
+  if (tokens.length === 0) {
+    return { fontSize: low, fits: true, overflow: { tokens: 0, widthExceeded: false }, lines: [] };
+  }
+
+  // Binary search for the largest size that fits
+  let best = null;
+  while (low <= high) {
+    const mid = Math.floor((low + high) / 2);
+    const attempt = layoutAt(tokens, shape, mid, settings);
+
+    if (attempt.fits) {
+      best = attempt;
+      low = mid + 1;
+    } else {
+      high = mid - 1;
+    }
+  }
+
+  // Nothing fits: lay out at the minimum size and report what is left over
+  return best || layoutAt(tokens, shape, Math.floor(options.minFontSize || CONFIG.MIN_FONT_SIZE), settings);
+}
+
+/**
+ * Shape descriptor for a bubble
+ * @param {Object} bbox - { x, y, width, height }
+ * @param {Object} options - { contour: Array<{x, y}> (convex hull), bubbleType }
+ * @returns {Object} Shape for fitTextToShape
+ */
+export function bubbleShape(bbox, options = {}) {
+  if (options.contour && options.contour.length >= 3) {
+    return { type: 'polygon', points: options.contour, bbox };
+  }
+
+  const round = ['speech', 'speech_bubble', 'thought', 'thought_bubble'].includes(options.bubbleType);
+  return { type: round ? 'ellipse' : 'rect', bbox };
+}
+
+export { CONFIG as FITTER_CONFIG };
+
+export default {
+  createMeasurer,
+  hyphenationPoints,
+  chordAt,
+  fitTextToShape,
+  bubbleShape
+};
@@ -0,0 +1,134 @@
+/**
+ * Zip Writer Module
+ * Minimal ZIP archive builder (STORE method, no compression) for CBZ export
+ * Page images are already compressed, so deflate would gain almost nothing
+ * @module shared/utils/zip-writer
+ */
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+/**
+ * CRC-32 of a byte array
+ * @param {Uint8Array} bytes
+ * @returns {number}
+ */
+function crc32(bytes) {
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * MS-DOS time/date fields used by ZIP headers
+ */
+function toDosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+class ZipWriter {
+  constructor() {
+    this.entries = [];
+    this.encoder = new TextEncoder();
+  }
+
+  /**
+   * Add a file to the archive
+   * @param {string} name - Path inside the archive
+   * @param {Uint8Array|ArrayBuffer|Blob|string} data - File contents
+   * @param {Date} date - Modification date
+   */
+  async addFile(name, data, date = new Date()) {
+    let bytes;
+    if (typeof data === 'string') {
+      bytes = this.encoder.encode(data);
+    } else if (data instanceof Blob) {
+      bytes = new Uint8Array(await data.arrayBuffer());
+    } else {
+      bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+    }
+
+    this.entries.push({
+      name: this.encoder.encode(name),
+      bytes,
+      crc: crc32(bytes),
+      ...toDosDateTime(date)
+    });
+  }
+
+  /**
+   * Build the archive
+   * @param {string} mimeType - Blob type (e.g. 'application/vnd.comicbook+zip')
+   * @returns {Blob}
+   */
+  generate(mimeType = 'application/zip') {
+    const parts = [];
+    const central = [];
+    let offset = 0;
+
+    for (const entry of this.entries) {
+      // Local file header
+      const local = new DataView(new ArrayBuffer(30));
+      local.setUint32(0, 0x04034B50, true);
+      local.setUint16(4, 20, true);              // Version needed
+      local.setUint16(6, 0x0800, true);          // UTF-8 names
+      local.setUint16(8, 0, true);               // STORE
+      local.setUint16(10, entry.time, true);
+      local.setUint16(12, entry.date, true);
+      local.setUint32(14, entry.crc, true);
+      local.setUint32(18, entry.bytes.length, true);
+      local.setUint32(22, entry.bytes.length, true);
+      local.setUint16(26, entry.name.length, true);
+      local.setUint16(28, 0, true);
+
+      parts.push(local, entry.name, entry.bytes);
+
+      // Central directory record
+      const record = new DataView(new ArrayBuffer(46));
+      record.setUint32(0, 0x02014B50, true);
+      record.setUint16(4, 20, true);             // Version made by
+      record.setUint16(6, 20, true);
+      record.setUint16(8, 0x0800, true);
+      record.setUint16(10, 0, true);
+      record.setUint16(12, entry.time, true);
+      record.setUint16(14, entry.date, true);
+      record.setUint32(16, entry.crc, true);
+      record.setUint32(20, entry.bytes.length, true);
+      record.setUint32(24, entry.bytes.length, true);
+      record.setUint16(28, entry.name.length, true);
+      record.setUint32(42, offset, true);        // Local header offset
+
+      central.push(record, entry.name);
+      offset += 30 + entry.name.length + entry.bytes.length;
+    }
+
+    const centralSize = central.reduce((sum, part) => sum + part.byteLength, 0);
+
+    // End of central directory
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054B50, true);
+    end.setUint16(8, this.entries.length, true);
+    end.setUint16(10, this.entries.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...parts, ...central, end], { type: mimeType });
+  }
+}
+
+export { ZipWriter, crc32 };
+export default ZipWriter;
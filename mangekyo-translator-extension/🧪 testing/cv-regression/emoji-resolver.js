@@ -0,0 +1,70 @@
+/**
+ * Emoji Resolver Module
+ * Node module-resolution hook for running extension modules outside the bundle.
+ * Source directories carry an emoji prefix ("👁️ computer-vision", "🧠 core"),
+ * while imports between them use the plain name ("../../core/shared/...").
+ * The build maps one to the other; this hook does the same for Node, and loads
+ * every .js file under the extension root as an ES module.
+ * Registered by run-cv-regression.js through module.register().
+ * @module testing/cv-regression/emoji-resolver
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+
+const EXTENSION_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', '..');
+const EMOJI_PREFIX = /^[^\x00-\x7F]+\s+/u;
+
+/**
+ * Directory entry matching a plain path segment, with or without emoji prefix
+ * @param {string} dir - Existing directory
+ * @param {string} segment - Segment as written in the import
+ * @returns {string} Entry name to use
+ */
+function matchSegment(dir, segment) {
+  if (fs.existsSync(path.join(dir, segment))) return segment;
+
+  try {
+    return fs.readdirSync(dir).find(entry => entry.replace(EMOJI_PREFIX, '') === segment) || segment;
+  } catch (error) {
+    return segment;
+  }
+}
+
+/**
+ * Walk a relative specifier segment by segment from the importing file
+ * @param {string} parentPath - Importing file
+ * @param {string} specifier - './x.js' or '../a/b.js'
+ * @returns {string} Absolute file path
+ */
+function resolveRelative(parentPath, specifier) {
+  let current = path.dirname(parentPath);
+
+  for (const segment of specifier.split('/')) {
+    if (segment === '' || segment === '.') continue;
+    current = segment === '..'
+      ? path.dirname(current)
+      : path.join(current, matchSegment(current, segment));
+  }
+
+  return current;
+}
+
+export async function resolve(specifier, context, nextResolve) {
+  const parentURL = context.parentURL;
+  const isRelative = specifier.startsWith('./') || specifier.startsWith('../');
+
+  if (!isRelative || !parentURL?.startsWith('file:')) {
+    return nextResolve(specifier, context);
+  }
+
+  const resolved = resolveRelative(fileURLToPath(parentURL), specifier);
+  const result = await nextResolve(pathToFileURL(resolved).href, context);
+
+  // No package.json declares the tree as ESM; every source file is one
+  if (resolved.startsWith(EXTENSION_ROOT) && resolved.endsWith('.js')) {
+    return { ...result, format: 'module' };
+  }
+  return result;
+}
@@ -0,0 +1,197 @@
+/**
+ * Sample Corpus Generator
+ * Draws the small synthetic corpus in "🧪 testing/fixtures/cv-regression":
+ * bordered panels on screentone, oval speech bubbles holding vertical columns
+ * of glyph-like marks, and one page rotated by a known angle. Every page is
+ * drawn from fixed numbers, so the ground truth is exact and a rerun gives the
+ * same files. Real annotated pages can sit next to these; after changing
+ * either, record the baseline again with run-cv-regression.js --update-baseline.
+ *
+ * Usage (from the extension root):
+ *   node "🧪 testing/cv-regression/generate-sample-corpus.js" [--out <dir>]
+ * @module testing/cv-regression/generate-sample-corpus
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { register } from 'node:module';
+import { parseArgs } from 'node:util';
+import { fileURLToPath } from 'node:url';
+
+register('./emoji-resolver.js', import.meta.url);
+
+const { ShimImageData, ShimCanvas, canvasFromImageData, toImageData } = await import('./image-shims.js');
+const { encodePNG } = await import('./png-codec.js');
+
+const DEFAULT_OUT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', 'fixtures', 'cv-regression');
+
+const INK = 20;
+const PAPER = 255;
+const TONE = 185;
+
+const GLYPH = 14;            // Glyph cell size
+const GLYPH_GAP = 4;         // Between glyphs in a column
+const COLUMN_GAP = 8;        // Between columns
+
+// Stroke layouts of a few blocky kanji-like marks: [x, y, width, height] in a 14px cell
+const GLYPHS = [
+  [[1, 1, 12, 2], [1, 1, 2, 12], [11, 1, 2, 12], [1, 11, 12, 2], [6, 1, 2, 12], [1, 6, 12, 2]],   // 田
+  [[1, 1, 12, 2], [1, 1, 2, 12], [11, 1, 2, 12], [1, 11, 12, 2]],                                  // 口
+  [[1, 1, 12, 2], [6, 1, 2, 12], [1, 6, 12, 2], [2, 11, 10, 2]],                                   // 土-like
+  [[2, 1, 10, 2], [6, 1, 2, 12], [1, 11, 12, 2], [3, 6, 8, 2]],                                    // 工-like
+  [[1, 2, 12, 2], [3, 2, 2, 11], [9, 2, 2, 11], [1, 7, 12, 2]]                                     // 井-like
+];
+
+/**
+ * Page layouts: panels, and bubbles with their text columns (glyph counts,
+ * read right to left). skew rotates the finished page.
+ */
+const PAGES = [
+  {
+    name: 'sample-001-two-tier',
+    width: 360,
+    height: 500,
+    panels: [{ x: 12, y: 12, width: 336, height: 226 }, { x: 12, y: 262, width: 336, height: 226 }],
+    bubbles: [
+      { x: 40, y: 36, width: 120, height: 130, columns: [4, 3, 4] },
+      { x: 200, y: 290, width: 110, height: 120, columns: [3, 4] }
+    ]
+  },
+  {
+    name: 'sample-002-three-panel',
+    width: 360,
+    height: 500,
+    panels: [
+      { x: 12, y: 12, width: 336, height: 196 },
+      { x: 12, y: 232, width: 156, height: 256 },
+      { x: 192, y: 232, width: 156, height: 256 }
+    ],
+    bubbles: [
+      { x: 190, y: 30, width: 130, height: 150, columns: [5, 4, 3] },
+      { x: 30, y: 260, width: 110, height: 130, columns: [4, 4] },
+      { x: 215, y: 320, width: 110, height: 120, columns: [3, 2] }
+    ]
+  },
+  {
+    name: 'sample-003-skewed',
+    width: 360,
+    height: 500,
+    skew: 2,
+    panels: [{ x: 12, y: 12, width: 336, height: 476 }],
+    bubbles: [
+      { x: 110, y: 60, width: 130, height: 150, columns: [4, 5, 4] }
+    ]
+  }
+];
+
+function fill(image, box, value) {
+  const x1 = Math.min(image.width, box.x + box.width);
+  const y1 = Math.min(image.height, box.y + box.height);
+  for (let y = Math.max(0, box.y); y < y1; y++) {
+    for (let x = Math.max(0, box.x); x < x1; x++) {
+      const i = (y * image.width + x) * 4;
+      image.data[i] = image.data[i + 1] = image.data[i + 2] = value;
+      image.data[i + 3] = 255;
+    }
+  }
+}
+
+/**
+ * Bordered panel on a dot screentone
+ */
+function drawPanel(image, panel) {
+  fill(image, panel, INK);
+  const inner = { x: panel.x + 3, y: panel.y + 3, width: panel.width - 6, height: panel.height - 6 };
+  fill(image, inner, PAPER);
+
+  for (let y = inner.y + 2; y < inner.y + inner.height - 2; y += 5) {
+    for (let x = inner.x + 2 + (y % 10 === 0 ? 0 : 2); x < inner.x + inner.width - 2; x += 5) {
+      fill(image, { x, y, width: 2, height: 2 }, TONE);
+    }
+  }
+}
+
+/**
+ * Oval bubble with its text columns; returns the ground-truth bubble
+ */
+function drawBubble(image, bubble, seed) {
+  const cx = bubble.x + bubble.width / 2;
+  const cy = bubble.y + bubble.height / 2;
+  const rx = bubble.width / 2;
+  const ry = bubble.height / 2;
+
+  for (let y = bubble.y; y < bubble.y + bubble.height; y++) {
+    for (let x = bubble.x; x < bubble.x + bubble.width; x++) {
+      const d = ((x + 0.5 - cx) / rx) ** 2 + ((y + 0.5 - cy) / ry) ** 2;
+      if (d <= 1) fill(image, { x, y, width: 1, height: 1 }, d > 0.93 ? INK : PAPER);
+    }
+  }
+
+  // Columns centred in the bubble, first column on the right
+  const blockWidth = bubble.columns.length * GLYPH + (bubble.columns.length - 1) * COLUMN_GAP;
+  const lines = [];
+
+  bubble.columns.forEach((count, column) => {
+    const height = count * GLYPH + (count - 1) * GLYPH_GAP;
+    const x = Math.round(cx + blockWidth / 2 - (column + 1) * GLYPH - column * COLUMN_GAP);
+    const y = Math.round(cy - height / 2);
+
+    for (let n = 0; n < count; n++) {
+      const glyph = GLYPHS[(seed + column * 3 + n) % GLYPHS.length];
+      for (const [gx, gy, gw, gh] of glyph) {
+        fill(image, { x: x + gx, y: y + n * (GLYPH + GLYPH_GAP) + gy, width: gw, height: gh }, INK);
+      }
+    }
+    lines.push({ x, y, width: GLYPH, height });
+  });
+
+  return { x: bubble.x, y: bubble.y, width: bubble.width, height: bubble.height, lines };
+}
+
+/**
+ * Page rotated clockwise by angle degrees about its centre, on white
+ * (the direction Deskewer reports as a positive angle)
+ */
+function rotatePage(image, angle) {
+  const canvas = new ShimCanvas(image.width, image.height);
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(0, 0, image.width, image.height);
+  // Nearest sampling keeps ink and paper values as drawn (and the PNG small)
+  ctx.imageSmoothingEnabled = false;
+  ctx.translate(image.width / 2, image.height / 2);
+  ctx.rotate(angle * Math.PI / 180);
+  ctx.drawImage(canvasFromImageData(image), -image.width / 2, -image.height / 2);
+  return toImageData(canvas);
+}
+
+function drawPage(page, index) {
+  const image = new ShimImageData(page.width, page.height);
+  fill(image, { x: 0, y: 0, width: page.width, height: page.height }, PAPER);
+
+  page.panels.forEach(panel => drawPanel(image, panel));
+  const bubbles = page.bubbles.map((bubble, n) => drawBubble(image, bubble, index + n));
+
+  if (page.skew) {
+    // Box annotations no longer hold once the page is turned; only the angle is truth
+    return { image: rotatePage(image, page.skew), truth: { skewAngle: page.skew } };
+  }
+
+  return { image, truth: { skewAngle: 0, language: 'jpn', panels: page.panels, bubbles } };
+}
+
+function main() {
+  const { values } = parseArgs({ options: { out: { type: 'string' } } });
+  const out = path.resolve(values.out || DEFAULT_OUT);
+  fs.mkdirSync(out, { recursive: true });
+
+  PAGES.forEach((page, index) => {
+    const { image, truth } = drawPage(page, index);
+    fs.writeFileSync(path.join(out, `${page.name}.png`), encodePNG(image));
+    fs.writeFileSync(path.join(out, `${page.name}.json`), JSON.stringify(truth, null, 2) + '\n');
+  });
+
+  console.log(`[SampleCorpus] Wrote ${PAGES.length} pages to ${out}`);
+}
+
+main();
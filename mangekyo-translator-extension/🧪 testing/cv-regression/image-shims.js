@@ -0,0 +1,601 @@
+/**
+ * Image Shims Module
+ * Just enough of ImageData, OffscreenCanvas, createImageBitmap and
+ * document.createElement('canvas') for the CV stages to run under Node,
+ * without node-canvas or a browser.
+ * Raster operations are real: drawImage (scaling, translate/rotate/scale
+ * transforms, bilinear or nearest sampling), getImageData, putImageData,
+ * fillRect and clearRect. Vector drawing (paths, strokes, text, clipping) is
+ * accepted and ignored; the stages only use it for debug visualisations.
+ * @module testing/cv-regression/image-shims
+ */
+
+const NAMED_COLORS = {
+  black: [0, 0, 0, 255],
+  white: [255, 255, 255, 255],
+  gray: [128, 128, 128, 255],
+  grey: [128, 128, 128, 255],
+  red: [255, 0, 0, 255],
+  green: [0, 128, 0, 255],
+  blue: [0, 0, 255, 255],
+  transparent: [0, 0, 0, 0]
+};
+
+/**
+ * CSS color string to [r, g, b, a] (0-255); unknown colors are black
+ * @param {string} color
+ * @returns {number[]}
+ */
+function parseColor(color) {
+  const value = String(color).trim().toLowerCase();
+
+  if (NAMED_COLORS[value]) return NAMED_COLORS[value];
+
+  const hex = value.match(/^#([0-9a-f]{3,8})$/);
+  if (hex) {
+    let digits = hex[1];
+    if (digits.length <= 4) digits = [...digits].map(d => d + d).join('');
+    const channels = digits.match(/../g).map(pair => parseInt(pair, 16));
+    return [channels[0], channels[1], channels[2], channels[3] ?? 255];
+  }
+
+  const rgb = value.match(/^rgba?\(([^)]+)\)$/);
+  if (rgb) {
+    const [r, g, b, a = 1] = rgb[1].split(/[\s,/]+/).filter(Boolean).map(Number);
+    return [r, g, b, Math.round(a * 255)];
+  }
+
+  return NAMED_COLORS.black;
+}
+
+class ShimImageData {
+  /**
+   * new ImageData(width, height) or new ImageData(data, width[, height])
+   */
+  constructor(dataOrWidth, widthOrHeight, height) {
+    if (typeof dataOrWidth === 'number') {
+      this.width = dataOrWidth;
+      this.height = widthOrHeight;
+      this.data = new Uint8ClampedArray(this.width * this.height * 4);
+    } else {
+      this.data = dataOrWidth instanceof Uint8ClampedArray ? dataOrWidth : new Uint8ClampedArray(dataOrWidth);
+      this.width = widthOrHeight;
+      this.height = height ?? this.data.length / 4 / widthOrHeight;
+    }
+
+    if (this.data.length !== this.width * this.height * 4) {
+      throw new RangeError('ImageData: data length does not match width × height');
+    }
+    this.colorSpace = 'srgb';
+  }
+}
+
+/**
+ * Pixels behind anything drawImage accepts: canvas, bitmap or ImageData
+ * @param {Object} source
+ * @returns {ShimImageData}
+ */
+function pixelsOf(source) {
+  if (source?._pixels) return source._pixels;
+  if (source?.data && source.width !== undefined) return source;
+  throw new TypeError('drawImage: unsupported image source');
+}
+
+class ShimImageBitmap {
+  constructor(pixels) {
+    this._pixels = pixels;
+    this.width = pixels.width;
+    this.height = pixels.height;
+  }
+
+  close() {
+    this._pixels = new ShimImageData(0, 0);
+  }
+}
+
+const IDENTITY = [1, 0, 0, 1, 0, 0];
+
+class ShimContext2D {
+  constructor(canvas) {
+    this.canvas = canvas;
+    this._stack = [];
+    this._resetState();
+  }
+
+  _resetState() {
+    this._transform = [...IDENTITY];
+    this.fillStyle = '#000000';
+    this.strokeStyle = '#000000';
+    this.globalAlpha = 1;
+    this.globalCompositeOperation = 'source-over';
+    this.imageSmoothingEnabled = true;
+    this.imageSmoothingQuality = 'low';
+    this.lineWidth = 1;
+    this.font = '10px sans-serif';
+    this.textAlign = 'start';
+    this.textBaseline = 'alphabetic';
+    this._stack = [];
+  }
+
+  // ==========================================
+  // STATE AND TRANSFORMS
+  // ==========================================
+
+  save() {
+    this._stack.push({
+      transform: [...this._transform],
+      fillStyle: this.fillStyle,
+      strokeStyle: this.strokeStyle,
+      globalAlpha: this.globalAlpha,
+      imageSmoothingEnabled: this.imageSmoothingEnabled,
+      lineWidth: this.lineWidth,
+      font: this.font
+    });
+  }
+
+  restore() {
+    const state = this._stack.pop();
+    if (!state) return;
+    this._transform = state.transform;
+    Object.assign(this, {
+      fillStyle: state.fillStyle,
+      strokeStyle: state.strokeStyle,
+      globalAlpha: state.globalAlpha,
+      imageSmoothingEnabled: state.imageSmoothingEnabled,
+      lineWidth: state.lineWidth,
+      font: state.font
+    });
+  }
+
+  setTransform(a, b, c, d, e, f) {
+    this._transform = typeof a === 'object'
+      ? [a.a, a.b, a.c, a.d, a.e, a.f]
+      : [a, b, c, d, e, f];
+  }
+
+  resetTransform() {
+    this._transform = [...IDENTITY];
+  }
+
+  getTransform() {
+    const [a, b, c, d, e, f] = this._transform;
+    return { a, b, c, d, e, f };
+  }
+
+  transform(a2, b2, c2, d2, e2, f2) {
+    const [a, b, c, d, e, f] = this._transform;
+    this._transform = [
+      a * a2 + c * b2,
+      b * a2 + d * b2,
+      a * c2 + c * d2,
+      b * c2 + d * d2,
+      a * e2 + c * f2 + e,
+      b * e2 + d * f2 + f
+    ];
+  }
+
+  translate(x, y) {
+    this.transform(1, 0, 0, 1, x, y);
+  }
+
+  scale(x, y) {
+    this.transform(x, 0, 0, y, 0, 0);
+  }
+
+  rotate(angle) {
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    this.transform(cos, sin, -sin, cos, 0, 0);
+  }
+
+  // ==========================================
+  // PIXEL ACCESS
+  // ==========================================
+
+  createImageData(width, height) {
+    return typeof width === 'object'
+      ? new ShimImageData(width.width, width.height)
+      : new ShimImageData(width, height);
+  }
+
+  getImageData(sx, sy, sw, sh) {
+    const target = this.canvas._pixels;
+    const out = new ShimImageData(sw, sh);
+
+    for (let y = 0; y < sh; y++) {
+      const ty = sy + y;
+      if (ty < 0 || ty >= target.height) continue;
+      for (let x = 0; x < sw; x++) {
+        const tx = sx + x;
+        if (tx < 0 || tx >= target.width) continue;
+        const from = (ty * target.width + tx) * 4;
+        out.data.set(target.data.subarray(from, from + 4), (y * sw + x) * 4);
+      }
+    }
+
+    return out;
+  }
+
+  putImageData(imageData, dx, dy) {
+    const target = this.canvas._pixels;
+
+    for (let y = 0; y < imageData.height; y++) {
+      const ty = dy + y;
+      if (ty < 0 || ty >= target.height) continue;
+      for (let x = 0; x < imageData.width; x++) {
+        const tx = dx + x;
+        if (tx < 0 || tx >= target.width) continue;
+        const from = (y * imageData.width + x) * 4;
+        target.data.set(imageData.data.subarray(from, from + 4), (ty * target.width + tx) * 4);
+      }
+    }
+  }
+
+  // ==========================================
+  // RASTER DRAWING
+  // ==========================================
+
+  /**
+   * Device-space bounds of a user-space rectangle, clipped to the canvas
+   * @private
+   */
+  _deviceBounds(x, y, width, height) {
+    const [a, b, c, d, e, f] = this._transform;
+    const corners = [[x, y], [x + width, y], [x, y + height], [x + width, y + height]]
+      .map(([px, py]) => [a * px + c * py + e, b * px + d * py + f]);
+    const xs = corners.map(p => p[0]);
+    const ys = corners.map(p => p[1]);
+
+    return {
+      x0: Math.max(0, Math.floor(Math.min(...xs))),
+      y0: Math.max(0, Math.floor(Math.min(...ys))),
+      x1: Math.min(this.canvas.width, Math.ceil(Math.max(...xs))),
+      y1: Math.min(this.canvas.height, Math.ceil(Math.max(...ys)))
+    };
+  }
+
+  /**
+   * Inverse of the current transform, or null when it is singular
+   * @private
+   */
+  _inverse() {
+    const [a, b, c, d, e, f] = this._transform;
+    const det = a * d - b * c;
+    if (Math.abs(det) < 1e-12) return null;
+    return [d / det, -b / det, -c / det, a / det, (c * f - d * e) / det, (b * e - a * f) / det];
+  }
+
+  /**
+   * Source-over blend of one RGBA color into the canvas
+   * @private
+   */
+  _blend(index, r, g, b, alpha) {
+    const data = this.canvas._pixels.data;
+    const srcA = (alpha / 255) * this.globalAlpha;
+    if (srcA <= 0) return;
+
+    const dstA = data[index + 3] / 255;
+    const outA = srcA + dstA * (1 - srcA);
+    const mix = (src, dst) => (src * srcA + dst * dstA * (1 - srcA)) / outA;
+
+    data[index] = mix(r, data[index]);
+    data[index + 1] = mix(g, data[index + 1]);
+    data[index + 2] = mix(b, data[index + 2]);
+    data[index + 3] = outA * 255;
+  }
+
+  clearRect(x, y, width, height) {
+    const { x0, y0, x1, y1 } = this._deviceBounds(x, y, width, height);
+    const target = this.canvas._pixels;
+    for (let py = y0; py < y1; py++) {
+      target.data.fill(0, (py * target.width + x0) * 4, (py * target.width + x1) * 4);
+    }
+  }
+
+  fillRect(x, y, width, height) {
+    const [r, g, b, a] = parseColor(this.fillStyle);
+    const { x0, y0, x1, y1 } = this._deviceBounds(x, y, width, height);
+    const targetWidth = this.canvas.width;
+
+    for (let py = y0; py < y1; py++) {
+      for (let px = x0; px < x1; px++) {
+        this._blend((py * targetWidth + px) * 4, r, g, b, a);
+      }
+    }
+  }
+
+  /**
+   * drawImage(image, dx, dy), (image, dx, dy, dw, dh) or
+   * (image, sx, sy, sw, sh, dx, dy, dw, dh)
+   */
+  drawImage(image, ...args) {
+    const source = pixelsOf(image);
+    let sx = 0, sy = 0, sw = source.width, sh = source.height;
+    let dx, dy, dw = source.width, dh = source.height;
+
+    if (args.length === 2) {
+      [dx, dy] = args;
+    } else if (args.length === 4) {
+      [dx, dy, dw, dh] = args;
+    } else {
+      [sx, sy, sw, sh, dx, dy, dw, dh] = args;
+    }
+
+    const inverse = this._inverse();
+    if (!inverse || !dw || !dh || !sw || !sh) return;
+
+    const [ia, ib, ic, id, ie, iff] = inverse;
+    const { x0, y0, x1, y1 } = this._deviceBounds(dx, dy, dw, dh);
+    const scaleX = sw / dw;
+    const scaleY = sh / dh;
+    const targetWidth = this.canvas.width;
+    const smooth = this.imageSmoothingEnabled;
+    const rgba = [0, 0, 0, 0];
+
+    for (let py = y0; py < y1; py++) {
+      for (let px = x0; px < x1; px++) {
+        // Pixel centre back into user space, then into the source rectangle
+        const ux = ia * (px + 0.5) + ic * (py + 0.5) + ie;
+        const uy = ib * (px + 0.5) + id * (py + 0.5) + iff;
+        if (ux < dx || uy < dy || ux >= dx + dw || uy >= dy + dh) continue;
+
+        const fx = sx + (ux - dx) * scaleX;
+        const fy = sy + (uy - dy) * scaleY;
+
+        if (smooth) {
+          sampleBilinear(source, fx - 0.5, fy - 0.5, sx, sy, sw, sh, rgba);
+        } else {
+          sampleNearest(source, fx, fy, rgba);
+        }
+        this._blend((py * targetWidth + px) * 4, rgba[0], rgba[1], rgba[2], rgba[3]);
+      }
+    }
+  }
+
+  // ==========================================
+  // VECTOR DRAWING (ignored)
+  // ==========================================
+
+  beginPath() {}
+  closePath() {}
+  moveTo() {}
+  lineTo() {}
+  arc() {}
+  rect() {}
+  quadraticCurveTo() {}
+  bezierCurveTo() {}
+  fill() {}
+  stroke() {}
+  strokeRect() {}
+  fillText() {}
+  strokeText() {}
+  clip() {}
+  setLineDash() {}
+
+  measureText(text) {
+    const size = parseFloat(this.font) || 10;
+    return { width: String(text).length * size * 0.6 };
+  }
+}
+
+function sampleNearest(source, fx, fy, out) {
+  const x = Math.min(source.width - 1, Math.max(0, Math.floor(fx)));
+  const y = Math.min(source.height - 1, Math.max(0, Math.floor(fy)));
+  const i = (y * source.width + x) * 4;
+  out[0] = source.data[i];
+  out[1] = source.data[i + 1];
+  out[2] = source.data[i + 2];
+  out[3] = source.data[i + 3];
+}
+
+function sampleBilinear(source, fx, fy, sx, sy, sw, sh, out) {
+  // Clamp to the source rectangle so edges do not bleed in from outside it
+  const minX = Math.max(0, sx);
+  const minY = Math.max(0, sy);
+  const maxX = Math.min(source.width, sx + sw) - 1;
+  const maxY = Math.min(source.height, sy + sh) - 1;
+  const x = Math.min(maxX, Math.max(minX, fx));
+  const y = Math.min(maxY, Math.max(minY, fy));
+
+  const x0 = Math.floor(x);
+  const y0 = Math.floor(y);
+  const x1 = Math.min(maxX, x0 + 1);
+  const y1 = Math.min(maxY, y0 + 1);
+  const tx = x - x0;
+  const ty = y - y0;
+  const data = source.data;
+  const i00 = (y0 * source.width + x0) * 4;
+  const i10 = (y0 * source.width + x1) * 4;
+  const i01 = (y1 * source.width + x0) * 4;
+  const i11 = (y1 * source.width + x1) * 4;
+
+  for (let c = 0; c < 4; c++) {
+    const top = data[i00 + c] * (1 - tx) + data[i10 + c] * tx;
+    const bottom = data[i01 + c] * (1 - tx) + data[i11 + c] * tx;
+    out[c] = top * (1 - ty) + bottom * ty;
+  }
+}
+
+class ShimCanvas {
+  constructor(width = 300, height = 150) {
+    this._width = Math.max(0, Math.floor(width));
+    this._height = Math.max(0, Math.floor(height));
+    this._pixels = new ShimImageData(this._width, this._height);
+    this._context = null;
+    this.style = {};
+  }
+
+  get width() {
+    return this._width;
+  }
+
+  set width(value) {
+    this._width = Math.max(0, Math.floor(value));
+    this._reset();
+  }
+
+  get height() {
+    return this._height;
+  }
+
+  set height(value) {
+    this._height = Math.max(0, Math.floor(value));
+    this._reset();
+  }
+
+  /**
+   * Resizing clears the bitmap and the context state, as in browsers
+   * @private
+   */
+  _reset() {
+    this._pixels = new ShimImageData(this._width, this._height);
+    this._context?._resetState();
+  }
+
+  getContext(type) {
+    if (type !== '2d') return null;
+    if (!this._context) this._context = new ShimContext2D(this);
+    return this._context;
+  }
+
+  transferToImageBitmap() {
+    const bitmap = new ShimImageBitmap(this._pixels);
+    this._pixels = new ShimImageData(this._width, this._height);
+    return bitmap;
+  }
+
+  remove() {}
+}
+
+/**
+ * createImageBitmap(source) for canvases, bitmaps and ImageData
+ */
+async function createImageBitmap(source) {
+  const pixels = pixelsOf(source);
+  return new ShimImageBitmap(new ShimImageData(new Uint8ClampedArray(pixels.data), pixels.width, pixels.height));
+}
+
+const documentShim = {
+  createElement(tagName) {
+    if (String(tagName).toLowerCase() !== 'canvas') {
+      throw new Error(`document shim: cannot create <${tagName}>`);
+    }
+    return new ShimCanvas();
+  },
+  body: {
+    appendChild: (node) => node,
+    removeChild: (node) => node
+  }
+};
+
+/**
+ * Put the shims on globalThis where the runtime has nothing of its own
+ * @returns {string[]} Names that were installed
+ */
+function installImageShims(target = globalThis) {
+  const shims = {
+    ImageData: ShimImageData,
+    OffscreenCanvas: ShimCanvas,
+    createImageBitmap,
+    document: documentShim
+  };
+
+  return Object.entries(shims)
+    .filter(([name]) => target[name] === undefined)
+    .map(([name, value]) => {
+      target[name] = value;
+      return name;
+    });
+}
+
+/**
+ * Canvas holding a copy of an ImageData, for stages that draw their input
+ * @param {ImageData} imageData
+ * @returns {ShimCanvas}
+ */
+function canvasFromImageData(imageData) {
+  const canvas = new ShimCanvas(imageData.width, imageData.height);
+  canvas.getContext('2d').putImageData(imageData, 0, 0);
+  return canvas;
+}
+
+/**
+ * Pixels of a stage output (canvas, bitmap or ImageData) as ImageData
+ * @returns {ShimImageData}
+ */
+function toImageData(source) {
+  const pixels = pixelsOf(source);
+  return new ShimImageData(new Uint8ClampedArray(pixels.data), pixels.width, pixels.height);
+}
+
+/**
+ * Copy of one rectangle of an image, clipped to its bounds
+ * @param {ImageData} imageData
+ * @param {{x: number, y: number, width: number, height: number}} box
+ * @returns {ShimImageData}
+ */
+function cropImageData(imageData, box) {
+  const x = Math.max(0, Math.round(box.x));
+  const y = Math.max(0, Math.round(box.y));
+  const width = Math.max(1, Math.min(imageData.width - x, Math.round(box.width)));
+  const height = Math.max(1, Math.min(imageData.height - y, Math.round(box.height)));
+  const out = new ShimImageData(width, height);
+
+  for (let row = 0; row < height; row++) {
+    const from = ((y + row) * imageData.width + x) * 4;
+    out.data.set(imageData.data.subarray(from, from + width * 4), row * width * 4);
+  }
+  return out;
+}
+
+/**
+ * Copy of an image with box outlines drawn on it (before/after annotations)
+ * @param {ImageData} imageData
+ * @param {Array<{boxes: Array, color: number[]}>} layers - Boxes and [r, g, b]
+ * @returns {ShimImageData}
+ */
+function drawBoxes(imageData, layers, thickness = 2) {
+  const out = toImageData(imageData);
+  const { width, height, data } = out;
+  const paint = (px, py, [r, g, b]) => {
+    if (px < 0 || py < 0 || px >= width || py >= height) return;
+    const i = (py * width + px) * 4;
+    data[i] = r;
+    data[i + 1] = g;
+    data[i + 2] = b;
+    data[i + 3] = 255;
+  };
+
+  for (const { boxes, color } of layers) {
+    for (const box of boxes) {
+      const x0 = Math.round(box.x);
+      const y0 = Math.round(box.y);
+      const x1 = Math.round(box.x + box.width) - 1;
+      const y1 = Math.round(box.y + box.height) - 1;
+      for (let t = 0; t < thickness; t++) {
+        for (let px = x0; px <= x1; px++) {
+          paint(px, y0 + t, color);
+          paint(px, y1 - t, color);
+        }
+        for (let py = y0; py <= y1; py++) {
+          paint(x0 + t, py, color);
+          paint(x1 - t, py, color);
+        }
+      }
+    }
+  }
+
+  return out;
+}
+
+export {
+  ShimImageData,
+  ShimCanvas,
+  ShimImageBitmap,
+  installImageShims,
+  canvasFromImageData,
+  toImageData,
+  cropImageData,
+  drawBoxes,
+  parseColor
+};
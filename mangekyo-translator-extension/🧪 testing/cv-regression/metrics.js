@@ -0,0 +1,272 @@
+/**
+ * Regression Metrics Module
+ * Box matching (IoU, precision, recall, F1), character error rate, and the
+ * comparison of a run against the stored baseline.
+ * Boxes are { x, y, width, height } in page pixels throughout.
+ * @module testing/cv-regression/metrics
+ */
+
+/**
+ * How each metric is judged against the baseline. Metrics that are not
+ * better or worse in one direction (ink ratios, detected angle) are 'stable':
+ * any move beyond the tolerance is flagged.
+ */
+const METRICS = {
+  precision: { better: 'higher', tolerance: 0.02 },
+  recall: { better: 'higher', tolerance: 0.02 },
+  f1: { better: 'higher', tolerance: 0.02 },
+  meanIoU: { better: 'higher', tolerance: 0.02 },
+  cer: { better: 'lower', tolerance: 0.01 },
+  angleError: { better: 'lower', tolerance: 0.5 },
+  detectedAngle: { better: 'stable', tolerance: 0.5 },
+  residualNoise: { better: 'lower', tolerance: 0.5 },
+  psnr: { better: 'stable', tolerance: 1 },
+  foregroundRatio: { better: 'stable', tolerance: 0.02 },
+  bubbleInk: { better: 'stable', tolerance: 0.02 },
+  gutterInk: { better: 'lower', tolerance: 0.01 }
+};
+
+const DEFAULT_METRIC = { better: 'stable', tolerance: 0.02 };
+
+// ==========================================
+// BOXES
+// ==========================================
+
+/**
+ * Intersection over union of two boxes
+ * @returns {number} 0-1
+ */
+function iou(a, b) {
+  const x0 = Math.max(a.x, b.x);
+  const y0 = Math.max(a.y, b.y);
+  const x1 = Math.min(a.x + a.width, b.x + b.width);
+  const y1 = Math.min(a.y + a.height, b.y + b.height);
+  const intersection = Math.max(0, x1 - x0) * Math.max(0, y1 - y0);
+  const union = a.width * a.height + b.width * b.height - intersection;
+  return union > 0 ? intersection / union : 0;
+}
+
+/**
+ * Pair predictions with ground truth, best IoU first, one-to-one
+ * @param {Array} predicted - Boxes from the stage
+ * @param {Array} truth - Ground-truth boxes
+ * @param {Object} options
+ * @param {number} options.threshold - Minimum IoU for a match
+ * @returns {{ tp: number, fp: number, fn: number, iouSum: number, matches: Array }}
+ */
+function matchBoxes(predicted, truth, { threshold = 0.5 } = {}) {
+  const pairs = [];
+  predicted.forEach((p, pi) => truth.forEach((t, ti) => {
+    const overlap = iou(p, t);
+    if (overlap >= threshold) pairs.push({ pi, ti, overlap });
+  }));
+  pairs.sort((a, b) => b.overlap - a.overlap);
+
+  const usedPredicted = new Set();
+  const usedTruth = new Set();
+  const matches = [];
+
+  for (const pair of pairs) {
+    if (usedPredicted.has(pair.pi) || usedTruth.has(pair.ti)) continue;
+    usedPredicted.add(pair.pi);
+    usedTruth.add(pair.ti);
+    matches.push(pair);
+  }
+
+  return {
+    tp: matches.length,
+    fp: predicted.length - matches.length,
+    fn: truth.length - matches.length,
+    iouSum: matches.reduce((sum, m) => sum + m.overlap, 0),
+    matches
+  };
+}
+
+/**
+ * Precision, recall, F1 and mean IoU of matched pairs from summed counts
+ */
+function detectionScores({ tp, fp, fn, iouSum }) {
+  const precision = tp + fp > 0 ? tp / (tp + fp) : (fn === 0 ? 1 : 0);
+  const recall = tp + fn > 0 ? tp / (tp + fn) : 1;
+  const f1 = precision + recall > 0 ? 2 * precision * recall / (precision + recall) : 0;
+  return { precision, recall, f1, meanIoU: tp > 0 ? iouSum / tp : 0 };
+}
+
+// ==========================================
+// TEXT
+// ==========================================
+
+/**
+ * Text compared for CER: whitespace is dropped (CJK has none; OCR inserts it
+ * between vertical columns) and full-width forms are folded (NFKC)
+ */
+function normalizeText(text) {
+  return (text || '').normalize('NFKC').replace(/\s+/g, '');
+}
+
+/**
+ * Edit distance in code points
+ */
+function levenshtein(a, b) {
+  const source = [...a];
+  const target = [...b];
+  let previous = Array.from({ length: target.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= source.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= target.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (source[i - 1] === target[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return previous[target.length];
+}
+
+/**
+ * Edits and reference length for one recognized string
+ * @returns {{ edits: number, chars: number }}
+ */
+function textErrors(predicted, truth) {
+  const reference = normalizeText(truth);
+  return { edits: levenshtein(normalizeText(predicted), reference), chars: [...reference].length };
+}
+
+// ==========================================
+// IMAGES
+// ==========================================
+
+/**
+ * Peak signal-to-noise ratio between two same-sized images (luma), in dB
+ * Identical images report 99 so the value stays JSON-safe
+ */
+function psnr(a, b) {
+  let squared = 0;
+  const pixels = a.width * a.height;
+
+  for (let i = 0; i < a.data.length; i += 4) {
+    const lumaA = 0.299 * a.data[i] + 0.587 * a.data[i + 1] + 0.114 * a.data[i + 2];
+    const lumaB = 0.299 * b.data[i] + 0.587 * b.data[i + 1] + 0.114 * b.data[i + 2];
+    squared += (lumaA - lumaB) ** 2;
+  }
+
+  const mse = squared / pixels;
+  return mse === 0 ? 99 : 10 * Math.log10(255 * 255 / mse);
+}
+
+// ==========================================
+// AGGREGATION AND BASELINE
+// ==========================================
+
+/**
+ * Combine per-page results of one stage into its metrics
+ * Pages report any of: counts { tp, fp, fn, iouSum }, text { edits, chars },
+ * values { name: number } (averaged over the pages that report them)
+ * @param {Array<Object>} pages
+ * @returns {Object<string, number>}
+ */
+function aggregate(pages) {
+  const metrics = {};
+  const counts = { tp: 0, fp: 0, fn: 0, iouSum: 0 };
+  const text = { edits: 0, chars: 0 };
+  const values = {};
+  let hasCounts = false;
+
+  for (const page of pages) {
+    if (page.counts) {
+      hasCounts = true;
+      for (const key of Object.keys(counts)) counts[key] += page.counts[key];
+    }
+    if (page.text) {
+      text.edits += page.text.edits;
+      text.chars += page.text.chars;
+    }
+    for (const [name, value] of Object.entries(page.values || {})) {
+      if (typeof value !== 'number' || Number.isNaN(value)) continue;
+      (values[name] || (values[name] = [])).push(value);
+    }
+  }
+
+  if (hasCounts) Object.assign(metrics, detectionScores(counts));
+  if (text.chars > 0) metrics.cer = text.edits / text.chars;
+  for (const [name, list] of Object.entries(values)) {
+    metrics[name] = list.reduce((sum, v) => sum + v, 0) / list.length;
+  }
+
+  return metrics;
+}
+
+/**
+ * Before (baseline) / after (this run) rows for every stage metric
+ * @param {Object} current - { [stage]: { status, metrics } }
+ * @param {Object|null} baseline - Same shape, from the baseline file
+ * @returns {Array<{ stage, metric, before, after, delta, status }>}
+ *   status: 'regressed' | 'improved' | 'unchanged' | 'new' | 'missing' | 'error' | 'skipped'
+ */
+function compareToBaseline(current, baseline) {
+  const rows = [];
+
+  for (const [stage, result] of Object.entries(current)) {
+    const previous = baseline?.stages?.[stage];
+
+    if (result.status === 'skipped') {
+      rows.push({ stage, metric: null, before: null, after: null, delta: null, status: 'skipped', reason: result.reason });
+      continue;
+    }
+
+    if (result.status === 'error') {
+      // A stage that was already failing when the baseline was taken is a known failure
+      const known = previous?.status === 'error';
+      rows.push({ stage, metric: null, before: null, after: null, delta: null, status: known ? 'unchanged' : 'error', reason: result.error });
+      continue;
+    }
+
+    for (const [metric, after] of Object.entries(result.metrics)) {
+      const before = previous?.metrics?.[metric];
+      if (typeof before !== 'number') {
+        rows.push({ stage, metric, before: null, after, delta: null, status: 'new' });
+        continue;
+      }
+
+      const { better, tolerance } = METRICS[metric] || DEFAULT_METRIC;
+      const delta = after - before;
+      let status = 'unchanged';
+
+      if (Math.abs(delta) > tolerance) {
+        if (better === 'stable') {
+          status = 'regressed';
+        } else {
+          status = (better === 'higher') === (delta > 0) ? 'improved' : 'regressed';
+        }
+      }
+
+      rows.push({ stage, metric, before, after, delta, status });
+    }
+
+    // A metric the baseline has but this run lost (e.g. a stage stopped
+    // producing boxes for any page) fails like a regression
+    for (const [metric, before] of Object.entries(previous?.metrics || {})) {
+      if (metric in result.metrics) continue;
+      rows.push({ stage, metric, before, after: null, delta: null, status: 'missing' });
+    }
+  }
+
+  return rows;
+}
+
+export {
+  METRICS,
+  iou,
+  matchBoxes,
+  detectionScores,
+  normalizeText,
+  levenshtein,
+  textErrors,
+  psnr,
+  aggregate,
+  compareToBaseline
+};
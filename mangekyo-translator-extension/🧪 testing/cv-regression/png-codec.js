@@ -0,0 +1,213 @@
+/**
+ * PNG Codec Module
+ * Reads corpus pages and writes before/after images without native image
+ * libraries: node:zlib for the compressed stream, crc32 from zip-writer.
+ * Decodes non-interlaced PNGs of every color type (grayscale, RGB, palette,
+ * with or without alpha; 1-16 bits); encodes 8-bit RGBA.
+ * @module testing/cv-regression/png-codec
+ */
+
+import zlib from 'node:zlib';
+import { crc32 } from '../../core/shared/utils/zip-writer.js';
+import { ShimImageData } from './image-shims.js';
+
+const SIGNATURE = Uint8Array.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+
+// Samples per pixel for each PNG color type
+const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+/**
+ * Thrown for files the decoder cannot read
+ */
+class PNGError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PNGError';
+  }
+}
+
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  return pb <= pc ? b : c;
+}
+
+/**
+ * Undo the per-scanline filters in place
+ * @returns {Uint8Array[]} One unfiltered row per scanline
+ */
+function unfilter(raw, height, stride, bytesPerPixel) {
+  const rows = [];
+  let previous = new Uint8Array(stride);
+
+  for (let y = 0; y < height; y++) {
+    const offset = y * (stride + 1);
+    const filter = raw[offset];
+    const row = raw.subarray(offset + 1, offset + 1 + stride);
+
+    for (let i = 0; i < stride; i++) {
+      const left = i >= bytesPerPixel ? row[i - bytesPerPixel] : 0;
+      const up = previous[i];
+      const upLeft = i >= bytesPerPixel ? previous[i - bytesPerPixel] : 0;
+
+      switch (filter) {
+        case 0: break;
+        case 1: row[i] = (row[i] + left) & 0xFF; break;
+        case 2: row[i] = (row[i] + up) & 0xFF; break;
+        case 3: row[i] = (row[i] + ((left + up) >> 1)) & 0xFF; break;
+        case 4: row[i] = (row[i] + paeth(left, up, upLeft)) & 0xFF; break;
+        default: throw new PNGError(`Unknown filter type ${filter} on row ${y}`);
+      }
+    }
+
+    rows.push(row);
+    previous = row;
+  }
+
+  return rows;
+}
+
+/**
+ * Sample n of a scanline, scaled to 0-255
+ */
+function readSample(row, n, bitDepth, scaleToByte) {
+  if (bitDepth === 8) return row[n];
+  if (bitDepth === 16) return row[n * 2];
+
+  const bitOffset = n * bitDepth;
+  const value = (row[bitOffset >> 3] >> (8 - bitDepth - (bitOffset & 7))) & ((1 << bitDepth) - 1);
+  return scaleToByte ? Math.round(value * 255 / ((1 << bitDepth) - 1)) : value;
+}
+
+/**
+ * Decode a PNG file
+ * @param {Uint8Array} bytes - File contents
+ * @returns {ShimImageData} RGBA pixels
+ */
+function decodePNG(bytes) {
+  if (!SIGNATURE.every((value, i) => bytes[i] === value)) {
+    throw new PNGError('Not a PNG file');
+  }
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let header = null;
+  let palette = null;
+  let transparency = null;
+  const compressed = [];
+
+  for (let offset = 8; offset < bytes.length;) {
+    const length = view.getUint32(offset);
+    const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+    const data = bytes.subarray(offset + 8, offset + 8 + length);
+
+    if (type === 'IHDR') {
+      header = {
+        width: view.getUint32(offset + 8),
+        height: view.getUint32(offset + 12),
+        bitDepth: data[8],
+        colorType: data[9],
+        interlace: data[12]
+      };
+    } else if (type === 'PLTE') {
+      palette = data;
+    } else if (type === 'tRNS') {
+      transparency = data;
+    } else if (type === 'IDAT') {
+      compressed.push(data);
+    } else if (type === 'IEND') {
+      break;
+    }
+
+    offset += length + 12;
+  }
+
+  if (!header) throw new PNGError('Missing IHDR chunk');
+  if (header.interlace) throw new PNGError('Interlaced PNGs are not supported; save the page without interlacing');
+
+  const { width, height, bitDepth, colorType } = header;
+  const channels = CHANNELS[colorType];
+  if (!channels) throw new PNGError(`Unsupported color type ${colorType}`);
+  if (colorType === 3 && !palette) throw new PNGError('Palette image without PLTE chunk');
+
+  const bitsPerPixel = channels * bitDepth;
+  const stride = Math.ceil(width * bitsPerPixel / 8);
+  const raw = zlib.inflateSync(Buffer.concat(compressed));
+  const rows = unfilter(raw, height, stride, Math.max(1, bitsPerPixel >> 3));
+
+  const out = new ShimImageData(width, height);
+  const pixels = out.data;
+
+  for (let y = 0; y < height; y++) {
+    const row = rows[y];
+    for (let x = 0; x < width; x++) {
+      const o = (y * width + x) * 4;
+      const n = x * channels;
+
+      if (colorType === 3) {
+        const index = readSample(row, n, bitDepth, false);
+        pixels[o] = palette[index * 3];
+        pixels[o + 1] = palette[index * 3 + 1];
+        pixels[o + 2] = palette[index * 3 + 2];
+        pixels[o + 3] = transparency && index < transparency.length ? transparency[index] : 255;
+      } else if (channels <= 2) {
+        const gray = readSample(row, n, bitDepth, true);
+        pixels[o] = pixels[o + 1] = pixels[o + 2] = gray;
+        pixels[o + 3] = channels === 2 ? readSample(row, n + 1, bitDepth, true) : 255;
+      } else {
+        pixels[o] = readSample(row, n, bitDepth, true);
+        pixels[o + 1] = readSample(row, n + 1, bitDepth, true);
+        pixels[o + 2] = readSample(row, n + 2, bitDepth, true);
+        pixels[o + 3] = channels === 4 ? readSample(row, n + 3, bitDepth, true) : 255;
+      }
+    }
+  }
+
+  return out;
+}
+
+function chunk(type, data) {
+  const typeAndData = new Uint8Array(4 + data.length);
+  typeAndData.set(Buffer.from(type, 'ascii'), 0);
+  typeAndData.set(data, 4);
+
+  const out = Buffer.alloc(12 + data.length);
+  out.writeUInt32BE(data.length, 0);
+  out.set(typeAndData, 4);
+  out.writeUInt32BE(crc32(typeAndData), 8 + data.length);
+  return out;
+}
+
+/**
+ * Encode ImageData as an 8-bit RGBA PNG
+ * @param {ImageData} imageData
+ * @returns {Buffer} File contents
+ */
+function encodePNG(imageData) {
+  const { width, height, data } = imageData;
+  const stride = width * 4;
+  const raw = Buffer.alloc((stride + 1) * height);
+
+  // Filter type 0 on every row; deflate does well enough on manga pages
+  for (let y = 0; y < height; y++) {
+    raw[y * (stride + 1)] = 0;
+    raw.set(data.subarray(y * stride, (y + 1) * stride), y * (stride + 1) + 1);
+  }
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // bit depth
+  header[9] = 6; // RGBA
+
+  return Buffer.concat([
+    SIGNATURE,
+    chunk('IHDR', header),
+    chunk('IDAT', zlib.deflateSync(raw)),
+    chunk('IEND', new Uint8Array(0))
+  ]);
+}
+
+export { decodePNG, encodePNG, PNGError };
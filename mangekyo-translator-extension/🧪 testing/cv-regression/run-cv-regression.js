@@ -0,0 +1,298 @@
+/**
+ * CV Regression Runner
+ * Runs each computer-vision stage headlessly over a corpus of annotated manga
+ * pages, scores it against the ground truth, and compares the scores with a
+ * stored baseline so a change to a preprocessor or detector shows up as
+ * before/after numbers instead of a feeling.
+ *
+ * Usage (from the extension root, Node 20+, no npm install needed):
+ *   node "🧪 testing/cv-regression/run-cv-regression.js" [options]
+ *
+ *   --corpus <dir>        Pages as page.png + page.json (ground truth)
+ *                         (default: the sample corpus in 🧪 testing/fixtures/cv-regression)
+ *   --baseline <file>     Baseline scores (default: <corpus>/cv-baseline.json)
+ *   --out <dir>           Before/after images and report.json (default: <tmp>/cv-regression-output)
+ *   --stages <a,b>        Only these stage ids
+ *   --update-baseline     Record this run as the new baseline
+ *   --ocr <backend>       Also measure CER with this OCR backend (tesseract, manga-ocr, paddleocr)
+ *   --bubble-model <url>  model.json for the bubble detector
+ *   --verbose             Keep the stages' own console logging
+ *
+ * Ground truth (all keys optional, boxes are { x, y, width, height } in pixels):
+ *   { "skewAngle": 0, "language": "jpn",
+ *     "panels": [box],
+ *     "bubbles": [{ ...box, "text": "…", "language": "jpn_vert", "lines": [box] }] }
+ *
+ * Exits with 1 when a metric regressed past its tolerance, went missing, or a stage failed.
+ * @module testing/cv-regression/run-cv-regression
+ */
+
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createRequire, register } from 'node:module';
+import { parseArgs } from 'node:util';
+import { fileURLToPath } from 'node:url';
+
+// Before any extension module is imported: they use emoji-less directory names
+register('./emoji-resolver.js', import.meta.url);
+
+const { installImageShims } = await import('./image-shims.js');
+const { decodePNG, encodePNG } = await import('./png-codec.js');
+const { aggregate, compareToBaseline } = await import('./metrics.js');
+const { STAGES } = await import('./stages.js');
+
+const EXTENSION_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', '..');
+const SAMPLE_CORPUS = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', 'fixtures', 'cv-regression');
+const BASELINE_VERSION = 1;
+
+// ==========================================
+// INPUT
+// ==========================================
+
+function readOptions() {
+  const { values } = parseArgs({
+    options: {
+      corpus: { type: 'string', default: SAMPLE_CORPUS },
+      baseline: { type: 'string' },
+      out: { type: 'string', default: path.join(os.tmpdir(), 'cv-regression-output') },
+      stages: { type: 'string' },
+      'update-baseline': { type: 'boolean', default: false },
+      ocr: { type: 'string' },
+      'bubble-model': { type: 'string' },
+      verbose: { type: 'boolean', default: false }
+    }
+  });
+
+  const known = STAGES.map(stage => stage.id);
+  const selected = values.stages ? values.stages.split(',').map(id => id.trim()).filter(Boolean) : known;
+  const unknown = selected.filter(id => !known.includes(id));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown stage(s): ${unknown.join(', ')} (available: ${known.join(', ')})`);
+  }
+
+  return {
+    corpus: path.resolve(values.corpus),
+    baseline: path.resolve(values.baseline || path.join(values.corpus, 'cv-baseline.json')),
+    out: path.resolve(values.out),
+    stages: selected,
+    updateBaseline: values['update-baseline'],
+    ocr: values.ocr || null,
+    bubbleModel: values['bubble-model'] || null,
+    verbose: values.verbose,
+    extensionRoot: EXTENSION_ROOT
+  };
+}
+
+/**
+ * Corpus pages in name order; a page without a .json has empty ground truth
+ * @returns {Array<{ name: string, imageData: ImageData, truth: Object }>}
+ */
+function loadCorpus(dir) {
+  const files = fs.readdirSync(dir).filter(file => file.toLowerCase().endsWith('.png')).sort();
+  if (files.length === 0) {
+    throw new Error(`No .png pages in ${dir}`);
+  }
+
+  return files.map(file => {
+    const name = file.slice(0, -4);
+    const truthPath = path.join(dir, `${name}.json`);
+    return {
+      name,
+      imageData: decodePNG(fs.readFileSync(path.join(dir, file))),
+      truth: fs.existsSync(truthPath) ? JSON.parse(fs.readFileSync(truthPath, 'utf8')) : {}
+    };
+  });
+}
+
+function loadBaseline(file) {
+  if (!fs.existsSync(file)) return null;
+
+  const baseline = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (baseline.version !== BASELINE_VERSION) {
+    throw new Error(`Baseline ${file} is version ${baseline.version}, expected ${BASELINE_VERSION}`);
+  }
+  return baseline;
+}
+
+function missingPackages(stage) {
+  const require = createRequire(import.meta.url);
+  return stage.requires.filter(name => {
+    try {
+      require.resolve(name);
+      return false;
+    } catch (error) {
+      return true;
+    }
+  });
+}
+
+// ==========================================
+// RUN
+// ==========================================
+
+/**
+ * Run fn with the stages' console.log/info/debug/warn silenced
+ * (console.error stays: several stages swallow failures and only log them)
+ */
+async function quietly(verbose, fn) {
+  if (verbose) return fn();
+
+  const saved = { log: console.log, info: console.info, debug: console.debug, warn: console.warn };
+  Object.keys(saved).forEach(name => { console[name] = () => {}; });
+  try {
+    return await fn();
+  } finally {
+    Object.assign(console, saved);
+  }
+}
+
+function writeImage(options, pageName, file, imageData) {
+  const dir = path.join(options.out, pageName);
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, file), encodePNG(imageData));
+}
+
+/**
+ * One stage over every page
+ * @returns {Object} { status: 'ok', metrics, pages } | { status: 'skipped', reason } | { status: 'error', error }
+ */
+async function runStage(stage, pages, options) {
+  const missing = missingPackages(stage);
+  const reason = missing.length > 0 ? `needs ${missing.join(', ')}` : stage.skip(options);
+  if (reason) return { status: 'skipped', reason };
+
+  let instance;
+  try {
+    instance = await quietly(options.verbose, () => stage.setup(options));
+  } catch (error) {
+    return { status: 'error', error: `setup: ${error.message}` };
+  }
+
+  const results = [];
+  try {
+    for (const page of pages) {
+      let result;
+      try {
+        result = await quietly(options.verbose, () => stage.run(instance, page));
+      } catch (error) {
+        return { status: 'error', error: `${page.name}: ${error.message}` };
+      }
+
+      if (result.after) writeImage(options, page.name, `${stage.id}-after.png`, result.after);
+      results.push({ page: page.name, ...result });
+    }
+  } finally {
+    if (stage.teardown) {
+      await quietly(options.verbose, () => stage.teardown(instance)).catch(() => {});
+    }
+  }
+
+  return {
+    status: 'ok',
+    metrics: aggregate(results),
+    pages: Object.fromEntries(results.map(result => [result.page, aggregate([result])]))
+  };
+}
+
+// ==========================================
+// OUTPUT
+// ==========================================
+
+function formatNumber(value, signed = false) {
+  if (typeof value !== 'number') return '-';
+  const text = value.toFixed(4);
+  return signed && value > 0 ? `+${text}` : text;
+}
+
+function printTable(rows) {
+  const table = rows.map(row => [
+    row.stage,
+    row.metric || '',
+    formatNumber(row.before),
+    formatNumber(row.after),
+    formatNumber(row.delta, true),
+    row.reason ? `${row.status} (${row.reason})` : row.status
+  ]);
+  const header = ['stage', 'metric', 'before', 'after', 'delta', 'status'];
+  const widths = header.map((title, i) => Math.max(title.length, ...table.map(cells => cells[i].length)));
+  const line = cells => cells.map((cell, i) => (i === cells.length - 1 ? cell : cell.padEnd(widths[i]))).join('  ');
+
+  console.log(line(header));
+  console.log(line(widths.map(width => '-'.repeat(width))));
+  table.forEach(cells => console.log(line(cells)));
+}
+
+/**
+ * Baseline entries from this run; stages that were skipped keep their old entry
+ */
+function mergeBaseline(previous, current) {
+  const stages = { ...(previous?.stages || {}) };
+  for (const [id, result] of Object.entries(current)) {
+    if (result.status === 'ok') stages[id] = { status: 'ok', metrics: result.metrics };
+    else if (result.status === 'error') stages[id] = { status: 'error', error: result.error };
+  }
+  return { version: BASELINE_VERSION, updatedAt: new Date().toISOString(), stages };
+}
+
+// ==========================================
+// MAIN
+// ==========================================
+
+async function main() {
+  const options = readOptions();
+  installImageShims();
+
+  const pages = loadCorpus(options.corpus);
+  const baseline = loadBaseline(options.baseline);
+  const stages = STAGES.filter(stage => options.stages.includes(stage.id));
+
+  pages.forEach(page => writeImage(options, page.name, 'before.png', page.imageData));
+
+  const current = {};
+  for (const stage of stages) {
+    console.log(`[CVRegression] ${stage.id}: ${stage.description}`);
+    current[stage.id] = await runStage(stage, pages, options);
+  }
+
+  const rows = compareToBaseline(current, baseline);
+  console.log('');
+  printTable(rows);
+
+  fs.mkdirSync(options.out, { recursive: true });
+  fs.writeFileSync(path.join(options.out, 'report.json'), JSON.stringify({
+    generatedAt: new Date().toISOString(),
+    corpus: options.corpus,
+    baseline: baseline ? options.baseline : null,
+    pages: pages.map(page => page.name),
+    stages: current,
+    rows
+  }, null, 2));
+
+  console.log('');
+  console.log(`[CVRegression] ${pages.length} page(s); images and report.json in ${options.out}`);
+
+  if (options.updateBaseline) {
+    fs.writeFileSync(options.baseline, JSON.stringify(mergeBaseline(baseline, current), null, 2) + '\n');
+    console.log(`[CVRegression] Baseline written to ${options.baseline}`);
+    return 0;
+  }
+
+  if (!baseline) {
+    console.log(`[CVRegression] No baseline at ${options.baseline}; run with --update-baseline to record one`);
+  }
+
+  const failed = rows.filter(row => ['regressed', 'missing', 'error'].includes(row.status));
+  if (failed.length > 0) {
+    console.error(`[CVRegression] ${failed.length} regression(s) against the baseline`);
+    return 1;
+  }
+  return 0;
+}
+
+main()
+  .then(code => { process.exitCode = code; })
+  .catch(error => {
+    console.error('[CVRegression]', error.message);
+    process.exitCode = 2;
+  });
@@ -0,0 +1,272 @@
+/**
+ * Regression Stages Module
+ * One entry per CV stage under test. Each stage runs on its own on the
+ * ground truth's input (the text ROI extractor and OCR get the ground-truth
+ * bubble crops, not the bubble detector's), so a regression points at one stage.
+ *
+ * Stage shape:
+ *   id, description
+ *   requires - npm packages the module imports; the stage is skipped without them
+ *   skip(options) - reason to skip, or null
+ *   setup(options) - instance used for every page
+ *   run(instance, page) - { counts | text | values, after: ImageData | null }
+ *   teardown(instance)
+ * @module testing/cv-regression/stages
+ */
+
+import { pathToFileURL } from 'node:url';
+import { canvasFromImageData, toImageData, cropImageData, drawBoxes } from './image-shims.js';
+import { matchBoxes, textErrors, psnr } from './metrics.js';
+
+const TRUTH_COLOR = [0, 200, 0];
+const PREDICTED_COLOR = [230, 0, 0];
+
+/**
+ * Ink ratios of a binarized page against the ground-truth layout:
+ * overall, inside speech bubbles, and in the gutters between panels
+ * @param {Object} binary - Binarizer bit buffer (getPixel(x, y) is 1 for ink)
+ * @param {Object} truth - Page ground truth
+ */
+function inkValues(binary, truth) {
+  const { width, height } = binary;
+  let ink = 0;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) ink += binary.getPixel(x, y);
+  }
+
+  const values = { foregroundRatio: ink / (width * height) };
+
+  const countIn = (box) => {
+    let count = 0, total = 0;
+    const x1 = Math.min(width, Math.round(box.x + box.width));
+    const y1 = Math.min(height, Math.round(box.y + box.height));
+    for (let y = Math.max(0, Math.round(box.y)); y < y1; y++) {
+      for (let x = Math.max(0, Math.round(box.x)); x < x1; x++) {
+        count += binary.getPixel(x, y);
+        total++;
+      }
+    }
+    return { count, total };
+  };
+
+  if (truth.bubbles?.length) {
+    const sums = truth.bubbles.map(countIn).reduce((a, b) => ({ count: a.count + b.count, total: a.total + b.total }));
+    values.bubbleInk = sums.total ? sums.count / sums.total : 0;
+  }
+
+  if (truth.panels?.length) {
+    const inPanels = truth.panels.map(countIn).reduce((a, b) => ({ count: a.count + b.count, total: a.total + b.total }));
+    const gutterPixels = width * height - inPanels.total;
+    values.gutterInk = gutterPixels > 0 ? Math.max(0, ink - inPanels.count) / gutterPixels : 0;
+  }
+
+  return values;
+}
+
+/**
+ * Ground truth (green) and stage output (red) drawn over the page
+ */
+function annotate(page, truthBoxes, predictedBoxes) {
+  return drawBoxes(page.imageData, [
+    { boxes: truthBoxes, color: TRUTH_COLOR },
+    { boxes: predictedBoxes, color: PREDICTED_COLOR }
+  ]);
+}
+
+/**
+ * Page-space origin of a crop made by cropImageData
+ */
+function cropOrigin(box) {
+  return { x: Math.max(0, Math.round(box.x)), y: Math.max(0, Math.round(box.y)) };
+}
+
+const STAGES = [
+  {
+    id: 'binarizer',
+    description: 'Binarizer.binarize (ocr/preprocessors/binarizer.js)',
+    requires: [],
+    skip: () => null,
+    async setup() {
+      const { Binarizer } = await import('../../computer-vision/ocr/preprocessors/binarizer.js');
+      return new Binarizer();
+    },
+    async run(binarizer, page) {
+      const result = await binarizer.binarize(page.imageData);
+      return { values: inkValues(result.binary, page.truth), after: result.imageData };
+    }
+  },
+  {
+    id: 'denoiser',
+    description: 'Denoiser.denoise (ocr/preprocessors/denoiser.js)',
+    requires: [],
+    skip: () => null,
+    async setup() {
+      const { Denoiser, NoiseEstimator } = await import('../../computer-vision/ocr/preprocessors/denoiser.js');
+      return { denoiser: new Denoiser(), estimator: new NoiseEstimator() };
+    },
+    async run({ denoiser, estimator }, page) {
+      const output = await denoiser.denoise(page.imageData);
+      return {
+        values: {
+          psnr: psnr(page.imageData, output),
+          residualNoise: estimator.analyze(output).noiseSigma
+        },
+        after: output
+      };
+    }
+  },
+  {
+    id: 'deskewer',
+    description: 'Deskewer.deskew (ocr/preprocessors/deskewer.js)',
+    requires: [],
+    skip: () => null,
+    async setup() {
+      const { Deskewer } = await import('../../computer-vision/ocr/preprocessors/deskewer.js');
+      return new Deskewer();
+    },
+    async run(deskewer, page) {
+      const result = await deskewer.deskew(canvasFromImageData(page.imageData));
+      if (result.error) throw new Error(result.error);
+
+      const values = { detectedAngle: result.originalAngle };
+      if (typeof page.truth.skewAngle === 'number') {
+        values.angleError = Math.abs(result.originalAngle - page.truth.skewAngle);
+      }
+      return { values, after: toImageData(result.image) };
+    }
+  },
+  {
+    id: 'panel-segmenter',
+    description: 'PanelSegmenter.segment (ocr/preprocessors/panel-segmenter.js)',
+    requires: [],
+    skip: () => null,
+    async setup() {
+      const { PanelSegmenter } = await import('../../computer-vision/ocr/preprocessors/panel-segmenter.js');
+      return new PanelSegmenter();
+    },
+    async run(segmenter, page) {
+      if (!page.truth.panels) return { after: null };
+
+      const result = await segmenter.segment(canvasFromImageData(page.imageData));
+      const predicted = result.panels.map(panel => panel.bounds);
+      return {
+        counts: matchBoxes(predicted, page.truth.panels),
+        after: annotate(page, page.truth.panels, predicted)
+      };
+    },
+    teardown: (segmenter) => segmenter.dispose()
+  },
+  {
+    id: 'panel-detector',
+    description: 'PanelSegmenter.segment (detection/panel-detector/panel-segmentation.js)',
+    requires: [],
+    skip: () => null,
+    async setup() {
+      const { PanelSegmenter } = await import('../../computer-vision/detection/panel-detector/panel-segmentation.js');
+      return new PanelSegmenter({ USE_WEBWORKER: false });
+    },
+    async run(segmenter, page) {
+      if (!page.truth.panels) return { after: null };
+
+      const panels = await segmenter.segment(canvasFromImageData(page.imageData));
+      const predicted = panels.map(panel => panel.bbox);
+      return {
+        counts: matchBoxes(predicted, page.truth.panels),
+        after: annotate(page, page.truth.panels, predicted)
+      };
+    },
+    teardown: (segmenter) => segmenter.dispose()
+  },
+  {
+    id: 'bubble-detector',
+    description: 'BubbleDetector.detect (detection/bubble-detector/bubble-detector.js)',
+    requires: ['@tensorflow/tfjs'],
+    skip: () => null,
+    async setup(options) {
+      const { BubbleDetector } = await import('../../computer-vision/detection/bubble-detector/bubble-detector.js');
+      const detector = new BubbleDetector({
+        MODEL_PATH: options.bubbleModel || pathToFileURL(options.extensionRoot).href + '/computer-vision/detection/bubble-detector/model/model.json'
+      });
+      await detector.loadModel();
+      return detector;
+    },
+    async run(detector, page) {
+      if (!page.truth.bubbles) return { after: null };
+
+      const detections = await detector.detect(page.imageData);
+      const predicted = detections.map(detection => detection.bbox);
+      return {
+        counts: matchBoxes(predicted, page.truth.bubbles),
+        after: annotate(page, page.truth.bubbles, predicted)
+      };
+    },
+    teardown: (detector) => detector.dispose()
+  },
+  {
+    id: 'text-roi-extractor',
+    description: 'TextROIExtractor.extract on ground-truth bubbles (detection/text-region/text-roi-extractor.js)',
+    requires: [],
+    skip: () => null,
+    async setup() {
+      const { TextROIExtractor } = await import('../../computer-vision/detection/text-region/text-roi-extractor.js');
+      return new TextROIExtractor();
+    },
+    async run(extractor, page) {
+      const bubbles = (page.truth.bubbles || []).filter(bubble => bubble.lines?.length);
+      if (bubbles.length === 0) return { after: null };
+
+      const counts = { tp: 0, fp: 0, fn: 0, iouSum: 0 };
+      const truthLines = [];
+      const predictedLines = [];
+
+      for (const bubble of bubbles) {
+        const origin = cropOrigin(bubble);
+        const rois = await extractor.extract(canvasFromImageData(cropImageData(page.imageData, bubble)));
+        const predicted = rois.map(roi => ({ ...roi.bbox, x: roi.bbox.x + origin.x, y: roi.bbox.y + origin.y }));
+        const matched = matchBoxes(predicted, bubble.lines);
+
+        for (const key of Object.keys(counts)) counts[key] += matched[key];
+        truthLines.push(...bubble.lines);
+        predictedLines.push(...predicted);
+      }
+
+      return { counts, after: annotate(page, truthLines, predictedLines) };
+    },
+    teardown: (extractor) => extractor.dispose()
+  },
+  {
+    id: 'ocr',
+    description: 'OCR backend on ground-truth bubbles (ocr/backends), character error rate',
+    requires: [],
+    skip: (options) => options.ocr ? null : 'pass --ocr <backend id> to measure CER',
+    async setup(options) {
+      const { OCR_BACKENDS } = await import('../../computer-vision/ocr/backends/ocr-backend.js');
+      const info = OCR_BACKENDS[options.ocr];
+      if (!info) {
+        throw new Error(`Unknown OCR backend "${options.ocr}" (${Object.keys(OCR_BACKENDS).join(', ')})`);
+      }
+      const backend = await info.load({});
+      await backend.initialize();
+      return backend;
+    },
+    async run(backend, page) {
+      const bubbles = (page.truth.bubbles || []).filter(bubble => bubble.text);
+      if (bubbles.length === 0) return { after: null };
+
+      const text = { edits: 0, chars: 0 };
+      for (const bubble of bubbles) {
+        const result = await backend.recognize(cropImageData(page.imageData, bubble), {
+          language: bubble.language || page.truth.language || 'jpn'
+        });
+        const errors = textErrors(result.text, bubble.text);
+        text.edits += errors.edits;
+        text.chars += errors.chars;
+      }
+
+      return { text, after: null };
+    },
+    teardown: (backend) => backend.terminate()
+  }
+];
+
+export { STAGES, inkValues };